@@ -33,6 +33,64 @@
         
         // 사용 예
         controlLamp(1, 1, 5, 80); // 마스터1, CU1, 조명5번, 밝기 80%
+        
+        // 조명 상태 변경 수신 (서버가 주기적으로 조회해 바뀐 조명만 전달하므로 직접 조회를 반복하지 않음)
+        socket.emit('lcs_start_polling', { agentId: 'default', masterAddr: 1, cuAddr: 1, interval: 5000 });
+        socket.on('lcs_lamp_state_changed', (event) => {
+            event.lamps.forEach((lamp) => {
+                console.log(`조명 ${event.cuAddr}/${lamp.lampNo} ${event.attribute}: ${lamp.previous} → ${lamp.value}`);
+            });
+        });
+
+        // 평일 06:00 시나리오 1 실행 (서버에 저장되어 재시작 후에도 유지, 실행 결과는 lcs_schedule_run)
+        socket.emit('lcs_save_schedule', {
+            id: 'weekday-dawn',
+            timeZone: 'Asia/Seoul',
+            trigger: { type: 'weekly', days: ['mon', 'tue', 'wed', 'thu', 'fri'], time: '06:00' },
+            actions: [{ command: 'executeScene', agentId: 'default', masterAddr: 1, cuAddr: 1, sceneNo: 1 }],
+        });
+        socket.on('lcs_schedule_run', (run) => console.log(`스케줄 ${run.scheduleId} 실행: ${run.result}`));
+
+        // 공휴일에는 평소 스케줄을 멈춤 (우선순위가 높은 캘린더가 적용, 연결한 스케줄(calendarId)이 있으면 대신 실행)
+        socket.emit('lcs_save_calendar', {
+            id: 'kr-holidays',
+            name: '공휴일',
+            priority: 10,
+            entries: [{ name: '성탄절', date: '2026-12-25' }, { name: '신정', start: '2027-01-01', repeat: 'yearly' }],
+        });
+        socket.emit('lcs_effective_program', { date: '2026-12-25', agentId: 'default' });
+        socket.on('lcs_effective_program_response', (response) => console.log('12/25:', response.data.program));
+
+        // 여러 Agent/CU에 걸친 조명 그룹 (lamps 생략 시 CU 전체), 그룹 단위로 밝기/색온도/시나리오/효과 제어
+        socket.emit('lcs_save_group', {
+            id: 'lobby-3f',
+            name: '3F 로비',
+            members: [
+                { agentId: 'default', masterAddr: 1, cuAddr: 1, lamps: [1, 2, 3, 4] },
+                { agentId: 'east-wing', masterAddr: 2, cuAddr: 5, lampCount: 8 },
+                { agentId: 'default', masterAddr: 1, cuAddr: 3, deviceType: 'RCU4' },
+            ],
+        });
+        socket.emit('lcs_control_group', { groupId: 'lobby-3f', action: 'colorTemperature', kelvin: 3000 });
+        socket.on('lcs_control_group_response', (response) => {
+            // 멤버(CU)별 결과: 릴레이 CU는 색온도를 지원하지 않아 'skipped'
+            response.data.members.forEach(({ agentId, masterAddr, cuAddr, command, result }) => {
+                console.log(`${agentId} ${masterAddr}:${cuAddr} ${command}: ${result}`);
+            });
+        });
+
+        // 매일 일몰 15분 전 전체 조명 70% (위치 생략 시 서버의 LCS_LATITUDE/LCS_LONGITUDE), 저장 전 다음 7일 시각 확인
+        const sunset = { type: 'sun', event: 'sunset -15 min', latitude: 37.5665, longitude: 126.978 };
+        socket.emit('lcs_preview_schedule', { trigger: sunset, timeZone: 'Asia/Seoul', days: 7 });
+        socket.on('lcs_preview_schedule_response', (response) => {
+            console.log('일몰 15분 전:', response.data.times.map((time) => time.local));
+            socket.emit('lcs_save_schedule', {
+                id: 'sunset-lights',
+                timeZone: 'Asia/Seoul',
+                trigger: sunset,
+                actions: [{ command: 'controlAllLamps', agentId: 'default', masterAddr: 1, cuAddr: 1, brightness: 70 }],
+            });
+        });
     </script>
 </body>
 </html>
@@ -182,7 +240,7 @@ class AdvancedLightingScenarios {
         }, 30000); // 30초마다 확인
     }
 
-    // 시간대별 자동 조명 제어
+    // 시간대별 자동 조명 제어 (서버에서는 POST /api/lcs/schedules 로 등록하면 재시작 후에도 유지됨)
     async scheduleBasedControl(masterAddr, cuAddr) {
         const schedule = [
             { time: '06:00', brightness: 30, scene: 1 }, // 새벽
@@ -237,8 +295,8 @@ function customPacketExample() {
     let offset = 0;
 
     manualPacket[offset++] = 0x02; // STX
-    manualPacket.writeUInt16LE(18, offset);
-    offset += 2; // 길이
+    manualPacket.writeUInt16BE(18, offset);
+    offset += 2; // 길이 (Big Endian)
     manualPacket[offset++] = 0x13; // 목적지 타입
     manualPacket[offset++] = 0x01; // 목적지 마스터
     manualPacket[offset++] = 0x01; // 목적지 CU
@@ -1,25 +1,93 @@
+const EventEmitter = require('events');
+const path = require('path');
 const LCSController = require('./controller');
+const LCSCommandRegistry = require('./command-registry');
+const LCSTrafficCapture = require('./traffic-capture');
+const LCSDiscovery = require('./discovery');
+const LCSFixtureProfiles = require('./fixture-profiles');
+const LCSEffectLibrary = require('./effect-library');
+const LCSStatePoller = require('./state-poller');
+const LCSHolidayCalendars = require('./holiday-calendars');
+const LCSLampGroups = require('./lamp-groups');
+const LCSTimeScheduler = require('./time-scheduler');
+const LCSValidationError = require('./validation-error');
 
-class LCSAgentManager {
-    constructor() {
+// Agent ID 허용 문자 (캡처 파일 이름에 그대로 쓰임)
+const AGENT_ID_PATTERN = /^[\w.-]+$/;
+
+/**
+ * 여러 LCS Agent 관리
+ *
+ * 이벤트:
+ * - 'device_event' - Agent에서 요청 없이 수신된 장비 상태 변경 (agentId 포함)
+ * - 'discovery_progress' - 버스 검색 진행 상황 (agentId 포함)
+ * - 'offline_queue' - 오프라인 대기열 변화 ({ agentId, event: 'queued'|'collapsed'|'expired'|'flushed', ... })
+ * - 'effect_job' - 효과 작업 상태 변경/진행 ({ agentId, event: 'status'|'progress', job })
+ * - 'lamp_state_drift' - 명령 값과 장비 관측 값 불일치 발생/해제 ({ agentId, event: 'detected'|'resolved', ... })
+ * - 'lamp_state_changed' - 주기 조회에서 값이 바뀐 조명 ({ agentId, masterAddr, cuAddr, attribute, lamps, timestamp })
+ * - 'schedule_run' - 시각 스케줄 실행 기록 ({ id, scheduleId, trigger, scheduledFor, result, actions, ... })
+ */
+class LCSAgentManager extends EventEmitter {
+    /**
+     * @param {Object} options - 설정
+     * @param {Object} options.schedules - { directory, maxRuns, grace, location } 시각 스케줄 설정 (LCSTimeScheduler 참고)
+     * @param {Object} options.calendars - { directory } 휴일 캘린더 설정 (기본값: 시각 스케줄과 같은 디렉터리)
+     * @param {Object} options.groups - { directory } 조명 그룹 설정 (기본값: 시각 스케줄과 같은 디렉터리)
+     */
+    constructor(options = {}) {
+        super();
         this.agents = new Map(); // agentId -> LCSController 인스턴스
         this.defaultAgentId = null;
+        this.commandRegistry = LCSCommandRegistry.getDefault();
+        this.captures = new Map(); // agentId -> LCSTrafficCapture
+        this.discoveries = new Map(); // agentId -> LCSDiscovery (마지막 검색, 인벤토리 보관)
+        this.fixtureProfiles = new LCSFixtureProfiles();
+        this.statePoller = new LCSStatePoller((agentId) => this.agents.get(agentId) || null);
+        this.statePoller.on('changed', (change) => {
+            const controller = this.agents.get(change.agentId);
+            this.emit('lamp_state_changed', { ...change, agentName: controller ? controller.name : null });
+        });
+        const schedules = options.schedules || {};
+        this.holidayCalendars = new LCSHolidayCalendars({ directory: schedules.directory, ...options.calendars });
+        this.timeScheduler = new LCSTimeScheduler((action) => this.runScheduleAction(action), {
+            ...schedules,
+            validateAction: (action) => this.validateScheduleAction(action),
+            isAvailable: (action) => this.getAgent(action.agentId) !== null,
+            calendars: this.holidayCalendars,
+            getAgentId: (action) => action.agentId || this.defaultAgentId,
+        });
+        this.timeScheduler.on('run', (run) => this.emit('schedule_run', run));
+        this.lampGroups = new LCSLampGroups({ directory: schedules.directory, ...options.groups });
     }
 
     /**
      * 새로운 LCS Agent 추가
-     * @param {string} agentId - 고유 Agent ID
+     * @param {string} agentId - 고유 Agent ID (영문자, 숫자, '_', '.', '-')
      * @param {string} host - Agent 호스트
      * @param {number} port - Agent 포트
      * @param {string} name - Agent 이름 (선택사항)
+     * @param {Object} options - 클라이언트 옵션 (maxInFlight: 파이프라이닝 깊이, requestTimeout: 응답 대기 ms,
+     *                           heartbeat: { interval, timeout, missedThreshold, targets },
+     *                           reconnect: { initialDelay, maxDelay, multiplier, jitter, maxAttempts, connectTimeout },
+     *                           capture: true 또는 { maxFileSize, maxFiles } 이면 트래픽 캡처 시작,
+     *                           transport: 'tcp' | 'tls' | 'memory' (기본값: 'tcp'),
+     *                           tls: { ca/caFile, cert/certFile, key/keyFile, passphrase, servername, rejectUnauthorized },
+     *                           offlineQueue: true 또는 { ttl, commandTtl, maxSize } 이면 연결이 끊긴 동안 제어 명령 보관,
+     *                           rateLimit: { fps, burst, maxQueue } 전송 속도 제한 (기본값: 20fps),
+     *                           stateCache: { reconcileInterval, tolerance } 조명 상태 캐시,
+     *                           polling: { interval, maxInterval, busyThreshold, targets: [{ masterAddr, cuAddr, ... }] }
+     *                           상태 주기 조회 (targets 항목의 설정이 Agent 설정보다 우선))
      * @returns {Promise<boolean>} 연결 성공 여부
      */
-    async addAgent(agentId, host, port, name = null) {
+    async addAgent(agentId, host, port, name = null, options = {}) {
+        if (typeof agentId !== 'string' || !AGENT_ID_PATTERN.test(agentId)) {
+            throw new Error(`Agent ID는 영문자, 숫자, '_', '.', '-'만 사용할 수 있습니다: ${agentId}`);
+        }
         if (this.agents.has(agentId)) {
             throw new Error(`Agent ID '${agentId}'는 이미 존재합니다.`);
         }
 
-        const controller = new LCSController(host, port);
+        const controller = new LCSController(host, port, options);
         controller.agentId = agentId;
         controller.name = name || `Agent-${agentId}`;
         controller.host = host;
@@ -38,20 +106,70 @@ class LCSAgentManager {
             console.error(`❌ LCS Agent '${controller.name}' (${agentId}) 오류:`, error.message);
         });
 
+        controller.client.on('notification', (event) => {
+            console.log(`📨 LCS Agent '${controller.name}' (${agentId}) 장비 이벤트: ${event.eventType}`);
+            this.emit('device_event', {
+                agentId,
+                agentName: controller.name,
+                ...event,
+            });
+        });
+
+        controller.client.on('frame_error', (frameError) => {
+            console.warn(
+                `⚠️ LCS Agent '${controller.name}' (${agentId}) 프레임 폐기 (${frameError.reason}): ${frameError.hex}`
+            );
+        });
+
+        for (const event of ['queued', 'collapsed', 'expired', 'flushed']) {
+            controller.offlineQueue.on(event, (data) => {
+                this.emit('offline_queue', { agentId, agentName: controller.name, event, ...data });
+            });
+        }
+
+        controller.effects.on('job', ({ event, job }) => {
+            this.emit('effect_job', { agentId, event, job: { ...job, agentId } });
+        });
+
+        controller.lampState.on('drift', (drift) => {
+            this.emit('lamp_state_drift', { agentId, agentName: controller.name, ...drift });
+        });
+
         this.agents.set(agentId, controller);
 
+        try {
+            if (options.capture) {
+                this.startCapture(agentId, options.capture === true ? {} : options.capture);
+            }
+
+            if (options.polling) {
+                const { targets = [], ...pollingOptions } = options.polling;
+                controller.pollingOptions = pollingOptions;
+                for (const { masterAddr, cuAddr, ...targetOptions } of targets) {
+                    this.startPolling(agentId, masterAddr, cuAddr, targetOptions);
+                }
+            }
+        } catch (error) {
+            // 설정이 잘못되면 일부만 등록된 Agent가 남지 않도록 되돌림 (같은 ID로 다시 추가 가능)
+            this.removeAgent(agentId);
+            throw error;
+        }
+
         // 첫 번째 Agent를 기본값으로 설정
         if (!this.defaultAgentId) {
             this.defaultAgentId = agentId;
         }
 
+        let success = false;
         try {
-            const success = await controller.connect();
-            return success;
+            success = await controller.connect();
         } catch (error) {
             console.error(`LCS Agent '${agentId}' 연결 실패:`, error.message);
-            return false;
         }
+
+        // 이 Agent를 기다리던 스케줄의 놓친 실행
+        this.timeScheduler.resumePending();
+        return success;
     }
 
     /**
@@ -65,7 +183,12 @@ class LCSAgentManager {
             return false;
         }
 
+        controller.effects.cancelAll('Agent 제거');
+        this.statePoller.removeAgent(agentId);
         controller.disconnect();
+        this.stopCapture(agentId);
+        this.cancelDiscovery(agentId);
+        this.discoveries.delete(agentId);
         this.agents.delete(agentId);
 
         // 기본 Agent가 제거된 경우 다른 Agent를 기본값으로 설정
@@ -100,8 +223,16 @@ class LCSAgentManager {
                 name: controller.name,
                 host: controller.host,
                 port: controller.port,
+                transport: controller.client.getTransportInfo(),
                 isConnected: controller.isConnected,
+                connection: controller.getReconnectStatus(),
                 isDefault: agentId === this.defaultAgentId,
+                requests: controller.client.getQueueStatus(),
+                frames: controller.client.getFrameStats(),
+                heartbeat: controller.getHeartbeatStatus(),
+                offlineQueue: controller.offlineQueue.getStatus(),
+                scheduler: controller.scheduler.getStatus(),
+                lampState: controller.getLampStateStatus(),
             });
         }
         return agents;
@@ -136,6 +267,20 @@ class LCSAgentManager {
         return await controller.connect();
     }
 
+    /**
+     * Agent의 Alive 체크 대상(마스터/CU) 등록
+     * @param {string} agentId - Agent ID
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     */
+    registerHeartbeatTarget(agentId, masterAddr, cuAddr) {
+        const agent = this.getAgent(agentId);
+        if (!agent) {
+            throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
+        }
+        agent.registerHeartbeatTarget(masterAddr, cuAddr);
+    }
+
     /**
      * 모든 Agent 연결 상태 확인
      * @returns {Object} 전체 연결 상태
@@ -156,6 +301,10 @@ class LCSAgentManager {
      * 모든 Agent 해제
      */
     disconnectAll() {
+        this.statePoller.stopAll();
+        this.timeScheduler.stop();
+        this.holidayCalendars.stop();
+        this.lampGroups.stop();
         for (const [agentId, controller] of this.agents) {
             controller.disconnect();
             console.log(`🔌 LCS Agent '${agentId}' 연결 해제`);
@@ -164,47 +313,1056 @@ class LCSAgentManager {
         this.defaultAgentId = null;
     }
 
+    /**
+     * Agent 트래픽 캡처 시작
+     * @param {string} agentId - Agent ID
+     * @param {Object} options - { maxFileSize, maxFiles, directory }
+     * @returns {Object} 캡처 상태
+     */
+    startCapture(agentId, options = {}) {
+        const controller = this.agents.get(agentId);
+        if (!controller) {
+            throw new Error(`Agent ID '${agentId}'를 찾을 수 없습니다.`);
+        }
+
+        this.stopCapture(agentId);
+        const capture = new LCSTrafficCapture(agentId, options);
+        capture.attach(controller.client);
+        this.captures.set(agentId, capture);
+
+        console.log(`🎙️ LCS Agent '${agentId}' 트래픽 캡처 시작: ${capture.directory}`);
+        return capture.getStatus();
+    }
+
+    /**
+     * Agent 트래픽 캡처 중지 (파일은 보관)
+     * @param {string} agentId - Agent ID
+     * @returns {boolean} 중지 여부
+     */
+    stopCapture(agentId) {
+        const capture = this.captures.get(agentId);
+        if (!capture || !capture.client) {
+            return false;
+        }
+
+        capture.detach();
+        console.log(`⏹️ LCS Agent '${agentId}' 트래픽 캡처 중지`);
+        return true;
+    }
+
+    /**
+     * Agent 트래픽 캡처 상태 및 파일 목록
+     * @param {string} agentId - Agent ID
+     * @returns {Object} 캡처 상태
+     */
+    getCaptureStatus(agentId) {
+        const capture = this.getCapture(agentId);
+        return capture ? capture.getStatus() : null;
+    }
+
+    /**
+     * 캡처 파일 경로 조회
+     * @param {string} agentId - Agent ID
+     * @param {string} fileName - 파일 이름 (생략 시 현재 파일)
+     * @returns {string|null} 파일 경로
+     */
+    getCaptureFile(agentId, fileName) {
+        const capture = this.getCapture(agentId);
+        return capture ? capture.resolveFile(fileName) : null;
+    }
+
+    /**
+     * Agent 트래픽 캡처 (캡처 중이 아니면 기본 설정의 파일을 봄)
+     * @param {string} agentId - Agent ID
+     * @returns {LCSTrafficCapture|null} 등록되지 않았고 캡처한 적도 없는 Agent면 null
+     */
+    getCapture(agentId) {
+        if (this.captures.has(agentId)) {
+            return this.captures.get(agentId);
+        }
+        return this.agents.has(agentId) ? new LCSTrafficCapture(agentId) : null;
+    }
+
+    /**
+     * 캡처 재생
+     * @param {string} agentId - Agent ID
+     * @param {Object} options - { file: 파일 이름, mode: 'decode' | 'host', speed: 재생 배속 }
+     * @returns {Promise<Object>} { mode, file, entries, results }
+     */
+    async replayCapture(agentId, options = {}) {
+        const { file, mode = 'decode', speed } = options;
+        const capture = this.getCapture(agentId);
+        if (!capture) {
+            throw new Error(`Agent ID '${agentId}'를 찾을 수 없습니다.`);
+        }
+
+        // 기록 중인 내용까지 파일에 반영된 뒤 읽음
+        await capture.writeChain;
+        const filePath = capture.resolveFile(file);
+        if (!filePath) {
+            throw new Error(`캡처 파일을 찾을 수 없습니다: ${file || capture.getFileName()}`);
+        }
+
+        const entries = await LCSTrafficCapture.readFile(filePath);
+        let results;
+
+        if (mode === 'decode') {
+            results = LCSTrafficCapture.replayDecode(entries);
+        } else if (mode === 'host') {
+            const agent = this.getAgent(agentId);
+            if (!agent || !agent.isConnected) {
+                throw new Error('LCS Agent에 연결되지 않음');
+            }
+            results = await LCSTrafficCapture.replayHost(entries, agent.client, { speed });
+        } else {
+            throw new Error(`알 수 없는 재생 모드: ${mode}`);
+        }
+
+        return { mode, file: path.basename(filePath), entries: entries.length, results };
+    }
+
+    /**
+     * 오프라인 대기열 상태
+     * @param {string} agentId - Agent ID
+     * @returns {Object} { enabled, ttl, maxSize, size, flushing, stats, entries }
+     */
+    getOfflineQueue(agentId) {
+        const controller = this.agents.get(agentId);
+        if (!controller) {
+            throw new Error(`Agent ID '${agentId}'를 찾을 수 없습니다.`);
+        }
+        return controller.offlineQueue.getStatus();
+    }
+
+    /**
+     * 오프라인 대기열 비우기 (보관된 명령을 보내지 않고 버림)
+     * @param {string} agentId - Agent ID
+     * @returns {number} 버린 명령 수
+     */
+    clearOfflineQueue(agentId) {
+        const controller = this.agents.get(agentId);
+        if (!controller) {
+            throw new Error(`Agent ID '${agentId}'를 찾을 수 없습니다.`);
+        }
+
+        const count = controller.offlineQueue.clear();
+        console.log(`🧹 LCS Agent '${agentId}' 오프라인 대기열 비움: ${count}개`);
+        return count;
+    }
+
+    /**
+     * 효과 작업 목록
+     * @param {string} agentId - Agent ID (생략 시 전체)
+     * @returns {Array} 작업 정보 배열 (agentId 포함)
+     */
+    listJobs(agentId = null) {
+        const jobs = [];
+        for (const [id, controller] of this.agents) {
+            if (agentId && id !== agentId) continue;
+            jobs.push(...controller.effects.list().map((job) => ({ ...job, agentId: id })));
+        }
+        return jobs;
+    }
+
+    /**
+     * 캐시된 조명 상태 목록 (장비 조회 없이)
+     * @param {string} agentId - Agent ID (생략하면 모든 Agent)
+     * @param {Object} filter - { masterAddr, cuAddr }
+     * @returns {Array} 조명 상태 (agentId 포함)
+     */
+    listLampStates(agentId = null, filter = {}) {
+        const lamps = [];
+        for (const [id, controller] of this.agents) {
+            if (agentId && id !== agentId) continue;
+            lamps.push(...controller.lampState.list(filter).map((lamp) => ({ agentId: id, ...lamp })));
+        }
+        return lamps;
+    }
+
+    /**
+     * 캐시된 CU 상태 (조명별 brightness/colorTemperature 배열 포함)
+     * @param {string} agentId - Agent ID (생략하면 기본 Agent)
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @returns {Object|null} CU 상태 (캐시에 없으면 null)
+     */
+    getCuLampState(agentId, masterAddr, cuAddr) {
+        const agent = this.getAgent(agentId);
+        if (!agent) {
+            throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
+        }
+        const state = agent.lampState.getCuState(masterAddr, cuAddr);
+        return state ? { agentId: agent.agentId, ...state } : null;
+    }
+
+    /**
+     * 명령 값과 장비 관측 값이 다른 조명 목록
+     * @param {string} agentId - Agent ID (생략하면 모든 Agent)
+     * @returns {Array} 드리프트 목록 (agentId 포함)
+     */
+    listLampStateDrift(agentId = null) {
+        const drift = [];
+        for (const [id, controller] of this.agents) {
+            if (agentId && id !== agentId) continue;
+            drift.push(...controller.lampState.getDrift().map((item) => ({ agentId: id, ...item })));
+        }
+        return drift;
+    }
+
+    /**
+     * 조명 상태 즉시 대조 (캐시에 있는 CU를 장비에서 다시 읽음)
+     * @param {string} agentId - Agent ID (생략하면 기본 Agent)
+     * @returns {Promise<Object>} { cus, failed, drift }
+     */
+    async reconcileLampState(agentId) {
+        const agent = this.getAgent(agentId);
+        if (!agent) {
+            throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
+        }
+        if (!agent.isConnected) {
+            throw new Error('LCS Agent에 연결되지 않음');
+        }
+        return await agent.reconcileLampState();
+    }
+
+    /**
+     * CU 상태 주기 조회 시작 (같은 CU가 이미 있으면 설정 교체, 값이 바뀐 조명은 'lamp_state_changed')
+     * @param {string} agentId - Agent ID
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {Object} options - { interval, maxInterval, busyThreshold, attributes, deviceType } (생략하면 Agent 설정)
+     * @returns {Object} 조회 대상 정보
+     */
+    startPolling(agentId, masterAddr, cuAddr, options = {}) {
+        // 주소 오류는 Agent 조회보다 먼저 검증 오류(400)로 알림
+        this.statePoller.validateAddress('masterAddr', masterAddr);
+        this.statePoller.validateAddress('cuAddr', cuAddr);
+
+        const controller = this.agents.get(agentId);
+        if (!controller) {
+            throw new Error(`Agent ID '${agentId}'를 찾을 수 없습니다.`);
+        }
+        return this.statePoller.add(agentId, masterAddr, cuAddr, { ...controller.pollingOptions, ...options });
+    }
+
+    /**
+     * CU 상태 주기 조회 중지
+     * @param {string} agentId - Agent ID
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @returns {boolean} 중지 여부
+     */
+    stopPolling(agentId, masterAddr, cuAddr) {
+        const removed = this.statePoller.remove(agentId, masterAddr, cuAddr);
+        if (removed) {
+            console.log(`⏹️ 상태 조회 중지: ${agentId} ${masterAddr}/${cuAddr}`);
+        }
+        return removed;
+    }
+
+    /**
+     * 상태 주기 조회 목록
+     * @param {string} agentId - Agent ID (생략하면 모든 Agent)
+     * @returns {Array} 조회 대상 정보
+     */
+    listPolling(agentId = null) {
+        return this.statePoller.list(agentId);
+    }
+
+    /**
+     * 저장된 휴일 캘린더와 시각 스케줄을 읽고 실행 시작 (서버 시작 시 한 번 호출)
+     * @returns {Object} { schedules, catchUp, calendars }
+     */
+    startSchedules() {
+        const calendars = this.holidayCalendars.start();
+        return { ...this.timeScheduler.start(), calendars };
+    }
+
+    /**
+     * 시각 스케줄 목록
+     * @returns {Array} 스케줄 정보
+     */
+    listSchedules() {
+        return this.timeScheduler.list();
+    }
+
+    /**
+     * 시각 스케줄 조회
+     * @param {string} scheduleId - 스케줄 ID
+     * @returns {Object|null} 스케줄 정보 (upcoming: 다음 실행 시각 5개 포함)
+     */
+    getSchedule(scheduleId) {
+        return this.timeScheduler.get(scheduleId);
+    }
+
+    /**
+     * 시각 스케줄 생성
+     * @param {Object} definition - { id, name, enabled, timeZone, trigger, actions, catchUp, catchUpWindow, calendarId }
+     * @returns {Object} 스케줄 정보
+     */
+    createSchedule(definition) {
+        return this.timeScheduler.create(definition);
+    }
+
+    /**
+     * 시각 스케줄 수정 (넘긴 항목만 변경)
+     * @param {string} scheduleId - 스케줄 ID
+     * @param {Object} changes - 바꿀 항목
+     * @returns {Object|null} 스케줄 정보 (없으면 null)
+     */
+    updateSchedule(scheduleId, changes) {
+        return this.timeScheduler.update(scheduleId, changes);
+    }
+
+    /**
+     * 시각 스케줄 삭제
+     * @param {string} scheduleId - 스케줄 ID
+     * @returns {boolean} 삭제 여부
+     */
+    removeSchedule(scheduleId) {
+        return this.timeScheduler.remove(scheduleId);
+    }
+
+    /**
+     * 시각 스케줄 제어
+     * @param {string} scheduleId - 스케줄 ID
+     * @param {string} action - 'enable' | 'disable' | 'run' (즉시 실행)
+     * @returns {Promise<Object|null>} { changed, schedule } 또는 { changed: true, run } (스케줄이 없으면 null)
+     */
+    async controlSchedule(scheduleId, action) {
+        if (action === 'run') {
+            const run = await this.timeScheduler.runNow(scheduleId);
+            return run ? { changed: true, run } : null;
+        }
+        if (!['enable', 'disable'].includes(action)) {
+            throw new Error(`알 수 없는 스케줄 제어입니다: ${action}`);
+        }
+        return this.timeScheduler.setEnabled(scheduleId, action === 'enable');
+    }
+
+    /**
+     * 시각 스케줄 실행 시각 미리보기
+     * @param {string} scheduleId - 스케줄 ID
+     * @param {number} days - 지금부터 살펴볼 일 수 (1-366)
+     * @returns {Object|null} { scheduleId, timeZone, trigger, from, to, times: [{ at, local }], truncated }
+     */
+    previewSchedule(scheduleId, days) {
+        return this.timeScheduler.preview(scheduleId, days);
+    }
+
+    /**
+     * 저장하지 않은 트리거의 실행 시각 미리보기 (일출/일몰 트리거 확인 등)
+     * @param {Object} definition - { trigger, timeZone }
+     * @param {number} days - 지금부터 살펴볼 일 수 (1-366)
+     * @returns {Object} { timeZone, trigger, from, to, times: [{ at, local }], truncated }
+     */
+    previewScheduleTrigger(definition, days) {
+        return this.timeScheduler.previewTrigger(definition, days);
+    }
+
+    /**
+     * 시각 스케줄 실행 기록 (최근 순)
+     * @param {Object} filter - { scheduleId, limit }
+     * @returns {Array} 실행 기록
+     */
+    listScheduleRuns(filter = {}) {
+        return this.timeScheduler.listRuns(filter);
+    }
+
+    /**
+     * 휴일 캘린더 목록
+     * @returns {Array} 캘린더 정보
+     */
+    listCalendars() {
+        return this.holidayCalendars.list();
+    }
+
+    /**
+     * 휴일 캘린더 조회
+     * @param {string} calendarId - 캘린더 ID
+     * @returns {Object|null} 캘린더 정보 (upcoming: 오늘부터 해당 날짜 10개 포함)
+     */
+    getCalendar(calendarId) {
+        return this.holidayCalendars.get(calendarId);
+    }
+
+    /**
+     * 휴일 캘린더 생성
+     * @param {Object} definition - { id, name, priority, agents, entries }
+     * @returns {Object} 캘린더 정보
+     */
+    createCalendar(definition) {
+        return this.holidayCalendars.create(definition);
+    }
+
+    /**
+     * 휴일 캘린더 수정 (넘긴 항목만 변경)
+     * @param {string} calendarId - 캘린더 ID
+     * @param {Object} changes - 바꿀 항목
+     * @returns {Object|null} 캘린더 정보 (없으면 null)
+     */
+    updateCalendar(calendarId, changes) {
+        return this.holidayCalendars.update(calendarId, changes);
+    }
+
+    /**
+     * 휴일 캘린더 삭제 (연결된 스케줄은 남지만 실행되지 않음)
+     * @param {string} calendarId - 캘린더 ID
+     * @returns {boolean} 삭제 여부
+     */
+    removeCalendar(calendarId) {
+        const removed = this.holidayCalendars.remove(calendarId);
+        const linked = this.timeScheduler.list().filter((schedule) => schedule.calendarId === calendarId);
+        if (removed && linked.length > 0) {
+            const ids = linked.map((schedule) => schedule.id).join(', ');
+            console.warn(`⚠️ 삭제한 캘린더 ${calendarId}에 연결된 스케줄은 실행되지 않습니다: ${ids}`);
+        }
+        return removed;
+    }
+
+    /**
+     * iCalendar(.ics)에서 휴일 캘린더 가져오기 (있으면 날짜 항목 교체)
+     * @param {string} calendarId - 캘린더 ID
+     * @param {Object} options - { ics, name, priority, agents }
+     * @returns {Object} { calendar, imported, skipped }
+     */
+    importCalendar(calendarId, options) {
+        return this.holidayCalendars.importIcs(calendarId, options);
+    }
+
+    /**
+     * 날짜와 Agent에 적용되는 프로그램 (평소 스케줄 / 캘린더 대체 / 중지)
+     * @param {string} date - 'YYYY-MM-DD' (기본값: 오늘)
+     * @param {string} agentId - Agent ID (기본값: 기본 Agent)
+     * @returns {Object} { date, agentId, program, calendar, overridden, schedules, suppressed }
+     */
+    getEffectiveProgram(date = null, agentId = null) {
+        return this.timeScheduler.getEffectiveProgram(
+            date || LCSHolidayCalendars.today(),
+            agentId || this.defaultAgentId
+        );
+    }
+
+    /**
+     * 저장된 조명 그룹 읽기 (서버 시작 시 한 번 호출)
+     * @returns {number} 그룹 수
+     */
+    startGroups() {
+        return this.lampGroups.start();
+    }
+
+    /**
+     * 조명 그룹 목록
+     * @returns {Array} 그룹 정보
+     */
+    listGroups() {
+        return this.lampGroups.list();
+    }
+
+    /**
+     * 조명 그룹 조회 (CU 단위로 펼친 targets 포함)
+     * @param {string} groupId - 그룹 ID
+     * @returns {Object|null} 그룹 정보
+     */
+    getGroup(groupId) {
+        const group = this.lampGroups.get(groupId);
+        return group ? { ...group, targets: this.lampGroups.resolve(groupId, this.defaultAgentId) } : null;
+    }
+
+    /**
+     * 조명 그룹 생성
+     * @param {Object} definition - { id, name, description, members }
+     * @returns {Object} 그룹 정보
+     */
+    createGroup(definition) {
+        return this.lampGroups.create(definition);
+    }
+
+    /**
+     * 조명 그룹 수정 (넘긴 항목만 변경)
+     * @param {string} groupId - 그룹 ID
+     * @param {Object} changes - 바꿀 항목
+     * @returns {Object|null} 그룹 정보 (없으면 null)
+     */
+    updateGroup(groupId, changes) {
+        return this.lampGroups.update(groupId, changes);
+    }
+
+    /**
+     * 조명 그룹 삭제 (이 그룹을 포함한 그룹에서는 빠짐)
+     * @param {string} groupId - 그룹 ID
+     * @returns {boolean} 삭제 여부
+     */
+    removeGroup(groupId) {
+        const parents = this.lampGroups.findParents(groupId);
+        const removed = this.lampGroups.remove(groupId);
+        if (removed && parents.length > 0) {
+            console.warn(`⚠️ 삭제한 그룹 ${groupId}는 다음 그룹에서 제외됩니다: ${parents.join(', ')}`);
+        }
+        return removed;
+    }
+
+    /**
+     * 조명 그룹 제어
+     * CU마다 한 번씩 병렬로 전송합니다: 밝기는 CU 전체면 controlAllLamps, 일부 조명이면 controlLampBlock,
+     * 색온도/효과는 조명 목록 명령, 시나리오는 CU 단위 executeScene입니다.
+     * 디바이스가 지원하지 않는 동작(릴레이 CU의 색온도 등)은 실패가 아닌 'skipped'로 알려 줍니다.
+     * @param {string} groupId - 그룹 ID
+     * @param {string} action - 'brightness' | 'colorTemperature' | 'scene' | 'effect'
+     * @param {Object} params - { brightness } | { colorTemp } 또는 { kelvin } | { sceneNo, fadeTime } |
+     *                          { effect, options }
+     * @returns {Promise<Object|null>} { groupId, action, result, counts, members: [멤버별 결과] } (그룹이 없으면 null)
+     */
+    async controlGroup(groupId, action, params = {}) {
+        const targets = this.lampGroups.resolve(groupId, this.defaultAgentId);
+        if (!targets) {
+            return null;
+        }
+        const command = LCSLampGroups.normalizeAction(action, params);
+        if (targets.length === 0) {
+            throw new LCSValidationError(LCSValidationError.CODES.EMPTY_LIST, `그룹에 멤버가 없습니다: ${groupId}`, {
+                field: 'members',
+                value: groupId,
+            });
+        }
+
+        const members = await Promise.all(targets.map((target) => this.runGroupTarget(target, command)));
+
+        const counts = {};
+        for (const member of members) {
+            counts[member.result] = (counts[member.result] || 0) + 1;
+        }
+        const executed = members.filter((member) => member.result !== 'skipped');
+        const all = (...results) => executed.every((member) => results.includes(member.result));
+        let result = 'partial';
+        if (executed.length === 0) result = 'skipped';
+        else if (all('success', 'started')) result = 'success';
+        else if (all('queued')) result = 'queued';
+        else if (all('failed')) result = 'failed';
+
+        console.log(`🏷️ 그룹 제어: ${groupId} ${action} → ${result} (CU ${members.length}개)`);
+        return { groupId, ...command, result, counts, members };
+    }
+
+    /**
+     * 그룹 대상(CU 하나)에 동작 실행
+     * @param {Object} target - LCSLampGroups.resolve() 항목
+     * @param {Object} command - LCSLampGroups.normalizeAction() 결과
+     * @returns {Promise<Object>} { agentId, masterAddr, cuAddr, deviceType, lamps, via, command, result,
+     *                              response | jobId | error, code | reason }
+     */
+    async runGroupTarget(target, command) {
+        const { agentId, masterAddr, cuAddr, deviceType, via } = target;
+        const commands = {
+            brightness: target.lamps ? 'controlLampBlock' : 'controlAllLamps',
+            colorTemperature: 'controlColorTemperature',
+            scene: 'executeScene',
+            effect: 'runEffect',
+        };
+        const member = {
+            agentId,
+            masterAddr,
+            cuAddr,
+            deviceType,
+            // 시나리오는 CU 전체에 적용됨
+            lamps: (command.action !== 'scene' && target.lamps) || 'all',
+            via,
+            command: commands[command.action],
+        };
+        const capabilities = LCSCommandRegistry.DEVICE_CAPABILITIES[deviceType];
+        const skip = (reason) => ({ ...member, result: 'skipped', reason });
+
+        try {
+            if (!this.getAgent(agentId)) {
+                throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
+            }
+
+            let response;
+            switch (command.action) {
+                case 'brightness':
+                    if (target.lamps) {
+                        response = await this.controlLampBlock(
+                            agentId,
+                            masterAddr,
+                            cuAddr,
+                            target.lamps,
+                            command.brightness,
+                            deviceType
+                        );
+                    } else {
+                        response = await this.controlAllLamps(
+                            agentId,
+                            masterAddr,
+                            cuAddr,
+                            command.brightness,
+                            deviceType
+                        );
+                    }
+                    break;
+                case 'colorTemperature': {
+                    if (!capabilities.colorTemperature) {
+                        return skip(`${deviceType} 디바이스는 색온도를 지원하지 않습니다.`);
+                    }
+                    const lamps = this.getGroupLamps(target);
+                    response =
+                        command.kelvin !== undefined
+                            ? await this.controlColorTemperatureKelvin(
+                                  agentId,
+                                  masterAddr,
+                                  cuAddr,
+                                  lamps,
+                                  command.kelvin,
+                                  deviceType
+                              )
+                            : await this.controlColorTemperature(
+                                  agentId,
+                                  masterAddr,
+                                  cuAddr,
+                                  lamps,
+                                  command.colorTemp,
+                                  deviceType
+                              );
+                    break;
+                }
+                case 'scene':
+                    if (!capabilities.scene) {
+                        return skip(`${deviceType} 디바이스는 시나리오를 지원하지 않습니다.`);
+                    }
+                    response = await this.executeScene(
+                        agentId,
+                        masterAddr,
+                        cuAddr,
+                        command.sceneNo,
+                        command.fadeTime,
+                        deviceType
+                    );
+                    break;
+                default: {
+                    const lamps = this.getGroupLamps(target);
+                    const job = await this.runEffect(
+                        agentId,
+                        command.effect,
+                        masterAddr,
+                        cuAddr,
+                        lamps,
+                        command.options,
+                        deviceType
+                    );
+                    return { ...member, result: 'started', jobId: job.id };
+                }
+            }
+            // 오프라인 대기열 보관은 { queued: true }, Kelvin 제어는 queued 배열과 result를 돌려줌
+            return { ...member, result: response.queued === true ? 'queued' : response.result || 'success', response };
+        } catch (error) {
+            if (error instanceof LCSValidationError && error.code === LCSValidationError.CODES.UNSUPPORTED_DEVICE) {
+                return skip(error.message);
+            }
+            return { ...member, result: 'failed', error: error.message, code: error.code || null };
+        }
+    }
+
+    /**
+     * 그룹 대상의 조명 번호 목록 (CU 전체면 lampCount, 장비 검색 인벤토리, 릴레이 채널 수 순으로 결정)
+     * @param {Object} target - LCSLampGroups.resolve() 항목
+     * @returns {Array} 조명 번호
+     * @throws {LCSValidationError} CU 전체인데 조명 수를 알 수 없는 경우
+     */
+    getGroupLamps(target) {
+        if (target.lamps) {
+            return target.lamps;
+        }
+
+        const { agentId, masterAddr, cuAddr, deviceType } = target;
+        const capabilities = LCSCommandRegistry.DEVICE_CAPABILITIES[deviceType];
+        let lampCount = target.lampCount;
+        if (!lampCount) {
+            const inventory = this.getInventory(agentId);
+            const device =
+                inventory &&
+                inventory.devices.find((item) => item.masterAddr === masterAddr && item.cuAddr === cuAddr);
+            lampCount = device ? device.lampCount : null;
+        }
+        if (!lampCount && capabilities.relay) {
+            lampCount = capabilities.channels;
+        }
+        if (!lampCount) {
+            throw new LCSValidationError(
+                LCSValidationError.CODES.REQUIRED,
+                `CU ${masterAddr}:${cuAddr}의 조명 수를 알 수 없습니다 (멤버에 lampCount를 지정하거나 장비 검색 실행).`,
+                { field: 'lampCount', masterAddr, cuAddr }
+            );
+        }
+        return Array.from({ length: lampCount }, (_, index) => index + 1);
+    }
+
+    /**
+     * 스케줄 동작 인자 검증 (대상 Agent가 있으면 실제 프레임을 만들어 확인, 없으면 실행 시 확인)
+     * @param {Object} action - 스케줄 동작
+     * @throws {LCSValidationError} 인자가 잘못된 경우
+     */
+    validateScheduleAction(action) {
+        const agent = this.getAgent(action.agentId);
+        if (!agent) {
+            return;
+        }
+
+        const { command, params, lampList } = LCSTimeScheduler.getActionCommand(action);
+        if (lampList) {
+            agent.client.buildLampListFrames(command, params);
+        } else {
+            agent.client.packetBuilder.buildCommand(command, params);
+        }
+    }
+
+    /**
+     * 스케줄 동작 실행
+     * @param {Object} action - { command, agentId, masterAddr, cuAddr, deviceType, ...명령별 값 }
+     * @returns {Promise<Object>} 명령 결과
+     */
+    async runScheduleAction(action) {
+        return await this[action.command](action.agentId, ...LCSTimeScheduler.getActionArgs(action));
+    }
+
+    /**
+     * 효과 작업 찾기
+     * @param {string} jobId - 작업 ID
+     * @returns {Object|null} { agentId, job: LCSEffectJob }
+     */
+    findJob(jobId) {
+        for (const [agentId, controller] of this.agents) {
+            const job = controller.effects.get(jobId);
+            if (job) {
+                return { agentId, job };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 효과 작업 조회
+     * @param {string} jobId - 작업 ID
+     * @returns {Object|null} 작업 정보 (agentId 포함)
+     */
+    getJob(jobId) {
+        const found = this.findJob(jobId);
+        return found ? { ...found.job.getInfo(), agentId: found.agentId } : null;
+    }
+
+    /**
+     * 효과 작업 제어
+     * @param {string} jobId - 작업 ID
+     * @param {string} action - 'cancel' | 'pause' | 'resume'
+     * @returns {Object|null} { changed: 상태 변경 여부, job: 작업 정보 } (작업이 없으면 null)
+     */
+    controlJob(jobId, action) {
+        const found = this.findJob(jobId);
+        if (!found) {
+            return null;
+        }
+        if (!['cancel', 'pause', 'resume'].includes(action)) {
+            throw new Error(`알 수 없는 작업 제어입니다: ${action}`);
+        }
+
+        const changed = found.job[action]();
+        return { changed, job: { ...found.job.getInfo(), agentId: found.agentId } };
+    }
+
+    /**
+     * 버스 토폴로지 검색 시작 (백그라운드 실행, 진행 상황은 'discovery_progress' 이벤트)
+     * @param {string} agentId - Agent ID
+     * @param {Object} options - { masters: [시작, 끝], cus: [시작, 끝], deviceTypes, concurrency, timeout }
+     * @returns {Object} 시작 시점의 인벤토리 (status: 'running')
+     */
+    discoverAgent(agentId, options = {}) {
+        const controller = this.agents.get(agentId);
+        if (!controller) {
+            throw new Error(`Agent ID '${agentId}'를 찾을 수 없습니다.`);
+        }
+        if (!controller.isConnected) {
+            throw new Error('LCS Agent에 연결되지 않음');
+        }
+
+        const running = this.discoveries.get(agentId);
+        if (running && running.inventory.status === 'running') {
+            throw new Error(`Agent '${agentId}'의 버스 검색이 이미 진행 중입니다.`);
+        }
+
+        const discovery = new LCSDiscovery(controller, options);
+        discovery.on('progress', (progress) => {
+            this.emit('discovery_progress', { agentId, ...progress });
+        });
+        this.discoveries.set(agentId, discovery);
+
+        console.log(`🔍 LCS Agent '${agentId}' 버스 검색 시작: 주소 ${discovery.inventory.total}개`);
+        discovery.run().then((inventory) => {
+            console.log(
+                `🔍 LCS Agent '${agentId}' 버스 검색 ${inventory.status}: 디바이스 ${inventory.devices.length}개 발견`
+            );
+        });
+
+        return discovery.getInventory();
+    }
+
+    /**
+     * 진행 중인 버스 검색 중지
+     * @param {string} agentId - Agent ID
+     * @returns {boolean} 중지 여부
+     */
+    cancelDiscovery(agentId) {
+        const discovery = this.discoveries.get(agentId);
+        if (!discovery || discovery.inventory.status !== 'running') {
+            return false;
+        }
+
+        discovery.cancel();
+        return true;
+    }
+
+    /**
+     * 마지막 버스 검색 결과 (진행 중이면 현재까지의 결과)
+     * @param {string} agentId - Agent ID
+     * @returns {Object|null} 인벤토리
+     */
+    getInventory(agentId) {
+        const discovery = this.discoveries.get(agentId);
+        return discovery ? { agentId, ...discovery.getInventory() } : null;
+    }
+
+    /**
+     * 현장 전용 명령 등록 (모든 Agent에 즉시 적용)
+     * @param {Object} definition - 명령 정의 (LCSCommandRegistry 참고)
+     * @returns {Object} 등록된 명령 설명
+     */
+    registerCommand(definition) {
+        const existing = this.commandRegistry.get(definition.name);
+        if (existing && existing.builtin) {
+            throw new Error(`기본 제공 명령은 교체할 수 없습니다: ${definition.name}`);
+        }
+
+        const command = this.commandRegistry.register(definition);
+        const opCode = this.commandRegistry.formatOpCode(command.op1, command.op2);
+        console.log(`🧩 LCS 명령 등록: ${command.name} (${opCode})`);
+        return this.commandRegistry.list().find((item) => item.name === command.name);
+    }
+
+    /**
+     * 현장 전용 명령 등록 해제
+     * @param {string} name - 명령 이름
+     * @returns {boolean} 해제 성공 여부
+     */
+    unregisterCommand(name) {
+        const existing = this.commandRegistry.get(name);
+        if (!existing || existing.builtin) {
+            return false;
+        }
+        return this.commandRegistry.unregister(name);
+    }
+
+    /**
+     * 등록된 명령 목록
+     * @returns {Array} 명령 설명 배열
+     */
+    listCommands() {
+        return this.commandRegistry.list();
+    }
+
+    /**
+     * 조명기구 색온도 프로파일 정의
+     * @param {Object} definition - { name, description, warmKelvin, coolKelvin, points }
+     * @returns {Object} 정규화된 프로파일
+     */
+    defineFixtureProfile(definition) {
+        const profile = this.fixtureProfiles.define(definition);
+        console.log(`🎨 조명기구 프로파일 정의: ${profile.name} (${profile.warmKelvin}K-${profile.coolKelvin}K)`);
+        return profile;
+    }
+
+    /**
+     * 조명기구 색온도 프로파일 삭제 ('default'는 삭제 불가, 지정된 곳은 'default'로 돌아감)
+     * @param {string} name - 프로파일 이름
+     * @returns {boolean} 삭제 여부
+     */
+    removeFixtureProfile(name) {
+        return this.fixtureProfiles.remove(name);
+    }
+
+    /**
+     * 조명기구 색온도 프로파일 목록
+     * @returns {Array} 프로파일 배열
+     */
+    listFixtureProfiles() {
+        return this.fixtureProfiles.list();
+    }
+
+    /**
+     * CU 또는 조명에 프로파일 지정
+     * @param {Object} target - { agentId (생략 시 기본 Agent), masterAddr, cuAddr, lampNo (생략 시 CU 전체) }
+     * @param {string} profileName - 프로파일 이름
+     * @returns {Object} 지정 내용
+     */
+    assignFixtureProfile(target, profileName) {
+        const agent = this.getAgent(target.agentId);
+        if (!agent) {
+            throw new Error(`Agent를 찾을 수 없습니다: ${target.agentId || 'default'}`);
+        }
+        return this.fixtureProfiles.assign({ ...target, agentId: agent.agentId }, profileName);
+    }
+
+    /**
+     * CU 또는 조명의 프로파일 지정 해제
+     * @param {Object} target - { agentId (생략 시 기본 Agent), masterAddr, cuAddr, lampNo (생략 시 CU 전체) }
+     * @returns {boolean} 해제 여부
+     */
+    unassignFixtureProfile(target) {
+        const agent = this.getAgent(target.agentId);
+        return agent ? this.fixtureProfiles.unassign({ ...target, agentId: agent.agentId }) : false;
+    }
+
+    /**
+     * 프로파일 지정 목록
+     * @param {string} agentId - Agent ID (생략 시 전체)
+     * @returns {Array} [{ agentId, masterAddr, cuAddr, lampNo, profile }]
+     */
+    listFixtureAssignments(agentId = null) {
+        return this.fixtureProfiles.listAssignments(agentId);
+    }
+
+    /**
+     * Kelvin 단위 색온도 제어
+     * 조명마다 지정된 프로파일로 0-100 값을 계산하고, 같은 값끼리 묶어 전송합니다.
+     * 모든 조명의 변환이 성공해야 전송을 시작합니다.
+     * @param {string} agentId - Agent ID
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {Array} lampList - 조명 번호 또는 { masterAddr, cuAddr, lampNo } 배열
+     * @param {number} kelvin - 색온도 (K)
+     * @param {string} deviceType - 디바이스 타입
+     * @returns {Promise<Object>} { command, type, kelvin, result, succeeded, failed, frames }
+     */
+    async controlColorTemperatureKelvin(agentId, masterAddr, cuAddr, lampList, kelvin, deviceType) {
+        const agent = this.getAgent(agentId);
+        if (!agent) {
+            throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
+        }
+        if (!Array.isArray(lampList) || lampList.length === 0) {
+            throw new LCSValidationError(LCSValidationError.CODES.EMPTY_LIST, '조명 번호 배열이 필요합니다.', {
+                field: 'lampList',
+                value: lampList,
+            });
+        }
+
+        const groups = new Map(); // 장비 값 -> 조명 목록
+        for (const item of lampList) {
+            const isObject = item !== null && typeof item === 'object';
+            const profile = this.fixtureProfiles.resolve(
+                agent.agentId,
+                isObject && item.masterAddr !== undefined ? item.masterAddr : masterAddr,
+                isObject && item.cuAddr !== undefined ? item.cuAddr : cuAddr,
+                isObject ? item.lampNo : item
+            );
+            const value = this.fixtureProfiles.kelvinToValue(profile, kelvin);
+            if (!groups.has(value)) {
+                groups.set(value, []);
+            }
+            groups.get(value).push(item);
+        }
+
+        const merged = { succeeded: [], failed: [], frames: [], queued: [] };
+        let type = null;
+        for (const [colorTemp, items] of groups) {
+            const response = await agent.controlColorTemperature(masterAddr, cuAddr, items, colorTemp, deviceType);
+            if (response.queued) {
+                // 연결이 끊겨 오프라인 대기열에 보관됨
+                merged.queued.push({ ...response, colorTemp, lampList: items });
+                continue;
+            }
+            type = response.type;
+            merged.succeeded.push(...response.succeeded.map((lamp) => ({ ...lamp, colorTemp })));
+            merged.failed.push(...response.failed.map((lamp) => ({ ...lamp, colorTemp })));
+            merged.frames.push(...response.frames.map((frame) => ({ ...frame, colorTemp })));
+        }
+
+        let result = 'partial';
+        if (merged.queued.length === groups.size) result = 'queued';
+        else if (merged.failed.length === 0) result = 'success';
+        else if (merged.succeeded.length === 0) result = 'failed';
+
+        return { command: 'controlLampColorTemp', type, kelvin, result, ...merged };
+    }
+
+    /**
+     * Kelvin 단위 색온도 조회 (colorTemperature 0-100 값과 함께 colorTemperatureKelvin 반환)
+     * @param {string} agentId - Agent ID
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {string} deviceType - 디바이스 타입
+     * @returns {Promise<Object>} 색온도 정보
+     */
+    async getLampColorTemperatureKelvin(agentId, masterAddr, cuAddr, deviceType) {
+        const agent = this.getAgent(agentId);
+        if (!agent) {
+            throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
+        }
+
+        const response = await agent.getLampColorTemperature(masterAddr, cuAddr, deviceType);
+        if (Array.isArray(response.colorTemperature)) {
+            response.colorTemperatureKelvin = response.colorTemperature.map((value, index) => {
+                const profile = this.fixtureProfiles.resolve(agent.agentId, masterAddr, cuAddr, index + 1);
+                return this.fixtureProfiles.valueToKelvin(profile, value);
+            });
+        }
+        return response;
+    }
+
     /**
      * Agent를 통한 조명 제어 (프록시 메서드들)
      */
-    async controlLamp(agentId, masterAddr, cuAddr, lampNo, brightness) {
+    async sendCommand(agentId, name, params) {
         const agent = this.getAgent(agentId);
         if (!agent) {
             throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
         }
-        return await agent.controlLamp(masterAddr, cuAddr, lampNo, brightness);
+        return await agent.sendCommand(name, params);
     }
 
-    async controlLampBlock(agentId, masterAddr, cuAddr, lampList, brightness) {
+    async controlLamp(agentId, masterAddr, cuAddr, lampNo, brightness, deviceType) {
         const agent = this.getAgent(agentId);
         if (!agent) {
             throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
         }
-        return await agent.controlLampBlock(masterAddr, cuAddr, lampList, brightness);
+        return await agent.controlLamp(masterAddr, cuAddr, lampNo, brightness, deviceType);
     }
 
-    async controlColorTemperature(agentId, masterAddr, cuAddr, lampList, colorTemp) {
+    async controlLampBlock(agentId, masterAddr, cuAddr, lampList, brightness, deviceType) {
         const agent = this.getAgent(agentId);
         if (!agent) {
             throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
         }
-        return await agent.controlColorTemperature(masterAddr, cuAddr, lampList, colorTemp);
+        return await agent.controlLampBlock(masterAddr, cuAddr, lampList, brightness, deviceType);
     }
 
-    async executeScene(agentId, masterAddr, cuAddr, sceneNo, fadeTime) {
+    async controlColorTemperature(agentId, masterAddr, cuAddr, lampList, colorTemp, deviceType) {
         const agent = this.getAgent(agentId);
         if (!agent) {
             throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
         }
-        return await agent.executeScene(masterAddr, cuAddr, sceneNo, fadeTime);
+        return await agent.controlColorTemperature(masterAddr, cuAddr, lampList, colorTemp, deviceType);
     }
 
-    async controlAllLamps(agentId, masterAddr, cuAddr, brightness) {
+    async executeScene(agentId, masterAddr, cuAddr, sceneNo, fadeTime, deviceType) {
         const agent = this.getAgent(agentId);
         if (!agent) {
             throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
         }
-        return await agent.controlAllLamps(masterAddr, cuAddr, brightness);
+        return await agent.executeScene(masterAddr, cuAddr, sceneNo, fadeTime, deviceType);
+    }
+
+    async controlAllLamps(agentId, masterAddr, cuAddr, brightness, deviceType) {
+        const agent = this.getAgent(agentId);
+        if (!agent) {
+            throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
+        }
+        return await agent.controlAllLamps(masterAddr, cuAddr, brightness, deviceType);
     }
 
     async getLampBrightness(agentId, masterAddr, cuAddr, deviceType) {
@@ -215,20 +1373,60 @@ class LCSAgentManager {
         return await agent.getLampBrightness(masterAddr, cuAddr, deviceType);
     }
 
-    async fadeControl(agentId, masterAddr, cuAddr, lampNo, startBrightness, endBrightness, duration) {
+    async getLampColorTemperature(agentId, masterAddr, cuAddr, deviceType) {
+        const agent = this.getAgent(agentId);
+        if (!agent) {
+            throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
+        }
+        return await agent.getLampColorTemperature(masterAddr, cuAddr, deviceType);
+    }
+
+    async getDeviceInfo(agentId) {
+        const agent = this.getAgent(agentId);
+        if (!agent) {
+            throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
+        }
+        return await agent.getDeviceInfo();
+    }
+
+    async fadeControl(agentId, masterAddr, cuAddr, lampNo, startBrightness, endBrightness, duration, deviceType) {
         const agent = this.getAgent(agentId);
         if (!agent) {
             throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
         }
-        return await agent.fadeControl(masterAddr, cuAddr, lampNo, startBrightness, endBrightness, duration);
+        return await agent.fadeControl(
+            masterAddr,
+            cuAddr,
+            lampNo,
+            startBrightness,
+            endBrightness,
+            duration,
+            deviceType
+        );
     }
 
-    async waveEffect(agentId, masterAddr, cuAddr, lampList, brightness, interval) {
+    async waveEffect(agentId, masterAddr, cuAddr, lampList, brightness, interval, deviceType) {
         const agent = this.getAgent(agentId);
         if (!agent) {
             throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
         }
-        return await agent.waveEffect(masterAddr, cuAddr, lampList, brightness, interval);
+        return await agent.waveEffect(masterAddr, cuAddr, lampList, brightness, interval, deviceType);
+    }
+
+    async runEffect(agentId, effect, masterAddr, cuAddr, lampList, options, deviceType) {
+        const agent = this.getAgent(agentId);
+        if (!agent) {
+            throw new Error(`Agent를 찾을 수 없습니다: ${agentId || 'default'}`);
+        }
+        return await agent.runEffect(effect, masterAddr, cuAddr, lampList, options, deviceType);
+    }
+
+    /**
+     * 효과 라이브러리 목록 (파라미터 정의 포함)
+     * @returns {Array} [{ name, description, attribute, capability, params }]
+     */
+    listEffects() {
+        return LCSEffectLibrary.list();
     }
 }
 
@@ -0,0 +1,580 @@
+const net = require('net');
+const fs = require('fs');
+const EventEmitter = require('events');
+const LCSPacketBuilder = require('./packet-builder');
+const LCSFrameDecoder = require('./frame-decoder');
+const LCSMemoryTransport = require('./memory-transport');
+
+const DEVICE_TYPE_CODES = {
+    LCS: 0x13,
+    RCU4: 0x55,
+    RCU8: 0x57,
+};
+
+// 릴레이 디바이스(RCU)의 채널 수: ON/OFF만 가능하고 색온도 명령에는 NAK
+const RELAY_CHANNELS = {
+    RCU4: 4,
+    RCU8: 8,
+};
+
+const DEFAULT_TOPOLOGY = {
+    masters: [
+        {
+            addr: 1,
+            cus: [
+                { addr: 1, lampCount: 16 },
+                { addr: 2, lampCount: 8 },
+                { addr: 3, deviceType: 'RCU4' },
+            ],
+        },
+    ],
+};
+
+/**
+ * 시드 기반 의사 난수 생성기 (mulberry32)
+ * 같은 시드로 시작하면 드롭/변조 순서가 항상 동일하게 재현됩니다.
+ * @param {number} seed - 시드 값
+ * @returns {Function} 0 이상 1 미만의 난수를 반환하는 함수
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 로컬 개발/회귀 테스트용 가상 LCS Agent
+ *
+ * LCSPacketBuilder가 만드는 실제 바이너리 프레임을 TCP로 수신하고,
+ * BCC 서명이 포함된 응답 프레임을 돌려주며 마스터/CU/조명별 상태를 유지합니다.
+ *
+ * 이벤트: 'listening', 'connection', 'request', 'response', 'notification', 'dropped', 'frame_error', 'close'
+ */
+class LCSAgentSimulator extends EventEmitter {
+    /**
+     * @param {Object} options - 시뮬레이터 설정
+     * @param {string} options.host - 바인딩 호스트 (기본값: 127.0.0.1)
+     * @param {number} options.port - 바인딩 포트 (기본값: 1000, 0이면 임의 포트)
+     * @param {string} options.name - 브로드캐스트 이름 조회 시 응답할 Agent 이름
+     * @param {Object} options.topology - { masters: [{ addr, cus: [{ addr, lampCount, deviceType, name, scenes }] }] }
+     * @param {number|Object} options.latency - 응답 지연 (ms 또는 { min, max })
+     * @param {number} options.dropRate - 응답을 보내지 않을 확률 (0-1)
+     * @param {number} options.garbleRate - 응답 프레임을 변조할 확률 (0-1)
+     * @param {number} options.seed - 난수 시드 (드롭/변조/지연 재현용)
+     * @param {string} options.transport - 'tcp' 또는 'memory' (프로세스 내부 연결, 클라이언트도 transport: 'memory')
+     */
+    constructor(options = {}) {
+        super();
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port !== undefined ? options.port : 1000;
+        this.name = options.name || 'LCS-Simulator';
+        this.latency = options.latency || 0;
+        this.dropRate = options.dropRate || 0;
+        this.garbleRate = options.garbleRate || 0;
+        this.random = createRandom(options.seed !== undefined ? options.seed : 1);
+        this.transport = options.transport || 'tcp';
+        if (!['tcp', 'memory'].includes(this.transport)) {
+            throw new Error(`지원하지 않는 시뮬레이터 전송 방식: ${this.transport}`);
+        }
+
+        this.packetBuilder = new LCSPacketBuilder();
+        this.server = null;
+        this.connections = new Set();
+        this.devices = new Map(); // "master:cu" -> 디바이스 상태
+        this.faults = []; // 다음 응답들에 순서대로 적용할 고장 목록
+        this.stats = {
+            framesReceived: 0,
+            framesRejected: 0,
+            responsesSent: 0,
+            responsesDropped: 0,
+            responsesGarbled: 0,
+        };
+
+        this.loadTopology(options.topology || DEFAULT_TOPOLOGY);
+    }
+
+    /**
+     * 토폴로지 로드 (기존 상태 초기화)
+     * @param {Object} topology - { masters: [{ addr, cus: [...] }] }
+     */
+    loadTopology(topology) {
+        this.devices.clear();
+
+        for (const master of topology.masters || []) {
+            for (const cu of master.cus || []) {
+                const deviceType = cu.deviceType || 'LCS';
+                if (!DEVICE_TYPE_CODES[deviceType]) {
+                    throw new Error(`알 수 없는 디바이스 타입: ${deviceType}`);
+                }
+
+                const lampCount = RELAY_CHANNELS[deviceType] || cu.lampCount || 16;
+                this.devices.set(`${master.addr}:${cu.addr}`, {
+                    masterAddr: master.addr,
+                    cuAddr: cu.addr,
+                    deviceType,
+                    name: cu.name || `${deviceType}-${master.addr}-${cu.addr}`,
+                    scenes: cu.scenes || {},
+                    currentScene: 0,
+                    lamps: Array.from({ length: lampCount }, () => ({ brightness: 0, colorTemp: 50 })),
+                });
+            }
+        }
+    }
+
+    /**
+     * 디바이스 상태 조회
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @returns {Object|null} 디바이스 상태
+     */
+    getDevice(masterAddr, cuAddr) {
+        return this.devices.get(`${masterAddr}:${cuAddr}`) || null;
+    }
+
+    /**
+     * 벽 스위치 조작 시뮬레이션 (장비 측 상태 변경 후 호스트에게 알림 프레임 전송)
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {number} lampNo - 조명 번호
+     * @param {number} brightness - 밝기 값 (0-100)
+     */
+    simulateWallSwitch(masterAddr, cuAddr, lampNo, brightness) {
+        const device = this.getDevice(masterAddr, cuAddr);
+        if (!device || !device.lamps[lampNo - 1]) {
+            throw new Error(`존재하지 않는 조명: ${masterAddr}/${cuAddr}/${lampNo}`);
+        }
+
+        device.lamps[lampNo - 1].brightness = brightness;
+        this.notifyHosts(device, 0x92, 0x00, Buffer.from([cuAddr, lampNo, 0x00, brightness]));
+    }
+
+    /**
+     * 장비에서 시나리오가 실행된 상황 시뮬레이션
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {number} sceneNo - 시나리오 번호
+     * @param {number} fadeTime - 페이드 시간 (초)
+     */
+    simulateSceneTrigger(masterAddr, cuAddr, sceneNo, fadeTime = 0) {
+        const device = this.getDevice(masterAddr, cuAddr);
+        const scene = device ? device.scenes[sceneNo] : undefined;
+        if (scene === undefined) {
+            throw new Error(`존재하지 않는 시나리오: ${masterAddr}/${cuAddr}/${sceneNo}`);
+        }
+
+        device.lamps.forEach((lamp, index) => {
+            lamp.brightness = Array.isArray(scene) ? scene[index] || 0 : scene;
+        });
+        device.currentScene = sceneNo;
+        this.notifyHosts(device, 0x91, 0x00, Buffer.from([cuAddr, sceneNo, fadeTime]));
+    }
+
+    /**
+     * 연결된 모든 호스트에게 장비 발신 프레임 전송
+     * @param {Object} device - 발신 디바이스 상태
+     * @param {number} op1 - 명령 코드 1
+     * @param {number} op2 - 명령 코드 2
+     * @param {Buffer} data - 데이터
+     */
+    notifyHosts(device, op1, op2, data) {
+        const srcAddr = [DEVICE_TYPE_CODES[device.deviceType], device.masterAddr, device.cuAddr, 0x00, 0x00];
+        const frame = this.packetBuilder.buildPacket(this.packetBuilder.HOST_ADDRESS, op1, op2, data, srcAddr);
+
+        for (const socket of this.connections) {
+            socket.write(frame);
+        }
+        this.emit('notification', { device, op1, op2, frame });
+    }
+
+    /**
+     * 다음 응답에 적용할 고장 예약
+     * 예약된 고장은 확률 설정보다 우선하며 등록 순서대로 소비됩니다.
+     * @param {string} type - 'drop' | 'garble' | 'delay' | 'nak' | 'noise'
+     * @param {Object} options - { count: 적용 횟수, delay: 지연(ms, 'delay' 전용) }
+     */
+    injectFault(type, options = {}) {
+        const validTypes = ['drop', 'garble', 'delay', 'nak', 'noise'];
+        if (!validTypes.includes(type)) {
+            throw new Error(`알 수 없는 고장 유형: ${type}`);
+        }
+
+        const count = options.count || 1;
+        for (let i = 0; i < count; i++) {
+            this.faults.push({ type, delay: options.delay || 0 });
+        }
+    }
+
+    /**
+     * 예약된 고장 및 통계 초기화
+     */
+    reset() {
+        this.faults = [];
+        for (const key of Object.keys(this.stats)) {
+            this.stats[key] = 0;
+        }
+    }
+
+    /**
+     * 서버 시작 (TCP 또는 메모리 엔드포인트)
+     * @returns {Promise<number>} 실제 바인딩된 포트
+     */
+    start() {
+        if (this.transport === 'memory') {
+            return new Promise((resolve) => {
+                this.port = LCSMemoryTransport.listen(this.host, this.port, (socket) => this.handleConnection(socket));
+                this.server = { memory: true };
+                console.log(`🧪 LCS Agent 시뮬레이터 실행 중: memory://${this.host}:${this.port}`);
+                this.emit('listening', this.port);
+                resolve(this.port);
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            this.server = net.createServer((socket) => this.handleConnection(socket));
+
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                console.log(`🧪 LCS Agent 시뮬레이터 실행 중: ${this.host}:${this.port}`);
+                this.emit('listening', this.port);
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * 서버 종료 (열린 연결 모두 종료)
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise((resolve) => {
+            for (const socket of this.connections) {
+                socket.destroy();
+            }
+            this.connections.clear();
+
+            if (!this.server) {
+                resolve();
+                return;
+            }
+
+            if (this.transport === 'memory') {
+                LCSMemoryTransport.unlisten(this.host, this.port);
+                this.server = null;
+                this.emit('close');
+                resolve();
+                return;
+            }
+
+            this.server.close(() => {
+                this.server = null;
+                this.emit('close');
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * 새 클라이언트 연결 처리
+     * @param {net.Socket} socket - 클라이언트 소켓 (메모리 모드에서는 같은 인터페이스의 메모리 소켓)
+     */
+    handleConnection(socket) {
+        const decoder = new LCSFrameDecoder();
+        this.connections.add(socket);
+        this.emit('connection', socket);
+
+        decoder.on('frame', (packetInfo) => {
+            this.stats.framesReceived++;
+            this.handleFrame(packetInfo.raw, socket);
+        });
+
+        decoder.on('frame_error', (frameError) => {
+            this.stats.framesRejected++;
+            this.emit('frame_error', frameError);
+        });
+
+        socket.on('data', (data) => decoder.push(data));
+
+        socket.on('close', () => {
+            decoder.reset();
+            this.connections.delete(socket);
+        });
+
+        socket.on('error', () => {
+            this.connections.delete(socket);
+        });
+    }
+
+    /**
+     * 요청 프레임 처리
+     * @param {Buffer} frame - 검증된 요청 프레임
+     * @param {net.Socket} socket - 응답을 보낼 소켓
+     */
+    handleFrame(frame, socket) {
+        const request = {
+            destAddr: Array.from(frame.slice(3, 8)),
+            srcAddr: Array.from(frame.slice(8, 13)),
+            op1: frame[13],
+            op2: frame[14],
+            data: frame.slice(15, frame.length - 3),
+        };
+        this.emit('request', request);
+
+        const reply = this.processRequest(request);
+        if (!reply) return;
+
+        const responseSrc = [reply.typeCode, reply.masterAddr, reply.cuAddr, 0x00, 0x00];
+        const response = this.packetBuilder.buildPacket(
+            request.srcAddr,
+            request.op1 & 0x7f,
+            request.op2,
+            reply.data,
+            responseSrc
+        );
+
+        this.sendResponse(socket, response, request);
+    }
+
+    /**
+     * 요청을 해석하여 상태를 갱신하고 응답 내용을 결정
+     * @param {Object} request - { destAddr, srcAddr, op1, op2, data }
+     * @returns {Object|null} { typeCode, masterAddr, cuAddr, data } 또는 응답 없음(null)
+     */
+    processRequest(request) {
+        const [typeCode, masterAddr, cuAddr] = request.destAddr;
+        const { op1, op2, data } = request;
+
+        // 브로드캐스트 주소의 이름 조회/통신 확인은 Agent 자신이 응답
+        if (masterAddr === 0 && cuAddr === 0) {
+            const agentReply = (payload) => ({
+                typeCode: DEVICE_TYPE_CODES.LCS,
+                masterAddr: 0,
+                cuAddr: 0,
+                data: Buffer.from(payload),
+            });
+
+            if (op1 === 0xa2 && op2 === 0x05) return agentReply(Buffer.from(this.name, 'utf8'));
+            if (op1 === 0x98 && op2 === 0x00) return agentReply([0x00]);
+            return null;
+        }
+
+        const device = this.getDevice(masterAddr, cuAddr);
+        if (!device || DEVICE_TYPE_CODES[device.deviceType] !== typeCode) {
+            // 버스에 없는 디바이스는 응답하지 않음
+            return null;
+        }
+
+        const reply = (payload) => ({
+            typeCode,
+            masterAddr,
+            cuAddr,
+            data: Buffer.from(payload),
+        });
+        const ACK = [0x00];
+        const NAK = [0x01];
+        const isValidLamp = (lampNo) => lampNo >= 1 && lampNo <= device.lamps.length;
+        const isRelay = RELAY_CHANNELS[device.deviceType] !== undefined;
+        // 릴레이는 0이 아닌 값을 모두 ON(100)으로 저장
+        const level = (value) => (isRelay && value > 0 ? 100 : value);
+
+        switch ((op1 << 8) | op2) {
+            case 0x9600: // 조명 밝기 조회
+                return reply(device.lamps.map((lamp) => lamp.brightness));
+
+            case 0x9606: // 색온도 조회
+                if (isRelay) return reply(NAK);
+                return reply(device.lamps.map((lamp) => lamp.colorTemp));
+
+            case 0x9000: // 블록 제어: [CU, 개수, 조명..., 밝기]
+            case 0x9005: {
+                // 색온도 제어: [CU, 개수, 조명..., 색온도]
+                const count = data[1];
+                const lampList = Array.from(data.slice(2, 2 + count));
+                const value = data[2 + count];
+
+                if (data.length !== count + 3 || value > 100 || !lampList.every(isValidLamp)) {
+                    return reply(NAK);
+                }
+                if (op2 === 0x05 && isRelay) {
+                    return reply(NAK);
+                }
+
+                const field = op2 === 0x05 ? 'colorTemp' : 'brightness';
+                for (const lampNo of lampList) {
+                    device.lamps[lampNo - 1][field] = field === 'brightness' ? level(value) : value;
+                }
+                return reply(ACK);
+            }
+
+            case 0x9002: {
+                // 전체 제어: [CU, 밝기]
+                const brightness = data[1];
+                if (data.length !== 2 || brightness > 100) {
+                    return reply(NAK);
+                }
+                for (const lamp of device.lamps) {
+                    lamp.brightness = level(brightness);
+                }
+                return reply(ACK);
+            }
+
+            case 0x9200: {
+                // 개별 디밍: [CU, 조명, 서브, 밝기]
+                const lampNo = data[1];
+                const brightness = data[3];
+                if (data.length !== 4 || !isValidLamp(lampNo) || brightness > 100) {
+                    return reply(NAK);
+                }
+                device.lamps[lampNo - 1].brightness = level(brightness);
+                return reply(ACK);
+            }
+
+            case 0x9100: {
+                // 시나리오 실행: [CU, 시나리오, 페이드]
+                const sceneNo = data[1];
+                const scene = device.scenes[sceneNo];
+                if (data.length !== 3 || scene === undefined) {
+                    return reply(NAK);
+                }
+                device.lamps.forEach((lamp, index) => {
+                    lamp.brightness = level(Array.isArray(scene) ? scene[index] || 0 : scene);
+                });
+                device.currentScene = sceneNo;
+                return reply(ACK);
+            }
+
+            case 0xa205: // 디바이스 이름 조회
+                return reply(Buffer.from(device.name, 'utf8'));
+
+            case 0x9800: // 통신 확인 (Alive 체크)
+                return reply(ACK);
+
+            default:
+                // 지원하지 않는 명령은 실제 장비처럼 응답하지 않음
+                return null;
+        }
+    }
+
+    /**
+     * 다음 응답에 적용할 고장 결정 (예약 → 확률 순)
+     * @returns {Object|null} { type, delay }
+     */
+    nextFault() {
+        if (this.faults.length > 0) {
+            return this.faults.shift();
+        }
+        if (this.dropRate > 0 && this.random() < this.dropRate) {
+            return { type: 'drop' };
+        }
+        if (this.garbleRate > 0 && this.random() < this.garbleRate) {
+            return { type: 'garble' };
+        }
+        return null;
+    }
+
+    /**
+     * 응답 지연 시간 계산
+     * @returns {number} 지연 시간 (ms)
+     */
+    nextLatency() {
+        if (typeof this.latency === 'number') {
+            return this.latency;
+        }
+        const { min = 0, max = min } = this.latency;
+        return Math.round(min + (max - min) * this.random());
+    }
+
+    /**
+     * 고장 설정을 반영하여 응답 전송
+     * @param {net.Socket} socket - 응답을 보낼 소켓
+     * @param {Buffer} response - 응답 프레임
+     * @param {Object} request - 원본 요청
+     */
+    sendResponse(socket, response, request) {
+        const fault = this.nextFault();
+        let payload = response;
+        let delay = this.nextLatency();
+
+        if (fault) {
+            switch (fault.type) {
+                case 'drop':
+                    this.stats.responsesDropped++;
+                    this.emit('dropped', { request, response });
+                    return;
+
+                case 'garble':
+                    // 데이터 영역의 바이트를 뒤집어 BCC가 맞지 않게 만듦
+                    payload = Buffer.from(response);
+                    payload[13 + Math.floor(this.random() * (payload.length - 16))] ^= 0xff;
+                    this.stats.responsesGarbled++;
+                    break;
+
+                case 'noise':
+                    // 프레임 앞에 STX가 아닌 잡음 바이트 삽입
+                    payload = Buffer.concat([Buffer.from([0xff, 0x00, 0x55]), response]);
+                    break;
+
+                case 'nak':
+                    payload = Buffer.from(response);
+                    if (payload.length > 18) {
+                        payload[15] = 0x01;
+                        const bcc = this.packetBuilder.calculateBCC(payload, 3, payload.length - 3);
+                        payload.writeUInt16LE(bcc, payload.length - 3);
+                    }
+                    break;
+
+                case 'delay':
+                    delay += fault.delay;
+                    break;
+            }
+        }
+
+        const write = () => {
+            if (socket.destroyed) return;
+            socket.write(payload);
+            this.stats.responsesSent++;
+            this.emit('response', { request, response: payload, fault: fault ? fault.type : null });
+        };
+
+        if (delay > 0) {
+            setTimeout(write, delay);
+        } else {
+            write();
+        }
+    }
+}
+
+module.exports = LCSAgentSimulator;
+
+// 단독 실행: node src/lcs/agent-simulator.js
+if (require.main === module) {
+    const topologyFile = process.env.LCS_SIM_TOPOLOGY;
+    const simulator = new LCSAgentSimulator({
+        host: process.env.LCS_SIM_HOST || '127.0.0.1',
+        port: parseInt(process.env.LCS_SIM_PORT) || 1000,
+        topology: topologyFile ? JSON.parse(fs.readFileSync(topologyFile, 'utf8')) : DEFAULT_TOPOLOGY,
+        latency: parseInt(process.env.LCS_SIM_LATENCY) || 0,
+        dropRate: parseFloat(process.env.LCS_SIM_DROP_RATE) || 0,
+        garbleRate: parseFloat(process.env.LCS_SIM_GARBLE_RATE) || 0,
+        seed: parseInt(process.env.LCS_SIM_SEED) || 1,
+    });
+
+    simulator.on('frame_error', ({ reason, hex }) => {
+        console.warn(`⚠️ 잘못된 프레임 수신 (${reason}): ${hex}`);
+    });
+
+    simulator.start().catch((error) => {
+        console.error('❌ 시뮬레이터 시작 실패:', error.message);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', async () => {
+        await simulator.stop();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,623 @@
+const LCSValidationError = require('./validation-error');
+
+const { CODES } = LCSValidationError;
+
+/**
+ * 디바이스 타입별 주소 코드
+ */
+const DEVICE_TYPES = {
+    LCS: 0x13,
+    RCU4: 0x55,
+    RCU8: 0x57,
+};
+
+/**
+ * 디바이스 타입별 기능
+ * - relay: 0-100 디밍 대신 ON/OFF만 가능 (0은 OFF, 그 외는 RELAY_ON으로 전송)
+ * - colorTemperature: 색온도 제어/조회 지원
+ * - dimming: 점진적 밝기 변화(페이드) 가능
+ * - channels: 조명(채널) 번호 최대값
+ */
+const DEVICE_CAPABILITIES = {
+    LCS: { relay: false, dimming: true, colorTemperature: true, scene: true, channels: 64 },
+    RCU4: { relay: true, dimming: false, colorTemperature: false, scene: true, channels: 4 },
+    RCU8: { relay: true, dimming: false, colorTemperature: false, scene: true, channels: 8 },
+};
+
+// 릴레이 ON 값: 상태 조회 시에도 0/100으로 읽히도록 최대 밝기로 전송
+const RELAY_ON = 100;
+const RELAY_OFF = 0;
+
+// 프레임 하나에 담는 최대 조명 수 (Agent 수신 버퍼를 고려한 값, 넘으면 LCSTcpClient가 나누어 전송)
+const MAX_LAMPS_PER_FRAME = 32;
+
+/**
+ * 페이로드 필드 타입별 인코더/디코더
+ * decode는 { value, size }를 반환하며, 데이터가 부족하면 null을 반환합니다.
+ * min/max는 필드 정의에 범위가 없을 때 적용하는 타입 자체의 범위입니다 (list는 항목 범위).
+ */
+const FIELD_TYPES = {
+    // 1바이트 정수
+    uint8: {
+        min: 0,
+        max: 0xff,
+        encode: (value) => [value],
+        decode: (data, offset) => (offset < data.length ? { value: data[offset], size: 1 } : null),
+    },
+    // 2바이트 정수 (Big Endian)
+    uint16: {
+        min: 0,
+        max: 0xffff,
+        encode: (value) => [(value >> 8) & 0xff, value & 0xff],
+        decode: (data, offset) => (offset + 2 <= data.length ? { value: data.readUInt16BE(offset), size: 2 } : null),
+    },
+    // 개수(1바이트) + 항목들
+    list: {
+        min: 0,
+        max: 0xff,
+        maxItems: 0xff, // 개수가 1바이트
+        encode: (value) => [value.length, ...value],
+        decode: (data, offset) => {
+            if (offset >= data.length) return null;
+            const count = data[offset];
+            if (offset + 1 + count > data.length) return null;
+            return { value: Array.from(data.slice(offset + 1, offset + 1 + count)), size: 1 + count };
+        },
+    },
+    // 나머지 전체 바이트 (숫자 배열)
+    array: {
+        min: 0,
+        max: 0xff,
+        encode: (value) => value,
+        decode: (data, offset) => ({ value: Array.from(data.slice(offset)), size: data.length - offset }),
+    },
+    // 나머지 전체 바이트 (UTF-8 문자열, NULL 제거)
+    string: {
+        encode: (value) => Array.from(Buffer.from(String(value), 'utf8')),
+        decode: (data, offset) => ({
+            value: data.slice(offset).toString('utf8').replace(/\0/g, ''),
+            size: data.length - offset,
+        }),
+    },
+};
+
+/**
+ * 제어 명령 응답(ACK) 디코더
+ * @param {Buffer} data - 응답 데이터
+ * @returns {Object} { result }
+ */
+const decodeAck = (data) => ({ result: data[0] === 0x00 ? 'success' : 'failed' });
+
+/**
+ * 기본 제공 명령 정의
+ *
+ * - op1/op2: 요청 명령 코드 (응답 OP1은 지정하지 않으면 op1 & 0x7F)
+ * - address: 'device'(마스터/CU 필수) | 'optional'(생략 시 0/0) | 'agent'(항상 0/0)
+ * - deviceTypes: 허용하는 디바이스 타입 (첫 번째가 기본값)
+ * - payload: 데이터 영역 필드 순서
+ *   ({ name, type, default, min, max, minItems, maxItems, unique, lamp: 조명 번호 필드, level: 밝기 필드 })
+ *   lamp 필드는 1-채널 수, level 필드는 0-100(또는 true/false)으로 검증합니다.
+ * - eventType: 장비가 같은 명령을 먼저 보냈을 때(벽 스위치 등)의 이벤트 이름
+ * - response: { type, fields | decode, eventType }
+ */
+const BUILTIN_COMMANDS = [
+    {
+        name: 'getLampBrightness',
+        description: '조명 밝기 조회',
+        op1: 0x96,
+        op2: 0x00,
+        address: 'device',
+        deviceTypes: ['LCS', 'RCU4', 'RCU8'],
+        payload: [],
+        response: {
+            type: 'lamp_brightness',
+            fields: [{ name: 'brightness', type: 'array' }],
+            eventType: 'lamp_brightness',
+        },
+    },
+    {
+        name: 'getLampColorTemperature',
+        description: '조명 색온도 조회',
+        op1: 0x96,
+        op2: 0x06,
+        address: 'device',
+        deviceTypes: ['LCS'],
+        payload: [],
+        response: {
+            type: 'color_temperature',
+            fields: [{ name: 'colorTemperature', type: 'array' }],
+            eventType: 'color_temperature_report',
+        },
+    },
+    {
+        name: 'controlLampBlock',
+        description: '블록 단위 조명 제어',
+        op1: 0x90,
+        op2: 0x00,
+        address: 'device',
+        deviceTypes: ['LCS', 'RCU4', 'RCU8'],
+        payload: [
+            { name: 'cuAddr', type: 'uint8' },
+            { name: 'lampList', type: 'list', lamp: true, minItems: 1, maxItems: MAX_LAMPS_PER_FRAME, unique: true },
+            { name: 'brightness', type: 'uint8', level: true },
+        ],
+        eventType: 'lamp_block',
+        response: { type: 'lamp_control_ack', decode: decodeAck },
+    },
+    {
+        name: 'controlAllLamps',
+        description: '전체 조명 제어',
+        op1: 0x90,
+        op2: 0x02,
+        address: 'device',
+        deviceTypes: ['LCS', 'RCU4', 'RCU8'],
+        payload: [
+            { name: 'cuAddr', type: 'uint8' },
+            { name: 'brightness', type: 'uint8', level: true },
+        ],
+        eventType: 'all_lamps',
+        response: { type: 'lamp_control_ack', decode: decodeAck },
+    },
+    {
+        name: 'controlLampColorTemp',
+        description: '색온도 제어',
+        op1: 0x90,
+        op2: 0x05,
+        address: 'device',
+        deviceTypes: ['LCS'],
+        payload: [
+            { name: 'cuAddr', type: 'uint8' },
+            { name: 'lampList', type: 'list', lamp: true, minItems: 1, maxItems: MAX_LAMPS_PER_FRAME, unique: true },
+            { name: 'colorTemp', type: 'uint8', min: 0, max: 100 },
+        ],
+        eventType: 'color_temperature',
+        response: { type: 'lamp_control_ack', decode: decodeAck },
+    },
+    {
+        name: 'executeScene',
+        description: '시나리오 실행',
+        op1: 0x91,
+        op2: 0x00,
+        address: 'device',
+        deviceTypes: ['LCS', 'RCU4', 'RCU8'],
+        payload: [
+            { name: 'cuAddr', type: 'uint8' },
+            { name: 'sceneNo', type: 'uint8', min: 1, max: 255 },
+            { name: 'fadeTime', type: 'uint8', default: 0, min: 0, max: 255 },
+        ],
+        eventType: 'scene_executed',
+        response: { type: 'scene_ack', decode: decodeAck },
+    },
+    {
+        name: 'controlLampDimming',
+        description: '개별 조명 디밍 제어',
+        op1: 0x92,
+        op2: 0x00,
+        address: 'device',
+        deviceTypes: ['LCS', 'RCU4', 'RCU8'],
+        payload: [
+            { name: 'cuAddr', type: 'uint8' },
+            { name: 'lampNo', type: 'uint8', lamp: true },
+            { name: 'subNo', type: 'uint8', default: 0 },
+            { name: 'brightness', type: 'uint8', level: true },
+        ],
+        eventType: 'lamp_dimming',
+        response: { type: 'lamp_control_ack', decode: decodeAck },
+    },
+    {
+        name: 'aliveCheck',
+        description: '디바이스 통신 확인 (Alive 체크)',
+        op1: 0x98,
+        op2: 0x00,
+        address: 'optional',
+        deviceTypes: ['LCS'],
+        payload: [{ name: 'check', type: 'uint8', default: 0x01 }],
+        response: {
+            type: 'alive',
+            decode: (data) => ({ alive: data.length === 0 || data[0] === 0x00 || data[0] === 0x01 }),
+        },
+    },
+    {
+        name: 'getDeviceName',
+        description: '디바이스 이름 조회',
+        op1: 0xa2,
+        op2: 0x05,
+        address: 'optional',
+        deviceTypes: ['LCS', 'RCU4', 'RCU8'],
+        payload: [],
+        response: {
+            type: 'device_name',
+            fields: [{ name: 'deviceName', type: 'string' }],
+        },
+    },
+];
+
+/**
+ * LCS 명령 레지스트리
+ *
+ * 명령마다 요청 코드, 주소 방식, 페이로드 스키마, 응답 코드와 디코더를 한 곳에 정의합니다.
+ * 패킷 생성(LCSPacketBuilder), 응답 해석(LCSTcpClient)은 모두 이 정의에서 파생되므로
+ * 현장 전용 명령도 register()만으로 추가할 수 있습니다.
+ */
+class LCSCommandRegistry {
+    constructor() {
+        this.commands = new Map(); // name -> 명령 정의
+        this.responses = new Map(); // 응답 OP 코드 -> 명령 정의
+    }
+
+    /**
+     * 기본 제공 명령이 등록된 공용 레지스트리
+     * @returns {LCSCommandRegistry} 공용 인스턴스
+     */
+    static getDefault() {
+        if (!LCSCommandRegistry.defaultRegistry) {
+            const registry = new LCSCommandRegistry();
+            for (const definition of BUILTIN_COMMANDS) {
+                registry.register({ ...definition, builtin: true });
+            }
+            LCSCommandRegistry.defaultRegistry = registry;
+        }
+        return LCSCommandRegistry.defaultRegistry;
+    }
+
+    /**
+     * 명령 등록 (같은 이름이 있으면 교체)
+     * @param {Object} definition - 명령 정의 (BUILTIN_COMMANDS 참고)
+     * @returns {Object} 정규화된 명령 정의
+     */
+    register(definition) {
+        const { name, op1, op2 } = definition;
+
+        if (!name || typeof name !== 'string') {
+            throw new Error('명령 이름(name)이 필요합니다.');
+        }
+        if (!Number.isInteger(op1) || op1 < 0 || op1 > 0xff || !Number.isInteger(op2) || op2 < 0 || op2 > 0xff) {
+            throw new Error(`명령 '${name}'의 op1/op2는 0-255 정수여야 합니다.`);
+        }
+
+        const payload = (definition.payload || []).map((field) => {
+            if (!FIELD_TYPES[field.type]) {
+                throw new Error(`명령 '${name}'의 필드 '${field.name}' 타입을 알 수 없습니다: ${field.type}`);
+            }
+            return { ...field };
+        });
+
+        const deviceTypes = definition.deviceTypes || ['LCS'];
+        for (const deviceType of deviceTypes) {
+            if (DEVICE_TYPES[deviceType] === undefined) {
+                throw new Error(`명령 '${name}'의 디바이스 타입을 알 수 없습니다: ${deviceType}`);
+            }
+        }
+
+        let response = null;
+        if (definition.response !== null) {
+            const responseDef = definition.response || {};
+            response = {
+                op1: responseDef.op1 !== undefined ? responseDef.op1 : op1 & 0x7f,
+                op2: responseDef.op2 !== undefined ? responseDef.op2 : op2,
+                type: responseDef.type || name,
+                fields: (responseDef.fields || []).map((field) => ({ ...field })),
+                decode: responseDef.decode || null,
+                eventType: responseDef.eventType || null,
+            };
+            for (const field of response.fields) {
+                if (!FIELD_TYPES[field.type]) {
+                    throw new Error(`명령 '${name}'의 응답 필드 '${field.name}' 타입을 알 수 없습니다: ${field.type}`);
+                }
+            }
+        }
+
+        if (this.commands.has(name)) {
+            this.unregister(name);
+        }
+
+        const command = {
+            name,
+            description: definition.description || name,
+            op1,
+            op2,
+            address: definition.address || 'device',
+            deviceTypes,
+            payload,
+            eventType: definition.eventType || null,
+            response,
+            builtin: definition.builtin === true,
+        };
+
+        this.commands.set(name, command);
+        if (response) {
+            this.responses.set(this.toOpCode(response.op1, response.op2), command);
+        }
+
+        return command;
+    }
+
+    /**
+     * 명령 등록 해제
+     * @param {string} name - 명령 이름
+     * @returns {boolean} 해제 성공 여부
+     */
+    unregister(name) {
+        const command = this.commands.get(name);
+        if (!command) return false;
+
+        this.commands.delete(name);
+        if (command.response) {
+            const opCode = this.toOpCode(command.response.op1, command.response.op2);
+            if (this.responses.get(opCode) === command) {
+                this.responses.delete(opCode);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 명령 정의 조회
+     * @param {string} name - 명령 이름
+     * @returns {Object|null} 명령 정의
+     */
+    get(name) {
+        return this.commands.get(name) || null;
+    }
+
+    /**
+     * 요청 OP 코드로 명령 정의 조회
+     * @param {number} op1 - 명령 코드 1
+     * @param {number} op2 - 명령 코드 2
+     * @returns {Object|null} 명령 정의
+     */
+    findByRequest(op1, op2) {
+        for (const command of this.commands.values()) {
+            if (command.op1 === op1 && command.op2 === op2) return command;
+        }
+        return null;
+    }
+
+    /**
+     * 응답 OP 코드로 명령 정의 조회
+     * @param {number} op1 - 응답 코드 1
+     * @param {number} op2 - 응답 코드 2
+     * @returns {Object|null} 명령 정의
+     */
+    findByResponse(op1, op2) {
+        return this.responses.get(this.toOpCode(op1, op2)) || null;
+    }
+
+    /**
+     * 등록된 명령 목록 (함수 제외, JSON 직렬화 가능)
+     * @returns {Array} 명령 설명 배열
+     */
+    list() {
+        return Array.from(this.commands.values()).map((command) => ({
+            name: command.name,
+            description: command.description,
+            opCode: this.formatOpCode(command.op1, command.op2),
+            address: command.address,
+            deviceTypes: command.deviceTypes,
+            payload: command.payload,
+            eventType: command.eventType,
+            response: command.response
+                ? {
+                      opCode: this.formatOpCode(command.response.op1, command.response.op2),
+                      type: command.response.type,
+                      fields: command.response.fields,
+                  }
+                : null,
+            builtin: command.builtin,
+        }));
+    }
+
+    /**
+     * 명령의 조명 목록 필드와 프레임당 최대 항목 수
+     * @param {Object} command - 명령 정의
+     * @returns {Object|null} { field, capacity } (조명 목록 필드가 없으면 null)
+     */
+    getLampListField(command) {
+        const field = command.payload.find((item) => item.type === 'list' && item.lamp);
+        if (!field) return null;
+
+        return {
+            field,
+            capacity: Math.min(field.maxItems || Infinity, FIELD_TYPES.list.maxItems),
+        };
+    }
+
+    /**
+     * 명령 파라미터를 페이로드 버퍼로 인코딩
+     * 모든 필드를 검증한 뒤, 릴레이 디바이스(RCU)는 밝기 필드를 ON/OFF로 변환합니다.
+     * @param {Object} command - 명령 정의
+     * @param {Object} params - 파라미터 (deviceType 포함)
+     * @returns {Buffer} 페이로드
+     * @throws {LCSValidationError} 값이 없거나 범위를 벗어난 경우
+     */
+    encodePayload(command, params) {
+        const deviceType = params.deviceType || command.deviceTypes[0];
+        const capabilities = DEVICE_CAPABILITIES[deviceType];
+        const bytes = [];
+
+        for (const field of command.payload) {
+            let value = params[field.name] !== undefined ? params[field.name] : field.default;
+            this.validateField(command, field, value, deviceType);
+
+            if (field.level && capabilities && capabilities.relay) {
+                value = value === true || value > 0 ? RELAY_ON : RELAY_OFF;
+            } else if (typeof value === 'boolean') {
+                value = value ? 100 : 0;
+            }
+
+            bytes.push(...FIELD_TYPES[field.type].encode(value));
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * 필드 값 검증
+     * @param {Object} command - 명령 정의
+     * @param {Object} field - 필드 정의
+     * @param {*} value - 값
+     * @param {string} deviceType - 디바이스 타입 (조명 번호 범위 결정)
+     * @throws {LCSValidationError} 검증 실패
+     */
+    validateField(command, field, value, deviceType) {
+        const type = FIELD_TYPES[field.type];
+        const label = `'${command.name}' 명령의 ${field.name}`;
+        const details = { command: command.name, field: field.name, value };
+
+        if (value === undefined || value === null) {
+            throw new LCSValidationError(CODES.REQUIRED, `${label} 값이 필요합니다.`, details);
+        }
+
+        if (field.type === 'string') {
+            if (typeof value !== 'string') {
+                throw new LCSValidationError(CODES.INVALID_TYPE, `${label} 값은 문자열이어야 합니다.`, details);
+            }
+            return;
+        }
+
+        // 허용 범위: 조명 번호는 디바이스 채널 수, 밝기는 0-100, 그 외는 필드 정의 또는 타입 범위
+        let min = field.min !== undefined ? field.min : type.min;
+        let max = field.max !== undefined ? field.max : type.max;
+        if (field.lamp) {
+            const capabilities = DEVICE_CAPABILITIES[deviceType];
+            min = 1;
+            max = capabilities ? capabilities.channels : max;
+        } else if (field.level) {
+            if (typeof value === 'boolean') return;
+            min = 0;
+            max = 100;
+        }
+
+        const checkNumber = (number, itemLabel) => {
+            if (!Number.isInteger(number)) {
+                throw new LCSValidationError(CODES.INVALID_TYPE, `${itemLabel} 값은 정수여야 합니다: ${number}`, {
+                    ...details,
+                    value: number,
+                });
+            }
+            if (number < min || number > max) {
+                throw new LCSValidationError(
+                    CODES.OUT_OF_RANGE,
+                    `${itemLabel} 값은 ${min}-${max} 사이여야 합니다${field.lamp ? ` (${deviceType})` : ''}: ${number}`,
+                    { ...details, value: number, min, max }
+                );
+            }
+        };
+
+        if (field.type !== 'list' && field.type !== 'array') {
+            checkNumber(value, label);
+            return;
+        }
+
+        if (!Array.isArray(value)) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, `${label} 값은 배열이어야 합니다.`, details);
+        }
+
+        const minItems = field.minItems || 0;
+        const maxItems = Math.min(field.maxItems || Infinity, type.maxItems || Infinity);
+        if (value.length < minItems) {
+            const code = value.length === 0 ? CODES.EMPTY_LIST : CODES.OUT_OF_RANGE;
+            throw new LCSValidationError(code, `${label} 항목이 최소 ${minItems}개 필요합니다.`, {
+                ...details,
+                min: minItems,
+            });
+        }
+        if (value.length > maxItems) {
+            throw new LCSValidationError(
+                CODES.LIST_TOO_LONG,
+                `${label} 항목은 최대 ${maxItems}개입니다: ${value.length}개`,
+                { ...details, max: maxItems }
+            );
+        }
+
+        value.forEach((item) => checkNumber(item, `${label} 항목`));
+
+        if (field.unique) {
+            const duplicates = value.filter((item, index) => value.indexOf(item) !== index);
+            if (duplicates.length > 0) {
+                throw new LCSValidationError(
+                    CODES.DUPLICATE_ITEM,
+                    `${label}에 중복된 항목이 있습니다: ${[...new Set(duplicates)].join(', ')}`,
+                    { ...details, duplicates: [...new Set(duplicates)] }
+                );
+            }
+        }
+    }
+
+    /**
+     * 페이로드를 필드 스키마로 디코딩
+     * @param {Array} fields - 필드 스키마
+     * @param {Buffer} data - 데이터
+     * @returns {Object|null} 필드 값 (길이가 맞지 않으면 null)
+     */
+    decodeFields(fields, data) {
+        const result = {};
+        let offset = 0;
+
+        for (const field of fields) {
+            const decoded = FIELD_TYPES[field.type].decode(data, offset);
+            if (!decoded) return null;
+            result[field.name] = decoded.value;
+            offset += decoded.size;
+        }
+
+        return offset === data.length ? result : null;
+    }
+
+    /**
+     * 요청 페이로드 디코딩
+     * @param {Object} command - 명령 정의
+     * @param {Buffer} data - 데이터
+     * @returns {Object|null} 파라미터 (길이가 맞지 않으면 null)
+     */
+    decodePayload(command, data) {
+        return this.decodeFields(command.payload, data);
+    }
+
+    /**
+     * 응답 데이터 디코딩
+     * @param {number} op1 - 응답 코드 1
+     * @param {number} op2 - 응답 코드 2
+     * @param {Buffer} data - 응답 데이터
+     * @returns {Object|null} { command, type, eventType, fields } (미등록 코드면 null)
+     */
+    decodeResponse(op1, op2, data) {
+        const command = this.findByResponse(op1, op2);
+        if (!command) return null;
+
+        const { response } = command;
+        const fields = response.decode ? response.decode(data) : this.decodeFields(response.fields, data);
+
+        return {
+            command: command.name,
+            type: response.type,
+            eventType: response.eventType,
+            fields,
+        };
+    }
+
+    /**
+     * @param {number} op1 - 명령 코드 1
+     * @param {number} op2 - 명령 코드 2
+     * @returns {number} 16비트 OP 코드
+     */
+    toOpCode(op1, op2) {
+        return (op1 << 8) | op2;
+    }
+
+    /**
+     * @param {number} op1 - 명령 코드 1
+     * @param {number} op2 - 명령 코드 2
+     * @returns {string} '0x9600' 형식 문자열
+     */
+    formatOpCode(op1, op2) {
+        return `0x${this.toOpCode(op1, op2).toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+}
+
+LCSCommandRegistry.DEVICE_TYPES = DEVICE_TYPES;
+LCSCommandRegistry.DEVICE_CAPABILITIES = DEVICE_CAPABILITIES;
+LCSCommandRegistry.FIELD_TYPES = FIELD_TYPES;
+LCSCommandRegistry.defaultRegistry = null;
+
+module.exports = LCSCommandRegistry;
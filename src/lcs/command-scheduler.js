@@ -0,0 +1,203 @@
+const PRIORITIES = ['interactive', 'background'];
+
+/**
+ * Agent별 명령 전송 스케줄러 (초당 프레임 수 제한)
+ *
+ * 토큰 버킷으로 초당 전송 프레임 수(fps)를 제한하고, 대기 중인 명령은 우선순위 순으로 보냅니다.
+ * - 'interactive': 사용자 조작 (UI 슬라이더, REST/Socket 제어) - 항상 먼저 전송
+ * - 'background': 페이드/웨이브 등 효과 - interactive 대기열이 비었을 때 전송
+ * 아직 보내지 않은 명령과 같은 키(같은 조명의 같은 상태)의 명령이 들어오면 값만 최신으로 바꾸고
+ * (latest value wins) 두 호출 모두 최신 명령의 결과를 받습니다.
+ */
+class LCSCommandScheduler {
+    /**
+     * @param {Object} options - 스케줄러 설정
+     * @param {number} options.fps - 초당 최대 전송 프레임 수 (0이면 제한 없음, 기본값: 20)
+     * @param {number} options.burst - 한 번에 보낼 수 있는 최대 프레임 수 (기본값: 5)
+     * @param {number} options.maxQueue - 우선순위별 최대 대기 명령 수 (기본값: 200)
+     */
+    constructor(options = {}) {
+        this.fps = options.fps !== undefined ? options.fps : 20;
+        this.burst = options.burst || 5;
+        this.maxQueue = options.maxQueue || 200;
+        this.queues = { interactive: [], background: [] };
+        this.pending = new Map(); // 키 -> 아직 보내지 않은 명령
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.timer = null;
+        this.stats = { submitted: 0, sent: 0, coalesced: 0, dropped: 0, failed: 0 };
+    }
+
+    /**
+     * 명령 등록
+     * @param {Object} command - 전송할 명령
+     * @param {Function} command.run - 명령 전송 함수 (Promise 반환)
+     * @param {string} command.key - 병합 키 (예: 'brightness:1:1:3', 없으면 병합하지 않음)
+     * @param {string} command.priority - 'interactive' | 'background' (기본값: 'interactive')
+     * @param {number} command.cost - 사용할 프레임 수 (기본값: 1)
+     * @returns {Promise<*>} 명령 결과 (병합된 경우 최신 명령의 결과)
+     */
+    submit({ run, key = null, priority = 'interactive', cost = 1 }) {
+        if (!PRIORITIES.includes(priority)) {
+            return Promise.reject(new Error(`알 수 없는 우선순위입니다: ${priority}`));
+        }
+        this.stats.submitted++;
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            const existing = key !== null ? this.pending.get(key) : null;
+
+            if (existing) {
+                existing.run = run;
+                existing.cost = cost;
+                existing.waiters.push(waiter);
+                this.stats.coalesced++;
+                if (priority === 'interactive' && existing.priority === 'background') {
+                    // 사용자 조작이 효과 프레임을 덮어쓰면 우선순위도 올림
+                    this.queues.background.splice(this.queues.background.indexOf(existing), 1);
+                    existing.priority = 'interactive';
+                    this.queues.interactive.push(existing);
+                }
+                return;
+            }
+
+            const queue = this.queues[priority];
+            if (queue.length >= this.maxQueue) {
+                this.stats.dropped++;
+                if (priority === 'interactive') {
+                    reject(new Error(`전송 대기열이 가득 찼습니다 (${this.maxQueue}개).`));
+                    return;
+                }
+                // 효과 프레임은 가장 오래된 것을 버림
+                this.discard(queue.shift(), new Error('전송 대기열 초과로 버려진 명령'));
+            }
+
+            const item = { run, key, priority, cost, waiters: [waiter], queuedAt: Date.now() };
+            queue.push(item);
+            if (key !== null) {
+                this.pending.set(key, item);
+            }
+            this.drain();
+        });
+    }
+
+    /**
+     * 토큰이 있는 만큼 명령 전송, 남은 명령은 다음 토큰 시점에 다시 시도
+     */
+    drain() {
+        this.refill();
+
+        while (this.hasQueued() && (this.fps === 0 || this.tokens >= 1)) {
+            const item = this.queues.interactive.shift() || this.queues.background.shift();
+            if (item.key !== null) {
+                this.pending.delete(item.key);
+            }
+            if (this.fps > 0) {
+                this.tokens -= item.cost;
+            }
+            this.execute(item);
+        }
+
+        if (this.hasQueued() && !this.timer) {
+            const wait = Math.max(1, Math.ceil(((1 - this.tokens) * 1000) / this.fps));
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, wait);
+        }
+    }
+
+    /**
+     * 경과 시간만큼 토큰 보충 (최대 burst)
+     */
+    refill() {
+        const now = Date.now();
+        if (this.fps > 0) {
+            this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) * this.fps) / 1000);
+        }
+        this.lastRefill = now;
+    }
+
+    /**
+     * 대기 중인 명령 여부
+     * @returns {boolean} 대기 명령 존재 여부
+     */
+    hasQueued() {
+        return this.queues.interactive.length > 0 || this.queues.background.length > 0;
+    }
+
+    /**
+     * 명령 전송 및 결과 전달
+     * @param {Object} item - 대기 명령
+     */
+    execute(item) {
+        this.stats.sent++;
+        Promise.resolve()
+            .then(() => item.run())
+            .then(
+                (result) => item.waiters.forEach((waiter) => waiter.resolve(result)),
+                (error) => {
+                    this.stats.failed++;
+                    item.waiters.forEach((waiter) => waiter.reject(error));
+                }
+            );
+    }
+
+    /**
+     * 대기 명령 폐기
+     * @param {Object} item - 대기 명령
+     * @param {Error} error - 호출자에게 전달할 오류
+     */
+    discard(item, error) {
+        if (item.key !== null && this.pending.get(item.key) === item) {
+            this.pending.delete(item.key);
+        }
+        item.waiters.forEach((waiter) => waiter.reject(error));
+    }
+
+    /**
+     * 대기 중인 명령 모두 폐기 (연결 해제 시)
+     * @param {Error} error - 호출자에게 전달할 오류
+     * @returns {number} 폐기된 명령 수
+     */
+    clear(error = new Error('전송 대기 중인 명령이 취소되었습니다.')) {
+        let count = 0;
+        for (const priority of PRIORITIES) {
+            const queue = this.queues[priority];
+            this.queues[priority] = [];
+            for (const item of queue) {
+                this.discard(item, error);
+                count++;
+            }
+        }
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.stats.dropped += count;
+        return count;
+    }
+
+    /**
+     * 스케줄러 상태
+     * @returns {Object} { fps, burst, maxQueue, depth: { interactive, background }, tokens, stats }
+     */
+    getStatus() {
+        this.refill();
+        return {
+            fps: this.fps,
+            burst: this.burst,
+            maxQueue: this.maxQueue,
+            depth: {
+                interactive: this.queues.interactive.length,
+                background: this.queues.background.length,
+            },
+            tokens: this.fps > 0 ? Math.floor(this.tokens * 100) / 100 : null,
+            stats: { ...this.stats },
+        };
+    }
+}
+
+LCSCommandScheduler.PRIORITIES = PRIORITIES;
+
+module.exports = LCSCommandScheduler;
@@ -1,10 +1,91 @@
 const LCSTcpClient = require('./tcp-client');
+const LCSCommandRegistry = require('./command-registry');
+const LCSValidationError = require('./validation-error');
+const LCSOfflineQueue = require('./offline-queue');
+const LCSCommandScheduler = require('./command-scheduler');
+const LCSEffectJobs = require('./effect-jobs');
+const LCSEffectLibrary = require('./effect-library');
+const LCSLampStateCache = require('./lamp-state-cache');
+
+// 페이드 제어 최대 시간 (초)
+const MAX_FADE_DURATION = 3600;
 
 class LCSController {
-    constructor(host = '127.0.0.1', port = 1000) {
-        this.client = new LCSTcpClient(host, port);
+    /**
+     * @param {string} host - LCS Agent 호스트
+     * @param {number} port - LCS Agent 포트
+     * @param {Object} options - LCSTcpClient 옵션 (maxInFlight, requestTimeout 등)
+     * @param {Object} options.heartbeat - Alive 체크 설정
+     * @param {boolean} options.heartbeat.enabled - 사용 여부 (기본값: true)
+     * @param {number} options.heartbeat.interval - 확인 주기 (ms, 기본값: 15000)
+     * @param {number} options.heartbeat.timeout - 응답 대기 시간 (ms, 기본값: 3000)
+     * @param {number} options.heartbeat.missedThreshold - 연결 끊김으로 판단할 연속 무응답 횟수 (기본값: 3)
+     * @param {Array} options.heartbeat.targets - 함께 확인할 [{ masterAddr, cuAddr }] 목록
+     * @param {Object} options.reconnect - 재연결 정책
+     * @param {number} options.reconnect.initialDelay - 첫 재시도 대기 시간 (ms, 기본값: 1000)
+     * @param {number} options.reconnect.maxDelay - 최대 대기 시간 (ms, 기본값: 60000)
+     * @param {number} options.reconnect.multiplier - 실패할 때마다 곱할 배수 (기본값: 2)
+     * @param {number} options.reconnect.jitter - 대기 시간에 더할 무작위 비율 (0-1, 기본값: 0.2 → ±20%)
+     * @param {number} options.reconnect.maxAttempts - 연속 실패 허용 횟수 (0이면 무제한, 기본값: 0)
+     * @param {number} options.reconnect.connectTimeout - 연결 시도별 제한 시간 (ms, 기본값: 10000)
+     * @param {boolean|Object} options.offlineQueue - 연결이 끊긴 동안 제어 명령 보관 (true 또는 { ttl, commandTtl, maxSize })
+     * @param {Object} options.rateLimit - 전송 속도 제한 { fps: 초당 프레임 수 (0이면 제한 없음), burst, maxQueue }
+     * @param {Object} options.stateCache - 조명 상태 캐시 설정
+     * @param {number} options.stateCache.reconcileInterval - 장비와 대조하는 주기 (ms, 0이면 사용 안 함, 기본값: 300000)
+     * @param {number} options.stateCache.tolerance - 드리프트로 보지 않을 최대 차이 (기본값: 0)
+     */
+    constructor(host = '127.0.0.1', port = 1000, options = {}) {
+        this.client = new LCSTcpClient(host, port, options);
         this.isConnected = false;
-        this.reconnectInterval = null;
+
+        const reconnect = options.reconnect || {};
+        this.reconnectOptions = {
+            initialDelay: reconnect.initialDelay || 1000,
+            maxDelay: reconnect.maxDelay || 60000,
+            multiplier: reconnect.multiplier || 2,
+            jitter: reconnect.jitter !== undefined ? reconnect.jitter : 0.2,
+            maxAttempts: reconnect.maxAttempts || 0,
+            connectTimeout: reconnect.connectTimeout || 10000,
+        };
+        // 연결 상태: 'disconnected' | 'connecting' | 'connected' | 'backoff' | 'gave_up'
+        this.connectionState = 'disconnected';
+        this.connectAttempts = 0; // 마지막 연결 성공 이후 연속 시도 횟수
+        this.connectPromise = null; // 진행 중인 연결 시도 (동시에 하나만)
+        this.reconnectTimer = null;
+        this.nextRetryAt = null;
+        this.lastError = null;
+        this.lastConnectedAt = null;
+
+        const offlineQueue = options.offlineQueue || false;
+        this.offlineQueue = new LCSOfflineQueue({
+            ...(typeof offlineQueue === 'object' ? offlineQueue : {}),
+            enabled: offlineQueue !== false && offlineQueue.enabled !== false,
+        });
+        this.scheduler = new LCSCommandScheduler(options.rateLimit);
+        this.effects = new LCSEffectJobs();
+
+        const stateCache = options.stateCache || {};
+        this.lampState = new LCSLampStateCache(stateCache);
+        this.reconcileInterval = stateCache.reconcileInterval !== undefined ? stateCache.reconcileInterval : 300000;
+        this.reconcileTimer = null;
+        this.reconcileRunning = false;
+        this.lastReconcile = null;
+
+        const heartbeat = options.heartbeat || {};
+        this.heartbeatOptions = {
+            enabled: heartbeat.enabled !== false,
+            interval: heartbeat.interval || 15000,
+            timeout: heartbeat.timeout || 3000,
+            missedThreshold: heartbeat.missedThreshold || 3,
+        };
+        this.heartbeatTimer = null;
+        this.heartbeatRunning = false;
+        this.heartbeatTargets = new Map(); // "master:cu" -> 대상별 상태 ("0:0"은 Agent 자체)
+        this.registerHeartbeatTarget(0, 0);
+        for (const target of heartbeat.targets || []) {
+            this.registerHeartbeatTarget(target.masterAddr, target.cuAddr);
+        }
+
         this.setupEventHandlers();
     }
 
@@ -15,66 +96,607 @@ class LCSController {
         this.client.on('connected', () => {
             this.isConnected = true;
             console.log('🔗 LCS Agent 연결 성공');
-            if (this.reconnectInterval) {
-                clearInterval(this.reconnectInterval);
-                this.reconnectInterval = null;
-            }
+            this.startHeartbeat();
+            this.startReconcile();
+            this.flushOfflineQueue();
         });
 
         this.client.on('disconnected', () => {
+            const wasConnected = this.connectionState === 'connected';
             this.isConnected = false;
-            console.log('⚠️ LCS Agent 연결 끊어짐');
-            this.startReconnectTimer();
+            this.stopHeartbeat();
+            this.stopReconcile();
+            this.scheduler.clear(new Error('LCS Agent 연결 종료'));
+
+            // 연결 시도 중의 종료는 attemptConnect()가, 수동 해제는 disconnect()가 처리
+            if (wasConnected) {
+                console.log('⚠️ LCS Agent 연결 끊어짐');
+                this.scheduleReconnect();
+            }
         });
 
         this.client.on('error', (error) => {
             console.error('❌ LCS Agent 오류:', error.message);
+            this.lastError = error.message;
             this.isConnected = false;
         });
+
+        this.client.on('notification', (event) => this.recordDeviceEvent(event));
     }
 
     /**
      * LCS Agent 연결
-     * @returns {Promise<boolean>} 연결 성공 여부
+     * 예약된 재시도를 취소하고 시도 횟수를 초기화한 뒤 바로 연결합니다.
+     * 이미 연결 시도 중이면 그 결과를 함께 기다립니다.
+     * @returns {Promise<boolean>} 연결 성공 여부 (실패 시 재연결 정책에 따라 재시도)
      */
     async connect() {
-        try {
-            await this.client.connect();
+        if (this.connectPromise) {
+            return await this.connectPromise;
+        }
+        if (this.connectionState === 'connected') {
             return true;
-        } catch (error) {
-            console.error('LCS Agent 연결 실패:', error.message);
-            this.startReconnectTimer();
-            return false;
         }
+
+        this.clearReconnectTimer();
+        this.connectAttempts = 0;
+        return await this.attemptConnect();
     }
 
     /**
-     * 연결 해제
+     * 연결 1회 시도 (connectTimeout 초과 시 전송 계층을 닫고 실패 처리)
+     * @returns {Promise<boolean>} 연결 성공 여부
+     */
+    attemptConnect() {
+        this.connectionState = 'connecting';
+        this.nextRetryAt = null;
+        this.connectAttempts++;
+
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(new Error(`연결 시간 초과 (${this.reconnectOptions.connectTimeout}ms)`));
+            }, this.reconnectOptions.connectTimeout);
+        });
+
+        this.connectPromise = Promise.race([this.client.connect(), timeout])
+            .then(() => {
+                this.connectionState = 'connected';
+                this.connectAttempts = 0;
+                this.lastError = null;
+                this.lastConnectedAt = new Date();
+                return true;
+            })
+            .catch((error) => {
+                console.error('LCS Agent 연결 실패:', error.message);
+                this.lastError = error.message;
+                this.isConnected = false;
+                this.client.disconnect(); // 시간 초과된 연결 시도 정리
+                if (this.connectionState === 'connecting') {
+                    this.scheduleReconnect();
+                }
+                return false;
+            })
+            .finally(() => {
+                clearTimeout(timer);
+                this.connectPromise = null;
+            });
+
+        return this.connectPromise;
+    }
+
+    /**
+     * 연결 해제 (재연결하지 않음)
      */
     disconnect() {
-        if (this.reconnectInterval) {
-            clearInterval(this.reconnectInterval);
-            this.reconnectInterval = null;
-        }
+        this.stopHeartbeat();
+        this.clearReconnectTimer();
+        this.connectionState = 'disconnected';
         this.client.disconnect();
         this.isConnected = false;
     }
 
     /**
-     * 재연결 타이머 시작
+     * 지수 백오프로 다음 재연결 예약
+     * 대기 시간 = min(maxDelay, initialDelay × multiplier^(시도 횟수-1)) ± jitter
      */
-    startReconnectTimer() {
-        if (this.reconnectInterval) return;
+    scheduleReconnect() {
+        const { initialDelay, maxDelay, multiplier, jitter, maxAttempts } = this.reconnectOptions;
+        this.clearReconnectTimer();
 
-        console.log('🔄 5초 후 LCS Agent 재연결 시도...');
-        this.reconnectInterval = setInterval(async () => {
-            console.log('🔄 LCS Agent 재연결 시도 중...');
-            try {
-                await this.client.connect();
-            } catch (error) {
-                console.log('재연결 실패, 계속 시도 중...');
+        if (maxAttempts > 0 && this.connectAttempts >= maxAttempts) {
+            this.connectionState = 'gave_up';
+            console.warn(`🛑 LCS Agent 재연결 ${this.connectAttempts}회 실패, 재시도를 중단합니다.`);
+            return;
+        }
+
+        const base = Math.min(maxDelay, initialDelay * Math.pow(multiplier, Math.max(0, this.connectAttempts - 1)));
+        const delay = Math.max(0, Math.round(base * (1 + jitter * (Math.random() * 2 - 1))));
+
+        this.connectionState = 'backoff';
+        this.nextRetryAt = new Date(Date.now() + delay);
+        console.log(`🔄 ${delay}ms 후 LCS Agent 재연결 시도 (${this.connectAttempts + 1}번째)...`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.attemptConnect();
+        }, delay);
+    }
+
+    /**
+     * 예약된 재연결 취소
+     */
+    clearReconnectTimer() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.nextRetryAt = null;
+    }
+
+    /**
+     * 재연결 상태 조회
+     * @returns {Object} { state, attempts, nextRetryAt, lastError, lastConnectedAt, policy }
+     */
+    getReconnectStatus() {
+        return {
+            state: this.connectionState,
+            attempts: this.connectAttempts,
+            nextRetryAt: this.nextRetryAt,
+            lastError: this.lastError,
+            lastConnectedAt: this.lastConnectedAt,
+            policy: { ...this.reconnectOptions },
+        };
+    }
+
+    /**
+     * Alive 체크 대상 등록
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     */
+    registerHeartbeatTarget(masterAddr, cuAddr) {
+        const key = `${masterAddr}:${cuAddr}`;
+        if (this.heartbeatTargets.has(key)) return;
+
+        this.heartbeatTargets.set(key, {
+            masterAddr,
+            cuAddr,
+            alive: null,
+            missed: 0,
+            sent: 0,
+            received: 0,
+            lastSeen: null,
+            latency: { last: null, min: null, max: null, avg: null },
+        });
+    }
+
+    /**
+     * Alive 체크 대상 해제 (Agent 자체는 해제할 수 없음)
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @returns {boolean} 해제 성공 여부
+     */
+    unregisterHeartbeatTarget(masterAddr, cuAddr) {
+        if (masterAddr === 0 && cuAddr === 0) return false;
+        return this.heartbeatTargets.delete(`${masterAddr}:${cuAddr}`);
+    }
+
+    /**
+     * 주기적 Alive 체크 시작
+     */
+    startHeartbeat() {
+        if (!this.heartbeatOptions.enabled || this.heartbeatTimer) return;
+
+        for (const target of this.heartbeatTargets.values()) {
+            target.missed = 0;
+        }
+        this.heartbeatTimer = setInterval(() => this.runHeartbeat(), this.heartbeatOptions.interval);
+    }
+
+    /**
+     * 주기적 Alive 체크 중지
+     */
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    /**
+     * 등록된 모든 대상에 Alive 체크 1회 실행
+     * Agent 자체가 연속으로 missedThreshold 번 응답하지 않으면 반쯤 열린 연결로 보고 끊은 뒤 재연결합니다.
+     */
+    async runHeartbeat() {
+        if (this.heartbeatRunning || !this.isConnected) return;
+        this.heartbeatRunning = true;
+
+        try {
+            const checks = Array.from(this.heartbeatTargets.values()).map(async (target) => {
+                target.sent++;
+                try {
+                    const response = await this.client.aliveCheck(target.masterAddr, target.cuAddr, {
+                        timeout: this.heartbeatOptions.timeout,
+                    });
+                    this.recordHeartbeatSuccess(target, response.latency);
+                } catch (error) {
+                    target.missed++;
+                    if (target.missed >= this.heartbeatOptions.missedThreshold) {
+                        target.alive = false;
+                    }
+                }
+            });
+            await Promise.all(checks);
+        } finally {
+            this.heartbeatRunning = false;
+        }
+
+        const agentTarget = this.heartbeatTargets.get('0:0');
+        if (this.isConnected && agentTarget.missed >= this.heartbeatOptions.missedThreshold) {
+            console.warn(`💔 LCS Agent Alive 체크 ${agentTarget.missed}회 연속 실패, 연결을 다시 맺습니다.`);
+            this.isConnected = false;
+            this.client.disconnect();
+        }
+    }
+
+    /**
+     * Alive 체크 성공 기록 및 지연 시간 통계 갱신
+     * @param {Object} target - 대상 상태
+     * @param {number} latency - 왕복 지연 시간 (ms)
+     */
+    recordHeartbeatSuccess(target, latency) {
+        const stats = target.latency;
+
+        target.received++;
+        target.missed = 0;
+        target.alive = true;
+        target.lastSeen = new Date();
+
+        stats.last = latency;
+        stats.min = stats.min === null ? latency : Math.min(stats.min, latency);
+        stats.max = stats.max === null ? latency : Math.max(stats.max, latency);
+        stats.avg =
+            stats.avg === null ? latency : Math.round((stats.avg * (target.received - 1) + latency) / target.received);
+    }
+
+    /**
+     * Alive 체크 상태 조회
+     * @returns {Object} { enabled, interval, missedThreshold, targets }
+     */
+    getHeartbeatStatus() {
+        return {
+            enabled: this.heartbeatOptions.enabled,
+            interval: this.heartbeatOptions.interval,
+            missedThreshold: this.heartbeatOptions.missedThreshold,
+            targets: Array.from(this.heartbeatTargets.values()).map((target) => ({
+                ...target,
+                latency: { ...target.latency },
+            })),
+        };
+    }
+
+    /**
+     * 스케줄러를 거쳐 LCSTcpClient 메서드 호출 (초당 프레임 수 제한, 같은 키의 대기 명령 병합)
+     * @param {string} method - LCSTcpClient 메서드 이름
+     * @param {Array} args - 메서드 인자
+     * @param {Object} options - { key: 병합 키, priority: 'interactive' | 'background', cost: 프레임 수,
+     *                            source: 상태 캐시에 기록할 출처 (기본값: 'command') }
+     * @returns {Promise<Object>} 명령 결과
+     */
+    async scheduleCommand(method, args, options = {}) {
+        const { source = 'command', ...scheduleOptions } = options;
+        return await this.scheduler.submit({
+            ...scheduleOptions,
+            // 병합되면 실제로 전송된 인자만 기록되도록 전송 시점에 기록
+            run: async () => {
+                const result = await this.client[method](...args);
+                this.recordState(method, args, result, source);
+                return result;
+            },
+        });
+    }
+
+    /**
+     * 조명 목록 명령의 병합 키와 프레임 수 (인자가 잘못되면 LCSValidationError)
+     * @param {string} attribute - 바꾸는 상태 ('brightness', 'colorTemp')
+     * @param {string} name - 명령 이름
+     * @param {Object} params - { masterAddr, cuAddr, lampList, ... }
+     * @returns {Object} { key, cost }
+     */
+    getLampListSchedule(attribute, name, params) {
+        const frames = this.client.buildLampListFrames(name, params);
+        const lamps = this.normalizeLampList(params.masterAddr, params.cuAddr, params.lampList)
+            .map((lamp) => `${lamp.masterAddr}:${lamp.cuAddr}:${lamp.lampNo}`)
+            .sort();
+        return { key: `${attribute}:${lamps.join(',')}`, cost: frames.length };
+    }
+
+    /**
+     * 연결되지 않은 상태의 제어 명령 처리
+     * 오프라인 대기열을 사용하면 인자를 검증한 뒤 보관하고, 아니면 연결 오류를 던집니다.
+     * @param {string} method - 재연결 후 호출할 LCSTcpClient 메서드 이름
+     * @param {Array} args - 메서드 인자
+     * @param {Object} target - { attributes, masterAddr, cuAddr, lamps, lampListIndex }
+     * @param {Function} validate - 인자 검증 (프레임 생성, 잘못되면 LCSValidationError)
+     * @returns {Object} 보관 결과 { queued: true, id, method, queuedAt, expiresAt, collapsed }
+     */
+    enqueueOffline(method, args, target, validate) {
+        if (!this.offlineQueue.enabled) {
+            throw new Error('LCS Agent에 연결되지 않음');
+        }
+
+        validate();
+        const receipt = this.offlineQueue.enqueue({ method, args, ...this.getOfflineTarget(args, target) });
+        console.log(`📥 LCS Agent 연결 대기 중, 명령 보관: #${receipt.id} ${method}`);
+        return receipt;
+    }
+
+    /**
+     * 연결된 상태에서 보내는 제어 명령이 덮어쓰는 보관 명령 제거
+     * 재연결 후 대기열을 전송하는 중에 들어온 새 명령 뒤에 이전 값이 전송되지 않도록 합니다.
+     * @param {Array} args - 메서드 인자
+     * @param {Object} target - { attributes, masterAddr, cuAddr, lamps, lampListIndex }
+     */
+    supersedeOffline(args, target) {
+        if (this.offlineQueue.entries.length > 0) {
+            this.offlineQueue.supersede(this.getOfflineTarget(args, target));
+        }
+    }
+
+    /**
+     * 대기열 대상 정리 (목록 명령은 인자의 조명 목록을 대상 조명으로 변환)
+     * @param {Array} args - 메서드 인자
+     * @param {Object} target - { attributes, masterAddr, cuAddr, lamps, lampListIndex }
+     * @returns {Object} { attributes, masterAddr, cuAddr, lamps, lampListIndex }
+     */
+    getOfflineTarget(args, target) {
+        if (target.lampListIndex === undefined) {
+            return target;
+        }
+        const lamps = this.normalizeLampList(target.masterAddr, target.cuAddr, args[target.lampListIndex]);
+        return { ...target, lamps };
+    }
+
+    /**
+     * 보관 명령의 병합 키와 프레임 수 (연결된 상태에서 보내는 같은 명령과 같은 키)
+     * @param {Object} entry - 보관 명령
+     * @returns {Object} { key, cost }
+     */
+    getOfflineSchedule(entry) {
+        const { method, args, masterAddr, cuAddr } = entry;
+        const [attribute] = entry.attributes;
+        if (method === 'executeScene') {
+            return { key: `scene:${masterAddr}:${cuAddr}` };
+        }
+        if (entry.lamps === null) {
+            return { key: `${attribute}:${masterAddr}:${cuAddr}:all` };
+        }
+        if (entry.lampListIndex === undefined) {
+            return { key: `${attribute}:${masterAddr}:${cuAddr}:${entry.lamps[0].lampNo}` };
+        }
+        const name = method === 'controlColorTemperature' ? 'controlLampColorTemp' : method;
+        const [, , lampList, value, deviceType] = args;
+        const params = { masterAddr, cuAddr, lampList, [attribute]: value, deviceType };
+        return this.getLampListSchedule(attribute, name, params);
+    }
+
+    /**
+     * 조명 목록을 대기열 대상 형식으로 변환 (조명 번호 또는 { masterAddr, cuAddr, lampNo })
+     * @param {number} masterAddr - 기본 마스터 주소
+     * @param {number} cuAddr - 기본 CU 주소
+     * @param {Array} lampList - 조명 목록
+     * @returns {Array} [{ masterAddr, cuAddr, lampNo }]
+     */
+    normalizeLampList(masterAddr, cuAddr, lampList) {
+        return lampList.map((item) => {
+            const isObject = item !== null && typeof item === 'object';
+            return {
+                masterAddr: isObject && item.masterAddr !== undefined ? item.masterAddr : masterAddr,
+                cuAddr: isObject && item.cuAddr !== undefined ? item.cuAddr : cuAddr,
+                lampNo: isObject ? item.lampNo : item,
+            };
+        });
+    }
+
+    /**
+     * 재연결 후 보관된 명령 전송 (연결이 다시 끊기면 남은 명령은 계속 보관)
+     * 스케줄러를 background 우선순위로 거치므로 초당 프레임 수 제한을 지키고, 같은 조명의 새 명령과 병합됩니다.
+     * @returns {Promise<Object>} { sent, failed, remaining }
+     */
+    async flushOfflineQueue() {
+        if (this.offlineQueue.entries.length === 0) {
+            return { sent: 0, failed: 0, remaining: 0 };
+        }
+
+        console.log(`📤 보관된 명령 ${this.offlineQueue.entries.length}개 전송 시작`);
+        const summary = await this.offlineQueue.flush(
+            (entry) =>
+                this.scheduleCommand(entry.method, entry.args, {
+                    ...this.getOfflineSchedule(entry),
+                    priority: 'background',
+                    source: 'offline_queue',
+                }),
+            () => this.isConnected
+        );
+        const { sent, failed, remaining } = summary;
+        console.log(`📤 보관된 명령 전송 완료: 성공 ${sent}, 실패 ${failed}, 남음 ${remaining}`);
+        return summary;
+    }
+
+    /**
+     * 명령 결과를 조명 상태 캐시에 기록 (성공한 제어 명령은 명령 값, 조회 응답은 관측 값)
+     * @param {string} method - LCSTcpClient 메서드 이름
+     * @param {Array} args - 메서드 인자
+     * @param {Object} result - 명령 결과
+     * @param {string} source - 출처 ('command', 'query', 'reconcile', 'offline_queue')
+     */
+    recordState(method, args, result, source) {
+        if (!result) return;
+        const acked = result.result === undefined || result.result === 'success';
+        const querySource = source === 'command' ? 'query' : source;
+
+        switch (method) {
+            case 'controlLamp': {
+                const [masterAddr, cuAddr, lampNo, brightness, deviceType] = args;
+                if (acked) {
+                    const lamps = [{ masterAddr, cuAddr, lampNo }];
+                    this.lampState.recordCommand('brightness', lamps, brightness, { source, deviceType });
+                }
+                break;
+            }
+            case 'controlLampBlock':
+            case 'controlColorTemperature': {
+                const [, , , value, deviceType] = args;
+                const attribute = method === 'controlLampBlock' ? 'brightness' : 'colorTemp';
+                this.lampState.recordCommand(attribute, result.succeeded || [], value, { source, deviceType });
+                break;
+            }
+            case 'controlAllLamps': {
+                const [masterAddr, cuAddr, brightness, deviceType] = args;
+                if (acked) {
+                    const options = { source, deviceType };
+                    this.lampState.recordCuCommand('brightness', masterAddr, cuAddr, brightness, options);
+                }
+                break;
+            }
+            case 'executeScene': {
+                const [masterAddr, cuAddr, sceneNo, , deviceType] = args;
+                if (acked) {
+                    this.lampState.recordScene(masterAddr, cuAddr, sceneNo, { source, deviceType });
+                }
+                break;
+            }
+            case 'getLampBrightness':
+            case 'getLampColorTemperature': {
+                const [masterAddr, cuAddr, deviceType] = args;
+                const attribute = method === 'getLampBrightness' ? 'brightness' : 'colorTemp';
+                const values = attribute === 'brightness' ? result.brightness : result.colorTemperature;
+                if (Array.isArray(values)) {
+                    const options = { source: querySource, deviceType };
+                    this.lampState.recordObservation(attribute, masterAddr, cuAddr, values, options);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    /**
+     * 장비 측 상태 변경 알림을 조명 상태 캐시에 기록 (벽 스위치, 장비에서 실행된 시나리오, 상태 보고)
+     * @param {Object} event - LCSTcpClient 'notification' 이벤트
+     */
+    recordDeviceEvent(event) {
+        const { sourceDevice } = event;
+        const masterAddr = sourceDevice.masterAddr;
+        const cuAddr = event.cuAddr !== undefined ? event.cuAddr : sourceDevice.cuAddr;
+        const deviceType =
+            Object.keys(LCSCommandRegistry.DEVICE_TYPES).find(
+                (name) => LCSCommandRegistry.DEVICE_TYPES[name] === sourceDevice.type
+            ) || null;
+        const options = { source: 'device', deviceType, observed: true };
+        const lamps = (list) => list.map((lampNo) => ({ masterAddr, cuAddr, lampNo }));
+
+        switch (event.eventType) {
+            case 'lamp_dimming':
+                this.lampState.recordCommand('brightness', lamps([event.lampNo]), event.brightness, options);
+                break;
+            case 'lamp_block':
+                this.lampState.recordCommand('brightness', lamps(event.lampList), event.brightness, options);
+                break;
+            case 'color_temperature':
+                this.lampState.recordCommand('colorTemp', lamps(event.lampList), event.colorTemp, options);
+                break;
+            case 'all_lamps':
+                this.lampState.recordCuCommand('brightness', masterAddr, cuAddr, event.brightness, options);
+                break;
+            case 'scene_executed':
+                this.lampState.recordScene(masterAddr, cuAddr, event.sceneNo, options);
+                break;
+            case 'lamp_brightness':
+                this.lampState.recordObservation('brightness', masterAddr, cuAddr, event.brightness, {
+                    source: 'report',
+                    deviceType,
+                });
+                break;
+            case 'color_temperature_report':
+                this.lampState.recordObservation('colorTemp', masterAddr, cuAddr, event.colorTemperature, {
+                    source: 'report',
+                    deviceType,
+                });
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * 주기적 상태 대조 시작
+     */
+    startReconcile() {
+        if (!this.reconcileInterval || this.reconcileTimer) return;
+        this.reconcileTimer = setInterval(() => this.reconcileLampState(), this.reconcileInterval);
+    }
+
+    /**
+     * 주기적 상태 대조 중지
+     */
+    stopReconcile() {
+        if (this.reconcileTimer) {
+            clearInterval(this.reconcileTimer);
+            this.reconcileTimer = null;
+        }
+    }
+
+    /**
+     * 캐시에 있는 CU의 밝기/색온도를 장비에서 다시 읽어 명령 값과 대조 (효과와 같은 background 우선순위)
+     * @returns {Promise<Object>} { cus: 대조한 CU 수, failed: 실패한 조회 수, drift: 드리프트 조명 수 }
+     */
+    async reconcileLampState() {
+        if (this.reconcileRunning || !this.isConnected) {
+            return { cus: 0, failed: 0, drift: this.lampState.getDrift().length };
+        }
+        this.reconcileRunning = true;
+
+        let failed = 0;
+        const cus = this.lampState.listCus().filter((cu) => cu.masterAddr !== 0 && cu.cuAddr !== 0);
+        try {
+            for (const { masterAddr, cuAddr, deviceType } of cus) {
+                const capabilities = LCSCommandRegistry.DEVICE_CAPABILITIES[deviceType || 'LCS'] || {};
+                const methods = ['getLampBrightness'];
+                if (capabilities.colorTemperature) methods.push('getLampColorTemperature');
+
+                for (const method of methods) {
+                    try {
+                        await this.scheduleCommand(method, [masterAddr, cuAddr, deviceType || 'LCS'], {
+                            priority: 'background',
+                            source: 'reconcile',
+                        });
+                    } catch (error) {
+                        failed++;
+                        console.warn(`⚠️ 상태 대조 조회 실패 (${masterAddr}/${cuAddr} ${method}): ${error.message}`);
+                    }
+                }
             }
-        }, 5000);
+        } finally {
+            this.reconcileRunning = false;
+        }
+
+        const summary = { cus: cus.length, failed, drift: this.lampState.getDrift().length };
+        this.lastReconcile = { ...summary, at: new Date() };
+        return summary;
+    }
+
+    /**
+     * 조명 상태 캐시 요약
+     * @returns {Object} { cus, lamps, drift, reconcileInterval, lastReconcile }
+     */
+    getLampStateStatus() {
+        return {
+            ...this.lampState.getStatus(),
+            reconcileInterval: this.reconcileInterval,
+            lastReconcile: this.lastReconcile,
+        };
     }
 
     /**
@@ -86,9 +708,31 @@ class LCSController {
             isConnected: this.isConnected,
             host: this.client.host,
             port: this.client.port,
+            connection: this.getReconnectStatus(),
+            requests: this.client.getQueueStatus(),
+            frames: this.client.getFrameStats(),
+            heartbeat: this.getHeartbeatStatus(),
+            offlineQueue: this.offlineQueue.getStatus(),
+            scheduler: this.scheduler.getStatus(),
+            lampState: this.getLampStateStatus(),
         };
     }
 
+    /**
+     * 레지스트리에 등록된 명령 실행 (현장 전용 명령 포함)
+     * @param {string} name - 명령 이름
+     * @param {Object} params - { masterAddr, cuAddr, deviceType, ...페이로드 필드 }
+     * @param {Object} options - { timeout: 응답 대기 시간 (ms) }
+     * @returns {Promise<Object>} 응답 데이터
+     */
+    async sendCommand(name, params = {}, options = {}) {
+        if (!this.isConnected) {
+            throw new Error('LCS Agent에 연결되지 않음');
+        }
+        const { priority, ...sendOptions } = options;
+        return await this.scheduleCommand('sendCommand', [name, params, sendOptions], { priority });
+    }
+
     /**
      * 조명 밝기 조회
      * @param {number} masterAddr - 마스터 주소
@@ -100,20 +744,21 @@ class LCSController {
         if (!this.isConnected) {
             throw new Error('LCS Agent에 연결되지 않음');
         }
-        return await this.client.getLampBrightness(masterAddr, cuAddr, deviceType);
+        return await this.scheduleCommand('getLampBrightness', [masterAddr, cuAddr, deviceType]);
     }
 
     /**
      * 조명 색온도 조회
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
+     * @param {string} deviceType - 디바이스 타입 (색온도는 LCS만 지원)
      * @returns {Promise<Object>} 색온도 정보
      */
-    async getLampColorTemperature(masterAddr, cuAddr) {
+    async getLampColorTemperature(masterAddr, cuAddr, deviceType = 'LCS') {
         if (!this.isConnected) {
             throw new Error('LCS Agent에 연결되지 않음');
         }
-        return await this.client.getLampColorTemperature(masterAddr, cuAddr);
+        return await this.scheduleCommand('getLampColorTemperature', [masterAddr, cuAddr, deviceType]);
     }
 
     /**
@@ -121,14 +766,24 @@ class LCSController {
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
      * @param {number} lampNo - 조명 번호
-     * @param {number} brightness - 밝기 값 (0-100)
+     * @param {number|boolean} brightness - 밝기 값 (0-100, 릴레이는 ON/OFF)
+     * @param {string} deviceType - 디바이스 타입
      * @returns {Promise<Object>} 제어 결과
      */
-    async controlLamp(masterAddr, cuAddr, lampNo, brightness) {
+    async controlLamp(masterAddr, cuAddr, lampNo, brightness, deviceType = 'LCS') {
+        this.effects.cancelConflicting(
+            { lamps: [{ masterAddr, cuAddr, lampNo }], attributes: ['brightness'] },
+            'controlLamp 명령'
+        );
+        const args = [masterAddr, cuAddr, lampNo, brightness, deviceType];
+        const target = { attributes: ['brightness'], masterAddr, cuAddr, lamps: [{ masterAddr, cuAddr, lampNo }] };
         if (!this.isConnected) {
-            throw new Error('LCS Agent에 연결되지 않음');
+            return this.enqueueOffline('controlLamp', args, target, () =>
+                this.client.packetBuilder.controlLampDimming(masterAddr, cuAddr, lampNo, brightness, deviceType)
+            );
         }
-        return await this.client.controlLamp(masterAddr, cuAddr, lampNo, brightness);
+        this.supersedeOffline(args, target);
+        return await this.scheduleCommand('controlLamp', args, { key: `brightness:${masterAddr}:${cuAddr}:${lampNo}` });
     }
 
     /**
@@ -136,14 +791,26 @@ class LCSController {
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
      * @param {Array} lampList - 조명 번호 배열
-     * @param {number} brightness - 밝기 값 (0-100)
+     * @param {number|boolean} brightness - 밝기 값 (0-100, 릴레이는 ON/OFF)
+     * @param {string} deviceType - 디바이스 타입
      * @returns {Promise<Object>} 제어 결과
      */
-    async controlLampBlock(masterAddr, cuAddr, lampList, brightness) {
+    async controlLampBlock(masterAddr, cuAddr, lampList, brightness, deviceType = 'LCS') {
+        if (Array.isArray(lampList)) {
+            const lamps = this.normalizeLampList(masterAddr, cuAddr, lampList);
+            this.effects.cancelConflicting({ lamps, attributes: ['brightness'] }, 'controlLampBlock 명령');
+        }
+        const args = [masterAddr, cuAddr, lampList, brightness, deviceType];
+        const target = { attributes: ['brightness'], masterAddr, cuAddr, lampListIndex: 2 };
+        const params = { masterAddr, cuAddr, lampList, brightness, deviceType };
         if (!this.isConnected) {
-            throw new Error('LCS Agent에 연결되지 않음');
+            return this.enqueueOffline('controlLampBlock', args, target, () =>
+                this.client.buildLampListFrames('controlLampBlock', params)
+            );
         }
-        return await this.client.controlLampBlock(masterAddr, cuAddr, lampList, brightness);
+        const schedule = this.getLampListSchedule('brightness', 'controlLampBlock', params);
+        this.supersedeOffline(args, target);
+        return await this.scheduleCommand('controlLampBlock', args, schedule);
     }
 
     /**
@@ -152,13 +819,25 @@ class LCSController {
      * @param {number} cuAddr - CU 주소
      * @param {Array} lampList - 조명 번호 배열
      * @param {number} colorTemp - 색온도 값 (0-100)
+     * @param {string} deviceType - 디바이스 타입 (색온도는 LCS만 지원)
      * @returns {Promise<Object>} 제어 결과
      */
-    async controlColorTemperature(masterAddr, cuAddr, lampList, colorTemp) {
+    async controlColorTemperature(masterAddr, cuAddr, lampList, colorTemp, deviceType = 'LCS') {
+        if (Array.isArray(lampList)) {
+            const lamps = this.normalizeLampList(masterAddr, cuAddr, lampList);
+            this.effects.cancelConflicting({ lamps, attributes: ['colorTemp'] }, 'controlColorTemperature 명령');
+        }
+        const args = [masterAddr, cuAddr, lampList, colorTemp, deviceType];
+        const target = { attributes: ['colorTemp'], masterAddr, cuAddr, lampListIndex: 2 };
+        const params = { masterAddr, cuAddr, lampList, colorTemp, deviceType };
         if (!this.isConnected) {
-            throw new Error('LCS Agent에 연결되지 않음');
+            return this.enqueueOffline('controlColorTemperature', args, target, () =>
+                this.client.buildLampListFrames('controlLampColorTemp', params)
+            );
         }
-        return await this.client.controlColorTemperature(masterAddr, cuAddr, lampList, colorTemp);
+        const schedule = this.getLampListSchedule('colorTemp', 'controlLampColorTemp', params);
+        this.supersedeOffline(args, target);
+        return await this.scheduleCommand('controlColorTemperature', args, schedule);
     }
 
     /**
@@ -167,27 +846,41 @@ class LCSController {
      * @param {number} cuAddr - CU 주소
      * @param {number} sceneNo - 시나리오 번호
      * @param {number} fadeTime - 페이드 시간 (초)
+     * @param {string} deviceType - 디바이스 타입
      * @returns {Promise<Object>} 실행 결과
      */
-    async executeScene(masterAddr, cuAddr, sceneNo, fadeTime = 0) {
+    async executeScene(masterAddr, cuAddr, sceneNo, fadeTime = 0, deviceType = 'LCS') {
+        this.effects.cancelConflicting({ masterAddr, cuAddr }, 'executeScene 명령');
+        const args = [masterAddr, cuAddr, sceneNo, fadeTime, deviceType];
+        const target = { attributes: ['brightness', 'colorTemp'], masterAddr, cuAddr, lamps: null };
         if (!this.isConnected) {
-            throw new Error('LCS Agent에 연결되지 않음');
+            return this.enqueueOffline('executeScene', args, target, () =>
+                this.client.packetBuilder.executeScene(masterAddr, cuAddr, sceneNo, fadeTime, deviceType)
+            );
         }
-        return await this.client.executeScene(masterAddr, cuAddr, sceneNo, fadeTime);
+        this.supersedeOffline(args, target);
+        return await this.scheduleCommand('executeScene', args, { key: `scene:${masterAddr}:${cuAddr}` });
     }
 
     /**
      * 전체 조명 제어
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
-     * @param {number} brightness - 밝기 값 (0-100)
+     * @param {number|boolean} brightness - 밝기 값 (0-100, 릴레이는 ON/OFF)
+     * @param {string} deviceType - 디바이스 타입
      * @returns {Promise<Object>} 제어 결과
      */
-    async controlAllLamps(masterAddr, cuAddr, brightness) {
+    async controlAllLamps(masterAddr, cuAddr, brightness, deviceType = 'LCS') {
+        this.effects.cancelConflicting({ masterAddr, cuAddr, attributes: ['brightness'] }, 'controlAllLamps 명령');
+        const args = [masterAddr, cuAddr, brightness, deviceType];
+        const target = { attributes: ['brightness'], masterAddr, cuAddr, lamps: null };
         if (!this.isConnected) {
-            throw new Error('LCS Agent에 연결되지 않음');
+            return this.enqueueOffline('controlAllLamps', args, target, () =>
+                this.client.packetBuilder.controlAllLamps(masterAddr, cuAddr, brightness, deviceType)
+            );
         }
-        return await this.client.controlAllLamps(masterAddr, cuAddr, brightness);
+        this.supersedeOffline(args, target);
+        return await this.scheduleCommand('controlAllLamps', args, { key: `brightness:${masterAddr}:${cuAddr}:all` });
     }
 
     /**
@@ -198,56 +891,195 @@ class LCSController {
         if (!this.isConnected) {
             throw new Error('LCS Agent에 연결되지 않음');
         }
-        return await this.client.getDeviceInfo();
+        return await this.scheduleCommand('getDeviceInfo', []);
     }
 
     /**
      * 고급 제어: 점진적 밝기 조절 (페이드 효과)
+     * 효과 작업으로 실행되며, 같은 조명을 대상으로 하는 새 명령/작업이 들어오면 취소됩니다.
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
      * @param {number} lampNo - 조명 번호
      * @param {number} startBrightness - 시작 밝기
      * @param {number} endBrightness - 끝 밝기
      * @param {number} duration - 지속 시간 (초)
-     * @returns {Promise<void>}
+     * @param {string} deviceType - 디바이스 타입 (릴레이 디바이스는 페이드 불가)
+     * @returns {Promise<LCSEffectJob>} 시작된 작업 (완료는 job.done)
      */
-    async fadeControl(masterAddr, cuAddr, lampNo, startBrightness, endBrightness, duration) {
+    async fadeControl(masterAddr, cuAddr, lampNo, startBrightness, endBrightness, duration, deviceType = 'LCS') {
         if (!this.isConnected) {
             throw new Error('LCS Agent에 연결되지 않음');
         }
 
+        const capabilities = LCSCommandRegistry.DEVICE_CAPABILITIES[deviceType];
+        if (capabilities && !capabilities.dimming) {
+            throw new LCSValidationError(
+                LCSValidationError.CODES.UNSUPPORTED_DEVICE,
+                `${deviceType} 디바이스는 ON/OFF만 지원하므로 페이드 제어를 할 수 없습니다.`,
+                { field: 'deviceType', value: deviceType }
+            );
+        }
+        if (!Number.isFinite(duration) || duration < 0 || duration > MAX_FADE_DURATION) {
+            const { CODES } = LCSValidationError;
+            throw new LCSValidationError(
+                Number.isFinite(duration) ? CODES.OUT_OF_RANGE : CODES.INVALID_TYPE,
+                `페이드 시간(duration)은 0-${MAX_FADE_DURATION}초 사이의 숫자여야 합니다: ${duration}`,
+                { field: 'duration', value: duration, min: 0, max: MAX_FADE_DURATION }
+            );
+        }
+        // 주소/조명 번호/밝기 검증 (작업이 시작된 뒤 실패하지 않도록)
+        for (const [field, brightness] of [
+            ['startBrightness', startBrightness],
+            ['endBrightness', endBrightness],
+        ]) {
+            try {
+                this.client.packetBuilder.buildCommand('controlLampDimming', {
+                    masterAddr,
+                    cuAddr,
+                    lampNo,
+                    brightness,
+                    deviceType,
+                });
+            } catch (error) {
+                if (error instanceof LCSValidationError && error.field === 'brightness') error.field = field;
+                throw error;
+            }
+        }
+
         const steps = 20;
         const stepDuration = (duration * 1000) / steps;
         const stepSize = (endBrightness - startBrightness) / steps;
+        const lamps = [{ masterAddr, cuAddr, lampNo }];
+        const params = { masterAddr, cuAddr, lampNo, startBrightness, endBrightness, duration, deviceType };
 
-        for (let i = 0; i <= steps; i++) {
-            const currentBrightness = Math.round(startBrightness + stepSize * i);
-            await this.controlLamp(masterAddr, cuAddr, lampNo, currentBrightness);
+        return this.effects.start('fade', { lamps, params }, async (job) => {
+            for (let i = 0; i <= steps; i++) {
+                await job.checkpoint();
+                const currentBrightness = Math.round(startBrightness + stepSize * i);
+                await this.scheduleCommand('controlLamp', [masterAddr, cuAddr, lampNo, currentBrightness, deviceType], {
+                    key: `brightness:${masterAddr}:${cuAddr}:${lampNo}`,
+                    priority: 'background',
+                });
+                job.setProgress(i + 1, steps + 1);
 
-            if (i < steps) {
-                await new Promise((resolve) => setTimeout(resolve, stepDuration));
+                if (i < steps) {
+                    await job.sleep(stepDuration);
+                }
             }
-        }
+        });
     }
 
     /**
      * 고급 제어: 순차적 조명 켜기 (웨이브 효과)
+     * 효과 작업으로 실행되며, 같은 조명을 대상으로 하는 새 명령/작업이 들어오면 취소됩니다.
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
-     * @param {Array} lampList - 조명 번호 배열
+     * @param {Array} lampList - 조명 번호 또는 { masterAddr, cuAddr, lampNo } 배열 (이 순서로 켜짐)
      * @param {number} brightness - 밝기 값
      * @param {number} interval - 간격 (밀리초)
-     * @returns {Promise<void>}
+     * @param {string} deviceType - 디바이스 타입
+     * @returns {Promise<LCSEffectJob>} 시작된 작업 (완료는 job.done)
+     */
+    async waveEffect(masterAddr, cuAddr, lampList, brightness, interval = 500, deviceType = 'LCS') {
+        if (!this.isConnected) {
+            throw new Error('LCS Agent에 연결되지 않음');
+        }
+
+        if (!Number.isFinite(interval) || interval < 0) {
+            const { CODES } = LCSValidationError;
+            throw new LCSValidationError(
+                Number.isFinite(interval) ? CODES.OUT_OF_RANGE : CODES.INVALID_TYPE,
+                `간격(interval)은 0 이상의 숫자(밀리초)여야 합니다: ${interval}`,
+                { field: 'interval', value: interval, min: 0 }
+            );
+        }
+        // 조명 목록/밝기 검증 (작업이 시작된 뒤 실패하지 않도록)
+        this.client.buildLampListFrames('controlLampBlock', { masterAddr, cuAddr, lampList, brightness, deviceType });
+
+        const lamps = this.normalizeLampList(masterAddr, cuAddr, lampList);
+        const params = { masterAddr, cuAddr, lampList, brightness, interval, deviceType };
+
+        return this.effects.start('wave', { lamps, params }, async (job) => {
+            for (let i = 0; i < lamps.length; i++) {
+                const lamp = lamps[i];
+                await job.checkpoint();
+                await this.scheduleCommand(
+                    'controlLamp',
+                    [lamp.masterAddr, lamp.cuAddr, lamp.lampNo, brightness, deviceType],
+                    { key: `brightness:${lamp.masterAddr}:${lamp.cuAddr}:${lamp.lampNo}`, priority: 'background' }
+                );
+                job.setProgress(i + 1, lamps.length);
+                await job.sleep(interval);
+            }
+        });
+    }
+
+    /**
+     * 고급 제어: 효과 라이브러리 실행 (breathe/pulse, chase, twinkle, strobe, colorTempSweep)
+     * 효과 작업으로 실행되며, 같은 조명의 같은 상태를 바꾸는 새 명령/작업이 들어오면 취소됩니다.
+     * @param {string} effect - 효과 이름 (LCSEffectLibrary.list() 참고)
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {Array} lampList - 조명 번호 배열 (체이스는 이 순서로 이동)
+     * @param {Object} options - 효과 파라미터 (easing, repeat 등)
+     * @param {string} deviceType - 디바이스 타입
+     * @returns {Promise<LCSEffectJob>} 시작된 작업 (완료는 job.done)
      */
-    async waveEffect(masterAddr, cuAddr, lampList, brightness, interval = 500) {
+    async runEffect(effect, masterAddr, cuAddr, lampList, options = {}, deviceType = 'LCS') {
         if (!this.isConnected) {
             throw new Error('LCS Agent에 연결되지 않음');
         }
 
-        for (const lampNo of lampList) {
-            await this.controlLamp(masterAddr, cuAddr, lampNo, brightness);
-            await new Promise((resolve) => setTimeout(resolve, interval));
+        const capabilities = LCSCommandRegistry.DEVICE_CAPABILITIES[deviceType];
+        const plan = LCSEffectLibrary.plan(effect, lampList, options, deviceType, capabilities);
+        const command = plan.attribute === 'colorTemp' ? 'controlLampColorTemp' : 'controlLampBlock';
+        // 주소/조명 번호 검증 (작업이 시작된 뒤 실패하지 않도록)
+        this.client.buildLampListFrames(command, { masterAddr, cuAddr, lampList, [plan.attribute]: 0, deviceType });
+
+        const lamps = this.normalizeLampList(masterAddr, cuAddr, lampList);
+        const params = { masterAddr, cuAddr, lampList, deviceType, ...plan.params };
+
+        return this.effects.start(plan.name, { lamps, attributes: [plan.attribute], params }, async (job) => {
+            const sent = new Map(); // 조명 번호 -> 마지막으로 보낸 값
+            let completed = 0;
+            for (const frame of plan.frames()) {
+                await job.checkpoint();
+                await this.sendEffectFrame(masterAddr, cuAddr, plan.attribute, frame.values, sent, deviceType);
+                job.setProgress(++completed, plan.totalFrames);
+                await job.sleep(frame.wait);
+            }
+        });
+    }
+
+    /**
+     * 효과 프레임 전송 (바뀐 조명만, 같은 값끼리 묶어 목록 명령으로)
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {string} attribute - 'brightness' | 'colorTemp'
+     * @param {Array} values - [[조명 번호, 값], ...]
+     * @param {Map} sent - 조명별 마지막으로 보낸 값 (갱신됨)
+     * @param {string} deviceType - 디바이스 타입
+     * @returns {Promise<void>}
+     */
+    async sendEffectFrame(masterAddr, cuAddr, attribute, values, sent, deviceType) {
+        const groups = new Map(); // 값 -> 조명 번호 배열
+        for (const [lampNo, value] of values) {
+            if (sent.get(lampNo) === value) continue;
+            if (!groups.has(value)) groups.set(value, []);
+            groups.get(value).push(lampNo);
         }
+
+        const method = attribute === 'colorTemp' ? 'controlColorTemperature' : 'controlLampBlock';
+        const command = attribute === 'colorTemp' ? 'controlLampColorTemp' : 'controlLampBlock';
+        await Promise.all(
+            Array.from(groups, ([value, lampList]) => {
+                const params = { masterAddr, cuAddr, lampList, [attribute]: value, deviceType };
+                return this.scheduleCommand(method, [masterAddr, cuAddr, lampList, value, deviceType], {
+                    ...this.getLampListSchedule(attribute, command, params),
+                    priority: 'background',
+                }).then(() => lampList.forEach((lampNo) => sent.set(lampNo, value)));
+            })
+        );
     }
 }
 
@@ -0,0 +1,200 @@
+const EventEmitter = require('events');
+const LCSCommandRegistry = require('./command-registry');
+const LCSValidationError = require('./validation-error');
+
+const { CODES } = LCSValidationError;
+
+/**
+ * LCS 버스 토폴로지 검색
+ *
+ * 마스터/CU 주소 범위를 훑으며 디바이스 타입별로 이름 조회(0xA2/0x05)를 보내고,
+ * 응답한 주소에는 밝기 조회(0x96/0x00)를 보내 조명 수를 확인합니다.
+ * 디바이스 타입마다 전체 주소를 한 번씩 훑으므로, 같은 주소에 대한 연속 조회가
+ * 늦은 응답 대기(lateResponseWindow)에 막히지 않습니다. 동시 조회 수는 concurrency로 제한합니다.
+ *
+ * 이벤트:
+ * - 'progress' ({ status, scanned, total, found, device }) - 주소/타입 조합 하나를 확인할 때마다
+ */
+class LCSDiscovery extends EventEmitter {
+    /**
+     * @param {LCSController} controller - 검색할 Agent의 컨트롤러
+     * @param {Object} options - 검색 옵션
+     * @param {Array} options.masters - 마스터 주소 범위 [시작, 끝] (기본값: [1, 8])
+     * @param {Array} options.cus - CU 주소 범위 [시작, 끝] (기본값: [1, 16])
+     * @param {Array} options.deviceTypes - 확인할 디바이스 타입 (기본값: ['LCS', 'RCU4', 'RCU8'])
+     * @param {number} options.concurrency - 동시에 확인할 주소 수 (기본값: 4)
+     * @param {number} options.timeout - 조회별 응답 대기 시간 (ms, 기본값: 500)
+     */
+    constructor(controller, options = {}) {
+        super();
+        this.controller = controller;
+        this.masters = this.parseRange('masters', options.masters || [1, 8]);
+        this.cus = this.parseRange('cus', options.cus || [1, 16]);
+        this.deviceTypes = options.deviceTypes || Object.keys(LCSCommandRegistry.DEVICE_TYPES);
+        this.concurrency = options.concurrency || 4;
+        this.timeout = options.timeout || 500;
+        this.cancelled = false;
+
+        for (const deviceType of this.deviceTypes) {
+            if (LCSCommandRegistry.DEVICE_TYPES[deviceType] === undefined) {
+                throw new LCSValidationError(
+                    CODES.UNKNOWN_DEVICE_TYPE,
+                    `알 수 없는 디바이스 타입입니다: ${deviceType}`,
+                    { field: 'deviceTypes', value: deviceType }
+                );
+            }
+        }
+
+        this.inventory = {
+            status: 'pending',
+            range: { masters: this.masters, cus: this.cus, deviceTypes: this.deviceTypes },
+            startedAt: null,
+            finishedAt: null,
+            scanned: 0,
+            total:
+                (this.masters[1] - this.masters[0] + 1) * (this.cus[1] - this.cus[0] + 1) * this.deviceTypes.length,
+            devices: [],
+            error: null,
+        };
+    }
+
+    /**
+     * 주소 범위 검증
+     * @param {string} field - 옵션 이름
+     * @param {Array} range - [시작, 끝]
+     * @returns {Array} [시작, 끝]
+     * @throws {LCSValidationError} 1-255 정수 범위가 아닌 경우
+     */
+    parseRange(field, range) {
+        const [from, to] = Array.isArray(range) ? range : [];
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to > 0xff || from > to) {
+            throw new LCSValidationError(CODES.OUT_OF_RANGE, `${field} 범위는 1-255 사이의 [시작, 끝] 이어야 합니다.`, {
+                field,
+                value: range,
+                min: 1,
+                max: 0xff,
+            });
+        }
+        return [from, to];
+    }
+
+    /**
+     * 검색 실행
+     * @returns {Promise<Object>} 인벤토리
+     */
+    async run() {
+        const tasks = [];
+        for (const deviceType of this.deviceTypes) {
+            for (let masterAddr = this.masters[0]; masterAddr <= this.masters[1]; masterAddr++) {
+                for (let cuAddr = this.cus[0]; cuAddr <= this.cus[1]; cuAddr++) {
+                    tasks.push({ masterAddr, cuAddr, deviceType });
+                }
+            }
+        }
+
+        this.inventory.status = 'running';
+        this.inventory.startedAt = new Date();
+        const found = new Set(); // 'master:cu' (이미 다른 타입으로 응답한 주소는 건너뜀)
+
+        const worker = async () => {
+            while (tasks.length > 0 && !this.cancelled) {
+                const { masterAddr, cuAddr, deviceType } = tasks.shift();
+                const key = `${masterAddr}:${cuAddr}`;
+                const device = found.has(key) ? null : await this.probe(masterAddr, cuAddr, deviceType);
+
+                this.inventory.scanned++;
+                if (device) {
+                    found.add(key);
+                    this.inventory.devices.push(device);
+                }
+                this.emitProgress(device);
+            }
+        };
+
+        try {
+            const workers = Array.from({ length: Math.min(this.concurrency, tasks.length) }, worker);
+            await Promise.all(workers);
+            this.inventory.status = this.cancelled ? 'cancelled' : 'completed';
+        } catch (error) {
+            this.inventory.status = 'failed';
+            this.inventory.error = error.message;
+        }
+
+        this.inventory.devices.sort((a, b) => a.masterAddr - b.masterAddr || a.cuAddr - b.cuAddr);
+        this.inventory.finishedAt = new Date();
+        this.emitProgress(null);
+        return this.getInventory();
+    }
+
+    /**
+     * 주소/타입 하나 확인: 이름을 조회하고, 응답하면 밝기 조회로 조명 수 확인
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {string} deviceType - 디바이스 타입
+     * @returns {Promise<Object|null>} { masterAddr, cuAddr, deviceType, name, lampCount, latency } 또는 null
+     */
+    async probe(masterAddr, cuAddr, deviceType) {
+        const params = { masterAddr, cuAddr, deviceType };
+        const options = { timeout: this.timeout, priority: 'background' };
+
+        let nameResponse;
+        try {
+            nameResponse = await this.controller.sendCommand('getDeviceName', params, options);
+        } catch (error) {
+            if (!this.controller.isConnected) throw error;
+            return null; // 응답 없음
+        }
+
+        const device = {
+            masterAddr,
+            cuAddr,
+            deviceType,
+            name: nameResponse.deviceName || null,
+            lampCount: null,
+            latency: nameResponse.latency,
+        };
+
+        try {
+            const brightness = await this.controller.sendCommand('getLampBrightness', params, options);
+            device.lampCount = Array.isArray(brightness.brightness) ? brightness.brightness.length : null;
+        } catch (error) {
+            if (!this.controller.isConnected) throw error;
+        }
+
+        return device;
+    }
+
+    /**
+     * 검색 중지 (확인 중인 주소까지만 처리)
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * 진행 상황 이벤트 발생
+     * @param {Object|null} device - 이번에 발견한 디바이스
+     */
+    emitProgress(device) {
+        this.emit('progress', {
+            status: this.inventory.status,
+            scanned: this.inventory.scanned,
+            total: this.inventory.total,
+            found: this.inventory.devices.length,
+            device,
+        });
+    }
+
+    /**
+     * 인벤토리 조회
+     * @returns {Object} 인벤토리 복사본
+     */
+    getInventory() {
+        return {
+            ...this.inventory,
+            devices: this.inventory.devices.map((device) => ({ ...device })),
+        };
+    }
+}
+
+module.exports = LCSDiscovery;
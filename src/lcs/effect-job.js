@@ -0,0 +1,214 @@
+const EventEmitter = require('events');
+
+let nextJobId = 0; // 프로세스 전체에서 고유한 작업 ID
+
+/**
+ * 효과 작업 (페이드, 웨이브 등 여러 프레임에 걸친 제어)
+ *
+ * 작업 본문은 단계마다 checkpoint()/sleep()을 호출하여 취소·일시정지를 반영합니다.
+ * 일시정지는 진행 중인 단계가 끝난 뒤 다음 단계 전에 적용됩니다.
+ *
+ * 이벤트:
+ * - 'status' (info) - 상태 변경 (running, paused, completed, cancelled, failed)
+ * - 'progress' (info) - 단계 진행
+ */
+class LCSEffectJob extends EventEmitter {
+    /**
+     * @param {string} type - 작업 종류 ('fade', 'wave' 등)
+     * @param {Object} options - { lamps: [{ masterAddr, cuAddr, lampNo }], attributes: 바꾸는 상태, params: 요청 인자 }
+     */
+    constructor(type, options = {}) {
+        super();
+        this.id = `job-${++nextJobId}`;
+        this.type = type;
+        this.lamps = options.lamps || [];
+        this.attributes = options.attributes || ['brightness'];
+        this.params = options.params || {};
+        this.status = 'pending';
+        this.progress = { completed: 0, total: 0 };
+        this.createdAt = new Date();
+        this.startedAt = null;
+        this.finishedAt = null;
+        this.error = null;
+        this.cancelReason = null;
+        this.cancelled = false;
+        this.resumeWaiters = [];
+        this.sleepTimer = null;
+        this.wakeUp = null;
+        this.done = null; // 작업이 끝나면 getInfo() 결과로 완료 (취소/실패 포함)
+    }
+
+    /**
+     * 작업 시작
+     * @param {Function} body - async (job) => void 작업 본문
+     * @returns {LCSEffectJob} this
+     */
+    start(body) {
+        this.status = 'running';
+        this.startedAt = new Date();
+        this.emit('status', this.getInfo());
+
+        this.done = Promise.resolve()
+            .then(() => body(this))
+            .then(
+                () => this.finish(this.cancelled ? 'cancelled' : 'completed'),
+                (error) => this.finish(this.cancelled ? 'cancelled' : 'failed', error)
+            );
+        return this;
+    }
+
+    /**
+     * 작업 종료 처리
+     * @param {string} status - 최종 상태
+     * @param {Error} error - 실패 원인
+     * @returns {Object} 작업 정보
+     */
+    finish(status, error = null) {
+        this.status = status;
+        this.finishedAt = new Date();
+        if (status === 'failed') {
+            this.error = error.message;
+        }
+        const info = this.getInfo();
+        this.emit('status', info);
+        return info;
+    }
+
+    /**
+     * 취소/일시정지 확인 (일시정지 중이면 재개될 때까지 대기)
+     * @returns {Promise<void>}
+     * @throws {Error} 취소된 경우
+     */
+    async checkpoint() {
+        while (this.status === 'paused' && !this.cancelled) {
+            await new Promise((resolve) => this.resumeWaiters.push(resolve));
+        }
+        if (this.cancelled) {
+            throw new Error(`작업이 취소되었습니다: ${this.cancelReason}`);
+        }
+    }
+
+    /**
+     * 단계 사이 대기 (취소되면 즉시 깨어남)
+     * @param {number} ms - 대기 시간
+     * @returns {Promise<void>}
+     */
+    async sleep(ms) {
+        await this.checkpoint();
+        if (ms > 0) {
+            await new Promise((resolve) => {
+                this.wakeUp = resolve;
+                this.sleepTimer = setTimeout(resolve, ms);
+            });
+            this.sleepTimer = null;
+            this.wakeUp = null;
+        }
+        await this.checkpoint();
+    }
+
+    /**
+     * 진행 상황 갱신
+     * @param {number} completed - 완료한 단계 수
+     * @param {number} total - 전체 단계 수
+     */
+    setProgress(completed, total) {
+        this.progress = { completed, total };
+        this.emit('progress', this.getInfo());
+    }
+
+    /**
+     * 끝난 작업인지 여부
+     * @returns {boolean} completed/cancelled/failed 여부
+     */
+    isFinished() {
+        return ['completed', 'cancelled', 'failed'].includes(this.status);
+    }
+
+    /**
+     * 작업 취소
+     * @param {string} reason - 취소 사유
+     * @returns {boolean} 취소 여부 (이미 끝난 작업이면 false)
+     */
+    cancel(reason = '사용자 요청') {
+        if (this.isFinished() || this.cancelled) return false;
+
+        this.cancelled = true;
+        this.cancelReason = reason;
+        if (this.sleepTimer) {
+            clearTimeout(this.sleepTimer);
+            this.wakeUp();
+        }
+        this.resumeWaiters.splice(0).forEach((resolve) => resolve());
+        return true;
+    }
+
+    /**
+     * 일시정지
+     * @returns {boolean} 일시정지 여부
+     */
+    pause() {
+        if (this.status !== 'running' || this.cancelled) return false;
+        this.status = 'paused';
+        this.emit('status', this.getInfo());
+        return true;
+    }
+
+    /**
+     * 재개
+     * @returns {boolean} 재개 여부
+     */
+    resume() {
+        if (this.status !== 'paused' || this.cancelled) return false;
+        this.status = 'running';
+        this.emit('status', this.getInfo());
+        this.resumeWaiters.splice(0).forEach((resolve) => resolve());
+        return true;
+    }
+
+    /**
+     * 대상 조명이 겹치는지 확인
+     * @param {Object} target - { lamps: [{ masterAddr, cuAddr, lampNo }] } 또는 { masterAddr, cuAddr } (CU 전체),
+     *                          attributes가 있으면 바꾸는 상태도 겹칠 때만 (없으면 모든 상태)
+     * @returns {boolean} 겹침 여부
+     */
+    overlaps(target) {
+        if (target.attributes && !target.attributes.some((attribute) => this.attributes.includes(attribute))) {
+            return false;
+        }
+
+        if (!target.lamps) {
+            return this.lamps.some(
+                (lamp) =>
+                    (target.masterAddr === 0 || target.masterAddr === lamp.masterAddr) &&
+                    (target.cuAddr === 0 || target.cuAddr === lamp.cuAddr)
+            );
+        }
+
+        const keys = new Set(target.lamps.map((lamp) => `${lamp.masterAddr}:${lamp.cuAddr}:${lamp.lampNo}`));
+        return this.lamps.some((lamp) => keys.has(`${lamp.masterAddr}:${lamp.cuAddr}:${lamp.lampNo}`));
+    }
+
+    /**
+     * 작업 정보
+     * @returns {Object} { id, type, status, lamps, attributes, params, progress, createdAt, startedAt, finishedAt, error, cancelReason }
+     */
+    getInfo() {
+        const { completed, total } = this.progress;
+        return {
+            id: this.id,
+            type: this.type,
+            status: this.status,
+            lamps: this.lamps,
+            attributes: this.attributes,
+            params: this.params,
+            progress: { completed, total, percent: total > 0 ? Math.round((completed / total) * 100) : 0 },
+            createdAt: this.createdAt,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            error: this.error,
+            cancelReason: this.cancelReason,
+        };
+    }
+}
+
+module.exports = LCSEffectJob;
@@ -0,0 +1,106 @@
+const EventEmitter = require('events');
+const LCSEffectJob = require('./effect-job');
+
+/**
+ * Agent별 효과 작업 목록
+ *
+ * 새 작업이나 새 제어 명령이 실행 중인 작업과 같은 조명을 대상으로 하면 이전 작업을 취소합니다
+ * (같은 조명에서 두 페이드가 서로 밝기를 덮어쓰지 않도록).
+ * 끝난 작업은 최근 maxFinished개까지 목록에 남깁니다.
+ *
+ * 이벤트:
+ * - 'job' ({ event: 'status' | 'progress', job }) - 작업 상태 변경/진행
+ */
+class LCSEffectJobs extends EventEmitter {
+    /**
+     * @param {Object} options - { maxFinished: 보관할 끝난 작업 수 (기본값: 50) }
+     */
+    constructor(options = {}) {
+        super();
+        this.jobs = new Map(); // jobId -> LCSEffectJob (생성 순서)
+        this.maxFinished = options.maxFinished || 50;
+    }
+
+    /**
+     * 작업 생성 및 시작
+     * @param {string} type - 작업 종류
+     * @param {Object} options - { lamps, attributes, params }
+     * @param {Function} body - async (job) => void 작업 본문
+     * @returns {LCSEffectJob} 시작된 작업
+     */
+    start(type, options, body) {
+        const job = new LCSEffectJob(type, options);
+        this.cancelConflicting({ lamps: job.lamps, attributes: job.attributes }, `새 작업 ${job.id}`);
+
+        job.on('status', (info) => {
+            this.emit('job', { event: 'status', job: info });
+            if (job.isFinished()) {
+                this.prune();
+            }
+        });
+        job.on('progress', (info) => this.emit('job', { event: 'progress', job: info }));
+
+        this.jobs.set(job.id, job);
+        console.log(`🎬 효과 작업 시작: ${job.id} (${type})`);
+        return job.start(body);
+    }
+
+    /**
+     * 대상이 겹치는 실행 중 작업 취소
+     * @param {Object} target - { lamps } 또는 { masterAddr, cuAddr } (CU 전체), attributes (선택)
+     * @param {string} reason - 취소 사유
+     * @returns {Array} 취소된 작업 ID
+     */
+    cancelConflicting(target, reason) {
+        const cancelled = [];
+        for (const job of this.jobs.values()) {
+            if (!job.isFinished() && job.overlaps(target) && job.cancel(reason)) {
+                console.log(`⏹️ 효과 작업 취소: ${job.id} (${reason})`);
+                cancelled.push(job.id);
+            }
+        }
+        return cancelled;
+    }
+
+    /**
+     * 오래된 끝난 작업 정리
+     */
+    prune() {
+        const finished = Array.from(this.jobs.values()).filter((job) => job.isFinished());
+        for (const job of finished.slice(0, Math.max(0, finished.length - this.maxFinished))) {
+            this.jobs.delete(job.id);
+        }
+    }
+
+    /**
+     * 작업 조회
+     * @param {string} jobId - 작업 ID
+     * @returns {LCSEffectJob|null} 작업
+     */
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    /**
+     * 작업 목록
+     * @returns {Array} 작업 정보 배열 (생성 순서)
+     */
+    list() {
+        return Array.from(this.jobs.values()).map((job) => job.getInfo());
+    }
+
+    /**
+     * 실행 중인 모든 작업 취소
+     * @param {string} reason - 취소 사유
+     * @returns {number} 취소된 작업 수
+     */
+    cancelAll(reason) {
+        let count = 0;
+        for (const job of this.jobs.values()) {
+            if (job.cancel(reason)) count++;
+        }
+        return count;
+    }
+}
+
+module.exports = LCSEffectJobs;
@@ -0,0 +1,412 @@
+const LCSValidationError = require('./validation-error');
+
+const { CODES } = LCSValidationError;
+
+/**
+ * 이징 곡선 (진행률 0-1 -> 출력 0-1)
+ * - logarithmic: 어두운 구간에서 빠르게 변해 사람 눈에 고르게 보이는 디밍 곡선
+ */
+const EASINGS = {
+    linear: (t) => t,
+    'ease-in-out': (t) => (1 - Math.cos(Math.PI * t)) / 2,
+    logarithmic: (t) => Math.log10(1 + 9 * t),
+};
+
+// 광과민성 발작 예방 기준 (초당 3회 이하 점멸)
+const MAX_STROBE_RATE = 3;
+
+// 최소 프레임 간격 (ms, 스케줄러 기본 20fps)
+const MIN_FRAME_INTERVAL = 50;
+
+// 효과 이름 별칭
+const ALIASES = {
+    pulse: 'breathe',
+};
+
+/**
+ * 공통 파라미터 정의
+ * type: 'number' | 'integer' | 'boolean' | 'enum', default가 undefined면 선택 항목
+ */
+const EASING_PARAM = {
+    type: 'enum',
+    values: Object.keys(EASINGS),
+    default: 'linear',
+    description: '이징 곡선',
+};
+const REPEAT_PARAM = {
+    type: 'integer',
+    min: 0,
+    max: 10000,
+    default: 1,
+    description: '반복 횟수 (0이면 취소할 때까지)',
+};
+const BRIGHTNESS = { type: 'integer', min: 0, max: 100 };
+
+/**
+ * 효과 정의
+ * - attribute: 바꾸는 상태 ('brightness' | 'colorTemp')
+ * - capability: 필요한 디바이스 기능 (DEVICE_CAPABILITIES 키, null이면 릴레이 포함 모든 디바이스)
+ * - cycle(lampList, params, random): 한 주기의 프레임 [{ values: [[조명 번호, 값], ...], wait: ms }]
+ * - finish(lampList, params): 마지막 주기 뒤에 보낼 프레임 (선택)
+ * - frameInterval(params): 시간과 프레임 수로 정해지는 프레임 간격 (ms, MIN_FRAME_INTERVAL 이상, 선택)
+ */
+const EFFECTS = {
+    breathe: {
+        description: '숨쉬기/펄스: 모든 조명이 최소와 최대 밝기 사이를 주기적으로 오르내림',
+        attribute: 'brightness',
+        capability: 'dimming',
+        params: {
+            minBrightness: { ...BRIGHTNESS, default: 0, description: '최소 밝기' },
+            maxBrightness: { ...BRIGHTNESS, default: 100, description: '최대 밝기' },
+            period: { type: 'number', min: 0.5, max: 600, default: 4, description: '한 주기 시간 (초)' },
+            steps: { type: 'integer', min: 4, max: 200, default: 20, description: '한 주기의 프레임 수' },
+            easing: EASING_PARAM,
+            repeat: REPEAT_PARAM,
+        },
+        cycle(lampList, params) {
+            const { minBrightness, maxBrightness, period, steps, easing } = params;
+            const frames = [];
+            for (let i = 0; i < steps; i++) {
+                const phase = (i / steps) * 2;
+                const t = phase <= 1 ? phase : 2 - phase;
+                const value = interpolate(minBrightness, maxBrightness, EASINGS[easing](t));
+                frames.push({ values: lampList.map((lampNo) => [lampNo, value]), wait: (period * 1000) / steps });
+            }
+            return frames;
+        },
+        finish: (lampList, params) => ({ values: lampList.map((lampNo) => [lampNo, params.minBrightness]) }),
+        frameInterval: (params) => (params.period * 1000) / params.steps,
+    },
+
+    chase: {
+        description: '체이스: width개 조명 묶음이 목록 순서대로 이동 (꼬리는 easing 곡선으로 어두워짐)',
+        attribute: 'brightness',
+        capability: 'dimming', // 릴레이 접점 보호
+        params: {
+            brightness: { ...BRIGHTNESS, default: 100, description: '앞쪽 조명 밝기' },
+            backgroundBrightness: { ...BRIGHTNESS, default: 0, description: '나머지 조명 밝기' },
+            width: { type: 'integer', min: 1, max: 64, default: 1, description: '한 번에 켜지는 조명 수' },
+            direction: {
+                type: 'enum',
+                values: ['forward', 'reverse', 'bounce'],
+                default: 'forward',
+                description: '이동 방향 (bounce는 한 주기에 왕복)',
+            },
+            interval: { type: 'integer', min: 50, max: 60000, default: 200, description: '이동 간격 (ms)' },
+            easing: EASING_PARAM,
+            repeat: REPEAT_PARAM,
+        },
+        cycle(lampList, params) {
+            const { direction } = params;
+            const forward = direction === 'reverse' ? lampList.slice().reverse() : lampList;
+            const frames = chasePass(forward, params);
+            if (direction === 'bounce') {
+                frames.push(...chasePass(lampList.slice().reverse(), params));
+            }
+            return frames;
+        },
+    },
+
+    twinkle: {
+        description: '반짝임: 매 프레임 무작위로 고른 조명이 무작위 밝기로 반짝이고 나머지는 최소 밝기',
+        attribute: 'brightness',
+        capability: 'dimming',
+        params: {
+            minBrightness: { ...BRIGHTNESS, default: 10, description: '기본(최소) 밝기' },
+            maxBrightness: { ...BRIGHTNESS, default: 100, description: '최대 밝기' },
+            density: { type: 'number', min: 0.01, max: 1, default: 0.3, description: '프레임마다 반짝이는 조명 비율' },
+            interval: { type: 'integer', min: 50, max: 60000, default: 300, description: '프레임 간격 (ms)' },
+            steps: { type: 'integer', min: 1, max: 1000, default: 20, description: '한 주기의 프레임 수' },
+            seed: { type: 'integer', min: 0, max: 0xffffffff, description: '난수 시드 (같은 시드는 같은 패턴)' },
+            easing: { ...EASING_PARAM, description: '반짝이는 밝기 분포 곡선' },
+            repeat: REPEAT_PARAM,
+        },
+        cycle(lampList, params, random) {
+            const { minBrightness, maxBrightness, density, interval, steps, easing } = params;
+            const frames = [];
+            for (let i = 0; i < steps; i++) {
+                const values = lampList.map((lampNo) => {
+                    if (random() >= density) return [lampNo, minBrightness];
+                    return [lampNo, interpolate(minBrightness, maxBrightness, EASINGS[easing](random()))];
+                });
+                frames.push({ values, wait: interval });
+            }
+            return frames;
+        },
+        finish: (lampList, params) => ({ values: lampList.map((lampNo) => [lampNo, params.minBrightness]) }),
+    },
+
+    strobe: {
+        description: `스트로브: 모든 조명이 함께 점멸 (초당 ${MAX_STROBE_RATE}회 이하, 반복 횟수는 점멸 횟수)`,
+        attribute: 'brightness',
+        capability: 'dimming', // 릴레이 접점 보호
+        params: {
+            brightness: { ...BRIGHTNESS, default: 100, description: '켜짐 밝기' },
+            offBrightness: { ...BRIGHTNESS, default: 0, description: '꺼짐 밝기' },
+            rate: { type: 'number', min: 0.1, max: MAX_STROBE_RATE, default: 2, description: '초당 점멸 횟수' },
+            duty: { type: 'number', min: 0.1, max: 0.9, default: 0.5, description: '켜져 있는 시간 비율' },
+            repeat: { ...REPEAT_PARAM, default: 10 },
+        },
+        cycle(lampList, params) {
+            const { brightness, offBrightness, rate, duty } = params;
+            const period = 1000 / rate;
+            return [
+                { values: lampList.map((lampNo) => [lampNo, brightness]), wait: period * duty },
+                { values: lampList.map((lampNo) => [lampNo, offBrightness]), wait: period * (1 - duty) },
+            ];
+        },
+    },
+
+    colorTempSweep: {
+        description: '색온도 스윕: 시작 색온도에서 끝 색온도로 변화 (alternate면 다시 시작 색온도로)',
+        attribute: 'colorTemp',
+        capability: 'colorTemperature',
+        params: {
+            startColorTemp: { ...BRIGHTNESS, default: 0, description: '시작 색온도 (0-100)' },
+            endColorTemp: { ...BRIGHTNESS, default: 100, description: '끝 색온도 (0-100)' },
+            duration: { type: 'number', min: 0.5, max: 3600, default: 10, description: '한 방향 변화 시간 (초)' },
+            steps: { type: 'integer', min: 2, max: 200, default: 20, description: '한 방향 변화의 프레임 수' },
+            alternate: { type: 'boolean', default: false, description: '한 주기에 왕복' },
+            easing: EASING_PARAM,
+            repeat: REPEAT_PARAM,
+        },
+        cycle(lampList, params) {
+            const { startColorTemp, endColorTemp, duration, steps, alternate, easing } = params;
+            const positions = [];
+            for (let i = 0; i <= steps; i++) positions.push(i);
+            if (alternate) {
+                for (let i = steps - 1; i >= 0; i--) positions.push(i);
+            }
+            return positions.map((i) => ({
+                values: lampList.map((lampNo) => [
+                    lampNo,
+                    interpolate(startColorTemp, endColorTemp, EASINGS[easing](i / steps)),
+                ]),
+                wait: (duration * 1000) / steps,
+            }));
+        },
+        frameInterval: (params) => (params.duration * 1000) / params.steps,
+    },
+};
+
+/**
+ * 두 값 사이 보간 (정수 반올림)
+ * @param {number} from - 시작 값
+ * @param {number} to - 끝 값
+ * @param {number} t - 진행률 (0-1)
+ * @returns {number} 보간 값
+ */
+function interpolate(from, to, t) {
+    return Math.round(from + (to - from) * t);
+}
+
+/**
+ * 체이스 한 방향 이동 프레임 (마지막 프레임은 모두 배경 밝기)
+ * @param {Array} order - 이동 순서의 조명 번호
+ * @param {Object} params - 체이스 파라미터
+ * @returns {Array} 프레임 목록
+ */
+function chasePass(order, params) {
+    const { brightness, backgroundBrightness, width, interval, easing } = params;
+    const frames = [];
+    for (let head = 0; head <= order.length + width - 1; head++) {
+        const values = order.map((lampNo, index) => {
+            const distance = head - index;
+            if (distance < 0 || distance >= width) return [lampNo, backgroundBrightness];
+            return [lampNo, interpolate(backgroundBrightness, brightness, EASINGS[easing](1 - distance / width))];
+        });
+        frames.push({ values, wait: interval });
+    }
+    return frames;
+}
+
+/**
+ * 시드 난수 생성기 (mulberry32)
+ * @param {number} seed - 시드
+ * @returns {Function} () => 0 이상 1 미만 난수
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 조명 효과 라이브러리
+ *
+ * 효과 파라미터를 검증하고 전송할 프레임을 만듭니다 (전송과 취소/일시정지는 LCSController.runEffect와
+ * LCSEffectJob이 담당). 효과는 한 주기의 프레임을 repeat번 반복하며, repeat이 0이면 취소할 때까지 반복합니다.
+ */
+class LCSEffectLibrary {
+    /**
+     * 효과 목록 (파라미터 정의 포함)
+     * @returns {Array} [{ name, description, attribute, capability, params }]
+     */
+    static list() {
+        return Object.entries(EFFECTS).map(([name, effect]) => ({
+            name,
+            description: effect.description,
+            attribute: effect.attribute,
+            capability: effect.capability,
+            params: effect.params,
+        }));
+    }
+
+    /**
+     * 효과 정의 조회 (별칭 포함)
+     * @param {string} name - 효과 이름
+     * @returns {Object} { name, effect }
+     * @throws {LCSValidationError} 알 수 없는 효과
+     */
+    static resolve(name) {
+        const resolved = ALIASES[name] || name;
+        if (!Object.prototype.hasOwnProperty.call(EFFECTS, resolved)) {
+            throw new LCSValidationError(
+                CODES.OUT_OF_RANGE,
+                `알 수 없는 효과입니다: ${name} (사용 가능: ${Object.keys(EFFECTS).join(', ')})`,
+                { field: 'effect', value: name }
+            );
+        }
+        return { name: resolved, effect: EFFECTS[resolved] };
+    }
+
+    /**
+     * 효과 실행 계획 생성
+     * @param {string} name - 효과 이름 ('breathe'/'pulse', 'chase', 'twinkle', 'strobe', 'colorTempSweep')
+     * @param {Array} lampList - 조명 번호 배열 (체이스는 이 순서로 이동)
+     * @param {Object} options - 효과 파라미터 (정의되지 않은 값은 기본값)
+     * @param {string} deviceType - 디바이스 타입
+     * @param {Object} capabilities - 디바이스 기능 (DEVICE_CAPABILITIES[deviceType])
+     * @returns {Object} { name, attribute, params, totalFrames, frames: () => Iterator<{ values, wait }> }
+     * @throws {LCSValidationError} 파라미터가 잘못되었거나 디바이스가 지원하지 않는 경우
+     */
+    static plan(name, lampList, options = {}, deviceType = 'LCS', capabilities = null) {
+        const { name: effectName, effect } = LCSEffectLibrary.resolve(name);
+
+        if (effect.capability && capabilities && !capabilities[effect.capability]) {
+            throw new LCSValidationError(
+                CODES.UNSUPPORTED_DEVICE,
+                `${deviceType} 디바이스는 '${effectName}' 효과를 지원하지 않습니다 (${effect.capability} 필요).`,
+                { field: 'deviceType', value: deviceType }
+            );
+        }
+
+        if (!Array.isArray(lampList)) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, '조명 번호 배열(lampList)이 필요합니다.', {
+                field: 'lampList',
+                value: lampList,
+            });
+        }
+        if (lampList.length === 0) {
+            throw new LCSValidationError(CODES.EMPTY_LIST, '조명 번호 배열이 비어 있습니다.', { field: 'lampList' });
+        }
+
+        const params = LCSEffectLibrary.parseParams(effectName, effect.params, options);
+        // 스케줄러가 보낼 수 있는 것보다 빠른 프레임은 병합되어 사라지므로 거부
+        const frameInterval = effect.frameInterval ? effect.frameInterval(params) : null;
+        if (frameInterval !== null && frameInterval < MIN_FRAME_INTERVAL) {
+            throw new LCSValidationError(
+                CODES.OUT_OF_RANGE,
+                `${effectName} 효과의 프레임 간격은 ${MIN_FRAME_INTERVAL}ms 이상이어야 합니다 ` +
+                    `(${Math.round(frameInterval * 10) / 10}ms, steps를 줄이거나 시간을 늘리세요).`,
+                {
+                    field: 'steps',
+                    value: params.steps,
+                    max: Math.floor((frameInterval * params.steps) / MIN_FRAME_INTERVAL),
+                }
+            );
+        }
+        if (params.width !== undefined && params.width > lampList.length) {
+            throw new LCSValidationError(CODES.OUT_OF_RANGE, 'width는 조명 수보다 클 수 없습니다.', {
+                field: 'width',
+                value: params.width,
+                max: lampList.length,
+            });
+        }
+
+        const random = params.seed !== undefined ? seededRandom(params.seed) : Math.random;
+        const cycleLength = effect.cycle(lampList, params, () => 0).length;
+        const totalFrames = params.repeat > 0 ? params.repeat * cycleLength + (effect.finish ? 1 : 0) : 0;
+
+        function* frames() {
+            for (let i = 0; params.repeat === 0 || i < params.repeat; i++) {
+                const cycle = effect.cycle(lampList, params, random);
+                const isLastCycle = i === params.repeat - 1;
+                for (let j = 0; j < cycle.length; j++) {
+                    const isLast = isLastCycle && j === cycle.length - 1 && !effect.finish;
+                    yield isLast ? { values: cycle[j].values, wait: 0 } : cycle[j];
+                }
+            }
+            if (effect.finish) {
+                yield { ...effect.finish(lampList, params), wait: 0 };
+            }
+        }
+
+        return { name: effectName, attribute: effect.attribute, params, totalFrames, frames };
+    }
+
+    /**
+     * 파라미터 검증 및 기본값 적용
+     * @param {string} effectName - 효과 이름
+     * @param {Object} definitions - 파라미터 정의
+     * @param {Object} options - 입력 값
+     * @returns {Object} 검증된 파라미터
+     * @throws {LCSValidationError} 잘못된 값
+     */
+    static parseParams(effectName, definitions, options) {
+        const params = {};
+        for (const [field, definition] of Object.entries(definitions)) {
+            const value = options[field];
+            if (value === undefined || value === null) {
+                if (definition.default !== undefined) params[field] = definition.default;
+                continue;
+            }
+
+            if (definition.type === 'enum') {
+                if (!definition.values.includes(value)) {
+                    throw new LCSValidationError(
+                        CODES.OUT_OF_RANGE,
+                        `${effectName} 효과의 ${field}는 ${definition.values.join(', ')} 중 하나여야 합니다.`,
+                        { field, value }
+                    );
+                }
+            } else if (definition.type === 'boolean') {
+                if (typeof value !== 'boolean') {
+                    throw new LCSValidationError(
+                        CODES.INVALID_TYPE,
+                        `${effectName} 효과의 ${field}는 true/false여야 합니다.`,
+                        { field, value }
+                    );
+                }
+            } else {
+                const integer = definition.type === 'integer';
+                if (!(integer ? Number.isInteger(value) : Number.isFinite(value))) {
+                    throw new LCSValidationError(
+                        CODES.INVALID_TYPE,
+                        `${effectName} 효과의 ${field}는 ${integer ? '정수' : '숫자'}여야 합니다.`,
+                        { field, value }
+                    );
+                }
+                if (value < definition.min || value > definition.max) {
+                    throw new LCSValidationError(
+                        CODES.OUT_OF_RANGE,
+                        `${effectName} 효과의 ${field}는 ${definition.min}-${definition.max} 사이여야 합니다.`,
+                        { field, value, min: definition.min, max: definition.max }
+                    );
+                }
+            }
+            params[field] = value;
+        }
+        return params;
+    }
+}
+
+LCSEffectLibrary.EASINGS = EASINGS;
+LCSEffectLibrary.MAX_STROBE_RATE = MAX_STROBE_RATE;
+
+module.exports = LCSEffectLibrary;
@@ -0,0 +1,291 @@
+const LCSCommandRegistry = require('./command-registry');
+const LCSValidationError = require('./validation-error');
+
+const { CODES } = LCSValidationError;
+
+// 조명 번호 최대값 (색온도는 LCS만 지원)
+const MAX_LAMP_NO = LCSCommandRegistry.DEVICE_CAPABILITIES.LCS.channels;
+
+const DEFAULT_PROFILE = {
+    name: 'default',
+    description: '기본 프로파일 (2700K-6500K 선형)',
+    warmKelvin: 2700,
+    coolKelvin: 6500,
+};
+
+/**
+ * 조명기구 색온도 프로파일
+ *
+ * 장비의 색온도 값(0=가장 따뜻함, 100=가장 차가움)과 Kelvin 값을 서로 변환합니다.
+ * 프로파일은 warmKelvin/coolKelvin 사이를 선형으로 잇거나, points([[값, Kelvin], ...])로
+ * 구간별 선형(비선형 곡선) 변환을 정의합니다.
+ * 프로파일은 Agent의 CU 또는 조명 단위로 지정하며, 조명 > CU > 'default' 순으로 적용됩니다.
+ */
+class LCSFixtureProfiles {
+    constructor() {
+        this.profiles = new Map(); // name -> 정규화된 프로파일
+        this.assignments = new Map(); // 'agentId:master:cu[:lamp]' -> { agentId, masterAddr, cuAddr, lampNo, profile }
+        this.define(DEFAULT_PROFILE);
+    }
+
+    /**
+     * 프로파일 정의 (같은 이름이 있으면 교체)
+     * @param {Object} definition - { name, description, warmKelvin, coolKelvin, points: [[값, Kelvin], ...] }
+     * @returns {Object} 정규화된 프로파일
+     * @throws {LCSValidationError} 정의가 잘못된 경우
+     */
+    define(definition) {
+        const { name } = definition;
+        if (!name || typeof name !== 'string') {
+            throw new LCSValidationError(CODES.REQUIRED, '프로파일 이름(name)이 필요합니다.', { field: 'name' });
+        }
+
+        let points;
+        if (definition.points !== undefined) {
+            points = this.parsePoints(name, definition.points);
+        } else {
+            const { warmKelvin, coolKelvin } = definition;
+            for (const [field, value] of Object.entries({ warmKelvin, coolKelvin })) {
+                if (!Number.isFinite(value) || value <= 0) {
+                    throw new LCSValidationError(
+                        CODES.INVALID_TYPE,
+                        `프로파일 '${name}'의 ${field}는 양수(Kelvin)여야 합니다.`,
+                        { field, value }
+                    );
+                }
+            }
+            if (warmKelvin === coolKelvin) {
+                throw new LCSValidationError(
+                    CODES.OUT_OF_RANGE,
+                    `프로파일 '${name}'의 warmKelvin과 coolKelvin이 같습니다.`,
+                    { field: 'coolKelvin', value: coolKelvin }
+                );
+            }
+            points = [
+                [0, warmKelvin],
+                [100, coolKelvin],
+            ];
+        }
+
+        const profile = {
+            name,
+            description: definition.description || name,
+            warmKelvin: points[0][1],
+            coolKelvin: points[points.length - 1][1],
+            minKelvin: Math.min(points[0][1], points[points.length - 1][1]),
+            maxKelvin: Math.max(points[0][1], points[points.length - 1][1]),
+            points,
+            linear: definition.points === undefined,
+        };
+
+        this.profiles.set(name, profile);
+        return profile;
+    }
+
+    /**
+     * 변환 곡선 검증
+     * 값은 0에서 시작해 100에서 끝나는 오름차순, Kelvin은 한 방향으로만 변해야 합니다.
+     * @param {string} name - 프로파일 이름
+     * @param {Array} points - [[값, Kelvin], ...]
+     * @returns {Array} 값 기준으로 정렬된 점 목록
+     */
+    parsePoints(name, points) {
+        const invalid = (message) =>
+            new LCSValidationError(CODES.OUT_OF_RANGE, `프로파일 '${name}'의 points ${message}`, {
+                field: 'points',
+                value: points,
+            });
+
+        if (!Array.isArray(points) || points.length < 2) {
+            throw invalid('는 [값, Kelvin] 쌍이 2개 이상 필요합니다.');
+        }
+
+        const sorted = points.map((point) => {
+            if (!Array.isArray(point) || !Number.isFinite(point[0]) || !Number.isFinite(point[1]) || point[1] <= 0) {
+                throw invalid(`항목이 잘못되었습니다: ${JSON.stringify(point)}`);
+            }
+            return [point[0], point[1]];
+        });
+        sorted.sort((a, b) => a[0] - b[0]);
+
+        if (sorted[0][0] !== 0 || sorted[sorted.length - 1][0] !== 100) {
+            throw invalid('는 값 0과 100을 모두 포함해야 합니다.');
+        }
+
+        const direction = Math.sign(sorted[sorted.length - 1][1] - sorted[0][1]);
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i][0] === sorted[i - 1][0] || Math.sign(sorted[i][1] - sorted[i - 1][1]) !== direction) {
+                throw invalid('의 Kelvin 값은 한 방향으로만 변해야 합니다.');
+            }
+        }
+
+        return sorted;
+    }
+
+    /**
+     * 프로파일 삭제 ('default'는 삭제 불가, 지정된 곳은 'default'로 돌아감)
+     * @param {string} name - 프로파일 이름
+     * @returns {boolean} 삭제 여부
+     */
+    remove(name) {
+        if (name === DEFAULT_PROFILE.name || !this.profiles.has(name)) {
+            return false;
+        }
+
+        this.profiles.delete(name);
+        for (const [key, assignment] of this.assignments) {
+            if (assignment.profile === name) {
+                this.assignments.delete(key);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 프로파일 목록
+     * @returns {Array} 프로파일 배열
+     */
+    list() {
+        return Array.from(this.profiles.values()).map((profile) => ({ ...profile }));
+    }
+
+    /**
+     * 지정 키 생성
+     * @param {Object} target - { agentId, masterAddr, cuAddr, lampNo }
+     * @returns {string} 지정 키
+     */
+    getAssignmentKey({ agentId, masterAddr, cuAddr, lampNo }) {
+        const base = `${agentId}:${masterAddr}:${cuAddr}`;
+        return lampNo === undefined || lampNo === null ? base : `${base}:${lampNo}`;
+    }
+
+    /**
+     * CU 또는 조명에 프로파일 지정
+     * @param {Object} target - { agentId, masterAddr, cuAddr, lampNo (생략 시 CU 전체) }
+     * @param {string} profileName - 프로파일 이름
+     * @returns {Object} { ...target, profile }
+     * @throws {LCSValidationError} 프로파일이 없거나 주소/조명 번호가 잘못된 경우
+     */
+    assign(target, profileName) {
+        if (!this.profiles.has(profileName)) {
+            throw new LCSValidationError(CODES.UNKNOWN_PROFILE, `프로파일을 찾을 수 없습니다: ${profileName}`, {
+                field: 'profile',
+                value: profileName,
+            });
+        }
+        for (const field of ['masterAddr', 'cuAddr']) {
+            const value = target[field];
+            if (!Number.isInteger(value) || value < 1 || value > 255) {
+                throw new LCSValidationError(CODES.INVALID_ADDRESS, `${field}는 1-255 정수여야 합니다: ${value}`, {
+                    field,
+                    value,
+                    min: 1,
+                    max: 255,
+                });
+            }
+        }
+        const hasLamp = target.lampNo !== undefined && target.lampNo !== null;
+        if (hasLamp && (!Number.isInteger(target.lampNo) || target.lampNo < 1 || target.lampNo > MAX_LAMP_NO)) {
+            throw new LCSValidationError(
+                Number.isInteger(target.lampNo) ? CODES.OUT_OF_RANGE : CODES.INVALID_TYPE,
+                `lampNo는 1-${MAX_LAMP_NO} 정수여야 합니다: ${target.lampNo}`,
+                { field: 'lampNo', value: target.lampNo, min: 1, max: MAX_LAMP_NO }
+            );
+        }
+
+        const assignment = {
+            agentId: target.agentId,
+            masterAddr: target.masterAddr,
+            cuAddr: target.cuAddr,
+            lampNo: hasLamp ? target.lampNo : null,
+            profile: profileName,
+        };
+        this.assignments.set(this.getAssignmentKey(assignment), assignment);
+        return { ...assignment };
+    }
+
+    /**
+     * 프로파일 지정 해제
+     * @param {Object} target - { agentId, masterAddr, cuAddr, lampNo }
+     * @returns {boolean} 해제 여부
+     */
+    unassign(target) {
+        return this.assignments.delete(this.getAssignmentKey(target));
+    }
+
+    /**
+     * 지정 목록
+     * @param {string} agentId - Agent ID (생략 시 전체)
+     * @returns {Array} [{ agentId, masterAddr, cuAddr, lampNo, profile }]
+     */
+    listAssignments(agentId = null) {
+        return Array.from(this.assignments.values())
+            .filter((assignment) => !agentId || assignment.agentId === agentId)
+            .map((assignment) => ({ ...assignment }));
+    }
+
+    /**
+     * 조명에 적용되는 프로파일 (조명 > CU > 'default')
+     * @param {string} agentId - Agent ID
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {number} lampNo - 조명 번호
+     * @returns {Object} 프로파일
+     */
+    resolve(agentId, masterAddr, cuAddr, lampNo) {
+        const target = { agentId, masterAddr, cuAddr };
+        const assignment =
+            this.assignments.get(this.getAssignmentKey({ ...target, lampNo })) ||
+            this.assignments.get(this.getAssignmentKey(target));
+        return this.profiles.get(assignment ? assignment.profile : DEFAULT_PROFILE.name);
+    }
+
+    /**
+     * Kelvin → 장비 색온도 값 (0-100)
+     * @param {Object} profile - 프로파일
+     * @param {number} kelvin - 색온도 (K)
+     * @returns {number} 장비 값 (0-100 정수)
+     * @throws {LCSValidationError} 프로파일 범위를 벗어난 경우
+     */
+    kelvinToValue(profile, kelvin) {
+        const { minKelvin, maxKelvin } = profile;
+        if (!Number.isFinite(kelvin) || kelvin < minKelvin || kelvin > maxKelvin) {
+            throw new LCSValidationError(
+                Number.isFinite(kelvin) ? CODES.OUT_OF_RANGE : CODES.INVALID_TYPE,
+                `색온도는 ${minKelvin}K-${maxKelvin}K 사이여야 합니다 (프로파일 '${profile.name}'): ${kelvin}`,
+                { field: 'kelvin', value: kelvin, min: minKelvin, max: maxKelvin, profile: profile.name }
+            );
+        }
+
+        const { points } = profile;
+        for (let i = 1; i < points.length; i++) {
+            const [v0, k0] = points[i - 1];
+            const [v1, k1] = points[i];
+            if ((kelvin - k0) * (kelvin - k1) <= 0) {
+                return Math.round(v0 + ((kelvin - k0) / (k1 - k0)) * (v1 - v0));
+            }
+        }
+        return 100;
+    }
+
+    /**
+     * 장비 색온도 값 (0-100) → Kelvin
+     * @param {Object} profile - 프로파일
+     * @param {number} value - 장비 값
+     * @returns {number} 색온도 (K, 정수)
+     */
+    valueToKelvin(profile, value) {
+        const { points } = profile;
+        const clamped = Math.min(100, Math.max(0, value));
+        for (let i = 1; i < points.length; i++) {
+            const [v0, k0] = points[i - 1];
+            const [v1, k1] = points[i];
+            if (clamped <= v1) {
+                return Math.round(k0 + ((clamped - v0) / (v1 - v0)) * (k1 - k0));
+            }
+        }
+        return points[points.length - 1][1];
+    }
+}
+
+module.exports = LCSFixtureProfiles;
@@ -0,0 +1,209 @@
+const EventEmitter = require('events');
+const LCSPacketBuilder = require('./packet-builder');
+
+const MIN_FRAME_LENGTH = 18; // STX(1) + Length(2) + DestAddr(5) + SrcAddr(5) + OP1(1) + OP2(1) + BCC(2) + ETX(1)
+
+/**
+ * LCS 프레임 스트림 디코더
+ *
+ * TCP로 조각나서 들어오는 바이트 스트림에서 STX를 찾아 프레임을 분리하고,
+ * 길이(Big Endian)/ETX/BCC를 검증합니다. 잘못된 바이트는 버리고 다음 STX에서 다시 동기화합니다.
+ *
+ * 이벤트:
+ * - 'frame' (packetInfo) - 검증된 프레임
+ * - 'frame_error' ({ reason, message, bytes, hex }) - 버려진 바이트와 사유
+ */
+class LCSFrameDecoder extends EventEmitter {
+    /**
+     * @param {Object} options - 디코더 옵션
+     * @param {number} options.maxFrameLength - 허용하는 최대 프레임 길이 (기본값: 1024)
+     * @param {number} options.frameTimeout - 미완성 프레임을 기다리는 최대 시간 (ms, 기본값: 1000)
+     */
+    constructor(options = {}) {
+        super();
+        this.packetBuilder = new LCSPacketBuilder();
+        this.maxFrameLength = options.maxFrameLength || 1024;
+        this.frameTimeout = options.frameTimeout || 1000;
+        this.buffer = Buffer.alloc(0);
+        this.partialTimer = null;
+        this.stats = this.createStats();
+    }
+
+    /**
+     * 빈 통계 객체 생성
+     * @returns {Object} 통계
+     */
+    createStats() {
+        return {
+            framesDecoded: 0,
+            framesDropped: 0,
+            bytesDiscarded: 0,
+            dropReasons: {},
+            lastError: null,
+        };
+    }
+
+    /**
+     * 수신 데이터 추가 및 완성된 프레임 처리
+     * @param {Buffer} chunk - 수신된 데이터
+     */
+    push(chunk) {
+        this.clearPartialTimer();
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        this.decode();
+    }
+
+    /**
+     * 버퍼와 통계 초기화 (재연결 시 사용)
+     * @param {boolean} resetStats - 통계도 초기화할지 여부
+     */
+    reset(resetStats = false) {
+        this.clearPartialTimer();
+        this.buffer = Buffer.alloc(0);
+        if (resetStats) {
+            this.stats = this.createStats();
+        }
+    }
+
+    /**
+     * 현재 통계 조회
+     * @returns {Object} 통계 복사본
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            dropReasons: { ...this.stats.dropReasons },
+            bufferedBytes: this.buffer.length,
+        };
+    }
+
+    /**
+     * 버퍼에서 가능한 모든 프레임을 분리
+     */
+    decode() {
+        const { STX, ETX } = this.packetBuilder;
+
+        while (this.buffer.length > 0) {
+            // 1. STX 탐색 (앞쪽 잡음 제거)
+            if (this.buffer[0] !== STX) {
+                const next = this.buffer.indexOf(STX);
+                const end = next === -1 ? this.buffer.length : next;
+                this.discard(end, 'no_stx', 'STX가 아닌 바이트');
+                continue;
+            }
+
+            if (this.buffer.length < 3) break;
+
+            // 2. 길이 검증 (Big Endian, buildPacket과 동일)
+            const length = this.buffer.readUInt16BE(1);
+            if (length < MIN_FRAME_LENGTH || length > this.maxFrameLength) {
+                this.discard(1, 'invalid_length', `허용 범위를 벗어난 길이: ${length}`);
+                continue;
+            }
+
+            if (this.buffer.length < length) {
+                // 미완성 프레임: 거짓 STX로 인해 멈추지 않도록 시간 제한
+                this.startPartialTimer();
+                break;
+            }
+
+            // 3. ETX 검증
+            if (this.buffer[length - 1] !== ETX) {
+                this.discard(1, 'etx_mismatch', `ETX 위치(${length - 1})의 값이 0x03이 아님`);
+                continue;
+            }
+
+            // 4. BCC 검증 (목적지 주소 ~ Data)
+            const frame = this.buffer.slice(0, length);
+            const expectedBCC = this.packetBuilder.calculateBCC(frame, 3, length - 3);
+            const receivedBCC = frame.readUInt16LE(length - 3);
+            if (expectedBCC !== receivedBCC) {
+                this.discard(
+                    length,
+                    'bcc_mismatch',
+                    `BCC 불일치 (계산값 0x${expectedBCC.toString(16).toUpperCase()}, 수신값 0x${receivedBCC
+                        .toString(16)
+                        .toUpperCase()})`
+                );
+                continue;
+            }
+
+            this.buffer = this.buffer.slice(length);
+            this.stats.framesDecoded++;
+            this.emit('frame', this.parseFrame(frame));
+        }
+    }
+
+    /**
+     * 검증된 프레임의 필드 추출
+     * @param {Buffer} frame - 완전한 프레임
+     * @returns {Object} 파싱된 패킷 정보
+     */
+    parseFrame(frame) {
+        const totalLength = frame.length;
+        const dataLength = totalLength - MIN_FRAME_LENGTH;
+
+        return {
+            isComplete: true,
+            totalLength,
+            destAddr: Array.from(frame.slice(3, 8)),
+            srcAddr: Array.from(frame.slice(8, 13)),
+            op1: frame[13],
+            op2: frame[14],
+            data: frame.slice(15, 15 + dataLength),
+            bcc: frame.readUInt16LE(15 + dataLength),
+            raw: frame,
+        };
+    }
+
+    /**
+     * 버퍼 앞부분을 버리고 frame_error 이벤트 발생
+     * @param {number} count - 버릴 바이트 수
+     * @param {string} reason - 사유 코드
+     * @param {string} message - 상세 설명
+     */
+    discard(count, reason, message) {
+        const bytes = this.buffer.slice(0, count);
+        this.buffer = this.buffer.slice(count);
+
+        this.stats.framesDropped++;
+        this.stats.bytesDiscarded += bytes.length;
+        this.stats.dropReasons[reason] = (this.stats.dropReasons[reason] || 0) + 1;
+        this.stats.lastError = { reason, message, timestamp: new Date() };
+
+        this.emit('frame_error', {
+            reason,
+            message,
+            bytes,
+            hex: bytes.toString('hex').toUpperCase(),
+        });
+    }
+
+    /**
+     * 미완성 프레임 대기 타이머 시작
+     */
+    startPartialTimer() {
+        if (this.partialTimer) return;
+
+        this.partialTimer = setTimeout(() => {
+            this.partialTimer = null;
+            if (this.buffer.length === 0) return;
+
+            this.discard(1, 'incomplete_timeout', `${this.frameTimeout}ms 동안 프레임이 완성되지 않음`);
+            this.decode();
+        }, this.frameTimeout);
+        this.partialTimer.unref();
+    }
+
+    /**
+     * 미완성 프레임 대기 타이머 해제
+     */
+    clearPartialTimer() {
+        if (this.partialTimer) {
+            clearTimeout(this.partialTimer);
+            this.partialTimer = null;
+        }
+    }
+}
+
+module.exports = LCSFrameDecoder;
@@ -0,0 +1,503 @@
+const LCSIcsParser = require('./ics-parser');
+const LCSJsonFileStore = require('./json-file-store');
+const LCSValidationError = require('./validation-error');
+
+const { CODES } = LCSValidationError;
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const REPEATS = ['none', 'yearly', 'weekly'];
+
+// 사용자가 정하는 항목 (나머지는 상태)
+const DEFINITION_FIELDS = ['name', 'priority', 'agents', 'entries'];
+
+// 다가오는 날짜를 찾을 때 최대 탐색 일수
+const MAX_UPCOMING_DAYS = 366 * 2;
+
+/**
+ * 휴일/특별일 캘린더 (공휴일, 주말, 행사일에 평소 스케줄을 멈추거나 다른 스케줄로 대체)
+ *
+ * 캘린더는 날짜 항목 목록과 우선순위(priority, 클수록 우선)를 가지며, agents를 지정하면 해당 Agent에만 적용됩니다.
+ * 날짜 항목:
+ * - { name, date: '2026-12-25' } 또는 { name, start: '2026-12-24', end: '2026-12-26' } - 하루/기간 (end 포함)
+ * - { name, start, end, repeat: 'yearly', until } - 매년 같은 월/일
+ * - { name, days: ['sat', 'sun'], start, until } - 매주 요일 (repeat: 'weekly')
+ * - 모든 항목에 except: ['2026-05-02'] 제외 날짜 지정 가능
+ * 한 날짜에 여러 캘린더가 맞으면 우선순위가 가장 높은 캘린더 하나만 적용합니다 (같으면 ID 순).
+ * 캘린더는 '<directory>/calendars.json'에 저장하며, iCalendar(.ics) 가져오기를 지원합니다 (LCSIcsParser 참고).
+ */
+class LCSHolidayCalendars {
+    /**
+     * @param {Object} options - 설정
+     * @param {string} options.directory - 저장 디렉터리 (기본값: LCS_DATA_DIR 또는 ./data)
+     */
+    constructor(options = {}) {
+        this.store = new LCSJsonFileStore('calendars.json', { directory: options.directory, label: '캘린더' });
+        this.calendars = new Map(); // calendarId -> 캘린더
+        this.nextCalendarId = 1;
+        this.started = false;
+    }
+
+    /**
+     * 저장된 캘린더 읽기
+     * @returns {number} 캘린더 수
+     */
+    start() {
+        if (this.started) {
+            return this.calendars.size;
+        }
+
+        const saved = this.load();
+        for (const item of saved.calendars) {
+            try {
+                const calendar = this.normalize(item.id, item, item);
+                this.calendars.set(calendar.id, calendar);
+            } catch (error) {
+                console.error(`❌ 저장된 캘린더를 읽을 수 없습니다 (${item.id}): ${error.message}`);
+            }
+        }
+        this.nextCalendarId = saved.nextCalendarId || 1;
+        this.started = true;
+
+        console.log(`📅 휴일 캘린더 ${this.calendars.size}개 불러옴: ${this.store.file}`);
+        return this.calendars.size;
+    }
+
+    /**
+     * 저장 중지
+     * @returns {Promise<void>} 대기 중인 저장이 끝나면 완료
+     */
+    stop() {
+        this.started = false;
+        return this.store.flush();
+    }
+
+    /**
+     * 캘린더 파일 읽기 (없으면 빈 목록, 읽을 수 없으면 옆에 보관하고 빈 목록)
+     * @returns {Object} { calendars, nextCalendarId }
+     */
+    load() {
+        return this.store.load(['calendars']);
+    }
+
+    /**
+     * 캘린더 저장 (임시 파일에 쓴 뒤 교체, 저장은 순서대로)
+     * @returns {Promise<void>}
+     */
+    save() {
+        if (!this.started) {
+            return this.store.flush();
+        }
+
+        return this.store.save({
+            version: 1,
+            nextCalendarId: this.nextCalendarId,
+            calendars: Array.from(this.calendars.values()).map((calendar) => this.serialize(calendar)),
+        });
+    }
+
+    /**
+     * 시작 전 변경 방지
+     * @throws {Error} 시작되지 않은 경우
+     */
+    assertStarted() {
+        if (!this.started) {
+            throw new Error('휴일 캘린더가 시작되지 않았습니다.');
+        }
+    }
+
+    /**
+     * 날짜 검증
+     * @param {string} value - 'YYYY-MM-DD'
+     * @param {string} field - 오류 메시지용 필드 이름
+     * @returns {string} 날짜
+     * @throws {LCSValidationError} 형식이 틀리거나 없는 날짜인 경우
+     */
+    static parseDate(value, field) {
+        const match = typeof value === 'string' ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(value) : null;
+        const date = match ? new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]))) : null;
+        if (!date || date.toISOString().slice(0, 10) !== value) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, `${field}는 'YYYY-MM-DD' 날짜여야 합니다: ${value}`, {
+                field,
+                value,
+            });
+        }
+        return value;
+    }
+
+    /**
+     * 서버 시간대 기준 오늘 날짜
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    static today() {
+        const now = new Date();
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    /**
+     * 정의 항목만 골라냄
+     * @param {Object} source - 요청 본문 또는 캘린더
+     * @returns {Object} { name, priority, agents, entries } 중 있는 항목
+     */
+    static pickDefinition(source) {
+        const definition = {};
+        for (const field of DEFINITION_FIELDS) {
+            if (source[field] !== undefined) definition[field] = source[field];
+        }
+        return definition;
+    }
+
+    /**
+     * 캘린더 정의 검증 및 정규화
+     * @param {string} id - 캘린더 ID
+     * @param {Object} definition - { name, priority, agents, entries }
+     * @param {Object} state - { source, createdAt, updatedAt } (저장된 값)
+     * @returns {Object} 캘린더
+     * @throws {LCSValidationError} 정의가 잘못된 경우
+     */
+    normalize(id, definition, state = {}) {
+        if (typeof id !== 'string' || !/^[\w.-]{1,64}$/.test(id)) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, '캘린더 ID는 영문, 숫자, _.- 64자 이내여야 합니다.', {
+                field: 'id',
+                value: id,
+            });
+        }
+
+        const priority = definition.priority === undefined ? 0 : definition.priority;
+        if (!Number.isInteger(priority)) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, '우선순위(priority)는 정수여야 합니다.', {
+                field: 'priority',
+                value: priority,
+            });
+        }
+
+        const agents = definition.agents === undefined ? null : definition.agents;
+        if (agents !== null && (!Array.isArray(agents) || agents.some((agentId) => typeof agentId !== 'string'))) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, 'agents는 Agent ID 배열이어야 합니다 (생략 시 전체).', {
+                field: 'agents',
+                value: agents,
+            });
+        }
+        if (agents !== null && agents.length === 0) {
+            throw new LCSValidationError(CODES.EMPTY_LIST, 'agents가 비어 있습니다 (전체 Agent는 생략).', {
+                field: 'agents',
+                value: agents,
+            });
+        }
+
+        const entries = definition.entries === undefined ? [] : definition.entries;
+        if (!Array.isArray(entries)) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, '날짜 항목(entries)은 배열이어야 합니다.', {
+                field: 'entries',
+                value: entries,
+            });
+        }
+
+        const now = new Date();
+        return {
+            id,
+            name: definition.name || id,
+            priority,
+            agents,
+            entries: entries.map((entry, index) => LCSHolidayCalendars.normalizeEntry(entry, index)),
+            source: state.source || 'api',
+            createdAt: state.createdAt ? new Date(state.createdAt) : now,
+            updatedAt: state.updatedAt ? new Date(state.updatedAt) : now,
+        };
+    }
+
+    /**
+     * 날짜 항목 검증 및 정규화
+     * @param {Object} entry - 날짜 항목
+     * @param {number} index - 항목 순번 (오류 메시지용)
+     * @returns {Object} { name, repeat, start, end, days, until, except }
+     */
+    static normalizeEntry(entry, index) {
+        const field = `entries[${index}]`;
+        if (!entry || typeof entry !== 'object') {
+            throw new LCSValidationError(CODES.INVALID_TYPE, `${field}는 객체여야 합니다.`, { field, value: entry });
+        }
+
+        const repeat = entry.repeat || (entry.days ? 'weekly' : 'none');
+        if (!REPEATS.includes(repeat)) {
+            throw new LCSValidationError(
+                CODES.OUT_OF_RANGE,
+                `${field}.repeat는 ${REPEATS.map((item) => `'${item}'`).join(', ')} 중 하나여야 합니다.`,
+                { field: `${field}.repeat`, value: entry.repeat }
+            );
+        }
+
+        let start = null;
+        let end = null;
+        let days = null;
+        if (repeat === 'weekly') {
+            if (!Array.isArray(entry.days) || entry.days.length === 0) {
+                throw new LCSValidationError(CODES.EMPTY_LIST, `${field}.days에 요일이 1개 이상 필요합니다.`, {
+                    field: `${field}.days`,
+                    value: entry.days,
+                });
+            }
+            const values = entry.days.map((day) => {
+                const value = typeof day === 'string' ? DAY_NAMES.indexOf(day.toLowerCase().slice(0, 3)) : day;
+                if (!Number.isInteger(value) || value < 0 || value > 7) {
+                    throw new LCSValidationError(
+                        CODES.OUT_OF_RANGE,
+                        `${field}.days는 'sun'-'sat' 또는 0-6이어야 합니다: ${day}`,
+                        { field: `${field}.days`, value: day }
+                    );
+                }
+                return value % 7;
+            });
+            days = Array.from(new Set(values))
+                .sort((a, b) => a - b)
+                .map((day) => DAY_NAMES[day]);
+            start = entry.start ? LCSHolidayCalendars.parseDate(entry.start, `${field}.start`) : null;
+        } else {
+            const key = entry.date !== undefined ? 'date' : 'start';
+            if (entry[key] === undefined || entry[key] === null) {
+                throw new LCSValidationError(CODES.REQUIRED, `${field}에 date 또는 start가 필요합니다.`, {
+                    field: `${field}.date`,
+                });
+            }
+            start = LCSHolidayCalendars.parseDate(entry[key], `${field}.${key}`);
+            end = entry.end ? LCSHolidayCalendars.parseDate(entry.end, `${field}.end`) : start;
+            if (end < start) {
+                throw new LCSValidationError(CODES.OUT_OF_RANGE, `${field}.end가 start보다 앞설 수 없습니다.`, {
+                    field: `${field}.end`,
+                    value: end,
+                });
+            }
+            if (repeat === 'yearly' && Date.parse(end) - Date.parse(start) >= 365 * 86400000) {
+                throw new LCSValidationError(CODES.OUT_OF_RANGE, `${field}: 매년 반복 기간은 1년을 넘을 수 없습니다.`, {
+                    field: `${field}.end`,
+                    value: end,
+                });
+            }
+        }
+
+        const except = entry.except === undefined ? [] : entry.except;
+        if (!Array.isArray(except)) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, `${field}.except는 날짜 배열이어야 합니다.`, {
+                field: `${field}.except`,
+                value: except,
+            });
+        }
+
+        return {
+            name: entry.name || null,
+            repeat,
+            start,
+            end,
+            days,
+            until: entry.until ? LCSHolidayCalendars.parseDate(entry.until, `${field}.until`) : null,
+            except: except.map((date) => LCSHolidayCalendars.parseDate(date, `${field}.except`)),
+        };
+    }
+
+    /**
+     * 날짜가 항목에 해당하는지 확인
+     * @param {Object} entry - 정규화된 날짜 항목
+     * @param {string} date - 'YYYY-MM-DD'
+     * @returns {boolean} 해당 여부
+     */
+    static matches(entry, date) {
+        if (entry.except.includes(date) || (entry.until && date > entry.until)) {
+            return false;
+        }
+        if (entry.start && date < entry.start) {
+            return false;
+        }
+
+        if (entry.repeat === 'weekly') {
+            return entry.days.includes(DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()]);
+        }
+        if (entry.repeat === 'yearly') {
+            // 월-일만 비교 (12-31 ~ 01-01처럼 해를 넘기는 기간 포함)
+            const monthDay = date.slice(5);
+            const from = entry.start.slice(5);
+            const to = entry.end.slice(5);
+            return entry.end.slice(0, 4) === entry.start.slice(0, 4)
+                ? monthDay >= from && monthDay <= to
+                : monthDay >= from || monthDay <= to;
+        }
+        return date <= entry.end;
+    }
+
+    /**
+     * 날짜에 적용할 캘린더 결정
+     * @param {string} date - 'YYYY-MM-DD'
+     * @param {string|null} agentId - Agent ID (agents가 지정된 캘린더는 해당 Agent에만 적용)
+     * @returns {Object} { calendar: { id, name, priority, entry } | null, overridden: 우선순위에 밀린 캘린더 목록 }
+     */
+    resolve(date, agentId) {
+        const matched = [];
+        for (const calendar of this.calendars.values()) {
+            if (calendar.agents && !calendar.agents.includes(agentId)) continue;
+            const entry = calendar.entries.find((item) => LCSHolidayCalendars.matches(item, date));
+            if (entry) {
+                matched.push({ id: calendar.id, name: calendar.name, priority: calendar.priority, entry: entry.name });
+            }
+        }
+        matched.sort((a, b) => b.priority - a.priority || (a.id < b.id ? -1 : 1));
+        return { calendar: matched[0] || null, overridden: matched.slice(1) };
+    }
+
+    /**
+     * 캘린더 목록
+     * @returns {Array} 캘린더 정보
+     */
+    list() {
+        return Array.from(this.calendars.values()).map((calendar) => this.serialize(calendar));
+    }
+
+    /**
+     * 캘린더 존재 여부
+     * @param {string} calendarId - 캘린더 ID
+     * @returns {boolean} 존재 여부
+     */
+    has(calendarId) {
+        return this.calendars.has(calendarId);
+    }
+
+    /**
+     * 캘린더 조회
+     * @param {string} calendarId - 캘린더 ID
+     * @param {number} upcoming - 함께 돌려줄 오늘부터의 해당 날짜 수
+     * @returns {Object|null} 캘린더 정보 (upcoming: [{ date, name }] 포함)
+     */
+    get(calendarId, upcoming = 10) {
+        const calendar = this.calendars.get(calendarId);
+        if (!calendar) {
+            return null;
+        }
+
+        const dates = [];
+        const today = LCSHolidayCalendars.today();
+        for (let offset = 0; offset < MAX_UPCOMING_DAYS && dates.length < upcoming; offset++) {
+            const date = new Date(Date.parse(today) + offset * 86400000).toISOString().slice(0, 10);
+            const entry = calendar.entries.find((item) => LCSHolidayCalendars.matches(item, date));
+            if (entry) dates.push({ date, name: entry.name });
+        }
+        return { ...this.serialize(calendar), upcoming: dates };
+    }
+
+    /**
+     * 캘린더 생성
+     * @param {Object} definition - { id, name, priority, agents, entries }
+     * @param {string} source - 'api' | 'ics'
+     * @returns {Object} 캘린더 정보
+     * @throws {LCSValidationError} 정의가 잘못되었거나 ID가 이미 있는 경우
+     */
+    create(definition, source = 'api') {
+        this.assertStarted();
+        if (definition.id !== undefined && this.calendars.has(definition.id)) {
+            throw new LCSValidationError(CODES.DUPLICATE_ITEM, `캘린더 ID가 이미 있습니다: ${definition.id}`, {
+                field: 'id',
+                value: definition.id,
+            });
+        }
+
+        let nextCalendarId = this.nextCalendarId;
+        let id = definition.id;
+        if (id === undefined) {
+            while (this.calendars.has(`calendar-${nextCalendarId}`)) nextCalendarId++;
+            id = `calendar-${nextCalendarId++}`;
+        }
+
+        const calendar = this.normalize(id, LCSHolidayCalendars.pickDefinition(definition), { source });
+        this.nextCalendarId = nextCalendarId;
+        this.calendars.set(id, calendar);
+        this.save();
+
+        console.log(
+            `📅 캘린더 생성: ${id} (${calendar.name}), 우선순위 ${calendar.priority}, 항목 ${calendar.entries.length}개`
+        );
+        return this.serialize(calendar);
+    }
+
+    /**
+     * 캘린더 수정 (넘긴 항목만 변경, entries를 넘기면 전체 교체)
+     * @param {string} calendarId - 캘린더 ID
+     * @param {Object} changes - 바꿀 항목
+     * @param {string} source - 항목 출처를 바꿀 때 'api' | 'ics'
+     * @returns {Object|null} 캘린더 정보 (없으면 null)
+     */
+    update(calendarId, changes, source) {
+        this.assertStarted();
+        const existing = this.calendars.get(calendarId);
+        if (!existing) {
+            return null;
+        }
+
+        const definition = {
+            ...LCSHolidayCalendars.pickDefinition(this.serialize(existing)),
+            ...LCSHolidayCalendars.pickDefinition(changes),
+        };
+        const calendar = this.normalize(calendarId, definition, {
+            ...existing,
+            source: source || existing.source,
+            updatedAt: null,
+        });
+        this.calendars.set(calendarId, calendar);
+        this.save();
+
+        console.log(`📅 캘린더 수정: ${calendarId} (${calendar.name}), 항목 ${calendar.entries.length}개`);
+        return this.serialize(calendar);
+    }
+
+    /**
+     * 캘린더 삭제
+     * @param {string} calendarId - 캘린더 ID
+     * @returns {boolean} 삭제 여부
+     */
+    remove(calendarId) {
+        this.assertStarted();
+        if (!this.calendars.delete(calendarId)) {
+            return false;
+        }
+        this.save();
+
+        console.log(`🗑️ 캘린더 삭제: ${calendarId}`);
+        return true;
+    }
+
+    /**
+     * iCalendar 가져오기 (캘린더가 있으면 날짜 항목을 교체, 없으면 생성)
+     * @param {string} calendarId - 캘린더 ID
+     * @param {Object} options - { ics: iCalendar 텍스트, name, priority, agents }
+     * @returns {Object} { calendar, imported: 항목 수, skipped: [{ uid, name, reason }] }
+     */
+    importIcs(calendarId, options) {
+        this.assertStarted();
+        const parsed = LCSIcsParser.parse(options.ics);
+        const definition = { ...LCSHolidayCalendars.pickDefinition(options), entries: parsed.entries };
+        if (!definition.name && parsed.name && !this.calendars.has(calendarId)) {
+            definition.name = parsed.name;
+        }
+
+        const calendar = this.calendars.has(calendarId)
+            ? this.update(calendarId, definition, 'ics')
+            : this.create({ ...definition, id: calendarId }, 'ics');
+        if (parsed.skipped.length > 0) {
+            console.warn(`⚠️ 캘린더 ${calendarId}: 일정 ${parsed.skipped.length}개를 가져오지 못했습니다.`);
+        }
+        return { calendar, imported: parsed.entries.length, skipped: parsed.skipped };
+    }
+
+    /**
+     * 저장/응답용 캘린더
+     * @param {Object} calendar - 캘린더
+     * @returns {Object} JSON으로 바꿀 수 있는 캘린더
+     */
+    serialize(calendar) {
+        return {
+            ...calendar,
+            agents: calendar.agents ? [...calendar.agents] : null,
+            entries: calendar.entries.map((entry) => ({ ...entry })),
+            createdAt: calendar.createdAt.toISOString(),
+            updatedAt: calendar.updatedAt.toISOString(),
+        };
+    }
+}
+
+module.exports = LCSHolidayCalendars;
@@ -0,0 +1,284 @@
+const LCSValidationError = require('./validation-error');
+
+const { CODES } = LCSValidationError;
+
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// COUNT로 끝나는 매주 반복의 마지막 날짜를 찾을 때 최대 탐색 일수
+const MAX_COUNT_DAYS = 366 * 50;
+
+/**
+ * 'YYYY-MM-DD' 날짜에 일수 더하기
+ * @param {string} date - 날짜
+ * @param {number} days - 더할 일수 (음수 가능)
+ * @returns {string} 날짜
+ */
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map((part) => parseInt(part));
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * iCalendar(.ics) 휴일 캘린더 해석
+ *
+ * VEVENT를 날짜 단위 항목으로 바꿉니다 (시각은 무시하고 DTSTART/DTEND에 적힌 날짜를 그대로 사용).
+ * - 하루 또는 여러 날 일정 (종일 일정의 DTEND는 다음 날이므로 하루 뺌, DURATION의 일/주 단위 지원)
+ * - RRULE FREQ=YEARLY (같은 월/일), FREQ=WEEKLY (BYDAY), FREQ=DAILY (INTERVAL=1, BYDAY, UNTIL/COUNT 또는 무기한)
+ * - EXDATE는 제외 날짜, RDATE는 추가 하루 일정으로 처리
+ * 지원하지 않는 반복 규칙(MONTHLY, N번째 요일 등)과 취소된 일정은 건너뛰고 skipped로 알려 줍니다.
+ */
+class LCSIcsParser {
+    /**
+     * 캘린더 텍스트 해석
+     * @param {string} text - iCalendar 텍스트
+     * @returns {Object} { name: X-WR-CALNAME, entries: [캘린더 항목], skipped: [{ uid, name, reason }] }
+     * @throws {LCSValidationError} iCalendar 형식이 아닌 경우
+     */
+    static parse(text) {
+        if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, 'iCalendar(BEGIN:VCALENDAR) 텍스트가 필요합니다.', {
+                field: 'ics',
+            });
+        }
+
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const stack = [];
+        let name = null;
+        let event = null;
+        const events = [];
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            const property = LCSIcsParser.parseLine(line);
+            if (!property) continue;
+
+            if (property.name === 'BEGIN') {
+                stack.push(property.value.toUpperCase());
+                if (property.value.toUpperCase() === 'VEVENT') event = {};
+            } else if (property.name === 'END') {
+                const component = stack.pop();
+                if (component === 'VEVENT' && event) {
+                    events.push(event);
+                    event = null;
+                }
+            } else if (stack[stack.length - 1] === 'VEVENT' && event) {
+                (event[property.name] = event[property.name] || []).push(property);
+            } else if (stack[stack.length - 1] === 'VCALENDAR' && property.name === 'X-WR-CALNAME') {
+                name = LCSIcsParser.unescape(property.value);
+            }
+        }
+
+        const entries = [];
+        const skipped = [];
+        for (const item of events) {
+            const uid = item.UID ? item.UID[0].value : null;
+            const summary = item.SUMMARY ? LCSIcsParser.unescape(item.SUMMARY[0].value) : null;
+            try {
+                entries.push(...LCSIcsParser.toEntries(item, summary));
+            } catch (error) {
+                skipped.push({ uid, name: summary, reason: error.message });
+            }
+        }
+
+        return { name, entries, skipped };
+    }
+
+    /**
+     * 내용 줄 해석 ('NAME;PARAM=VALUE:값', 따옴표 안의 ':'은 값 구분으로 보지 않음)
+     * @param {string} line - 펼친 내용 줄
+     * @returns {Object|null} { name, params, value }
+     */
+    static parseLine(line) {
+        let quoted = false;
+        let index = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') quoted = !quoted;
+            else if (line[i] === ':' && !quoted) {
+                index = i;
+                break;
+            }
+        }
+        if (index < 0) {
+            return null;
+        }
+
+        const [name, ...paramList] = line.slice(0, index).split(';');
+        const params = {};
+        for (const param of paramList) {
+            const [key, ...rest] = param.split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        }
+        return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+    }
+
+    /**
+     * TEXT 값 복원 (\\n, \\, \\; \\\\)
+     * @param {string} value - 이스케이프된 값
+     * @returns {string} 값
+     */
+    static unescape(value) {
+        return value.replace(/\\([nN,;\\])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char)).trim();
+    }
+
+    /**
+     * DATE/DATE-TIME 값의 날짜
+     * @param {string} value - '20261225' 또는 '20261225T090000Z'
+     * @returns {Object} { date: 'YYYY-MM-DD', midnight: 시각이 없거나 00:00:00인지 }
+     */
+    static parseDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{6})Z?)?$/.exec(value.trim());
+        if (!match) {
+            throw new Error(`날짜 형식을 해석할 수 없습니다: ${value}`);
+        }
+        return { date: `${match[1]}-${match[2]}-${match[3]}`, midnight: !match[4] || match[4] === '000000' };
+    }
+
+    /**
+     * VEVENT를 캘린더 항목으로 변환
+     * @param {Object} event - 속성 이름 -> [{ params, value }]
+     * @param {string|null} summary - 일정 이름
+     * @returns {Array} 캘린더 항목 (RDATE가 있으면 여러 개)
+     */
+    static toEntries(event, summary) {
+        if (event.STATUS && event.STATUS[0].value.toUpperCase() === 'CANCELLED') {
+            throw new Error('취소된 일정입니다.');
+        }
+        if (!event.DTSTART) {
+            throw new Error('DTSTART가 없습니다.');
+        }
+
+        const start = LCSIcsParser.parseDate(event.DTSTART[0].value).date;
+        let end = start;
+        if (event.DTEND) {
+            // DTEND는 끝나는 시각(포함하지 않음)이므로 자정이면 전날까지
+            const parsed = LCSIcsParser.parseDate(event.DTEND[0].value);
+            end = parsed.midnight ? addDays(parsed.date, -1) : parsed.date;
+        } else if (event.DURATION) {
+            const match = /^P(?:(\d+)W)?(?:(\d+)D)?/.exec(event.DURATION[0].value);
+            const days = match ? parseInt(match[1] || 0) * 7 + parseInt(match[2] || 0) : 0;
+            end = addDays(start, Math.max(days - 1, 0));
+        }
+        if (end < start) end = start;
+
+        const name = summary || start;
+        const except = [];
+        for (const property of event.EXDATE || []) {
+            except.push(...property.value.split(',').map((value) => LCSIcsParser.parseDate(value).date));
+        }
+
+        const entries = [];
+        if (event.RRULE) {
+            entries.push({ name, ...LCSIcsParser.parseRule(event.RRULE[0].value, start, end), except });
+        } else {
+            entries.push({ name, repeat: 'none', start, end, except });
+        }
+        for (const property of event.RDATE || []) {
+            for (const value of property.value.split(',')) {
+                const date = LCSIcsParser.parseDate(value).date;
+                entries.push({ name, repeat: 'none', start: date, end: date, except: [] });
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * RRULE 해석
+     * @param {string} text - 'FREQ=WEEKLY;BYDAY=SA,SU' 등
+     * @param {string} start - 첫 일정 시작 날짜
+     * @param {string} end - 첫 일정 끝 날짜
+     * @returns {Object} { repeat, start, end, days, until }
+     */
+    static parseRule(text, start, end) {
+        const rule = {};
+        for (const part of text.split(';')) {
+            const [key, value = ''] = part.split('=');
+            rule[key.toUpperCase()] = value.toUpperCase();
+        }
+
+        const unsupported = () => new Error(`지원하지 않는 반복 규칙입니다: ${text}`);
+        if ((rule.INTERVAL && rule.INTERVAL !== '1') || rule.BYSETPOS || rule.BYWEEKNO || rule.BYYEARDAY) {
+            throw unsupported();
+        }
+
+        const span = Math.round((Date.parse(end) - Date.parse(start)) / 86400000) + 1;
+        const count = rule.COUNT ? parseInt(rule.COUNT) : null;
+        let until = rule.UNTIL ? LCSIcsParser.parseDate(rule.UNTIL).date : null;
+
+        if (rule.FREQ === 'YEARLY') {
+            const month = parseInt(start.slice(5, 7));
+            const day = parseInt(start.slice(8, 10));
+            if (
+                rule.BYDAY ||
+                (rule.BYMONTH && parseInt(rule.BYMONTH) !== month) ||
+                (rule.BYMONTHDAY && parseInt(rule.BYMONTHDAY) !== day)
+            ) {
+                throw unsupported();
+            }
+            if (count) {
+                until = addDays(`${parseInt(start.slice(0, 4)) + count - 1}${start.slice(4)}`, span - 1);
+            }
+            return { repeat: 'yearly', start, end, days: null, until };
+        }
+
+        // BYDAY가 있는 DAILY는 같은 요일의 WEEKLY와 같은 일정
+        if (rule.FREQ === 'WEEKLY' || (rule.FREQ === 'DAILY' && (rule.BYDAY || (!until && !count)))) {
+            if (rule.BYMONTH || rule.BYMONTHDAY) {
+                throw unsupported();
+            }
+            const startDay = new Date(`${start}T00:00:00Z`).getUTCDay();
+            let byDay = [startDay];
+            if (rule.BYDAY) {
+                byDay = rule.BYDAY.split(',').map((code) => {
+                    const index = ICS_DAYS.indexOf(code);
+                    if (index < 0) throw unsupported();
+                    return index;
+                });
+            } else if (rule.FREQ === 'DAILY') {
+                byDay = [0, 1, 2, 3, 4, 5, 6];
+            }
+
+            if (count) {
+                // COUNT번째 일정의 시작 날짜 찾기
+                let found = 0;
+                for (let offset = 0; offset <= MAX_COUNT_DAYS && found < count; offset++) {
+                    const date = addDays(start, offset);
+                    if (byDay.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) {
+                        found++;
+                        until = date;
+                    }
+                }
+            }
+            if (until) {
+                until = addDays(until, span - 1);
+            }
+
+            // 여러 날 일정은 시작 요일부터 이어지는 요일을 모두 포함
+            const days = new Set();
+            for (const day of byDay) {
+                for (let offset = 0; offset < Math.min(span, 7); offset++) days.add((day + offset) % 7);
+            }
+            return {
+                repeat: 'weekly',
+                start,
+                end: null,
+                days: Array.from(days)
+                    .sort((a, b) => a - b)
+                    .map((day) => DAY_NAMES[day]),
+                until,
+            };
+        }
+
+        if (rule.FREQ === 'DAILY') {
+            if (rule.BYMONTH || rule.BYMONTHDAY) {
+                throw unsupported();
+            }
+            const last = count ? addDays(start, count - 1) : until;
+            return { repeat: 'none', start, end: addDays(last, span - 1), days: null, until: null };
+        }
+
+        throw unsupported();
+    }
+}
+
+module.exports = LCSIcsParser;
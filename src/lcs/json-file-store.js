@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = process.env.LCS_DATA_DIR || path.join(process.cwd(), 'data');
+
+/**
+ * JSON 파일 저장소 (스케줄, 휴일 캘린더, 조명 그룹 공용)
+ *
+ * 읽을 수 없는 파일은 '<file>.<시각>.bak'으로 옮겨 두고 빈 내용으로 시작하며,
+ * 저장은 임시 파일에 쓴 뒤 교체하고 순서대로 처리합니다.
+ */
+class LCSJsonFileStore {
+    /**
+     * @param {string} fileName - 파일 이름 (예: 'schedules.json')
+     * @param {Object} options - 설정
+     * @param {string} options.directory - 저장 디렉터리 (기본값: LCS_DATA_DIR 또는 ./data)
+     * @param {string} options.label - 로그에 쓰는 이름 (예: '스케줄')
+     */
+    constructor(fileName, options = {}) {
+        this.directory = options.directory || DEFAULT_DATA_DIR;
+        this.file = path.join(this.directory, fileName);
+        this.label = options.label || fileName;
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * 파일 읽기 (없으면 빈 내용, 읽을 수 없으면 옆에 보관하고 빈 내용)
+     * @param {Array<string>} listKeys - 배열이어야 하는 항목 (없거나 배열이 아니면 빈 배열)
+     * @returns {Object} 저장된 내용
+     */
+    load(listKeys = []) {
+        let data = {};
+        if (fs.existsSync(this.file)) {
+            try {
+                data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            } catch (error) {
+                const backup = `${this.file}.${Date.now()}.bak`;
+                fs.renameSync(this.file, backup);
+                console.error(`❌ ${this.label} 파일을 읽을 수 없어 ${backup}(으)로 보관했습니다: ${error.message}`);
+            }
+        }
+
+        const result = { ...data };
+        for (const key of listKeys) {
+            result[key] = Array.isArray(data[key]) ? data[key] : [];
+        }
+        return result;
+    }
+
+    /**
+     * 내용 저장 (임시 파일에 쓴 뒤 교체, 저장은 순서대로)
+     * @param {Object} content - 저장할 내용
+     * @returns {Promise<void>}
+     */
+    save(content) {
+        const data = JSON.stringify(content, null, 4);
+        const temp = `${this.file}.tmp`;
+
+        this.writeChain = this.writeChain
+            .then(async () => {
+                await fs.promises.mkdir(this.directory, { recursive: true });
+                await fs.promises.writeFile(temp, data);
+                await fs.promises.rename(temp, this.file);
+            })
+            .catch((error) => {
+                console.error(`❌ ${this.label} 저장 실패: ${error.message}`);
+            });
+        return this.writeChain;
+    }
+
+    /**
+     * 대기 중인 저장 완료 대기
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.writeChain;
+    }
+}
+
+module.exports = LCSJsonFileStore;
@@ -0,0 +1,531 @@
+const LCSCommandRegistry = require('./command-registry');
+const LCSEffectLibrary = require('./effect-library');
+const LCSJsonFileStore = require('./json-file-store');
+const LCSValidationError = require('./validation-error');
+
+const { CODES } = LCSValidationError;
+const { DEVICE_CAPABILITIES } = LCSCommandRegistry;
+
+// 사용자가 정하는 항목 (나머지는 상태)
+const DEFINITION_FIELDS = ['name', 'description', 'members'];
+
+// 그룹 제어 동작
+const ACTIONS = ['brightness', 'colorTemperature', 'scene', 'effect'];
+
+/**
+ * 이름 있는 조명 그룹/구역 (예: '3F 로비')
+ *
+ * 멤버는 여러 Agent, 마스터, CU에 걸칠 수 있습니다.
+ * - { agentId, masterAddr, cuAddr, deviceType } - CU 전체 (agentId 생략 시 기본 Agent)
+ * - { agentId, masterAddr, cuAddr, deviceType, lamps: [1, 2, 3] } - CU의 일부 조명
+ * - { groupId: 'lobby' } - 다른 그룹 포함 (순환 참조 불가)
+ * CU 전체 멤버에 색온도/효과를 적용하려면 조명 목록이 필요하므로 lampCount를 지정하거나
+ * 장비 검색 인벤토리가 있어야 합니다 (릴레이 디바이스는 채널 수 사용).
+ * 그룹은 '<directory>/groups.json'에 저장합니다.
+ */
+class LCSLampGroups {
+    /**
+     * @param {Object} options - 설정
+     * @param {string} options.directory - 저장 디렉터리 (기본값: LCS_DATA_DIR 또는 ./data)
+     */
+    constructor(options = {}) {
+        this.store = new LCSJsonFileStore('groups.json', { directory: options.directory, label: '그룹' });
+        this.groups = new Map(); // groupId -> 그룹
+        this.nextGroupId = 1;
+        this.started = false;
+    }
+
+    /**
+     * 저장된 그룹 읽기
+     * @returns {number} 그룹 수
+     */
+    start() {
+        if (this.started) {
+            return this.groups.size;
+        }
+
+        const saved = this.load();
+        for (const item of saved.groups) {
+            try {
+                const group = this.normalize(item.id, item, item);
+                this.groups.set(group.id, group);
+            } catch (error) {
+                console.error(`❌ 저장된 그룹을 읽을 수 없습니다 (${item.id}): ${error.message}`);
+            }
+        }
+        this.nextGroupId = saved.nextGroupId || 1;
+        this.started = true;
+
+        console.log(`🏷️ 조명 그룹 ${this.groups.size}개 불러옴: ${this.store.file}`);
+        return this.groups.size;
+    }
+
+    /**
+     * 저장 중지
+     * @returns {Promise<void>} 대기 중인 저장이 끝나면 완료
+     */
+    stop() {
+        this.started = false;
+        return this.store.flush();
+    }
+
+    /**
+     * 그룹 파일 읽기 (없으면 빈 목록, 읽을 수 없으면 옆에 보관하고 빈 목록)
+     * @returns {Object} { groups, nextGroupId }
+     */
+    load() {
+        return this.store.load(['groups']);
+    }
+
+    /**
+     * 그룹 저장 (임시 파일에 쓴 뒤 교체, 저장은 순서대로)
+     * @returns {Promise<void>}
+     */
+    save() {
+        if (!this.started) {
+            return this.store.flush();
+        }
+
+        return this.store.save({
+            version: 1,
+            nextGroupId: this.nextGroupId,
+            groups: Array.from(this.groups.values()).map((group) => this.serialize(group)),
+        });
+    }
+
+    /**
+     * 시작 전 변경 방지
+     * @throws {Error} 시작되지 않은 경우
+     */
+    assertStarted() {
+        if (!this.started) {
+            throw new Error('조명 그룹이 시작되지 않았습니다.');
+        }
+    }
+
+    /**
+     * 정의 항목만 골라냄
+     * @param {Object} source - 요청 본문 또는 그룹
+     * @returns {Object} { name, description, members } 중 있는 항목
+     */
+    static pickDefinition(source) {
+        const definition = {};
+        for (const field of DEFINITION_FIELDS) {
+            if (source[field] !== undefined) definition[field] = source[field];
+        }
+        return definition;
+    }
+
+    /**
+     * 그룹 정의 검증 및 정규화 (포함된 그룹의 존재/순환 여부는 assertNested에서 확인)
+     * @param {string} id - 그룹 ID
+     * @param {Object} definition - { name, description, members }
+     * @param {Object} state - { createdAt, updatedAt } (저장된 값)
+     * @returns {Object} 그룹
+     * @throws {LCSValidationError} 정의가 잘못된 경우
+     */
+    normalize(id, definition, state = {}) {
+        if (typeof id !== 'string' || !/^[\w.-]{1,64}$/.test(id)) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, '그룹 ID는 영문, 숫자, _.- 64자 이내여야 합니다.', {
+                field: 'id',
+                value: id,
+            });
+        }
+
+        const members = definition.members === undefined ? [] : definition.members;
+        if (!Array.isArray(members)) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, '멤버(members)는 배열이어야 합니다.', {
+                field: 'members',
+                value: members,
+            });
+        }
+
+        const normalized = members.map((member, index) => LCSLampGroups.normalizeMember(member, index));
+        const keys = normalized.map((member) => LCSLampGroups.getMemberKey(member));
+        const duplicates = keys.filter((key, index) => keys.indexOf(key) !== index);
+        if (duplicates.length > 0) {
+            throw new LCSValidationError(
+                CODES.DUPLICATE_ITEM,
+                `멤버가 중복되었습니다: ${[...new Set(duplicates)].join(', ')}`,
+                { field: 'members', duplicates: [...new Set(duplicates)] }
+            );
+        }
+
+        const now = new Date();
+        return {
+            id,
+            name: definition.name || id,
+            description: definition.description || null,
+            members: normalized,
+            createdAt: state.createdAt ? new Date(state.createdAt) : now,
+            updatedAt: state.updatedAt ? new Date(state.updatedAt) : now,
+        };
+    }
+
+    /**
+     * 멤버 검증 및 정규화
+     * @param {Object} member - 멤버
+     * @param {number} index - 멤버 순번 (오류 메시지용)
+     * @returns {Object} { groupId } 또는 { agentId, masterAddr, cuAddr, deviceType, lamps, lampCount }
+     */
+    static normalizeMember(member, index) {
+        const field = `members[${index}]`;
+        if (!member || typeof member !== 'object') {
+            throw new LCSValidationError(CODES.INVALID_TYPE, `${field}는 객체여야 합니다.`, { field, value: member });
+        }
+
+        if (member.groupId !== undefined) {
+            if (typeof member.groupId !== 'string') {
+                throw new LCSValidationError(CODES.INVALID_TYPE, `${field}.groupId는 문자열이어야 합니다.`, {
+                    field: `${field}.groupId`,
+                    value: member.groupId,
+                });
+            }
+            return { groupId: member.groupId };
+        }
+
+        const agentId = member.agentId === undefined ? null : member.agentId;
+        if (agentId !== null && typeof agentId !== 'string') {
+            throw new LCSValidationError(CODES.INVALID_TYPE, `${field}.agentId는 문자열이어야 합니다.`, {
+                field: `${field}.agentId`,
+                value: agentId,
+            });
+        }
+
+        for (const key of ['masterAddr', 'cuAddr']) {
+            const value = member[key];
+            if (!Number.isInteger(value) || value < 0 || value > 255) {
+                throw new LCSValidationError(CODES.INVALID_ADDRESS, `${field}.${key}는 0-255 정수여야 합니다.`, {
+                    field: `${field}.${key}`,
+                    value,
+                });
+            }
+        }
+
+        const deviceType = member.deviceType || 'LCS';
+        const capabilities = DEVICE_CAPABILITIES[deviceType];
+        if (!capabilities) {
+            throw new LCSValidationError(CODES.UNKNOWN_DEVICE_TYPE, `알 수 없는 디바이스 타입입니다: ${deviceType}`, {
+                field: `${field}.deviceType`,
+                value: deviceType,
+            });
+        }
+
+        const checkLamp = (value, key) => {
+            if (!Number.isInteger(value) || value < 1 || value > capabilities.channels) {
+                throw new LCSValidationError(
+                    CODES.OUT_OF_RANGE,
+                    `${field}.${key}는 1-${capabilities.channels} 사이여야 합니다 (${deviceType}): ${value}`,
+                    { field: `${field}.${key}`, value, min: 1, max: capabilities.channels }
+                );
+            }
+        };
+
+        let lamps = null;
+        if (member.lamps !== undefined && member.lamps !== null) {
+            if (!Array.isArray(member.lamps) || member.lamps.length === 0) {
+                throw new LCSValidationError(
+                    CODES.EMPTY_LIST,
+                    `${field}.lamps는 조명 번호 배열이어야 합니다 (CU 전체는 생략).`,
+                    { field: `${field}.lamps`, value: member.lamps }
+                );
+            }
+            member.lamps.forEach((lampNo) => checkLamp(lampNo, 'lamps'));
+            lamps = Array.from(new Set(member.lamps)).sort((a, b) => a - b);
+        }
+
+        let lampCount = null;
+        if (member.lampCount !== undefined && member.lampCount !== null) {
+            checkLamp(member.lampCount, 'lampCount');
+            lampCount = member.lampCount;
+        }
+
+        return { agentId, masterAddr: member.masterAddr, cuAddr: member.cuAddr, deviceType, lamps, lampCount };
+    }
+
+    /**
+     * 멤버 중복 확인용 키
+     * @param {Object} member - 정규화된 멤버
+     * @returns {string} 'group:<id>' 또는 '<agentId>:<masterAddr>:<cuAddr>'
+     */
+    static getMemberKey(member) {
+        if (member.groupId !== undefined) {
+            return `group:${member.groupId}`;
+        }
+        return `${member.agentId || 'default'}:${member.masterAddr}:${member.cuAddr}`;
+    }
+
+    /**
+     * 포함된 그룹 확인 (존재 여부와 순환 참조)
+     * @param {Object} group - 저장하려는 그룹
+     * @throws {LCSValidationError} 없는 그룹을 포함하거나 자기 자신으로 돌아오는 경우
+     */
+    assertNested(group) {
+        const visit = (members, trail) => {
+            for (const member of members) {
+                if (member.groupId === undefined) continue;
+                if (trail.includes(member.groupId)) {
+                    throw new LCSValidationError(
+                        CODES.INVALID_TYPE,
+                        `그룹이 순환 참조됩니다: ${[...trail, member.groupId].join(' -> ')}`,
+                        { field: 'members', value: member.groupId }
+                    );
+                }
+                const nested = member.groupId === group.id ? group : this.groups.get(member.groupId);
+                if (!nested) {
+                    throw new LCSValidationError(CODES.UNKNOWN_GROUP, `그룹을 찾을 수 없습니다: ${member.groupId}`, {
+                        field: 'members',
+                        value: member.groupId,
+                    });
+                }
+                visit(nested.members, [...trail, member.groupId]);
+            }
+        };
+        visit(group.members, [group.id]);
+    }
+
+    /**
+     * 그룹 제어 동작 검증
+     * @param {string} action - 'brightness' | 'colorTemperature' | 'scene' | 'effect'
+     * @param {Object} params - { brightness } | { colorTemp } 또는 { kelvin } | { sceneNo, fadeTime } |
+     *                          { effect, options }
+     * @returns {Object} { action, ...정규화된 값 }
+     * @throws {LCSValidationError} 값이 없거나 잘못된 경우
+     */
+    static normalizeAction(action, params = {}) {
+        if (!ACTIONS.includes(action)) {
+            throw new LCSValidationError(
+                CODES.UNKNOWN_COMMAND,
+                `그룹 제어 동작은 ${ACTIONS.map((item) => `'${item}'`).join(', ')} 중 하나여야 합니다.`,
+                { field: 'action', value: action }
+            );
+        }
+
+        const checkLevel = (field, value) => {
+            if (value === undefined || value === null) {
+                throw new LCSValidationError(CODES.REQUIRED, `${field} 값이 필요합니다.`, { field });
+            }
+            if (!Number.isInteger(value) || value < 0 || value > 100) {
+                throw new LCSValidationError(
+                    Number.isInteger(value) ? CODES.OUT_OF_RANGE : CODES.INVALID_TYPE,
+                    `${field} 값은 0-100 정수여야 합니다: ${value}`,
+                    { field, value, min: 0, max: 100 }
+                );
+            }
+            return value;
+        };
+
+        switch (action) {
+            case 'brightness':
+                return {
+                    action,
+                    brightness:
+                        typeof params.brightness === 'boolean'
+                            ? params.brightness
+                            : checkLevel('brightness', params.brightness),
+                };
+            case 'colorTemperature':
+                if (params.kelvin !== undefined && params.kelvin !== null) {
+                    if (!Number.isFinite(params.kelvin) || params.kelvin <= 0) {
+                        throw new LCSValidationError(CODES.INVALID_TYPE, `kelvin은 양수여야 합니다: ${params.kelvin}`, {
+                            field: 'kelvin',
+                            value: params.kelvin,
+                        });
+                    }
+                    return { action, kelvin: params.kelvin };
+                }
+                return { action, colorTemp: checkLevel('colorTemp', params.colorTemp) };
+            case 'scene': {
+                if (!Number.isInteger(params.sceneNo) || params.sceneNo < 1 || params.sceneNo > 255) {
+                    throw new LCSValidationError(
+                        params.sceneNo === undefined ? CODES.REQUIRED : CODES.OUT_OF_RANGE,
+                        `sceneNo는 1-255 정수여야 합니다: ${params.sceneNo}`,
+                        { field: 'sceneNo', value: params.sceneNo, min: 1, max: 255 }
+                    );
+                }
+                const fadeTime = params.fadeTime === undefined ? 0 : params.fadeTime;
+                if (!Number.isInteger(fadeTime) || fadeTime < 0 || fadeTime > 255) {
+                    throw new LCSValidationError(CODES.OUT_OF_RANGE, `fadeTime은 0-255 정수여야 합니다: ${fadeTime}`, {
+                        field: 'fadeTime',
+                        value: fadeTime,
+                        min: 0,
+                        max: 255,
+                    });
+                }
+                return { action, sceneNo: params.sceneNo, fadeTime };
+            }
+            default: {
+                const { name } = LCSEffectLibrary.resolve(params.effect);
+                const options = params.options === undefined ? {} : params.options;
+                if (!options || typeof options !== 'object' || Array.isArray(options)) {
+                    throw new LCSValidationError(CODES.INVALID_TYPE, '효과 options는 객체여야 합니다.', {
+                        field: 'options',
+                        value: options,
+                    });
+                }
+                return { action, effect: name, options };
+            }
+        }
+    }
+
+    /**
+     * 그룹을 CU 단위 대상으로 펼침
+     * 같은 CU가 여러 번 나오면 하나로 합치며, 어느 한 곳이라도 CU 전체면 CU 전체, 아니면 조명 번호를 합칩니다.
+     * @param {string} groupId - 그룹 ID
+     * @param {string|null} defaultAgentId - agentId가 없는 멤버에 쓸 Agent ID
+     * @returns {Array|null} [{ agentId, masterAddr, cuAddr, deviceType, lamps, lampCount, via }] (그룹이 없으면 null)
+     */
+    resolve(groupId, defaultAgentId = null) {
+        const root = this.groups.get(groupId);
+        if (!root) {
+            return null;
+        }
+
+        const targets = new Map(); // 'agentId:masterAddr:cuAddr' -> 대상
+        const visit = (group, trail) => {
+            for (const member of group.members) {
+                if (member.groupId !== undefined) {
+                    const nested = this.groups.get(member.groupId);
+                    // 저장 시 확인하지만 이후 삭제된 그룹은 건너뜀
+                    if (nested && !trail.includes(nested.id)) visit(nested, [...trail, nested.id]);
+                    continue;
+                }
+
+                const agentId = member.agentId || defaultAgentId;
+                const key = `${agentId}:${member.masterAddr}:${member.cuAddr}`;
+                const existing = targets.get(key);
+                if (!existing) {
+                    targets.set(key, { ...member, agentId, lamps: member.lamps && [...member.lamps], via: [group.id] });
+                    continue;
+                }
+                existing.lamps =
+                    existing.lamps && member.lamps
+                        ? Array.from(new Set([...existing.lamps, ...member.lamps])).sort((a, b) => a - b)
+                        : null;
+                existing.lampCount = existing.lampCount || member.lampCount;
+                if (!existing.via.includes(group.id)) existing.via.push(group.id);
+            }
+        };
+        visit(root, [root.id]);
+        return Array.from(targets.values());
+    }
+
+    /**
+     * 그룹 목록
+     * @returns {Array} 그룹 정보
+     */
+    list() {
+        return Array.from(this.groups.values()).map((group) => this.serialize(group));
+    }
+
+    /**
+     * 그룹 조회
+     * @param {string} groupId - 그룹 ID
+     * @returns {Object|null} 그룹 정보
+     */
+    get(groupId) {
+        const group = this.groups.get(groupId);
+        return group ? this.serialize(group) : null;
+    }
+
+    /**
+     * 그룹을 포함하는 다른 그룹 ID 목록
+     * @param {string} groupId - 그룹 ID
+     * @returns {Array} 그룹 ID
+     */
+    findParents(groupId) {
+        return Array.from(this.groups.values())
+            .filter((group) => group.members.some((member) => member.groupId === groupId))
+            .map((group) => group.id);
+    }
+
+    /**
+     * 그룹 생성
+     * @param {Object} definition - { id, name, description, members }
+     * @returns {Object} 그룹 정보
+     * @throws {LCSValidationError} 정의가 잘못되었거나 ID가 이미 있는 경우
+     */
+    create(definition) {
+        this.assertStarted();
+        if (definition.id !== undefined && this.groups.has(definition.id)) {
+            throw new LCSValidationError(CODES.DUPLICATE_ITEM, `그룹 ID가 이미 있습니다: ${definition.id}`, {
+                field: 'id',
+                value: definition.id,
+            });
+        }
+
+        let nextGroupId = this.nextGroupId;
+        let id = definition.id;
+        if (id === undefined) {
+            while (this.groups.has(`group-${nextGroupId}`)) nextGroupId++;
+            id = `group-${nextGroupId++}`;
+        }
+
+        const group = this.normalize(id, LCSLampGroups.pickDefinition(definition));
+        this.assertNested(group);
+        this.nextGroupId = nextGroupId;
+        this.groups.set(id, group);
+        this.save();
+
+        console.log(`🏷️ 그룹 생성: ${id} (${group.name}), 멤버 ${group.members.length}개`);
+        return this.serialize(group);
+    }
+
+    /**
+     * 그룹 수정 (넘긴 항목만 변경, members를 넘기면 전체 교체)
+     * @param {string} groupId - 그룹 ID
+     * @param {Object} changes - 바꿀 항목
+     * @returns {Object|null} 그룹 정보 (없으면 null)
+     */
+    update(groupId, changes) {
+        this.assertStarted();
+        const existing = this.groups.get(groupId);
+        if (!existing) {
+            return null;
+        }
+
+        const definition = {
+            ...LCSLampGroups.pickDefinition(this.serialize(existing)),
+            ...LCSLampGroups.pickDefinition(changes),
+        };
+        const group = this.normalize(groupId, definition, { ...existing, updatedAt: null });
+        this.assertNested(group);
+        this.groups.set(groupId, group);
+        this.save();
+
+        console.log(`🏷️ 그룹 수정: ${groupId} (${group.name}), 멤버 ${group.members.length}개`);
+        return this.serialize(group);
+    }
+
+    /**
+     * 그룹 삭제
+     * @param {string} groupId - 그룹 ID
+     * @returns {boolean} 삭제 여부
+     */
+    remove(groupId) {
+        this.assertStarted();
+        if (!this.groups.delete(groupId)) {
+            return false;
+        }
+        this.save();
+
+        console.log(`🗑️ 그룹 삭제: ${groupId}`);
+        return true;
+    }
+
+    /**
+     * 저장/응답용 그룹
+     * @param {Object} group - 그룹
+     * @returns {Object} JSON으로 바꿀 수 있는 그룹
+     */
+    serialize(group) {
+        return {
+            ...group,
+            members: group.members.map((member) => ({ ...member, ...(member.lamps && { lamps: [...member.lamps] }) })),
+            createdAt: group.createdAt.toISOString(),
+            updatedAt: group.updatedAt.toISOString(),
+        };
+    }
+}
+
+module.exports = LCSLampGroups;
@@ -0,0 +1,355 @@
+const EventEmitter = require('events');
+const LCSCommandRegistry = require('./command-registry');
+
+const ATTRIBUTES = ['brightness', 'colorTemp'];
+
+/**
+ * Agent별 조명 상태 캐시 (디지털 트윈)
+ *
+ * 조명(마스터/CU/조명 번호)마다 마지막으로 명령한 값(commanded)과 마지막으로 관측한 값(observed)을
+ * 시각·출처와 함께 보관합니다. 관측 값이 그 이전 명령 값과 다르면 드리프트로 표시합니다.
+ *
+ * 출처(source):
+ * - 'command': 이 서버가 보낸 명령의 응답(ack), 'offline_queue': 재연결 후 전송된 보관 명령
+ * - 'device': 장비에서 발생한 변경 (벽 스위치 등, 명령 값과 관측 값 모두 갱신)
+ * - 'query': 조회 응답, 'reconcile': 주기적 대조 조회, 'poll': 주기 조회, 'report': 장비가 먼저 보낸 상태 보고
+ * - 'scene:N': 시나리오 실행 (결과 값을 알 수 없으므로 값은 null)
+ *
+ * 이벤트:
+ * - 'drift' ({ event: 'detected' | 'resolved', masterAddr, cuAddr, lampNo, attribute, commanded, observed })
+ */
+class LCSLampStateCache extends EventEmitter {
+    /**
+     * @param {Object} options - { tolerance: 드리프트로 보지 않을 최대 차이 (기본값: 0) }
+     */
+    constructor(options = {}) {
+        super();
+        this.tolerance = options.tolerance || 0;
+        this.cus = new Map(); // 'master:cu' -> { masterAddr, cuAddr, deviceType, lampCount, scene, updatedAt }
+        this.lamps = new Map(); // 'master:cu:lamp' -> 조명 상태
+    }
+
+    /**
+     * CU 상태 조회/생성
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {string} deviceType - 디바이스 타입 (알면 갱신)
+     * @returns {Object} CU 상태
+     */
+    getCu(masterAddr, cuAddr, deviceType = null) {
+        const key = `${masterAddr}:${cuAddr}`;
+        let cu = this.cus.get(key);
+        if (!cu) {
+            cu = { masterAddr, cuAddr, deviceType: null, lampCount: null, scene: null, updatedAt: null };
+            this.cus.set(key, cu);
+        }
+        if (deviceType) {
+            cu.deviceType = deviceType;
+        }
+        return cu;
+    }
+
+    /**
+     * 조명 상태 조회/생성
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {number} lampNo - 조명 번호
+     * @returns {Object} { masterAddr, cuAddr, lampNo, brightness, colorTemp } (속성별 { commanded, observed, drift })
+     */
+    getLamp(masterAddr, cuAddr, lampNo) {
+        const key = `${masterAddr}:${cuAddr}:${lampNo}`;
+        let lamp = this.lamps.get(key);
+        if (!lamp) {
+            lamp = { masterAddr, cuAddr, lampNo };
+            for (const attribute of ATTRIBUTES) {
+                lamp[attribute] = { commanded: null, observed: null, drift: null };
+            }
+            this.lamps.set(key, lamp);
+        }
+        return lamp;
+    }
+
+    /**
+     * 명령 값 기록 (조명 단위)
+     * @param {string} attribute - 'brightness' | 'colorTemp'
+     * @param {Array} lamps - [{ masterAddr, cuAddr, lampNo }]
+     * @param {number|boolean} value - 명령 값 (릴레이 디바이스는 0/100으로 저장)
+     * @param {Object} options - { source, deviceType, observed: 관측 값도 같이 갱신 (장비 측 변경) }
+     */
+    recordCommand(attribute, lamps, value, options = {}) {
+        const { source = 'command', deviceType = null, observed = false } = options;
+        const at = new Date();
+
+        for (const { masterAddr, cuAddr, lampNo } of lamps) {
+            const cu = this.getCu(masterAddr, cuAddr, deviceType);
+            const lamp = this.getLamp(masterAddr, cuAddr, lampNo);
+            const normalized = this.normalize(attribute, value, cu.deviceType);
+
+            lamp[attribute].commanded = { value: normalized, at, source };
+            if (observed) {
+                lamp[attribute].observed = { value: normalized, at, source };
+            }
+            this.resolveDrift(lamp, attribute);
+            cu.updatedAt = at;
+        }
+    }
+
+    /**
+     * CU 전체 명령 기록 (0은 브로드캐스트, 알고 있는 조명에 적용)
+     * @param {string} attribute - 'brightness' | 'colorTemp'
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {number|boolean} value - 명령 값
+     * @param {Object} options - recordCommand()와 같음
+     */
+    recordCuCommand(attribute, masterAddr, cuAddr, value, options = {}) {
+        this.recordCommand(attribute, this.getCuLamps(masterAddr, cuAddr, options.deviceType), value, options);
+    }
+
+    /**
+     * 시나리오 실행 기록 (CU의 조명 값을 알 수 없음으로 표시하고 대조 조회로 다시 채움)
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {number} sceneNo - 시나리오 번호
+     * @param {Object} options - { source, deviceType }
+     */
+    recordScene(masterAddr, cuAddr, sceneNo, options = {}) {
+        const { source = 'command', deviceType = null } = options;
+        const at = new Date();
+        const lamps = this.getCuLamps(masterAddr, cuAddr, deviceType);
+
+        for (const cu of this.cus.values()) {
+            if (this.coversCu(masterAddr, cuAddr, cu)) {
+                cu.scene = { sceneNo, at, source };
+                cu.updatedAt = at;
+            }
+        }
+        for (const { masterAddr: m, cuAddr: c, lampNo } of lamps) {
+            const lamp = this.getLamp(m, c, lampNo);
+            for (const attribute of ATTRIBUTES) {
+                lamp[attribute].commanded = { value: null, at, source: `scene:${sceneNo}` };
+                this.resolveDrift(lamp, attribute);
+            }
+        }
+    }
+
+    /**
+     * 관측 값 기록 (조회 응답/상태 보고의 조명별 값 배열, 인덱스 0이 조명 1)
+     * @param {string} attribute - 'brightness' | 'colorTemp'
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {Array} values - 조명별 값
+     * @param {Object} options - { source, deviceType }
+     */
+    recordObservation(attribute, masterAddr, cuAddr, values, options = {}) {
+        const { source = 'query', deviceType = null } = options;
+        const at = new Date();
+        const cu = this.getCu(masterAddr, cuAddr, deviceType);
+        cu.lampCount = values.length;
+        cu.updatedAt = at;
+
+        values.forEach((value, index) => {
+            const lamp = this.getLamp(masterAddr, cuAddr, index + 1);
+            lamp[attribute].observed = { value, at, source };
+            this.checkDrift(lamp, attribute);
+        });
+    }
+
+    /**
+     * 관측 값과 명령 값 비교 (명령 이후의 관측만 비교)
+     * @param {Object} lamp - 조명 상태
+     * @param {string} attribute - 'brightness' | 'colorTemp'
+     */
+    checkDrift(lamp, attribute) {
+        const state = lamp[attribute];
+        const { commanded, observed } = state;
+        if (!commanded || commanded.value === null || !observed || observed.at < commanded.at) {
+            return;
+        }
+
+        if (Math.abs(observed.value - commanded.value) <= this.tolerance) {
+            this.resolveDrift(lamp, attribute);
+            return;
+        }
+
+        const isNew = !state.drift || state.drift.observed !== observed.value;
+        state.drift = { commanded: commanded.value, observed: observed.value, detectedAt: observed.at };
+        if (isNew) {
+            console.warn(
+                `⚠️ 조명 상태 불일치: ${lamp.masterAddr}/${lamp.cuAddr}/${lamp.lampNo} ${attribute} ` +
+                    `명령 ${commanded.value}, 관측 ${observed.value}`
+            );
+            this.emit('drift', { event: 'detected', ...this.describeDrift(lamp, attribute) });
+        }
+    }
+
+    /**
+     * 드리프트 해제 (새 명령 또는 일치하는 관측)
+     * @param {Object} lamp - 조명 상태
+     * @param {string} attribute - 'brightness' | 'colorTemp'
+     */
+    resolveDrift(lamp, attribute) {
+        const state = lamp[attribute];
+        if (!state.drift) return;
+        const description = this.describeDrift(lamp, attribute);
+        state.drift = null;
+        this.emit('drift', { event: 'resolved', ...description });
+    }
+
+    /**
+     * 드리프트 요약
+     * @param {Object} lamp - 조명 상태
+     * @param {string} attribute - 'brightness' | 'colorTemp'
+     * @returns {Object} { masterAddr, cuAddr, lampNo, attribute, commanded, observed, detectedAt }
+     */
+    describeDrift(lamp, attribute) {
+        const { masterAddr, cuAddr, lampNo } = lamp;
+        return { masterAddr, cuAddr, lampNo, attribute, ...lamp[attribute].drift };
+    }
+
+    /**
+     * 명령 값 정규화 (true/false와 릴레이 ON은 조회 응답과 같은 0/100으로)
+     * @param {string} attribute - 'brightness' | 'colorTemp'
+     * @param {number|boolean} value - 명령 값
+     * @param {string} deviceType - 디바이스 타입
+     * @returns {number} 저장할 값
+     */
+    normalize(attribute, value, deviceType) {
+        if (attribute !== 'brightness') return value;
+        const capabilities = LCSCommandRegistry.DEVICE_CAPABILITIES[deviceType];
+        if (typeof value === 'boolean' || (capabilities && capabilities.relay)) {
+            return value ? 100 : 0;
+        }
+        return value;
+    }
+
+    /**
+     * CU 주소가 대상에 포함되는지 (0은 브로드캐스트)
+     * @param {number} masterAddr - 명령 마스터 주소
+     * @param {number} cuAddr - 명령 CU 주소
+     * @param {Object} address - { masterAddr, cuAddr }
+     * @returns {boolean} 포함 여부
+     */
+    coversCu(masterAddr, cuAddr, address) {
+        return (
+            (masterAddr === 0 || masterAddr === address.masterAddr) && (cuAddr === 0 || cuAddr === address.cuAddr)
+        );
+    }
+
+    /**
+     * CU 전체 명령의 대상 조명 (알고 있는 조명 + 조회로 알게 된 조명 수)
+     * @param {number} masterAddr - 마스터 주소 (0은 브로드캐스트)
+     * @param {number} cuAddr - CU 주소 (0은 브로드캐스트)
+     * @param {string} deviceType - 디바이스 타입
+     * @returns {Array} [{ masterAddr, cuAddr, lampNo }]
+     */
+    getCuLamps(masterAddr, cuAddr, deviceType = null) {
+        if (masterAddr !== 0 && cuAddr !== 0) {
+            const cu = this.getCu(masterAddr, cuAddr, deviceType);
+            for (let lampNo = 1; lampNo <= (cu.lampCount || 0); lampNo++) {
+                this.getLamp(masterAddr, cuAddr, lampNo);
+            }
+        }
+        return Array.from(this.lamps.values()).filter((lamp) => this.coversCu(masterAddr, cuAddr, lamp));
+    }
+
+    /**
+     * 조명 상태 요약 (effective: 명령/관측 중 최신 값)
+     * @param {Object} lamp - 조명 상태
+     * @returns {Object} { masterAddr, cuAddr, lampNo, brightness, colorTemp }
+     */
+    describeLamp(lamp) {
+        const { masterAddr, cuAddr, lampNo } = lamp;
+        const result = { masterAddr, cuAddr, lampNo };
+        for (const attribute of ATTRIBUTES) {
+            const { commanded, observed, drift } = lamp[attribute];
+            const latest = !observed || (commanded && commanded.at > observed.at) ? commanded : observed;
+            result[attribute] = { value: latest ? latest.value : null, commanded, observed, drift };
+        }
+        return result;
+    }
+
+    /**
+     * 조명 상태 목록
+     * @param {Object} filter - { masterAddr, cuAddr } (생략하면 전체)
+     * @returns {Array} 조명 상태 (마스터/CU/조명 번호 순)
+     */
+    list(filter = {}) {
+        return Array.from(this.lamps.values())
+            .filter(
+                (lamp) =>
+                    (filter.masterAddr === undefined || lamp.masterAddr === filter.masterAddr) &&
+                    (filter.cuAddr === undefined || lamp.cuAddr === filter.cuAddr)
+            )
+            .sort((a, b) => a.masterAddr - b.masterAddr || a.cuAddr - b.cuAddr || a.lampNo - b.lampNo)
+            .map((lamp) => this.describeLamp(lamp));
+    }
+
+    /**
+     * CU 상태 (getLampBrightness/getLampColorTemperature 응답처럼 조명별 값 배열 포함)
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @returns {Object|null} { masterAddr, cuAddr, deviceType, scene, updatedAt, brightness, colorTemperature, lamps }
+     */
+    getCuState(masterAddr, cuAddr) {
+        const cu = this.cus.get(`${masterAddr}:${cuAddr}`);
+        if (!cu) return null;
+
+        const lamps = this.list({ masterAddr, cuAddr });
+        const count = Math.max(cu.lampCount || 0, ...lamps.map((lamp) => lamp.lampNo));
+        const values = (attribute) =>
+            Array.from({ length: count }, (_, index) => {
+                const lamp = lamps.find((item) => item.lampNo === index + 1);
+                return lamp ? lamp[attribute].value : null;
+            });
+
+        return {
+            ...cu,
+            brightness: values('brightness'),
+            colorTemperature: values('colorTemp'),
+            lamps,
+        };
+    }
+
+    /**
+     * 알고 있는 CU 목록
+     * @returns {Array} [{ masterAddr, cuAddr, deviceType, lampCount, scene, updatedAt }]
+     */
+    listCus() {
+        return Array.from(this.cus.values()).map((cu) => ({ ...cu }));
+    }
+
+    /**
+     * 드리프트 목록
+     * @returns {Array} [{ masterAddr, cuAddr, lampNo, attribute, commanded, observed, detectedAt }]
+     */
+    getDrift() {
+        const drift = [];
+        for (const lamp of this.lamps.values()) {
+            for (const attribute of ATTRIBUTES) {
+                if (lamp[attribute].drift) drift.push(this.describeDrift(lamp, attribute));
+            }
+        }
+        return drift;
+    }
+
+    /**
+     * 캐시 요약
+     * @returns {Object} { cus, lamps, drift }
+     */
+    getStatus() {
+        return { cus: this.cus.size, lamps: this.lamps.size, drift: this.getDrift().length };
+    }
+
+    /**
+     * 캐시 비우기
+     */
+    clear() {
+        this.cus.clear();
+        this.lamps.clear();
+    }
+}
+
+LCSLampStateCache.ATTRIBUTES = ATTRIBUTES;
+
+module.exports = LCSLampStateCache;
@@ -0,0 +1,176 @@
+const EventEmitter = require('events');
+const LCSTransport = require('./transport');
+
+// 'host:port' -> 연결 처리 함수 (LCSMemoryTransport.listen()으로 등록)
+const endpoints = new Map();
+const FIRST_EPHEMERAL_PORT = 49152;
+
+/**
+ * 메모리 연결의 서버 측 소켓
+ * net.Socket 중 시뮬레이터가 쓰는 부분(write, destroy, destroyed, 'data'/'close' 이벤트)만 흉내 냅니다.
+ */
+class LCSMemorySocket extends EventEmitter {
+    /**
+     * @param {LCSMemoryTransport} peer - 클라이언트 측 전송 계층
+     */
+    constructor(peer) {
+        super();
+        this.peer = peer;
+        this.destroyed = false;
+    }
+
+    /**
+     * 클라이언트로 전송
+     * @param {Buffer} data - 전송할 바이트
+     * @returns {boolean} 전송 여부
+     */
+    write(data) {
+        if (this.destroyed) return false;
+        this.peer.deliver(data);
+        return true;
+    }
+
+    /**
+     * 연결 종료 (클라이언트 측에도 'close' 전달)
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        setImmediate(() => this.emit('close'));
+        this.peer.handlePeerClose();
+    }
+
+    /**
+     * 클라이언트로부터 수신
+     * @param {Buffer} data - 수신 바이트
+     */
+    deliver(data) {
+        const copy = Buffer.from(data);
+        setImmediate(() => {
+            if (!this.destroyed) this.emit('data', copy);
+        });
+    }
+}
+
+/**
+ * 프로세스 내부(in-memory) 전송 계층
+ *
+ * 같은 프로세스에서 LCSMemoryTransport.listen()으로 등록한 'host:port'(예: 메모리 모드 시뮬레이터)에
+ * 네트워크 없이 연결합니다. 송수신은 실제 소켓처럼 비동기로 전달되며 바이트는 복사됩니다.
+ */
+class LCSMemoryTransport extends LCSTransport {
+    /**
+     * @param {string} host - 등록된 엔드포인트 호스트
+     * @param {number} port - 등록된 엔드포인트 포트
+     * @param {Object} options - 전송 계층 옵션
+     */
+    constructor(host, port, options = {}) {
+        super(host, port, options);
+        this.type = 'memory';
+        this.peer = null;
+        this.closed = true;
+    }
+
+    /**
+     * 연결
+     * @returns {Promise<void>} 연결되면 완료
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            setImmediate(() => {
+                const onConnection = endpoints.get(`${this.host}:${this.port}`);
+                if (!onConnection) {
+                    const error = new Error(`connect ECONNREFUSED memory://${this.host}:${this.port}`);
+                    error.code = 'ECONNREFUSED';
+                    reject(error);
+                    this.emit('error', error);
+                    this.emit('close');
+                    return;
+                }
+
+                this.closed = false;
+                this.peer = new LCSMemorySocket(this);
+                onConnection(this.peer);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * 바이트 전송
+     * @param {Buffer} data - 전송할 바이트
+     */
+    write(data) {
+        if (this.closed) {
+            throw new Error('메모리 연결이 종료되었습니다.');
+        }
+        this.peer.deliver(data);
+    }
+
+    /**
+     * 서버 측으로부터 수신
+     * @param {Buffer} data - 수신 바이트
+     */
+    deliver(data) {
+        const copy = Buffer.from(data);
+        setImmediate(() => {
+            if (!this.closed) this.emit('data', copy);
+        });
+    }
+
+    /**
+     * 서버 측에서 연결을 끊은 경우
+     */
+    handlePeerClose() {
+        if (this.closed) return;
+        this.closed = true;
+        setImmediate(() => this.emit('close'));
+    }
+
+    /**
+     * 연결 종료
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.peer.destroy();
+        setImmediate(() => this.emit('close'));
+    }
+
+    /**
+     * 메모리 엔드포인트 등록
+     * @param {string} host - 호스트 이름
+     * @param {number} port - 포트 (0이면 사용 중이지 않은 번호 할당)
+     * @param {Function} onConnection - 연결마다 서버 측 소켓을 받는 함수
+     * @returns {number} 등록된 포트
+     */
+    static listen(host, port, onConnection) {
+        let actualPort = port;
+        if (!actualPort) {
+            actualPort = FIRST_EPHEMERAL_PORT;
+            while (endpoints.has(`${host}:${actualPort}`)) actualPort++;
+        }
+
+        const key = `${host}:${actualPort}`;
+        if (endpoints.has(key)) {
+            const error = new Error(`listen EADDRINUSE memory://${key}`);
+            error.code = 'EADDRINUSE';
+            throw error;
+        }
+
+        endpoints.set(key, onConnection);
+        return actualPort;
+    }
+
+    /**
+     * 메모리 엔드포인트 해제
+     * @param {string} host - 호스트 이름
+     * @param {number} port - 포트
+     * @returns {boolean} 해제 여부
+     */
+    static unlisten(host, port) {
+        return endpoints.delete(`${host}:${port}`);
+    }
+}
+
+module.exports = LCSMemoryTransport;
@@ -0,0 +1,304 @@
+const EventEmitter = require('events');
+
+/**
+ * 연결이 끊긴 Agent의 제어 명령 대기열
+ *
+ * 연결이 끊긴 동안 들어온 제어 명령을 보관했다가 재연결되면 들어온 순서대로 전송합니다.
+ * 명령마다 TTL이 지나면 전송하지 않고 버리며, 같은 조명에 대한 이전 명령은 새 명령으로 대체합니다
+ * (조명 단위 last-write-wins: 목록 명령은 겹치는 조명만 빼고, CU 전체 명령은 그 CU의 이전 명령을 대체).
+ *
+ * 이벤트:
+ * - 'queued' (entry) - 명령 보관
+ * - 'collapsed' ({ entry, replacedBy, removedLamps }) - 이전 명령의 일부 또는 전체가 새 명령으로 대체됨
+ * - 'expired' (entry) - TTL이 지나 버림
+ * - 'flushed' ({ entry, result, error }) - 재연결 후 전송 완료 (실패 시 error)
+ */
+class LCSOfflineQueue extends EventEmitter {
+    /**
+     * @param {Object} options - 대기열 설정
+     * @param {boolean} options.enabled - 사용 여부 (기본값: false)
+     * @param {number} options.ttl - 명령 보관 시간 (ms, 기본값: 30000)
+     * @param {Object} options.commandTtl - 명령별 보관 시간 (예: { executeScene: 120000 })
+     * @param {number} options.maxSize - 최대 보관 명령 수 (기본값: 1000)
+     */
+    constructor(options = {}) {
+        super();
+        this.enabled = options.enabled === true;
+        this.ttl = options.ttl || 30000;
+        this.commandTtl = options.commandTtl || {};
+        this.maxSize = options.maxSize || 1000;
+        this.entries = [];
+        this.nextId = 0;
+        this.expiryTimer = null;
+        this.flushing = false;
+        this.stats = { queued: 0, collapsed: 0, expired: 0, flushed: 0, failed: 0 };
+    }
+
+    /**
+     * 명령 보관
+     * @param {Object} command - 보관할 명령
+     * @param {string} command.method - 재연결 후 호출할 LCSTcpClient 메서드 이름
+     * @param {Array} command.args - 메서드 인자
+     * @param {Array} command.attributes - 바꾸는 상태 ('brightness', 'colorTemp')
+     * @param {number} command.masterAddr - 마스터 주소
+     * @param {number} command.cuAddr - CU 주소
+     * @param {number} command.lampListIndex - args 중 조명 목록 위치 (목록 명령만)
+     * @param {Array|null} command.lamps - 대상 조명 [{ masterAddr, cuAddr, lampNo }] (null이면 CU 전체)
+     * @returns {Object} { queued: true, id, method, queuedAt, expiresAt, collapsed }
+     */
+    enqueue(command) {
+        this.pruneExpired();
+        if (this.entries.length >= this.maxSize) {
+            throw new Error(`오프라인 대기열이 가득 찼습니다 (${this.maxSize}개).`);
+        }
+
+        const now = Date.now();
+        const ttl = this.commandTtl[command.method] || this.ttl;
+        const entry = {
+            id: ++this.nextId,
+            ...command,
+            queuedAt: new Date(now),
+            expiresAt: new Date(now + ttl),
+        };
+
+        const collapsed = this.collapse(entry);
+        this.entries.push(entry);
+        this.stats.queued++;
+        this.scheduleExpiry();
+        this.emit('queued', this.describe(entry));
+
+        return {
+            queued: true,
+            id: entry.id,
+            method: entry.method,
+            queuedAt: entry.queuedAt,
+            expiresAt: entry.expiresAt,
+            collapsed,
+        };
+    }
+
+    /**
+     * 보관하지 않고 바로 보낸 새 명령이 덮어쓰는 보관 명령 정리 (재연결 후 전송 중에 들어온 명령)
+     * @param {Object} command - { attributes, masterAddr, cuAddr, lamps }
+     * @returns {number} 대체된(전체 또는 일부) 보관 명령 수
+     */
+    supersede(command) {
+        return this.collapse({ id: null, ...command });
+    }
+
+    /**
+     * 새 명령이 덮어쓰는 이전 명령 정리
+     * 이전 명령이 바꾸는 상태가 모두 새 명령에 포함될 때만 대체합니다 (시나리오는 밝기 명령으로 대체되지 않음).
+     * @param {Object} entry - 새 명령
+     * @returns {number} 대체된(전체 또는 일부) 이전 명령 수
+     */
+    collapse(entry) {
+        let collapsed = 0;
+
+        this.entries = this.entries.filter((previous) => {
+            if (!previous.attributes.every((attribute) => entry.attributes.includes(attribute))) {
+                return true;
+            }
+
+            let removedLamps = null; // null이면 이전 명령 전체 대체
+            if (entry.lamps === null) {
+                // CU 전체 명령: 그 CU에 속한 이전 명령(또는 조명)을 모두 대체
+                if (previous.lamps !== null) {
+                    removedLamps = previous.lamps.filter((lamp) => this.coversCu(entry, lamp));
+                } else if (!this.coversCu(entry, previous)) {
+                    return true;
+                }
+            } else if (previous.lamps === null) {
+                return true; // 이전 CU 전체 명령 뒤에 조명 명령이 실행되므로 유지
+            } else {
+                const keys = new Set(entry.lamps.map((lamp) => this.getLampKey(lamp)));
+                removedLamps = previous.lamps.filter((lamp) => keys.has(this.getLampKey(lamp)));
+            }
+
+            if (removedLamps !== null && removedLamps.length === 0) {
+                return true;
+            }
+
+            collapsed++;
+            this.stats.collapsed++;
+            const keep = removedLamps !== null && this.removeLamps(previous, removedLamps);
+            this.emit('collapsed', {
+                entry: this.describe(previous),
+                replacedBy: entry.id,
+                removedLamps: removedLamps || 'all',
+            });
+            return keep;
+        });
+
+        return collapsed;
+    }
+
+    /**
+     * 목록 명령에서 일부 조명 제거
+     * @param {Object} entry - 보관 중인 명령
+     * @param {Array} removedLamps - 제거할 조명
+     * @returns {boolean} 남은 조명이 있어 명령을 유지하는지 여부
+     */
+    removeLamps(entry, removedLamps) {
+        const removed = new Set(removedLamps.map((lamp) => this.getLampKey(lamp)));
+        const keepIndexes = [];
+        entry.lamps.forEach((lamp, index) => {
+            if (!removed.has(this.getLampKey(lamp))) keepIndexes.push(index);
+        });
+
+        if (keepIndexes.length === 0 || entry.lampListIndex === undefined || entry.lampListIndex === null) {
+            return false;
+        }
+
+        const list = entry.args[entry.lampListIndex];
+        entry.args = entry.args.slice();
+        entry.args[entry.lampListIndex] = keepIndexes.map((index) => list[index]);
+        entry.lamps = keepIndexes.map((index) => entry.lamps[index]);
+        return true;
+    }
+
+    /**
+     * CU 전체 명령이 주소를 포함하는지 (0은 브로드캐스트)
+     * @param {Object} entry - CU 전체 명령
+     * @param {Object} address - { masterAddr, cuAddr }
+     * @returns {boolean} 포함 여부
+     */
+    coversCu(entry, address) {
+        return (
+            (entry.masterAddr === 0 || entry.masterAddr === address.masterAddr) &&
+            (entry.cuAddr === 0 || entry.cuAddr === address.cuAddr)
+        );
+    }
+
+    /**
+     * 조명 키
+     * @param {Object} lamp - { masterAddr, cuAddr, lampNo }
+     * @returns {string} 'master:cu:lamp'
+     */
+    getLampKey(lamp) {
+        return `${lamp.masterAddr}:${lamp.cuAddr}:${lamp.lampNo}`;
+    }
+
+    /**
+     * TTL이 지난 명령 제거
+     */
+    pruneExpired() {
+        const now = Date.now();
+        this.entries = this.entries.filter((entry) => {
+            if (entry.expiresAt.getTime() > now) return true;
+            this.stats.expired++;
+            console.warn(`⌛ 오프라인 대기 명령 만료: #${entry.id} ${entry.method}`);
+            this.emit('expired', this.describe(entry));
+            return false;
+        });
+    }
+
+    /**
+     * 가장 먼저 만료되는 명령에 맞춰 만료 타이머 설정
+     */
+    scheduleExpiry() {
+        if (this.expiryTimer) {
+            clearTimeout(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+        if (this.entries.length === 0) return;
+
+        const nextExpiry = Math.min(...this.entries.map((entry) => entry.expiresAt.getTime()));
+        this.expiryTimer = setTimeout(
+            () => {
+                this.expiryTimer = null;
+                this.pruneExpired();
+                this.scheduleExpiry();
+            },
+            Math.max(0, nextExpiry - Date.now())
+        );
+    }
+
+    /**
+     * 보관된 명령을 순서대로 전송
+     * @param {Function} execute - (entry) => Promise (명령 전송)
+     * @param {Function} canContinue - 다음 명령을 보내기 전에 확인할 함수 (연결 상태)
+     * @returns {Promise<Object>} { sent, failed, remaining }
+     */
+    async flush(execute, canContinue = () => true) {
+        if (this.flushing) return { sent: 0, failed: 0, remaining: this.entries.length };
+        this.flushing = true;
+
+        let sent = 0;
+        let failed = 0;
+        try {
+            this.pruneExpired();
+            while (this.entries.length > 0 && canContinue()) {
+                const entry = this.entries.shift();
+                if (entry.expiresAt.getTime() <= Date.now()) {
+                    this.stats.expired++;
+                    this.emit('expired', this.describe(entry));
+                    continue;
+                }
+
+                try {
+                    const result = await execute(entry);
+                    sent++;
+                    this.stats.flushed++;
+                    this.emit('flushed', { entry: this.describe(entry), result, error: null });
+                } catch (error) {
+                    failed++;
+                    this.stats.failed++;
+                    this.emit('flushed', { entry: this.describe(entry), result: null, error: error.message });
+                }
+            }
+        } finally {
+            this.flushing = false;
+            this.scheduleExpiry();
+        }
+
+        return { sent, failed, remaining: this.entries.length };
+    }
+
+    /**
+     * 보관된 명령 모두 삭제
+     * @returns {number} 삭제된 명령 수
+     */
+    clear() {
+        const count = this.entries.length;
+        this.entries = [];
+        this.scheduleExpiry();
+        return count;
+    }
+
+    /**
+     * 명령 요약 (이벤트/상태 조회용)
+     * @param {Object} entry - 보관 중인 명령
+     * @returns {Object} { id, method, args, masterAddr, cuAddr, lamps, queuedAt, expiresAt }
+     */
+    describe(entry) {
+        return {
+            id: entry.id,
+            method: entry.method,
+            args: entry.args,
+            masterAddr: entry.masterAddr,
+            cuAddr: entry.cuAddr,
+            lamps: entry.lamps,
+            queuedAt: entry.queuedAt,
+            expiresAt: entry.expiresAt,
+        };
+    }
+
+    /**
+     * 대기열 상태
+     * @returns {Object} { enabled, ttl, maxSize, size, flushing, stats, entries }
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            ttl: this.ttl,
+            maxSize: this.maxSize,
+            size: this.entries.length,
+            flushing: this.flushing,
+            stats: { ...this.stats },
+            entries: this.entries.map((entry) => this.describe(entry)),
+        };
+    }
+}
+
+module.exports = LCSOfflineQueue;
@@ -1,8 +1,19 @@
+const LCSCommandRegistry = require('./command-registry');
+const LCSValidationError = require('./validation-error');
+
+const { CODES } = LCSValidationError;
+
 class LCSPacketBuilder {
-    constructor() {
+    /**
+     * @param {LCSCommandRegistry} registry - 명령 레지스트리 (기본값: 공용 레지스트리)
+     */
+    constructor(registry = LCSCommandRegistry.getDefault()) {
         this.STX = 0x02;
         this.ETX = 0x03;
         this.HOST_ADDRESS = [0x13, 0x00, 0x00, 0x00, 0x00]; // 호스트 기본 주소
+        this.DEVICE_TYPES = LCSCommandRegistry.DEVICE_TYPES;
+        this.registry = registry;
+        this.debug = process.env.LCS_DEBUG === 'true'; // 프레임마다 패킷 로그 출력
     }
 
     /**
@@ -34,9 +45,10 @@ class LCSPacketBuilder {
      * @param {number} op1 - 명령 코드 1
      * @param {number} op2 - 명령 코드 2
      * @param {Buffer} data - 데이터 버퍼
+     * @param {Array} srcAddr - 소스 주소 (기본값: 호스트 주소)
      * @returns {Buffer} 완성된 패킷
      */
-    buildPacket(destAddr, op1, op2, data = Buffer.alloc(0)) {
+    buildPacket(destAddr, op1, op2, data = Buffer.alloc(0), srcAddr = this.HOST_ADDRESS) {
         const headerSize = 18; // STX(1) + Length(2) + DestAddr(5) + SrcAddr(5) + OP1(1) + OP2(1) + BCC(2) + ETX(1)
         const totalLength = headerSize + data.length;
 
@@ -54,8 +66,8 @@ class LCSPacketBuilder {
         Buffer.from(destAddr).copy(packet, offset);
         offset += 5;
 
-        // 소스 주소 (호스트)
-        Buffer.from(this.HOST_ADDRESS).copy(packet, offset);
+        // 소스 주소 (기본값: 호스트)
+        Buffer.from(srcAddr).copy(packet, offset);
         offset += 5;
 
         // OP 코드
@@ -78,13 +90,98 @@ class LCSPacketBuilder {
         // ETX
         packet[offset] = this.ETX;
 
-        // 디버깅 로그 추가
-        console.log(`📦 LCS 패킷 생성: 길이=${totalLength}, 실제길이=${packet.length}`);
-        console.log(`📦 패킷 내용: ${this.packetToHex(packet)}`);
+        // 디버깅 로그 (주기 조회/하트비트마다 찍히므로 LCS_DEBUG=true 일 때만)
+        if (this.debug) {
+            console.log(`📦 LCS 패킷 생성: 길이=${totalLength}, 실제길이=${packet.length}`);
+            console.log(`📦 패킷 내용: ${this.packetToHex(packet)}`);
+        }
 
         return packet;
     }
 
+    /**
+     * 명령 레지스트리 정의로 패킷 생성
+     * @param {string} name - 명령 이름 (LCSCommandRegistry에 등록된 이름)
+     * @param {Object} params - { masterAddr, cuAddr, deviceType, ...페이로드 필드 }
+     * @returns {Buffer} 완성된 패킷
+     * @throws {LCSValidationError} 명령/디바이스 타입/주소/페이로드 값이 잘못된 경우
+     */
+    buildCommand(name, params = {}) {
+        const command = this.registry.get(name);
+        if (!command) {
+            throw new LCSValidationError(CODES.UNKNOWN_COMMAND, `등록되지 않은 명령입니다: ${name}`, {
+                field: 'command',
+                value: name,
+            });
+        }
+
+        const destAddr = this.resolveDestination(command, params);
+        const data = this.registry.encodePayload(command, params);
+        return this.buildPacket(destAddr, command.op1, command.op2, data);
+    }
+
+    /**
+     * 명령 정의의 주소 방식에 따라 목적지 주소 결정
+     * @param {Object} command - 명령 정의
+     * @param {Object} params - { masterAddr, cuAddr, deviceType }
+     * @returns {Array} 목적지 주소 [타입, 마스터, CU, 0, 0]
+     */
+    resolveDestination(command, params) {
+        const deviceType = params.deviceType || command.deviceTypes[0];
+        if (this.DEVICE_TYPES[deviceType] === undefined) {
+            throw new LCSValidationError(CODES.UNKNOWN_DEVICE_TYPE, `알 수 없는 디바이스 타입입니다: ${deviceType}`, {
+                field: 'deviceType',
+                value: deviceType,
+            });
+        }
+        if (!command.deviceTypes.includes(deviceType)) {
+            const capabilities = LCSCommandRegistry.DEVICE_CAPABILITIES[deviceType];
+            const reason = capabilities && capabilities.relay ? ' (릴레이 전용 디바이스)' : '';
+            throw new LCSValidationError(
+                CODES.UNSUPPORTED_DEVICE,
+                `'${command.name}' 명령은 ${deviceType} 디바이스를 지원하지 않습니다${reason}.`,
+                { field: 'deviceType', value: deviceType, command: command.name }
+            );
+        }
+
+        let masterAddr = params.masterAddr;
+        let cuAddr = params.cuAddr;
+
+        if (command.address === 'agent') {
+            masterAddr = 0x00;
+            cuAddr = 0x00;
+        } else if (command.address === 'optional') {
+            masterAddr = masterAddr || 0x00;
+            cuAddr = cuAddr || 0x00;
+            this.validateAddress(command, 'masterAddr', masterAddr, 0);
+            this.validateAddress(command, 'cuAddr', cuAddr, 0);
+        } else {
+            // 0/0은 Agent 자신(브로드캐스트)이므로 디바이스 명령은 1-255만 허용
+            this.validateAddress(command, 'masterAddr', masterAddr, 1);
+            this.validateAddress(command, 'cuAddr', cuAddr, 1);
+        }
+
+        return [this.DEVICE_TYPES[deviceType], masterAddr, cuAddr, 0x00, 0x00];
+    }
+
+    /**
+     * 마스터/CU 주소 검증
+     * @param {Object} command - 명령 정의
+     * @param {string} field - 'masterAddr' | 'cuAddr'
+     * @param {*} value - 주소 값
+     * @param {number} min - 최소값 (디바이스 명령은 1, Agent 명령은 0)
+     * @throws {LCSValidationError} 정수가 아니거나 범위를 벗어난 경우
+     */
+    validateAddress(command, field, value, min) {
+        if (!Number.isInteger(value) || value < min || value > 0xff) {
+            throw new LCSValidationError(
+                value === undefined ? CODES.REQUIRED : CODES.INVALID_ADDRESS,
+                `'${command.name}' 명령의 ${field}는 ${min}-255 정수여야 합니다: ${value}`,
+                { field, value, min, max: 0xff }
+            );
+        }
+    }
+
     /**
      * 조명 밝기 조회 패킷 생성
      * @param {number} masterAddr - 마스터 주소 (1-255)
@@ -93,25 +190,18 @@ class LCSPacketBuilder {
      * @returns {Buffer} 조명 밝기 조회 패킷
      */
     getLampBrightness(masterAddr, cuAddr, deviceType = 'LCS') {
-        const deviceTypeMap = {
-            LCS: 0x13,
-            RCU4: 0x55,
-            RCU8: 0x57,
-        };
-
-        const destAddr = [deviceTypeMap[deviceType], masterAddr, cuAddr, 0x00, 0x00];
-        return this.buildPacket(destAddr, 0x96, 0x00);
+        return this.buildCommand('getLampBrightness', { masterAddr, cuAddr, deviceType });
     }
 
     /**
      * 조명 색온도 조회 패킷 생성
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
+     * @param {string} deviceType - 'LCS' (RCU는 색온도를 지원하지 않음)
      * @returns {Buffer} 색온도 조회 패킷
      */
-    getLampColorTemperature(masterAddr, cuAddr) {
-        const destAddr = [0x13, masterAddr, cuAddr, 0x00, 0x00]; // LCS만 지원
-        return this.buildPacket(destAddr, 0x96, 0x06);
+    getLampColorTemperature(masterAddr, cuAddr, deviceType = 'LCS') {
+        return this.buildCommand('getLampColorTemperature', { masterAddr, cuAddr, deviceType });
     }
 
     /**
@@ -119,47 +209,25 @@ class LCSPacketBuilder {
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
      * @param {Array} lampList - 조명 번호 배열 [1, 2, 3, ...]
-     * @param {number} brightness - 밝기 값 (0-100)
+     * @param {number|boolean} brightness - 밝기 값 (0-100, RCU는 0=OFF / 그 외=ON)
+     * @param {string} deviceType - 'LCS' | 'RCU4' | 'RCU8'
      * @returns {Buffer} 블록 제어 패킷
      */
-    controlLampBlock(masterAddr, cuAddr, lampList, brightness) {
-        const destAddr = [0x13, masterAddr, cuAddr, 0x00, 0x00];
-
-        // 데이터 길이 수정: cuAddr(1) + lampCount(1) + lampList(n) + brightness(1)
-        const data = Buffer.alloc(2 + lampList.length + 1);
-        data[0] = cuAddr; // CU 주소
-        data[1] = lampList.length; // 조명 개수
-
-        // 조명 번호들
-        for (let i = 0; i < lampList.length; i++) {
-            data[2 + i] = lampList[i];
-        }
-
-        // 밝기 값 (마지막에 추가)
-        data[2 + lampList.length] = brightness;
-
-        return this.buildPacket(destAddr, 0x90, 0x00, data);
+    controlLampBlock(masterAddr, cuAddr, lampList, brightness, deviceType = 'LCS') {
+        return this.buildCommand('controlLampBlock', { masterAddr, cuAddr, lampList, brightness, deviceType });
     }
 
     /**
      * 개별 조명 디밍 제어 패킷 생성
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
-     * @param {number} lampNo - 조명 번호 (1-64)
-     * @param {number} brightness - 밝기 값 (0-100)
+     * @param {number} lampNo - 조명 번호 (LCS 1-64, RCU4 1-4, RCU8 1-8)
+     * @param {number|boolean} brightness - 밝기 값 (0-100, RCU는 0=OFF / 그 외=ON)
+     * @param {string} deviceType - 'LCS' | 'RCU4' | 'RCU8'
      * @returns {Buffer} 디밍 제어 패킷
      */
-    controlLampDimming(masterAddr, cuAddr, lampNo, brightness) {
-        const destAddr = [0x13, masterAddr, cuAddr, 0x00, 0x00];
-
-        const data = Buffer.from([
-            cuAddr, // CU 주소
-            lampNo, // 조명 번호
-            0x00, // 서브 번호 (보통 0)
-            brightness, // 밝기 값
-        ]);
-
-        return this.buildPacket(destAddr, 0x92, 0x00, data);
+    controlLampDimming(masterAddr, cuAddr, lampNo, brightness, deviceType = 'LCS') {
+        return this.buildCommand('controlLampDimming', { masterAddr, cuAddr, lampNo, brightness, deviceType });
     }
 
     /**
@@ -168,22 +236,11 @@ class LCSPacketBuilder {
      * @param {number} cuAddr - CU 주소
      * @param {Array} lampList - 조명 번호 배열
      * @param {number} colorTemp - 색온도 값 (0-100)
+     * @param {string} deviceType - 'LCS' (RCU는 색온도를 지원하지 않음)
      * @returns {Buffer} 색온도 제어 패킷
      */
-    controlLampColorTemp(masterAddr, cuAddr, lampList, colorTemp) {
-        const destAddr = [0x13, masterAddr, cuAddr, 0x00, 0x00];
-
-        const data = Buffer.alloc(2 + lampList.length + 1);
-        data[0] = cuAddr;
-        data[1] = lampList.length;
-
-        for (let i = 0; i < lampList.length; i++) {
-            data[2 + i] = lampList[i];
-        }
-
-        data[2 + lampList.length] = colorTemp;
-
-        return this.buildPacket(destAddr, 0x90, 0x05, data);
+    controlLampColorTemp(masterAddr, cuAddr, lampList, colorTemp, deviceType = 'LCS') {
+        return this.buildCommand('controlLampColorTemp', { masterAddr, cuAddr, lampList, colorTemp, deviceType });
     }
 
     /**
@@ -192,45 +249,43 @@ class LCSPacketBuilder {
      * @param {number} cuAddr - CU 주소
      * @param {number} sceneNo - 시나리오 번호 (1-255)
      * @param {number} fadeTime - 페이드 시간 (초)
+     * @param {string} deviceType - 'LCS' | 'RCU4' | 'RCU8'
      * @returns {Buffer} 시나리오 실행 패킷
      */
-    executeScene(masterAddr, cuAddr, sceneNo, fadeTime = 0) {
-        const destAddr = [0x13, masterAddr, cuAddr, 0x00, 0x00];
-
-        const data = Buffer.from([
-            cuAddr, // CU 주소
-            sceneNo, // 시나리오 번호
-            fadeTime, // 페이드 시간
-        ]);
-
-        return this.buildPacket(destAddr, 0x91, 0x00, data);
+    executeScene(masterAddr, cuAddr, sceneNo, fadeTime = 0, deviceType = 'LCS') {
+        return this.buildCommand('executeScene', { masterAddr, cuAddr, sceneNo, fadeTime, deviceType });
     }
 
     /**
      * 전체 조명 ON/OFF 패킷 생성
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
-     * @param {number} brightness - 밝기 값 (0=OFF, 1-100=ON)
+     * @param {number|boolean} brightness - 밝기 값 (0=OFF, 1-100=ON)
+     * @param {string} deviceType - 'LCS' | 'RCU4' | 'RCU8'
      * @returns {Buffer} 전체 제어 패킷
      */
-    controlAllLamps(masterAddr, cuAddr, brightness) {
-        const destAddr = [0x13, masterAddr, cuAddr, 0x00, 0x00];
-
-        const data = Buffer.from([
-            cuAddr, // CU 주소
-            brightness, // 밝기 값
-        ]);
-
-        return this.buildPacket(destAddr, 0x90, 0x02, data);
+    controlAllLamps(masterAddr, cuAddr, brightness, deviceType = 'LCS') {
+        return this.buildCommand('controlAllLamps', { masterAddr, cuAddr, brightness, deviceType });
     }
 
     /**
      * 디바이스 이름 조회 패킷 생성
+     * @param {number} masterAddr - 마스터 주소 (생략 시 브로드캐스트)
+     * @param {number} cuAddr - CU 주소 (생략 시 브로드캐스트)
      * @returns {Buffer} 디바이스 이름 조회 패킷
      */
-    getDeviceName() {
-        const destAddr = [0x13, 0x00, 0x00, 0x00, 0x00]; // 브로드캐스트
-        return this.buildPacket(destAddr, 0xa2, 0x05);
+    getDeviceName(masterAddr = 0x00, cuAddr = 0x00) {
+        return this.buildCommand('getDeviceName', { masterAddr, cuAddr });
+    }
+
+    /**
+     * 디바이스 통신 확인(Alive 체크) 패킷 생성
+     * @param {number} masterAddr - 마스터 주소 (0이면 Agent 자체)
+     * @param {number} cuAddr - CU 주소 (0이면 Agent 자체)
+     * @returns {Buffer} Alive 체크 패킷
+     */
+    aliveCheck(masterAddr = 0x00, cuAddr = 0x00) {
+        return this.buildCommand('aliveCheck', { masterAddr, cuAddr });
     }
 
     /**
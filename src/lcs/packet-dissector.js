@@ -0,0 +1,302 @@
+const LCSPacketBuilder = require('./packet-builder');
+const LCSCommandRegistry = require('./command-registry');
+
+const MIN_FRAME_LENGTH = 18;
+
+/**
+ * LCS 프로토콜 분석기
+ *
+ * 16진수 덤프(로그의 '📦 패킷 내용:' 줄, 게이트웨이 캡처 등)나 버퍼를 받아
+ * 연속된 프레임을 분리하고 STX/길이/주소/OP 코드/데이터/BCC/ETX 각 필드에 이름과 값을 붙입니다.
+ * 수신 디코더(LCSFrameDecoder)와 달리 잘못된 프레임도 버리지 않고 오류 내용과 함께 보고합니다.
+ */
+class LCSPacketDissector {
+    /**
+     * @param {LCSCommandRegistry} registry - 명령 레지스트리 (기본값: 공용 레지스트리)
+     */
+    constructor(registry = LCSCommandRegistry.getDefault()) {
+        this.registry = registry;
+        this.packetBuilder = new LCSPacketBuilder(registry);
+        this.deviceTypeNames = {};
+        for (const [name, code] of Object.entries(LCSCommandRegistry.DEVICE_TYPES)) {
+            this.deviceTypeNames[code] = name;
+        }
+    }
+
+    /**
+     * 16진수 텍스트를 버퍼로 변환
+     * 줄마다 마지막 ':' 뒤의 내용을 읽고, 공백/쉼표/'0x' 접두어를 허용합니다. 16진수가 아닌 줄은 건너뜁니다.
+     * @param {string} text - 16진수 텍스트 (여러 줄 가능)
+     * @returns {Object} { buffer, skippedLines }
+     */
+    parseHex(text) {
+        const chunks = [];
+        let skippedLines = 0;
+
+        for (const line of String(text).split(/\r?\n/)) {
+            const content = line.includes(':') ? line.slice(line.lastIndexOf(':') + 1) : line;
+            const hex = content.replace(/0x/gi, '').replace(/[\s,]/g, '');
+
+            if (hex.length === 0) continue;
+            if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length % 2 !== 0) {
+                skippedLines++;
+                continue;
+            }
+            chunks.push(Buffer.from(hex, 'hex'));
+        }
+
+        return { buffer: Buffer.concat(chunks), skippedLines };
+    }
+
+    /**
+     * 16진수 텍스트 또는 버퍼를 프레임 단위로 분석
+     * @param {string|Buffer|Array} input - 16진수 텍스트, Buffer 또는 바이트 배열
+     * @returns {Object} { totalBytes, skippedLines, frames, garbage }
+     */
+    decode(input) {
+        let buffer;
+        let skippedLines = 0;
+
+        if (Buffer.isBuffer(input)) {
+            buffer = input;
+        } else if (Array.isArray(input)) {
+            buffer = Buffer.from(input);
+        } else if (typeof input === 'string') {
+            ({ buffer, skippedLines } = this.parseHex(input));
+        } else {
+            throw new Error('16진수 문자열, Buffer 또는 바이트 배열이 필요합니다.');
+        }
+
+        const frames = [];
+        const garbage = [];
+        let offset = 0;
+
+        while (offset < buffer.length) {
+            const start = buffer.indexOf(this.packetBuilder.STX, offset);
+            if (start === -1) {
+                garbage.push(this.describeGarbage(buffer, offset, buffer.length));
+                break;
+            }
+            if (start > offset) {
+                garbage.push(this.describeGarbage(buffer, offset, start));
+            }
+
+            const end = this.findFrameEnd(buffer, start);
+            if (end === -1) {
+                garbage.push(this.describeGarbage(buffer, start, start + 1));
+                offset = start + 1;
+                continue;
+            }
+
+            frames.push(this.dissectFrame(buffer.slice(start, end), start));
+            offset = end;
+        }
+
+        return {
+            totalBytes: buffer.length,
+            skippedLines,
+            frames,
+            garbage,
+        };
+    }
+
+    /**
+     * STX 위치에서 시작하는 프레임의 끝 위치 결정
+     * 길이 필드를 우선 사용하고, 길이 필드가 맞지 않으면 다음 STX 직전(또는 버퍼 끝)의 ETX를 찾습니다.
+     * @param {Buffer} buffer - 전체 버퍼
+     * @param {number} start - STX 위치
+     * @returns {number} 프레임 끝 (다음 바이트 위치), 프레임이 아니면 -1
+     */
+    findFrameEnd(buffer, start) {
+        const { ETX, STX } = this.packetBuilder;
+
+        if (start + 3 <= buffer.length) {
+            const declared = buffer.readUInt16BE(start + 1);
+            const end = start + declared;
+            if (declared >= MIN_FRAME_LENGTH && end <= buffer.length && buffer[end - 1] === ETX) {
+                return end;
+            }
+        }
+
+        for (let i = start + MIN_FRAME_LENGTH - 1; i < buffer.length; i++) {
+            if (buffer[i] === ETX && (i + 1 === buffer.length || buffer[i + 1] === STX)) {
+                return i + 1;
+            }
+        }
+
+        // 잘린 프레임: 헤더가 남아 있으면 끝까지를 하나의 프레임으로 보고
+        return buffer.length - start >= 15 ? buffer.length : -1;
+    }
+
+    /**
+     * 주소 필드 설명
+     * @param {Array} bytes - 주소 5바이트
+     * @returns {Object} { deviceType, typeCode, masterAddr, cuAddr, isHost, isBroadcast }
+     */
+    describeAddress(bytes) {
+        const [typeCode, masterAddr, cuAddr] = bytes;
+        return {
+            deviceType: this.deviceTypeNames[typeCode] || `UNKNOWN(0x${this.toHex([typeCode])})`,
+            typeCode,
+            masterAddr,
+            cuAddr,
+            isHost: bytes.every((value, index) => value === this.packetBuilder.HOST_ADDRESS[index]),
+            isBroadcast: masterAddr === 0 && cuAddr === 0,
+        };
+    }
+
+    /**
+     * 프레임 하나를 필드 단위로 분석
+     * @param {Buffer} frame - 프레임 후보 (STX ~ ETX)
+     * @param {number} offset - 입력 전체에서의 시작 위치
+     * @returns {Object} 분석 결과
+     */
+    dissectFrame(frame, offset) {
+        const errors = [];
+        const fields = [];
+        const addField = (start, length, name, value) => {
+            fields.push({
+                offset: start,
+                length,
+                name,
+                hex: this.toHex(frame.slice(start, start + length)),
+                value,
+            });
+        };
+
+        const declaredLength = frame.readUInt16BE(1);
+        const complete = frame.length >= MIN_FRAME_LENGTH;
+        const dataLength = Math.max(0, frame.length - MIN_FRAME_LENGTH);
+
+        addField(0, 1, 'STX', frame[0]);
+        addField(1, 2, 'Length', declaredLength);
+        if (declaredLength !== frame.length) {
+            errors.push({
+                code: 'length_mismatch',
+                message: `길이 필드(${declaredLength})와 실제 프레임 길이(${frame.length})가 다릅니다.`,
+            });
+        }
+
+        const destAddr = this.describeAddress(Array.from(frame.slice(3, 8)));
+        const srcAddr = this.describeAddress(Array.from(frame.slice(8, 13)));
+        addField(3, 5, 'DestAddr', destAddr);
+        addField(8, 5, 'SrcAddr', srcAddr);
+
+        const op1 = frame[13];
+        const op2 = frame[14];
+        addField(13, 1, 'OP1', op1);
+        addField(14, 1, 'OP2', op2);
+
+        const result = {
+            offset,
+            length: frame.length,
+            hex: this.toHex(frame),
+            direction: op1 & 0x80 ? 'request' : 'response',
+            destAddr,
+            srcAddr,
+            opCode: this.registry.formatOpCode(op1, op2),
+            command: null,
+            type: 'unknown',
+            payload: null,
+            fields,
+            errors,
+            valid: false,
+        };
+
+        if (!complete) {
+            errors.push({ code: 'truncated', message: `프레임이 최소 길이(${MIN_FRAME_LENGTH})보다 짧습니다.` });
+            return result;
+        }
+
+        const data = frame.slice(15, 15 + dataLength);
+        result.payload = this.decodePayload(result.direction, op1, op2, data);
+        result.command = result.payload.command;
+        result.type = result.payload.type;
+        addField(15, dataLength, 'Data', result.payload.fields);
+        if (result.command && result.payload.fields === null) {
+            errors.push({
+                code: 'payload_mismatch',
+                message: `데이터(${dataLength}바이트)가 '${result.command}' 명령 형식과 맞지 않습니다.`,
+            });
+        }
+
+        const receivedBCC = frame.readUInt16LE(15 + dataLength);
+        const expectedBCC = this.packetBuilder.calculateBCC(frame, 3, frame.length - 3);
+        addField(15 + dataLength, 2, 'BCC', { received: receivedBCC, expected: expectedBCC });
+        if (receivedBCC !== expectedBCC) {
+            errors.push({
+                code: 'bcc_mismatch',
+                message: `BCC 불일치 (계산값 0x${expectedBCC.toString(16).toUpperCase()}, 수신값 0x${receivedBCC
+                    .toString(16)
+                    .toUpperCase()})`,
+            });
+        }
+
+        addField(frame.length - 1, 1, 'ETX', frame[frame.length - 1]);
+        if (frame[frame.length - 1] !== this.packetBuilder.ETX) {
+            errors.push({ code: 'etx_mismatch', message: '마지막 바이트가 ETX(0x03)가 아닙니다.' });
+        }
+
+        result.valid = errors.length === 0;
+        return result;
+    }
+
+    /**
+     * OP 코드에 맞게 데이터 영역 해석
+     * @param {string} direction - 'request' | 'response'
+     * @param {number} op1 - 명령 코드 1
+     * @param {number} op2 - 명령 코드 2
+     * @param {Buffer} data - 데이터 영역
+     * @returns {Object} { command, type, fields }
+     */
+    decodePayload(direction, op1, op2, data) {
+        if (direction === 'request') {
+            const command = this.registry.findByRequest(op1, op2);
+            if (command) {
+                return {
+                    command: command.name,
+                    type: 'request',
+                    fields: this.registry.decodePayload(command, data),
+                };
+            }
+        } else {
+            const decoded = this.registry.decodeResponse(op1, op2, data);
+            if (decoded) {
+                return {
+                    command: decoded.command,
+                    type: decoded.type,
+                    fields: decoded.fields,
+                };
+            }
+        }
+
+        return { command: null, type: 'unknown', fields: null };
+    }
+
+    /**
+     * 프레임이 아닌 바이트 구간 설명
+     * @param {Buffer} buffer - 전체 버퍼
+     * @param {number} start - 시작 위치
+     * @param {number} end - 끝 위치
+     * @returns {Object} { offset, length, hex }
+     */
+    describeGarbage(buffer, start, end) {
+        return {
+            offset: start,
+            length: end - start,
+            hex: this.toHex(buffer.slice(start, end)),
+        };
+    }
+
+    /**
+     * @param {Buffer|Array} bytes - 바이트
+     * @returns {string} 'AA BB CC' 형식 문자열
+     */
+    toHex(bytes) {
+        return Array.from(bytes)
+            .map((value) => value.toString(16).toUpperCase().padStart(2, '0'))
+            .join(' ');
+    }
+}
+
+module.exports = LCSPacketDissector;
@@ -0,0 +1,517 @@
+const LCSSolarCalculator = require('./solar-calculator');
+const LCSValidationError = require('./validation-error');
+
+const { CODES } = LCSValidationError;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// cron 필드 (분 시 일 월 요일), 요일의 7은 일요일
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, base: 1 },
+    { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, base: 0 },
+];
+
+const CRON_MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+};
+
+// 일광 절약 시간 변경 폭보다 넉넉한 여유 (ms)
+const OFFSET_MARGIN = 3 * 60 * 60 * 1000;
+
+// 2월 29일 + 특정 요일 같은 조합도 찾을 수 있도록 윤년 주기(28년)의 절반 이상 탐색
+const MAX_SEARCH_DAYS = 366 * 15;
+
+// 태양 트리거 오프셋 범위 (분)
+const MAX_SUN_OFFSET = 12 * 60;
+
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+/**
+ * 시간대별 날짜 포맷터 (잘못된 시간대면 LCSValidationError)
+ * @param {string} timeZone - IANA 시간대 (예: 'Asia/Seoul')
+ * @returns {Intl.DateTimeFormat} 포맷터
+ */
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        try {
+            formatters.set(
+                timeZone,
+                new Intl.DateTimeFormat('en-US', {
+                    timeZone,
+                    hourCycle: 'h23',
+                    year: 'numeric',
+                    month: 'numeric',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: 'numeric',
+                    second: 'numeric',
+                })
+            );
+        } catch (error) {
+            throw new LCSValidationError(CODES.OUT_OF_RANGE, `알 수 없는 시간대입니다: ${timeZone}`, {
+                field: 'timeZone',
+                value: timeZone,
+            });
+        }
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * 스케줄 트리거 (시간대 기준 다음 실행 시각 계산)
+ *
+ * 지원하는 트리거:
+ * - { type: 'cron', expression: '0 6 * * 1-5' } - 분 시 일 월 요일 (목록, 범위, 간격, 이름, @daily 등 지원).
+ *   일과 요일이 모두 지정되면 cron과 같이 둘 중 하나만 맞아도 실행합니다.
+ * - { type: 'weekly', days: ['mon', 'fri'], time: '06:30' | ['06:30', '18:00'] } - 요일 생략 시 매일
+ * - { type: 'sun', event: 'sunset', offset: -15, days, latitude, longitude } - 일출/일몰/박명 기준 (오프셋은 분).
+ *   event에 'sunset -15 min', 'civil dawn'처럼 오프셋을 함께 쓸 수 있으며(offset과 합산), 위치를 생략하면
+ *   options.location을 사용합니다. 극지방처럼 사건이 없는 날은 건너뜁니다.
+ *
+ * 일광 절약 시간으로 건너뛰는 시각은 바뀐 직후 시각에, 두 번 오는 시각은 첫 번째에 한 번만 실행합니다.
+ */
+class LCSScheduleTrigger {
+    /**
+     * @param {Object} definition - 트리거 정의
+     * @param {string} timeZone - IANA 시간대
+     * @param {Object} options - { location: { latitude, longitude } 태양 트리거 기본 위치 }
+     * @throws {LCSValidationError} 정의나 시간대가 잘못된 경우
+     */
+    constructor(definition, timeZone, options = {}) {
+        if (!definition || typeof definition !== 'object') {
+            throw new LCSValidationError(CODES.REQUIRED, '트리거(trigger)가 필요합니다.', { field: 'trigger' });
+        }
+
+        getFormatter(timeZone);
+        this.timeZone = timeZone;
+        this.type = definition.type;
+
+        if (definition.type === 'cron') {
+            this.matcher = LCSScheduleTrigger.parseCron(definition.expression);
+            this.definition = { type: 'cron', expression: definition.expression.trim() };
+        } else if (definition.type === 'weekly') {
+            this.matcher = LCSScheduleTrigger.parseWeekly(definition.days, definition.time);
+            this.definition = {
+                type: 'weekly',
+                days: definition.days === undefined ? null : definition.days,
+                time: definition.time,
+            };
+        } else if (definition.type === 'sun') {
+            this.sun = LCSScheduleTrigger.parseSun(definition, options.location);
+            this.definition = {
+                type: 'sun',
+                event: this.sun.event,
+                offset: this.sun.offset,
+                days: definition.days === undefined ? null : definition.days,
+                latitude: this.sun.latitude,
+                longitude: this.sun.longitude,
+            };
+        } else {
+            throw new LCSValidationError(
+                CODES.OUT_OF_RANGE,
+                "트리거 type은 'cron', 'weekly', 'sun' 중 하나여야 합니다.",
+                { field: 'trigger.type', value: definition.type }
+            );
+        }
+    }
+
+    /**
+     * cron 표현식 해석
+     * @param {string} expression - '분 시 일 월 요일' 또는 '@daily' 등
+     * @returns {Object} { months, daysOfMonth, daysOfWeek, domRestricted, dowRestricted, times }
+     */
+    static parseCron(expression) {
+        if (typeof expression !== 'string' || !expression.trim()) {
+            throw new LCSValidationError(CODES.REQUIRED, 'cron 표현식(expression)이 필요합니다.', {
+                field: 'trigger.expression',
+                value: expression,
+            });
+        }
+
+        const text = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+        const parts = text.split(/\s+/);
+        if (parts.length !== CRON_FIELDS.length) {
+            throw new LCSValidationError(
+                CODES.INVALID_TYPE,
+                `cron 표현식은 '분 시 일 월 요일' 5개 필드여야 합니다: ${expression}`,
+                { field: 'trigger.expression', value: expression }
+            );
+        }
+
+        const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) =>
+            LCSScheduleTrigger.parseCronField(part, CRON_FIELDS[index], expression)
+        );
+
+        const times = [];
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                times.push(hour * 60 + minute);
+            }
+        }
+
+        return {
+            months: new Set(months),
+            daysOfMonth: new Set(daysOfMonth),
+            daysOfWeek: new Set(daysOfWeek.map((day) => day % 7)),
+            domRestricted: !parts[2].startsWith('*'),
+            dowRestricted: !parts[4].startsWith('*'),
+            times,
+        };
+    }
+
+    /**
+     * cron 필드 하나 해석 ('*', '1,15', '1-5', '*\/10', 'mon-fri', '8-18/2')
+     * @param {string} text - 필드 문자열
+     * @param {Object} field - CRON_FIELDS 항목
+     * @param {string} expression - 오류 메시지용 전체 표현식
+     * @returns {Array} 오름차순 값 목록
+     */
+    static parseCronField(text, field, expression) {
+        const invalid = () =>
+            new LCSValidationError(
+                CODES.OUT_OF_RANGE,
+                `cron ${field.name} 필드가 잘못되었습니다 (${field.min}-${field.max}): ${text}`,
+                { field: 'trigger.expression', value: expression, min: field.min, max: field.max }
+            );
+        const toValue = (token) => {
+            const index = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+            const value = index >= 0 ? index + field.base : /^\d+$/.test(token) ? parseInt(token) : NaN;
+            if (!Number.isInteger(value) || value < field.min || value > field.max) {
+                throw invalid();
+            }
+            return value;
+        };
+
+        const values = new Set();
+        for (const item of text.split(',')) {
+            const [range, stepText, extra] = item.split('/');
+            const step = stepText === undefined ? 1 : /^\d+$/.test(stepText) ? parseInt(stepText) : 0;
+            if (extra !== undefined || step < 1) {
+                throw invalid();
+            }
+
+            let start;
+            let end;
+            if (range === '*') {
+                start = field.min;
+                end = field.max;
+            } else if (range.includes('-')) {
+                const [from, to] = range.split('-');
+                start = toValue(from);
+                end = toValue(to);
+            } else {
+                start = toValue(range);
+                end = stepText === undefined ? start : field.max;
+            }
+            if (start > end) {
+                throw invalid();
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return Array.from(values).sort((a, b) => a - b);
+    }
+
+    /**
+     * 요일 목록 해석
+     * @param {Array} days - 요일 이름('mon') 또는 번호(0=일요일) 배열 (생략 시 매일)
+     * @returns {Array} 요일 번호 (0=일요일)
+     */
+    static parseDays(days) {
+        if (days === undefined || days === null) {
+            return [0, 1, 2, 3, 4, 5, 6];
+        }
+        if (!Array.isArray(days) || days.length === 0) {
+            throw new LCSValidationError(CODES.EMPTY_LIST, '요일(days)이 1개 이상 필요합니다.', {
+                field: 'trigger.days',
+                value: days,
+            });
+        }
+        return days.map((day) => {
+            const value = typeof day === 'string' ? DAY_NAMES.indexOf(day.toLowerCase().slice(0, 3)) : day;
+            if (!Number.isInteger(value) || value < 0 || value > 7) {
+                throw new LCSValidationError(CODES.OUT_OF_RANGE, `요일은 'sun'-'sat' 또는 0-6이어야 합니다: ${day}`, {
+                    field: 'trigger.days',
+                    value: day,
+                });
+            }
+            return value % 7;
+        });
+    }
+
+    /**
+     * 요일/시각 트리거 해석
+     * @param {Array} days - 요일 이름('mon') 또는 번호(0=일요일) 배열 (생략 시 매일)
+     * @param {string|Array} time - 'HH:MM' 또는 배열
+     * @returns {Object} parseCron()과 같은 형식
+     */
+    static parseWeekly(days, time) {
+        const daysOfWeek = LCSScheduleTrigger.parseDays(days);
+        const list = Array.isArray(time) ? time : [time];
+        if (time === undefined || list.length === 0) {
+            throw new LCSValidationError(CODES.REQUIRED, "실행 시각(time: 'HH:MM')이 필요합니다.", {
+                field: 'trigger.time',
+                value: time,
+            });
+        }
+        const times = list.map((item) => {
+            const match = typeof item === 'string' ? /^(\d{1,2}):(\d{2})$/.exec(item) : null;
+            const hour = match ? parseInt(match[1]) : NaN;
+            const minute = match ? parseInt(match[2]) : NaN;
+            if (!(hour <= 23 && minute <= 59)) {
+                throw new LCSValidationError(
+                    CODES.OUT_OF_RANGE,
+                    `실행 시각은 'HH:MM' (00:00-23:59)이어야 합니다: ${item}`,
+                    { field: 'trigger.time', value: item }
+                );
+            }
+            return hour * 60 + minute;
+        });
+
+        return {
+            months: new Set([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]),
+            daysOfMonth: new Set(),
+            daysOfWeek: new Set(daysOfWeek),
+            domRestricted: false,
+            dowRestricted: true,
+            times: Array.from(new Set(times)).sort((a, b) => a - b),
+        };
+    }
+
+    /**
+     * 태양 트리거 해석
+     * @param {Object} definition - { event: 'sunset' | 'sunset -15 min' | 'civil dawn', offset, days, latitude, longitude }
+     * @param {Object} location - 기본 위치 { latitude, longitude }
+     * @returns {Object} { event, offset, daysOfWeek, latitude, longitude }
+     */
+    static parseSun(definition, location) {
+        if (typeof definition.event !== 'string' || !definition.event.trim()) {
+            throw new LCSValidationError(CODES.REQUIRED, "태양 사건(event: 'sunset' 등)이 필요합니다.", {
+                field: 'trigger.event',
+                value: definition.event,
+            });
+        }
+
+        const match = /^(.*?)\s*([+\-\u2212])\s*(\d+)\s*(?:m|min|mins|minutes?)?\s*$/i.exec(definition.event);
+        const event = LCSSolarCalculator.resolveEvent(match ? match[1] : definition.event);
+        const inline = match ? parseInt(match[3]) * (match[2] === '+' ? 1 : -1) : 0;
+        const extra = definition.offset === undefined || definition.offset === null ? 0 : definition.offset;
+        if (!Number.isInteger(extra)) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, '오프셋(offset)은 분 단위 정수여야 합니다.', {
+                field: 'trigger.offset',
+                value: definition.offset,
+            });
+        }
+        const offset = inline + extra;
+        if (Math.abs(offset) > MAX_SUN_OFFSET) {
+            throw new LCSValidationError(
+                CODES.OUT_OF_RANGE,
+                `오프셋은 -${MAX_SUN_OFFSET}~${MAX_SUN_OFFSET}분이어야 합니다.`,
+                { field: 'trigger.offset', value: offset, min: -MAX_SUN_OFFSET, max: MAX_SUN_OFFSET }
+            );
+        }
+
+        const fallback = location || {};
+        const latitude = definition.latitude === undefined ? fallback.latitude : definition.latitude;
+        const longitude = definition.longitude === undefined ? fallback.longitude : definition.longitude;
+        LCSSolarCalculator.validateLocation(latitude, longitude);
+
+        return {
+            event,
+            offset,
+            daysOfWeek: new Set(LCSScheduleTrigger.parseDays(definition.days)),
+            latitude,
+            longitude,
+        };
+    }
+
+    /**
+     * 시간대 기준 날짜/시각
+     * @param {Date|number} date - 시각
+     * @param {string} timeZone - IANA 시간대
+     * @returns {Object} { year, month, day, hour, minute, second }
+     */
+    static getZonedParts(date, timeZone) {
+        const parts = {};
+        for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+            if (type !== 'literal') parts[type] = parseInt(value);
+        }
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute,
+            second: parts.second,
+        };
+    }
+
+    /**
+     * 시간대의 UTC 오프셋
+     * @param {number} time - 시각 (ms)
+     * @param {string} timeZone - IANA 시간대
+     * @returns {number} 현지 시각 - UTC (ms)
+     */
+    static getOffset(time, timeZone) {
+        const local = LCSScheduleTrigger.getZonedParts(time, timeZone);
+        const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+        return asUtc - (time - (((time % 1000) + 1000) % 1000));
+    }
+
+    /**
+     * 현지 날짜/시각을 실제 시각으로 변환
+     * 건너뛰는 시각(일광 절약 시간 시작)은 바뀐 직후로, 두 번 오는 시각은 첫 번째로 변환합니다.
+     * @param {number} year - 연
+     * @param {number} month - 월 (1-12)
+     * @param {number} day - 일
+     * @param {number} minuteOfDay - 0시부터의 분
+     * @param {string} timeZone - IANA 시간대
+     * @returns {Date} 시각
+     */
+    static fromZoned(year, month, day, minuteOfDay, timeZone) {
+        const guess = Date.UTC(year, month - 1, day, Math.floor(minuteOfDay / 60), minuteOfDay % 60);
+        const before = LCSScheduleTrigger.getOffset(guess, timeZone);
+        const time = guess - before;
+        const after = LCSScheduleTrigger.getOffset(time, timeZone);
+        if (after === before) {
+            return new Date(time);
+        }
+
+        const candidate = guess - after;
+        return new Date(LCSScheduleTrigger.getOffset(candidate, timeZone) === after ? candidate : time);
+    }
+
+    /**
+     * 날짜가 트리거 조건에 맞는지 확인
+     * @param {number} month - 월 (1-12)
+     * @param {number} day - 일
+     * @param {number} weekday - 요일 (0=일요일)
+     * @returns {boolean} 일치 여부
+     */
+    matchesDay(month, day, weekday) {
+        const { months, daysOfMonth, daysOfWeek, domRestricted, dowRestricted } = this.matcher;
+        if (!months.has(month)) return false;
+        if (domRestricted && dowRestricted) return daysOfMonth.has(day) || daysOfWeek.has(weekday);
+        if (domRestricted) return daysOfMonth.has(day);
+        if (dowRestricted) return daysOfWeek.has(weekday);
+        return true;
+    }
+
+    /**
+     * 다음 실행 시각
+     * @param {Date|number} after - 기준 시각 (이 시각 이후, 같은 시각은 제외)
+     * @returns {Date|null} 다음 실행 시각 (다시 오지 않으면 null)
+     */
+    next(after = new Date()) {
+        const from = new Date(after).getTime();
+        if (this.sun) {
+            return this.nextSun(from);
+        }
+
+        const start = LCSScheduleTrigger.getZonedParts(from, this.timeZone);
+        // 첫날은 기준 시각보다 이른 시각을 건너뛰되, 일광 절약 시간 변경 폭만큼 여유를 둠
+        const startMinute = start.hour * 60 + start.minute - OFFSET_MARGIN / 60000;
+        // 기준 시각 전후로 오프셋이 바뀌지 않으면 첫날 시각은 오프셋만 빼서 계산 (매분 실행 등)
+        const offset = LCSScheduleTrigger.getOffset(from, this.timeZone);
+        const stable =
+            LCSScheduleTrigger.getOffset(from - OFFSET_MARGIN, this.timeZone) === offset &&
+            LCSScheduleTrigger.getOffset(from + OFFSET_MARGIN, this.timeZone) === offset;
+
+        for (let days = 0; days <= MAX_SEARCH_DAYS; days++) {
+            const date = new Date(Date.UTC(start.year, start.month - 1, start.day + days));
+            const year = date.getUTCFullYear();
+            const month = date.getUTCMonth() + 1;
+            const day = date.getUTCDate();
+            if (!this.matchesDay(month, day, date.getUTCDay())) continue;
+
+            for (const minuteOfDay of this.matcher.times) {
+                if (days === 0 && minuteOfDay < startMinute) continue;
+                if (days === 0 && stable) {
+                    const estimate = Date.UTC(year, month - 1, day, 0, minuteOfDay) - offset;
+                    if (estimate <= from) continue;
+                    if (estimate <= from + OFFSET_MARGIN) return new Date(estimate);
+                }
+                const time = LCSScheduleTrigger.fromZoned(year, month, day, minuteOfDay, this.timeZone);
+                if (time.getTime() > from) {
+                    return time;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 다음 태양 트리거 시각
+     * 현지 날짜마다 사건 시각을 계산하며, 오프셋이 커서 전날 사건이 기준 시각 뒤에 올 수 있으므로 이틀 전부터 찾습니다.
+     * @param {number} from - 기준 시각 (ms, 같은 시각은 제외)
+     * @returns {Date|null} 다음 실행 시각 (1년 안에 사건이 없으면 null)
+     */
+    nextSun(from) {
+        const { event, offset, daysOfWeek, latitude, longitude } = this.sun;
+        const start = LCSScheduleTrigger.getZonedParts(from, this.timeZone);
+
+        for (let days = -2; days <= 367; days++) {
+            const date = new Date(Date.UTC(start.year, start.month - 1, start.day + days));
+            const eventTime = LCSSolarCalculator.getEventTime(
+                event,
+                date.getUTCFullYear(),
+                date.getUTCMonth() + 1,
+                date.getUTCDate(),
+                latitude,
+                longitude
+            );
+            if (!eventTime) continue;
+
+            const time = new Date(eventTime.getTime() + offset * 60000);
+            if (time.getTime() <= from) continue;
+
+            const local = LCSScheduleTrigger.getZonedParts(time, this.timeZone);
+            if (daysOfWeek.has(new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay())) {
+                return time;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 기간 내 실행 시각 목록
+     * @param {Date|number} from - 시작 (제외)
+     * @param {Date|number} to - 끝 (포함)
+     * @param {number} limit - 최대 개수
+     * @returns {Array<Date>} 실행 시각
+     */
+    between(from, to, limit = 100) {
+        const times = [];
+        let time = this.next(from);
+        while (time && time.getTime() <= new Date(to).getTime() && times.length < limit) {
+            times.push(time);
+            time = this.next(time);
+        }
+        return times;
+    }
+
+    /**
+     * 저장/응답용 정의
+     * @returns {Object} 트리거 정의
+     */
+    toJSON() {
+        return { ...this.definition };
+    }
+}
+
+LCSScheduleTrigger.DAY_NAMES = DAY_NAMES;
+
+module.exports = LCSScheduleTrigger;
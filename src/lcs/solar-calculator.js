@@ -0,0 +1,213 @@
+const LCSValidationError = require('./validation-error');
+
+const { CODES } = LCSValidationError;
+
+// 태양 중심의 천정각 (일출/일몰은 대기 굴절과 태양 반지름 보정 포함)
+const SUN_EVENTS = {
+    astronomicalDawn: { zenith: 108, rising: true },
+    nauticalDawn: { zenith: 102, rising: true },
+    civilDawn: { zenith: 96, rising: true },
+    sunrise: { zenith: 90.833, rising: true },
+    solarNoon: { zenith: null },
+    sunset: { zenith: 90.833, rising: false },
+    civilDusk: { zenith: 96, rising: false },
+    nauticalDusk: { zenith: 102, rising: false },
+    astronomicalDusk: { zenith: 108, rising: false },
+};
+
+const ALIASES = {
+    dawn: 'civilDawn',
+    dusk: 'civilDusk',
+    noon: 'solarNoon',
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * 일출/일몰/박명 시각 계산 (NOAA 태양 위치 계산식, 네트워크 서비스 없이 로컬 계산)
+ *
+ * 위도/경도(동경 +, 북위 +)와 날짜로 사건 시각을 UTC로 계산합니다. 정확도는 중위도에서 1분 안팎입니다.
+ * 극지방처럼 그날 사건이 일어나지 않으면(백야, 극야) null을 돌려줍니다.
+ */
+class LCSSolarCalculator {
+    /**
+     * 사건 이름 정규화 ('civil dawn', 'civil_dawn', 'Civil-Dawn' -> 'civilDawn', 'dusk' -> 'civilDusk')
+     * @param {string} name - 사건 이름
+     * @returns {string} SUN_EVENTS 키
+     * @throws {LCSValidationError} 알 수 없는 사건인 경우
+     */
+    static resolveEvent(name) {
+        const words = typeof name === 'string' ? name.split(/[\s_-]+|(?=[A-Z])/).filter(Boolean) : [];
+        const key = words
+            .map((word) => word[0].toUpperCase() + word.slice(1).toLowerCase())
+            .join('')
+            .replace(/^./, (first) => first.toLowerCase());
+        const resolved = ALIASES[key] || key;
+        if (!SUN_EVENTS[resolved]) {
+            throw new LCSValidationError(
+                CODES.OUT_OF_RANGE,
+                `알 수 없는 태양 사건입니다: ${name} (${Object.keys(SUN_EVENTS).join(', ')})`,
+                { field: 'trigger.event', value: name }
+            );
+        }
+        return resolved;
+    }
+
+    /**
+     * 위도/경도 검증
+     * @param {number} latitude - 위도 (-90 ~ 90, 북위 +)
+     * @param {number} longitude - 경도 (-180 ~ 180, 동경 +)
+     * @throws {LCSValidationError} 값이 없거나 범위를 벗어난 경우
+     */
+    static validateLocation(latitude, longitude) {
+        for (const [field, value, limit] of [
+            ['latitude', latitude, 90],
+            ['longitude', longitude, 180],
+        ]) {
+            if (value === undefined || value === null) {
+                throw new LCSValidationError(
+                    CODES.REQUIRED,
+                    `${field}가 필요합니다 (트리거에 지정하거나 LCS_LATITUDE/LCS_LONGITUDE 설정).`,
+                    { field: `trigger.${field}` }
+                );
+            }
+            if (!Number.isFinite(value) || Math.abs(value) > limit) {
+                throw new LCSValidationError(CODES.OUT_OF_RANGE, `${field}는 -${limit}~${limit} 사이여야 합니다.`, {
+                    field: `trigger.${field}`,
+                    value,
+                    min: -limit,
+                    max: limit,
+                });
+            }
+        }
+    }
+
+    /**
+     * 율리우스 세기 (J2000.0 기준)
+     * @param {number} julianDay - 율리우스일
+     * @returns {number} 율리우스 세기
+     */
+    static toJulianCentury(julianDay) {
+        return (julianDay - 2451545.0) / 36525.0;
+    }
+
+    /**
+     * 균시차와 태양 적위
+     * @param {number} t - 율리우스 세기
+     * @returns {Object} { equationOfTime: 분, declination: 도 }
+     */
+    static getSolarPosition(t) {
+        const meanLongitude = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+        const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+        const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+
+        const m = toRadians(meanAnomaly);
+        const center =
+            Math.sin(m) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+            Math.sin(2 * m) * (0.019993 - 0.000101 * t) +
+            Math.sin(3 * m) * 0.000289;
+        const omega = 125.04 - 1934.136 * t;
+        const apparentLongitude = meanLongitude + center - 0.00569 - 0.00478 * Math.sin(toRadians(omega));
+
+        const seconds = 21.448 - t * (46.815 + t * (0.00059 - t * 0.001813));
+        const meanObliquity = 23.0 + (26.0 + seconds / 60.0) / 60.0;
+        const obliquity = meanObliquity + 0.00256 * Math.cos(toRadians(omega));
+
+        const declination = toDegrees(
+            Math.asin(Math.sin(toRadians(obliquity)) * Math.sin(toRadians(apparentLongitude)))
+        );
+
+        const y = Math.tan(toRadians(obliquity) / 2) ** 2;
+        const l0 = toRadians(meanLongitude);
+        const equationOfTime =
+            4 *
+            toDegrees(
+                y * Math.sin(2 * l0) -
+                    2 * eccentricity * Math.sin(m) +
+                    4 * eccentricity * y * Math.sin(m) * Math.cos(2 * l0) -
+                    0.5 * y * y * Math.sin(4 * l0) -
+                    1.25 * eccentricity * eccentricity * Math.sin(2 * m)
+            );
+
+        return { equationOfTime, declination };
+    }
+
+    /**
+     * 사건 시각 (UTC 0시부터의 분) 한 번 계산
+     * @param {Object} definition - SUN_EVENTS 항목
+     * @param {number} julianDay - 계산 기준 율리우스일
+     * @param {number} latitude - 위도
+     * @param {number} longitude - 경도
+     * @returns {number|null} 분 (사건이 없으면 null)
+     */
+    static computeMinutes(definition, julianDay, latitude, longitude) {
+        const { equationOfTime, declination } = LCSSolarCalculator.getSolarPosition(
+            LCSSolarCalculator.toJulianCentury(julianDay)
+        );
+        if (definition.zenith === null) {
+            return 720 - 4 * longitude - equationOfTime;
+        }
+
+        const lat = toRadians(latitude);
+        const dec = toRadians(declination);
+        const cosHourAngle =
+            Math.cos(toRadians(definition.zenith)) / (Math.cos(lat) * Math.cos(dec)) - Math.tan(lat) * Math.tan(dec);
+        if (cosHourAngle < -1 || cosHourAngle > 1) {
+            return null;
+        }
+
+        const hourAngle = toDegrees(Math.acos(cosHourAngle)) * (definition.rising ? 1 : -1);
+        return 720 - 4 * (longitude + hourAngle) - equationOfTime;
+    }
+
+    /**
+     * 날짜의 태양 사건 시각
+     * 날짜는 해당 지역의 달력 날짜이며, 경도와 시간대가 크게 다르지 않으면 같은 현지 날짜의 사건이 나옵니다.
+     * @param {string} event - 사건 이름 (resolveEvent 참고)
+     * @param {number} year - 연
+     * @param {number} month - 월 (1-12)
+     * @param {number} day - 일
+     * @param {number} latitude - 위도 (북위 +)
+     * @param {number} longitude - 경도 (동경 +)
+     * @returns {Date|null} 사건 시각 (분 단위 반올림, 그날 사건이 없으면 null)
+     */
+    static getEventTime(event, year, month, day, latitude, longitude) {
+        const definition = SUN_EVENTS[LCSSolarCalculator.resolveEvent(event)];
+        const midnight = Date.UTC(year, month - 1, day);
+        const julianDay = midnight / 86400000 + 2440587.5;
+
+        // 정오 근처 값으로 한 번 계산한 뒤, 그 시각의 태양 위치로 다시 계산해 보정
+        const noon = julianDay + 0.5 - longitude / 360;
+        let minutes = LCSSolarCalculator.computeMinutes(definition, noon, latitude, longitude);
+        if (minutes === null) {
+            return null;
+        }
+        minutes = LCSSolarCalculator.computeMinutes(definition, julianDay + minutes / 1440, latitude, longitude);
+        if (minutes === null) {
+            return null;
+        }
+        return new Date(midnight + Math.round(minutes) * 60000);
+    }
+
+    /**
+     * 날짜의 모든 태양 사건 시각
+     * @param {number} year - 연
+     * @param {number} month - 월 (1-12)
+     * @param {number} day - 일
+     * @param {number} latitude - 위도
+     * @param {number} longitude - 경도
+     * @returns {Object} { astronomicalDawn, ..., solarNoon, ..., astronomicalDusk } (Date 또는 null)
+     */
+    static getDay(year, month, day, latitude, longitude) {
+        const events = {};
+        for (const event of Object.keys(SUN_EVENTS)) {
+            events[event] = LCSSolarCalculator.getEventTime(event, year, month, day, latitude, longitude);
+        }
+        return events;
+    }
+}
+
+LCSSolarCalculator.EVENTS = Object.keys(SUN_EVENTS);
+
+module.exports = LCSSolarCalculator;
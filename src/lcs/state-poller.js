@@ -0,0 +1,324 @@
+const EventEmitter = require('events');
+const LCSCommandRegistry = require('./command-registry');
+const LCSValidationError = require('./validation-error');
+
+const { CODES } = LCSValidationError;
+
+const QUERY_METHODS = {
+    brightness: { method: 'getLampBrightness', field: 'brightness' },
+    colorTemp: { method: 'getLampColorTemperature', field: 'colorTemperature' },
+};
+
+/**
+ * 조명 상태 주기 조회 (Agent/CU별)
+ *
+ * 등록된 CU를 주기적으로 조회해 이전 조회 결과와 비교하고, 값이 바뀐 조명만 'changed' 이벤트로 알립니다.
+ * 첫 조회는 비교 기준만 만들고 알리지 않습니다 (현재 상태는 조명 상태 캐시에서 조회).
+ * 조회는 효과와 같은 background 우선순위로 스케줄러를 거치며, 버스가 바쁘면(전송 대기 명령이 많거나
+ * 조회가 실패하면) 주기를 maxInterval까지 두 배씩 늘리고, 한가해지면 원래 주기로 절반씩 되돌립니다.
+ *
+ * 이벤트:
+ * - 'changed' ({ agentId, masterAddr, cuAddr, attribute, lamps: [{ lampNo, previous, value }], timestamp })
+ */
+class LCSStatePoller extends EventEmitter {
+    /**
+     * @param {Function} getController - (agentId) => LCSController | null
+     * @param {Object} options - 기본 설정
+     * @param {number} options.interval - 조회 주기 (ms, 기본값: 5000)
+     * @param {number} options.maxInterval - 바쁠 때 늘릴 수 있는 최대 주기 (ms, 기본값: 60000)
+     * @param {number} options.busyThreshold - 바쁜 것으로 볼 전송 대기 명령 수 (기본값: 5)
+     */
+    constructor(getController, options = {}) {
+        super();
+        this.getController = getController;
+        this.defaults = {
+            interval: options.interval || 5000,
+            maxInterval: options.maxInterval || 60000,
+            busyThreshold: options.busyThreshold || 5,
+        };
+        this.targets = new Map(); // 'agentId:master:cu' -> 조회 대상
+    }
+
+    /**
+     * 조회 대상 등록 (같은 CU가 이미 있으면 설정 교체)
+     * @param {string} agentId - Agent ID
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @param {Object} options - { interval, maxInterval, busyThreshold, attributes: ['brightness', 'colorTemp'], deviceType }
+     * @returns {Object} 조회 대상 정보
+     * @throws {LCSValidationError} 설정이 잘못된 경우
+     */
+    add(agentId, masterAddr, cuAddr, options = {}) {
+        this.validateAddress('masterAddr', masterAddr);
+        this.validateAddress('cuAddr', cuAddr);
+
+        const deviceType = options.deviceType || 'LCS';
+        const capabilities = LCSCommandRegistry.DEVICE_CAPABILITIES[deviceType];
+        if (!capabilities) {
+            throw new LCSValidationError(CODES.UNKNOWN_DEVICE_TYPE, `알 수 없는 디바이스 타입입니다: ${deviceType}`, {
+                field: 'deviceType',
+                value: deviceType,
+            });
+        }
+
+        const attributes = options.attributes || ['brightness'];
+        if (!Array.isArray(attributes) || attributes.length === 0 || attributes.some((a) => !QUERY_METHODS[a])) {
+            throw new LCSValidationError(
+                CODES.OUT_OF_RANGE,
+                "attributes는 'brightness', 'colorTemp' 중에서 골라야 합니다.",
+                { field: 'attributes', value: attributes }
+            );
+        }
+        if (attributes.includes('colorTemp') && !capabilities.colorTemperature) {
+            throw new LCSValidationError(
+                CODES.UNSUPPORTED_DEVICE,
+                `${deviceType} 디바이스는 색온도 조회를 지원하지 않습니다.`,
+                { field: 'deviceType', value: deviceType }
+            );
+        }
+
+        const interval = options.interval || this.defaults.interval;
+        const maxInterval = Math.max(interval, options.maxInterval || this.defaults.maxInterval);
+        if (!Number.isFinite(interval) || interval < 500) {
+            throw new LCSValidationError(CODES.OUT_OF_RANGE, '조회 주기(interval)는 500ms 이상이어야 합니다.', {
+                field: 'interval',
+                value: interval,
+                min: 500,
+            });
+        }
+
+        this.remove(agentId, masterAddr, cuAddr);
+        const target = {
+            agentId,
+            masterAddr,
+            cuAddr,
+            deviceType,
+            attributes,
+            interval,
+            maxInterval,
+            busyThreshold: options.busyThreshold || this.defaults.busyThreshold,
+            currentInterval: interval,
+            previous: {}, // attribute -> 이전 조회 값 배열
+            timer: null,
+            status: 'scheduled', // 'scheduled' | 'polling' | 'busy' | 'disconnected' | 'failed'
+            lastPolledAt: null,
+            lastError: null,
+            stats: { polls: 0, changes: 0, skipped: 0, failed: 0 },
+        };
+        this.targets.set(this.getKey(agentId, masterAddr, cuAddr), target);
+        this.schedule(target, 0);
+
+        console.log(`🔁 상태 조회 등록: ${agentId} ${masterAddr}/${cuAddr} (${interval}ms)`);
+        return this.describe(target);
+    }
+
+    /**
+     * 마스터/CU 주소 검증 (명령 레지스트리와 같은 1-255 정수 규칙)
+     * @param {string} field - 'masterAddr' | 'cuAddr'
+     * @param {*} value - 주소 값
+     * @throws {LCSValidationError} 정수가 아니거나 범위를 벗어난 경우
+     */
+    validateAddress(field, value) {
+        if (!Number.isInteger(value) || value < 1 || value > 0xff) {
+            throw new LCSValidationError(
+                value === undefined ? CODES.REQUIRED : CODES.INVALID_ADDRESS,
+                `상태 조회의 ${field}는 1-255 정수여야 합니다: ${value}`,
+                { field, value, min: 1, max: 0xff }
+            );
+        }
+    }
+
+    /**
+     * 조회 대상 해제
+     * @param {string} agentId - Agent ID
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @returns {boolean} 해제 여부
+     */
+    remove(agentId, masterAddr, cuAddr) {
+        const key = this.getKey(agentId, masterAddr, cuAddr);
+        const target = this.targets.get(key);
+        if (!target) return false;
+
+        clearTimeout(target.timer);
+        this.targets.delete(key);
+        return true;
+    }
+
+    /**
+     * Agent의 모든 조회 대상 해제
+     * @param {string} agentId - Agent ID
+     * @returns {number} 해제된 대상 수
+     */
+    removeAgent(agentId) {
+        let count = 0;
+        for (const target of Array.from(this.targets.values())) {
+            if (target.agentId === agentId && this.remove(agentId, target.masterAddr, target.cuAddr)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * 다음 조회 예약
+     * @param {Object} target - 조회 대상
+     * @param {number} delay - 대기 시간 (ms)
+     */
+    schedule(target, delay) {
+        clearTimeout(target.timer);
+        target.timer = setTimeout(() => this.poll(target), delay);
+    }
+
+    /**
+     * 조회 1회 실행 후 다음 조회 예약
+     * @param {Object} target - 조회 대상
+     * @returns {Promise<void>}
+     */
+    async poll(target) {
+        const key = this.getKey(target.agentId, target.masterAddr, target.cuAddr);
+        const controller = this.getController(target.agentId);
+        if (!controller || this.targets.get(key) !== target) return;
+
+        if (!controller.isConnected) {
+            // 연결이 끊긴 동안은 원래 주기로 확인만 (재연결 후 첫 조회는 이전 값과 비교)
+            target.status = 'disconnected';
+            this.schedule(target, target.interval);
+            return;
+        }
+
+        if (this.isBusy(controller, target)) {
+            target.status = 'busy';
+            target.stats.skipped++;
+            this.backOff(target);
+            return;
+        }
+
+        target.status = 'polling';
+        try {
+            for (const attribute of target.attributes) {
+                const { method, field } = QUERY_METHODS[attribute];
+                const response = await controller.scheduleCommand(
+                    method,
+                    [target.masterAddr, target.cuAddr, target.deviceType],
+                    { priority: 'background', source: 'poll' }
+                );
+                if (Array.isArray(response[field])) {
+                    this.compare(target, attribute, response[field]);
+                }
+            }
+            target.stats.polls++;
+            target.lastPolledAt = new Date();
+            target.lastError = null;
+            target.status = 'scheduled';
+            target.currentInterval = Math.max(target.interval, Math.round(target.currentInterval / 2));
+        } catch (error) {
+            target.stats.failed++;
+            target.lastError = error.message;
+            target.status = 'failed';
+            const address = `${target.agentId} ${target.masterAddr}/${target.cuAddr}`;
+            console.warn(`⚠️ 상태 조회 실패 (${address}): ${error.message}`);
+            this.backOff(target);
+            return;
+        }
+
+        if (this.targets.get(key) === target) {
+            this.schedule(target, target.currentInterval);
+        }
+    }
+
+    /**
+     * 버스가 바쁜지 확인 (스케줄러 대기 명령과 응답 대기 중인 요청)
+     * @param {LCSController} controller - Agent 컨트롤러
+     * @param {Object} target - 조회 대상
+     * @returns {boolean} 바쁨 여부
+     */
+    isBusy(controller, target) {
+        const { depth } = controller.scheduler.getStatus();
+        const { queued } = controller.client.getQueueStatus();
+        return depth.interactive + depth.background + queued >= target.busyThreshold;
+    }
+
+    /**
+     * 주기를 늘려 다음 조회 예약
+     * @param {Object} target - 조회 대상
+     */
+    backOff(target) {
+        target.currentInterval = Math.min(target.maxInterval, target.currentInterval * 2);
+        this.schedule(target, target.currentInterval);
+    }
+
+    /**
+     * 이전 조회 결과와 비교해 바뀐 조명 알림
+     * @param {Object} target - 조회 대상
+     * @param {string} attribute - 'brightness' | 'colorTemp'
+     * @param {Array} values - 조명별 값 (인덱스 0이 조명 1)
+     */
+    compare(target, attribute, values) {
+        const previous = target.previous[attribute];
+        target.previous[attribute] = values.slice();
+        if (!previous) return;
+
+        const lamps = [];
+        values.forEach((value, index) => {
+            if (previous[index] !== value) {
+                const before = previous[index] === undefined ? null : previous[index];
+                lamps.push({ lampNo: index + 1, previous: before, value });
+            }
+        });
+        if (lamps.length === 0) return;
+
+        target.stats.changes++;
+        this.emit('changed', {
+            agentId: target.agentId,
+            masterAddr: target.masterAddr,
+            cuAddr: target.cuAddr,
+            attribute,
+            lamps,
+            timestamp: new Date(),
+        });
+    }
+
+    /**
+     * 조회 대상 키
+     * @param {string} agentId - Agent ID
+     * @param {number} masterAddr - 마스터 주소
+     * @param {number} cuAddr - CU 주소
+     * @returns {string} 'agentId:master:cu'
+     */
+    getKey(agentId, masterAddr, cuAddr) {
+        return `${agentId}:${masterAddr}:${cuAddr}`;
+    }
+
+    /**
+     * 조회 대상 요약
+     * @param {Object} target - 조회 대상
+     * @returns {Object} { agentId, masterAddr, cuAddr, deviceType, attributes, interval, maxInterval, busyThreshold,
+     *                     currentInterval, status, lastPolledAt, lastError, stats }
+     */
+    describe(target) {
+        const { timer, previous, ...info } = target;
+        return { ...info, stats: { ...target.stats } };
+    }
+
+    /**
+     * 조회 대상 목록
+     * @param {string} agentId - Agent ID (생략하면 전체)
+     * @returns {Array} 조회 대상 요약
+     */
+    list(agentId = null) {
+        return Array.from(this.targets.values())
+            .filter((target) => !agentId || target.agentId === agentId)
+            .map((target) => this.describe(target));
+    }
+
+    /**
+     * 모든 조회 중지
+     */
+    stopAll() {
+        for (const target of this.targets.values()) {
+            clearTimeout(target.timer);
+        }
+        this.targets.clear();
+    }
+}
+
+module.exports = LCSStatePoller;
@@ -1,18 +1,78 @@
-const net = require('net');
 const EventEmitter = require('events');
+const LCSTransport = require('./transport');
+const LCSTcpTransport = require('./tcp-transport');
+const LCSTlsTransport = require('./tls-transport');
+const LCSMemoryTransport = require('./memory-transport');
 const LCSPacketBuilder = require('./packet-builder');
+const LCSFrameDecoder = require('./frame-decoder');
+const LCSCommandRegistry = require('./command-registry');
+const LCSValidationError = require('./validation-error');
+
+// options.transport 이름 -> 전송 계층 클래스
+const TRANSPORTS = {
+    tcp: LCSTcpTransport,
+    tls: LCSTlsTransport,
+    memory: LCSMemoryTransport,
+};
 
 class LCSTcpClient extends EventEmitter {
-    constructor(host = '127.0.0.1', port = 1000) {
+    /**
+     * @param {string} host - LCS Agent 호스트
+     * @param {number} port - LCS Agent 포트
+     * @param {Object} options - 클라이언트 옵션
+     * @param {number} options.maxInFlight - 동시에 응답을 기다릴 수 있는 요청 수 (파이프라이닝 깊이, 기본값: 1)
+     * @param {number} options.requestTimeout - 요청별 응답 대기 시간 (ms, 기본값: 5000)
+     * @param {number} options.lateResponseWindow - 타임아웃된 요청의 늦은 응답을 흡수할 시간 (ms, 기본값: 1000)
+     * @param {number} options.maxFrameLength - 수신 프레임 최대 길이 (기본값: 1024)
+     * @param {LCSCommandRegistry} options.registry - 명령 레지스트리 (기본값: 공용 레지스트리)
+     * @param {number} options.maxLampsPerFrame - 조명 목록 명령의 프레임당 최대 조명 수 (기본값: 명령 정의의 maxItems)
+     * @param {string|Function} options.transport - 'tcp' | 'tls' | 'memory' 또는 (host, port, options)로
+     *                                              LCSTransport를 만드는 함수 (기본값: 'tcp')
+     * @param {Object} options.tls - TLS 옵션 (ca/caFile, cert/certFile, key/keyFile, passphrase, servername 등)
+     */
+    constructor(host = '127.0.0.1', port = 1000, options = {}) {
         super();
         this.host = host;
         this.port = port;
-        this.socket = null;
+        this.transportOption = options.transport || 'tcp';
+        this.transportOptions = options.tls || {};
+        this.transport = null;
         this.isConnected = false;
-        this.packetBuilder = new LCSPacketBuilder();
-        this.responseBuffer = Buffer.alloc(0);
-        this.responseCallbacks = new Map();
+        this.registry = options.registry || LCSCommandRegistry.getDefault();
+        this.packetBuilder = new LCSPacketBuilder(this.registry);
+        this.frameDecoder = new LCSFrameDecoder({ maxFrameLength: options.maxFrameLength });
+        this.maxInFlight = options.maxInFlight || 1;
+        this.requestTimeout = options.requestTimeout || 5000;
+        this.lateResponseWindow = options.lateResponseWindow !== undefined ? options.lateResponseWindow : 1000;
+        this.maxLampsPerFrame = options.maxLampsPerFrame || null;
+        this.pendingRequests = new Map(); // requestId -> 응답 대기 중인 요청
+        this.requestQueue = []; // 전송 대기 중인 요청
+        this.staleResponses = new Map(); // 응답 키 -> { expected, expiresAt } (늦은 응답 흡수용)
         this.requestId = 0;
+
+        if (typeof this.transportOption === 'string' && !TRANSPORTS[this.transportOption]) {
+            throw new LCSValidationError(
+                LCSValidationError.CODES.OUT_OF_RANGE,
+                `알 수 없는 전송 방식입니다: ${this.transportOption} (${Object.keys(TRANSPORTS).join(', ')})`,
+                { field: 'transport', value: this.transportOption }
+            );
+        }
+
+        this.frameDecoder.on('frame', (packetInfo) => {
+            this.emit('frame_received', { raw: packetInfo.raw, timestamp: new Date() });
+            const responseData = this.interpretResponse(packetInfo);
+
+            if (this.dispatchResponse(responseData)) {
+                this.emit('response', responseData);
+            } else {
+                // 대기 중인 요청과 무관한 프레임은 장비 측 상태 변경 알림으로 처리
+                this.emit('notification', this.interpretNotification(packetInfo, responseData));
+            }
+        });
+
+        this.frameDecoder.on('frame_error', (frameError) => {
+            this.emit('frame_error', frameError);
+        });
     }
 
     /**
@@ -21,40 +81,88 @@ class LCSTcpClient extends EventEmitter {
      */
     connect() {
         return new Promise((resolve, reject) => {
-            this.socket = new net.Socket();
+            if (this.transport) {
+                this.transport.removeAllListeners();
+                this.transport.on('error', () => {}); // 교체된 전송 계층의 늦은 오류 무시
+                this.transport.close();
+            }
 
-            this.socket.connect(this.port, this.host, () => {
-                this.isConnected = true;
-                console.log(`LCS Agent에 연결됨: ${this.host}:${this.port}`);
-                this.emit('connected');
-                resolve(true);
-            });
+            const transport = this.createTransport();
+            this.transport = transport;
+            this.frameDecoder.reset();
 
-            this.socket.on('data', (data) => {
+            transport.on('data', (data) => {
                 this.handleResponse(data);
             });
 
-            this.socket.on('error', (error) => {
+            transport.on('error', (error) => {
+                reject(error); // 연결 전 오류인 경우
                 console.error('LCS Agent 연결 오류:', error);
                 this.isConnected = false;
                 this.emit('error', error);
-                reject(error);
             });
 
-            this.socket.on('close', () => {
+            transport.on('close', () => {
+                reject(new Error('LCS Agent 연결 종료')); // 연결 전에 닫힌 경우
                 this.isConnected = false;
+                this.rejectAllRequests(new Error('LCS Agent 연결 종료'));
                 console.log('LCS Agent 연결 종료');
                 this.emit('disconnected');
             });
+
+            transport.connect().then(() => {
+                this.isConnected = true;
+                console.log(`LCS Agent에 연결됨: ${this.getTransportUrl()}`);
+                this.emit('connected');
+                resolve(true);
+            }, reject);
         });
     }
 
+    /**
+     * 전송 계층 생성
+     * @returns {LCSTransport} 전송 계층
+     */
+    createTransport() {
+        if (typeof this.transportOption === 'function') {
+            const transport = this.transportOption(this.host, this.port, this.transportOptions);
+            if (!(transport instanceof LCSTransport)) {
+                throw new Error('transport 함수는 LCSTransport 인스턴스를 반환해야 합니다.');
+            }
+            return transport;
+        }
+
+        const Transport = TRANSPORTS[this.transportOption];
+        return new Transport(this.host, this.port, this.transportOptions);
+    }
+
+    /**
+     * 연결 대상 표시 (예: tls://gateway:8443)
+     * @returns {string} 전송 방식과 주소
+     */
+    getTransportUrl() {
+        const type = this.transport ? this.transport.type : this.transportOption;
+        return `${type}://${this.host}:${this.port}`;
+    }
+
+    /**
+     * 전송 계층 정보
+     * @returns {Object} { type, host, port, ... }
+     */
+    getTransportInfo() {
+        if (this.transport) {
+            return this.transport.describe();
+        }
+        const type = typeof this.transportOption === 'string' ? this.transportOption : 'custom';
+        return { type, host: this.host, port: this.port };
+    }
+
     /**
      * 연결 해제
      */
     disconnect() {
-        if (this.socket) {
-            this.socket.destroy();
+        if (this.transport) {
+            this.transport.close();
             this.isConnected = false;
         }
     }
@@ -64,74 +172,19 @@ class LCSTcpClient extends EventEmitter {
      * @param {Buffer} data - 수신된 데이터
      */
     handleResponse(data) {
-        this.responseBuffer = Buffer.concat([this.responseBuffer, data]);
-
-        // 완전한 패킷이 있는지 확인하고 파싱
-        while (this.responseBuffer.length >= 18) {
-            // 최소 패킷 크기
-            const packetInfo = this.parseResponsePacket(this.responseBuffer);
-
-            if (packetInfo.isComplete) {
-                const responseData = this.interpretResponse(packetInfo);
-                this.emit('response', responseData);
-
-                // 처리된 패킷만큼 버퍼에서 제거
-                this.responseBuffer = this.responseBuffer.slice(packetInfo.totalLength);
-            } else {
-                break; // 완전한 패킷이 아직 수신되지 않음
-            }
-        }
+        this.frameDecoder.push(data);
     }
 
     /**
-     * 응답 패킷 파싱
-     * @param {Buffer} buffer - 응답 버퍼
-     * @returns {Object} 파싱된 패킷 정보
+     * 수신 프레임 통계 (디코딩/폐기 건수)
+     * @returns {Object} 프레임 통계
      */
-    parseResponsePacket(buffer) {
-        if (buffer.length < 18) {
-            return { isComplete: false };
-        }
-
-        if (buffer[0] !== 0x02) {
-            // STX 확인
-            return { isComplete: false };
-        }
-
-        const packetLength = buffer.readUInt16LE(1);
-
-        if (buffer.length < packetLength) {
-            return { isComplete: false };
-        }
-
-        if (buffer[packetLength - 1] !== 0x03) {
-            // ETX 확인
-            return { isComplete: false };
-        }
-
-        // 패킷 필드 추출
-        const destAddr = Array.from(buffer.slice(3, 8));
-        const srcAddr = Array.from(buffer.slice(8, 13));
-        const op1 = buffer[13];
-        const op2 = buffer[14];
-        const dataLength = packetLength - 18; // 헤더 + BCC + ETX 제외
-        const responseData = buffer.slice(15, 15 + dataLength);
-        const bcc = buffer.readUInt16LE(15 + dataLength);
-
-        return {
-            isComplete: true,
-            totalLength: packetLength,
-            destAddr,
-            srcAddr,
-            op1,
-            op2,
-            data: responseData,
-            bcc,
-        };
+    getFrameStats() {
+        return this.frameDecoder.getStats();
     }
 
     /**
-     * 응답 데이터 해석
+     * 응답 데이터 해석 (명령 레지스트리의 응답 정의 사용)
      * @param {Object} packetInfo - 파싱된 패킷 정보
      * @returns {Object} 해석된 응답 데이터
      */
@@ -150,76 +203,421 @@ class LCSTcpClient extends EventEmitter {
             rawData: data,
         };
 
-        // OP 코드별 데이터 해석
-        switch (opCode) {
-            case 0x1600: // 조명 밝기 응답 (0x96 → 0x16)
-                response.type = 'lamp_brightness';
-                response.brightness = Array.from(data);
-                break;
-
-            case 0x1606: // 색온도 응답 (0x96 → 0x16)
-                response.type = 'color_temperature';
-                response.colorTemperature = Array.from(data);
-                break;
-
-            case 0x1000: // 조명 제어 응답 (0x90 → 0x10)
-                response.type = 'lamp_control_ack';
-                response.result = data[0] === 0x00 ? 'success' : 'failed';
-                break;
-
-            case 0x2205: // 디바이스 이름 응답 (0xA2 → 0x22)
-                response.type = 'device_name';
-                response.deviceName = data.toString('utf8').replace(/\0/g, '');
-                break;
-
-            default:
-                response.type = 'unknown';
-                response.hexData = data.toString('hex').toUpperCase();
+        const decoded = this.registry.decodeResponse(op1, op2, data);
+        if (decoded && decoded.fields) {
+            response.type = decoded.type;
+            response.command = decoded.command;
+            Object.assign(response, decoded.fields);
+            this.applyRelayStates(response);
+        } else {
+            response.type = 'unknown';
+            response.hexData = data.toString('hex').toUpperCase();
         }
 
         return response;
     }
 
+    /**
+     * 릴레이 디바이스(RCU)의 밝기 응답에 채널별 ON/OFF 상태 추가
+     * @param {Object} response - 해석된 응답 (sourceDevice, brightness 포함)
+     */
+    applyRelayStates(response) {
+        const deviceType = Object.keys(LCSCommandRegistry.DEVICE_TYPES).find(
+            (name) => LCSCommandRegistry.DEVICE_TYPES[name] === response.sourceDevice.type
+        );
+        const capabilities = LCSCommandRegistry.DEVICE_CAPABILITIES[deviceType];
+
+        response.deviceType = deviceType || null;
+        if (capabilities && capabilities.relay && Array.isArray(response.brightness)) {
+            response.relays = response.brightness.map((value) => value > 0);
+        }
+    }
+
+    /**
+     * 요청과 무관하게 수신된 프레임(벽 스위치 조작, 장비에서 실행된 시나리오 등) 해석
+     * 장비가 보낸 명령 프레임은 요청 페이로드 스키마로, 상태 보고 프레임은 응답 정의로 해석합니다.
+     * @param {Object} packetInfo - 파싱된 패킷 정보
+     * @param {Object} response - interpretResponse() 결과
+     * @returns {Object} 장비 이벤트
+     */
+    interpretNotification(packetInfo, response) {
+        const { op1, op2, data } = packetInfo;
+
+        const event = {
+            eventType: 'unknown',
+            unsolicited: true,
+            opCode: response.opCode,
+            sourceDevice: response.sourceDevice,
+            timestamp: response.timestamp,
+            rawData: data.toString('hex').toUpperCase(),
+        };
+
+        // 장비 발신 명령 (OP1 최상위 비트 설정) 또는 같은 페이로드를 가진 응답 코드
+        const command = this.registry.findByRequest(op1 | 0x80, op2);
+        if (command && command.eventType) {
+            const params = this.registry.decodePayload(command, data);
+            if (params) {
+                event.eventType = command.eventType;
+                event.command = command.name;
+                Object.assign(event, params);
+                return event;
+            }
+        }
+
+        // 상태 보고 (예: 0x16 밝기 보고)
+        const decoded = this.registry.decodeResponse(op1, op2, data);
+        if (decoded && decoded.eventType && decoded.fields) {
+            event.eventType = decoded.eventType;
+            event.command = decoded.command;
+            Object.assign(event, decoded.fields);
+        }
+
+        return event;
+    }
+
+    /**
+     * 요청 패킷으로부터 기대하는 응답 정보 추출
+     * 레지스트리에 응답 코드가 정의되어 있으면 그 값을, 아니면 요청 OP1의 최상위 비트를 뺀 값을 사용합니다
+     * (예: 0x96 → 0x16, 0x90 → 0x10).
+     * @param {Buffer} packet - 요청 패킷
+     * @returns {Object} { op1, op2, masterAddr, cuAddr, isBroadcast, key }
+     */
+    getExpectedResponse(packet) {
+        const command = this.registry.findByRequest(packet[13], packet[14]);
+        const op1 = command && command.response ? command.response.op1 : packet[13] & 0x7f;
+        const op2 = command && command.response ? command.response.op2 : packet[14];
+        const masterAddr = packet[4];
+        const cuAddr = packet[5];
+        const isBroadcast = masterAddr === 0 && cuAddr === 0;
+
+        return {
+            op1,
+            op2,
+            masterAddr,
+            cuAddr,
+            isBroadcast,
+            key: `${op1}:${op2}:${masterAddr}:${cuAddr}`,
+        };
+    }
+
+    /**
+     * 응답이 요청의 기대값과 일치하는지 확인
+     * @param {Object} expected - getExpectedResponse() 결과
+     * @param {Object} response - interpretResponse() 결과
+     * @returns {boolean} 일치 여부
+     */
+    matchesResponse(expected, response) {
+        const opCode = (expected.op1 << 8) | expected.op2;
+        if (parseInt(response.opCode, 16) !== opCode) {
+            return false;
+        }
+        if (expected.isBroadcast) {
+            return true;
+        }
+        return (
+            response.sourceDevice.masterAddr === expected.masterAddr &&
+            response.sourceDevice.cuAddr === expected.cuAddr
+        );
+    }
+
+    /**
+     * 수신한 응답을 대기 중인 요청에 연결
+     * 같은 응답 키를 가진 요청은 동시에 전송되지 않으므로, 가장 먼저 보낸 일치 요청이 응답을 받습니다.
+     * @param {Object} response - interpretResponse() 결과
+     * @returns {boolean} 요청(또는 타임아웃된 요청의 늦은 응답)으로 소비되었는지 여부
+     */
+    dispatchResponse(response) {
+        for (const [requestId, request] of this.pendingRequests) {
+            if (!this.matchesResponse(request.expected, response)) continue;
+
+            clearTimeout(request.timeout);
+            this.pendingRequests.delete(requestId);
+            response.requestId = requestId;
+            response.latency = Date.now() - request.sentAt;
+            request.resolve(response);
+            this.drainRequestQueue();
+            return true;
+        }
+
+        // 타임아웃된 요청의 늦은 응답은 다음 요청에 잘못 연결되지 않도록 버림
+        for (const [key, { expected, expiresAt }] of this.staleResponses) {
+            if (expiresAt > Date.now() && this.matchesResponse(expected, response)) {
+                this.staleResponses.delete(key);
+                this.emit('late_response', response);
+                this.drainRequestQueue();
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * 응답 키가 사용 중인지 확인 (응답 대기 중이거나 늦은 응답을 흡수하는 중)
+     * @param {string} key - 응답 키
+     * @returns {boolean} 사용 중 여부
+     */
+    isResponseKeyBusy(key) {
+        const stale = this.staleResponses.get(key);
+        if (stale) {
+            if (stale.expiresAt > Date.now()) return true;
+            this.staleResponses.delete(key);
+        }
+
+        for (const request of this.pendingRequests.values()) {
+            if (request.expected.key === key) return true;
+        }
+        return false;
+    }
+
+    /**
+     * 대기열의 요청을 파이프라이닝 깊이만큼 전송
+     */
+    drainRequestQueue() {
+        let index = 0;
+        while (this.pendingRequests.size < this.maxInFlight && index < this.requestQueue.length) {
+            const request = this.requestQueue[index];
+
+            // 같은 응답 키의 요청이 진행 중이면 응답을 구분할 수 없으므로 순서를 기다림
+            if (this.isResponseKeyBusy(request.expected.key)) {
+                index++;
+                continue;
+            }
+
+            this.requestQueue.splice(index, 1);
+            this.writeRequest(request);
+        }
+    }
+
+    /**
+     * 요청 패킷 전송 및 응답 타임아웃 설정
+     * @param {Object} request - 대기열 요청
+     */
+    writeRequest(request) {
+        const { requestId, packet, expected } = request;
+
+        request.sentAt = Date.now();
+        request.timeout = setTimeout(() => {
+            this.pendingRequests.delete(requestId);
+            if (this.lateResponseWindow > 0) {
+                this.staleResponses.set(expected.key, { expected, expiresAt: Date.now() + this.lateResponseWindow });
+                setTimeout(() => this.drainRequestQueue(), this.lateResponseWindow);
+            }
+            request.reject(new Error('응답 타임아웃'));
+            this.drainRequestQueue();
+        }, request.timeoutMs);
+
+        this.pendingRequests.set(requestId, request);
+        this.transport.write(packet);
+        this.emit('frame_sent', { raw: packet, timestamp: new Date(request.sentAt), requestId });
+
+        if (this.packetBuilder.debug) {
+            console.log('전송 패킷:', this.packetBuilder.packetToHex(packet));
+        }
+    }
+
+    /**
+     * 대기 중인 모든 요청 실패 처리
+     * @param {Error} error - 전달할 오류
+     */
+    rejectAllRequests(error) {
+        for (const request of this.pendingRequests.values()) {
+            clearTimeout(request.timeout);
+            request.reject(error);
+        }
+        for (const request of this.requestQueue) {
+            request.reject(error);
+        }
+        this.pendingRequests.clear();
+        this.requestQueue = [];
+        this.staleResponses.clear();
+    }
+
+    /**
+     * 요청 대기열 상태
+     * @returns {Object} { inFlight, queued, maxInFlight }
+     */
+    getQueueStatus() {
+        return {
+            inFlight: this.pendingRequests.size,
+            queued: this.requestQueue.length,
+            maxInFlight: this.maxInFlight,
+        };
+    }
+
     /**
      * 패킷 전송
      * @param {Buffer} packet - 전송할 패킷
+     * @param {Object} options - { timeout: 응답 대기 시간 (ms) }
      * @returns {Promise<Object>} 응답 데이터
      */
-    sendPacket(packet) {
+    sendPacket(packet, options = {}) {
         return new Promise((resolve, reject) => {
             if (!this.isConnected) {
                 reject(new Error('LCS Agent에 연결되지 않음'));
                 return;
             }
 
-            const requestId = ++this.requestId;
+            this.requestQueue.push({
+                requestId: ++this.requestId,
+                packet,
+                expected: this.getExpectedResponse(packet),
+                timeoutMs: options.timeout || this.requestTimeout,
+                resolve,
+                reject,
+            });
+
+            this.drainRequestQueue();
+        });
+    }
+
+    /**
+     * 레지스트리에 등록된 명령 전송
+     * @param {string} name - 명령 이름
+     * @param {Object} params - { masterAddr, cuAddr, deviceType, ...페이로드 필드 }
+     * @param {Object} options - { timeout: 응답 대기 시간 (ms) }
+     * @returns {Promise<Object>} 응답 데이터
+     */
+    async sendCommand(name, params = {}, options = {}) {
+        const packet = this.packetBuilder.buildCommand(name, params);
+        return await this.sendPacket(packet, options);
+    }
+
+    /**
+     * 조명 목록 명령 전송
+     * 프레임당 최대 조명 수를 넘거나 여러 CU에 걸친 목록은 여러 프레임으로 나누어 순서대로 보내고,
+     * 프레임별 응답을 모아 어떤 조명이 성공/실패했는지 하나의 결과로 반환합니다.
+     * 모든 프레임을 먼저 생성하므로 인자 오류가 있으면 아무것도 전송하지 않습니다.
+     * @param {string} name - 명령 이름 (조명 목록 필드가 있는 명령)
+     * @param {Object} params - { masterAddr, cuAddr, deviceType, lampList, ...나머지 페이로드 필드 }
+     *   lampList 항목은 조명 번호 또는 { masterAddr, cuAddr, lampNo } (생략한 주소는 params 값 사용)
+     * @param {Object} options - { timeout: 프레임별 응답 대기 시간 (ms) }
+     * @returns {Promise<Object>} { command, type, result: 'success'|'partial'|'failed', succeeded, failed, frames }
+     */
+    async sendLampListCommand(name, params = {}, options = {}) {
+        const command = this.registry.get(name);
+        const frames = this.buildLampListFrames(name, params);
+        if (!frames) {
+            return await this.sendCommand(name, params, options);
+        }
+
+        const succeeded = [];
+        const failed = [];
+        const results = [];
+
+        for (const frame of frames) {
+            const lamps = frame.lampList.map((lampNo) => ({
+                masterAddr: frame.masterAddr,
+                cuAddr: frame.cuAddr,
+                lampNo,
+            }));
+            const frameResult = { masterAddr: frame.masterAddr, cuAddr: frame.cuAddr, lampList: frame.lampList };
+
+            try {
+                const response = await this.sendPacket(frame.packet, options);
+                const ok = response.result === undefined || response.result === 'success';
+                Object.assign(frameResult, {
+                    result: ok ? 'success' : 'failed',
+                    requestId: response.requestId,
+                    latency: response.latency,
+                });
+                (ok ? succeeded : failed).push(...lamps);
+            } catch (error) {
+                Object.assign(frameResult, { result: 'failed', error: error.message });
+                failed.push(...lamps.map((lamp) => ({ ...lamp, error: error.message })));
+            }
+            results.push(frameResult);
+        }
+
+        let result = 'partial';
+        if (failed.length === 0) result = 'success';
+        else if (succeeded.length === 0) result = 'failed';
+
+        return {
+            command: name,
+            type: command.response ? command.response.type : name,
+            result,
+            succeeded,
+            failed,
+            frames: results,
+        };
+    }
 
-            // 응답 콜백 등록 (타임아웃 설정)
-            const timeout = setTimeout(() => {
-                this.responseCallbacks.delete(requestId);
-                reject(new Error('응답 타임아웃'));
-            }, 5000);
+    /**
+     * 조명 목록 명령의 프레임 생성 (마스터/CU별로 묶고 프레임당 최대 조명 수로 나눔)
+     * @param {string} name - 명령 이름
+     * @param {Object} params - sendLampListCommand()와 같은 인자
+     * @returns {Array|null} [{ masterAddr, cuAddr, lampList, packet }] (조명 목록 필드가 없는 명령이면 null)
+     * @throws {LCSValidationError} 인자가 잘못된 경우
+     */
+    buildLampListFrames(name, params = {}) {
+        const command = this.registry.get(name);
+        const listInfo = command ? this.registry.getLampListField(command) : null;
+        if (!listInfo) {
+            return null;
+        }
+
+        const { field } = listInfo;
+        const capacity = Math.min(listInfo.capacity, this.maxLampsPerFrame || Infinity);
+        const groups = this.groupLampList(params, field.name);
+
+        const frames = [];
+        for (const group of groups) {
+            for (let i = 0; i < group.lamps.length; i += capacity) {
+                const lampList = group.lamps.slice(i, i + capacity);
+                const packet = this.packetBuilder.buildCommand(name, {
+                    ...params,
+                    masterAddr: group.masterAddr,
+                    cuAddr: group.cuAddr,
+                    [field.name]: lampList,
+                });
+                frames.push({ masterAddr: group.masterAddr, cuAddr: group.cuAddr, lampList, packet });
+            }
+        }
+        return frames;
+    }
 
-            this.responseCallbacks.set(requestId, { resolve, reject, timeout });
+    /**
+     * 조명 목록을 마스터/CU별로 묶음 (처음 나온 순서 유지)
+     * @param {Object} params - { masterAddr, cuAddr, [listName] }
+     * @param {string} listName - 조명 목록 필드 이름
+     * @returns {Array} [{ masterAddr, cuAddr, lamps }]
+     * @throws {LCSValidationError} 목록이 배열이 아니거나 같은 CU에 중복된 조명이 있는 경우
+     */
+    groupLampList(params, listName) {
+        const list = params[listName];
+        if (!Array.isArray(list) || list.length === 0) {
+            throw new LCSValidationError(
+                Array.isArray(list) ? LCSValidationError.CODES.EMPTY_LIST : LCSValidationError.CODES.INVALID_TYPE,
+                `${listName}에 조명 번호가 1개 이상 필요합니다.`,
+                { field: listName, value: list }
+            );
+        }
 
-            // 응답 이벤트 리스너 (일회성)
-            const responseHandler = (response) => {
-                const callback = this.responseCallbacks.get(requestId);
-                if (callback) {
-                    clearTimeout(callback.timeout);
-                    this.responseCallbacks.delete(requestId);
-                    this.off('response', responseHandler);
-                    resolve(response);
-                }
-            };
+        const groups = new Map();
+        for (const item of list) {
+            const isObject = item !== null && typeof item === 'object';
+            const masterAddr = isObject && item.masterAddr !== undefined ? item.masterAddr : params.masterAddr;
+            const cuAddr = isObject && item.cuAddr !== undefined ? item.cuAddr : params.cuAddr;
+            const lampNo = isObject ? item.lampNo : item;
 
-            this.on('response', responseHandler);
+            const key = `${masterAddr}:${cuAddr}`;
+            if (!groups.has(key)) {
+                groups.set(key, { masterAddr, cuAddr, lamps: [] });
+            }
 
-            // 패킷 전송
-            this.socket.write(packet);
+            const group = groups.get(key);
+            if (group.lamps.includes(lampNo)) {
+                throw new LCSValidationError(
+                    LCSValidationError.CODES.DUPLICATE_ITEM,
+                    `${listName}에 중복된 항목이 있습니다: ${masterAddr}/${cuAddr}/${lampNo}`,
+                    { field: listName, value: item }
+                );
+            }
+            group.lamps.push(lampNo);
+        }
 
-            console.log('전송 패킷:', this.packetBuilder.packetToHex(packet));
-        });
+        return Array.from(groups.values());
     }
 
     /**
@@ -238,10 +636,11 @@ class LCSTcpClient extends EventEmitter {
      * 조명 색온도 조회
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
+     * @param {string} deviceType - 디바이스 타입 (색온도는 LCS만 지원)
      * @returns {Promise<Object>} 색온도 정보
      */
-    async getLampColorTemperature(masterAddr, cuAddr) {
-        const packet = this.packetBuilder.getLampColorTemperature(masterAddr, cuAddr);
+    async getLampColorTemperature(masterAddr, cuAddr, deviceType = 'LCS') {
+        const packet = this.packetBuilder.getLampColorTemperature(masterAddr, cuAddr, deviceType);
         return await this.sendPacket(packet);
     }
 
@@ -250,11 +649,12 @@ class LCSTcpClient extends EventEmitter {
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
      * @param {number} lampNo - 조명 번호
-     * @param {number} brightness - 밝기 값 (0-100)
+     * @param {number|boolean} brightness - 밝기 값 (0-100, 릴레이는 ON/OFF)
+     * @param {string} deviceType - 디바이스 타입
      * @returns {Promise<Object>} 제어 결과
      */
-    async controlLamp(masterAddr, cuAddr, lampNo, brightness) {
-        const packet = this.packetBuilder.controlLampDimming(masterAddr, cuAddr, lampNo, brightness);
+    async controlLamp(masterAddr, cuAddr, lampNo, brightness, deviceType = 'LCS') {
+        const packet = this.packetBuilder.controlLampDimming(masterAddr, cuAddr, lampNo, brightness, deviceType);
         return await this.sendPacket(packet);
     }
 
@@ -262,26 +662,38 @@ class LCSTcpClient extends EventEmitter {
      * 다중 조명 블록 제어
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
-     * @param {Array} lampList - 조명 번호 배열
-     * @param {number} brightness - 밝기 값 (0-100)
-     * @returns {Promise<Object>} 제어 결과
+     * @param {Array} lampList - 조명 번호 또는 { masterAddr, cuAddr, lampNo } 배열 (길면 나누어 전송)
+     * @param {number|boolean} brightness - 밝기 값 (0-100, 릴레이는 ON/OFF)
+     * @param {string} deviceType - 디바이스 타입
+     * @returns {Promise<Object>} 제어 결과 (sendLampListCommand 참고)
      */
-    async controlLampBlock(masterAddr, cuAddr, lampList, brightness) {
-        const packet = this.packetBuilder.controlLampBlock(masterAddr, cuAddr, lampList, brightness);
-        return await this.sendPacket(packet);
+    async controlLampBlock(masterAddr, cuAddr, lampList, brightness, deviceType = 'LCS') {
+        return await this.sendLampListCommand('controlLampBlock', {
+            masterAddr,
+            cuAddr,
+            lampList,
+            brightness,
+            deviceType,
+        });
     }
 
     /**
      * 색온도 제어
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
-     * @param {Array} lampList - 조명 번호 배열
+     * @param {Array} lampList - 조명 번호 또는 { masterAddr, cuAddr, lampNo } 배열 (길면 나누어 전송)
      * @param {number} colorTemp - 색온도 값 (0-100)
-     * @returns {Promise<Object>} 제어 결과
+     * @param {string} deviceType - 디바이스 타입 (색온도는 LCS만 지원)
+     * @returns {Promise<Object>} 제어 결과 (sendLampListCommand 참고)
      */
-    async controlColorTemperature(masterAddr, cuAddr, lampList, colorTemp) {
-        const packet = this.packetBuilder.controlLampColorTemp(masterAddr, cuAddr, lampList, colorTemp);
-        return await this.sendPacket(packet);
+    async controlColorTemperature(masterAddr, cuAddr, lampList, colorTemp, deviceType = 'LCS') {
+        return await this.sendLampListCommand('controlLampColorTemp', {
+            masterAddr,
+            cuAddr,
+            lampList,
+            colorTemp,
+            deviceType,
+        });
     }
 
     /**
@@ -290,10 +702,11 @@ class LCSTcpClient extends EventEmitter {
      * @param {number} cuAddr - CU 주소
      * @param {number} sceneNo - 시나리오 번호
      * @param {number} fadeTime - 페이드 시간 (초)
+     * @param {string} deviceType - 디바이스 타입
      * @returns {Promise<Object>} 실행 결과
      */
-    async executeScene(masterAddr, cuAddr, sceneNo, fadeTime = 0) {
-        const packet = this.packetBuilder.executeScene(masterAddr, cuAddr, sceneNo, fadeTime);
+    async executeScene(masterAddr, cuAddr, sceneNo, fadeTime = 0, deviceType = 'LCS') {
+        const packet = this.packetBuilder.executeScene(masterAddr, cuAddr, sceneNo, fadeTime, deviceType);
         return await this.sendPacket(packet);
     }
 
@@ -301,14 +714,27 @@ class LCSTcpClient extends EventEmitter {
      * 전체 조명 제어
      * @param {number} masterAddr - 마스터 주소
      * @param {number} cuAddr - CU 주소
-     * @param {number} brightness - 밝기 값 (0-100)
+     * @param {number|boolean} brightness - 밝기 값 (0-100, 릴레이는 ON/OFF)
+     * @param {string} deviceType - 디바이스 타입
      * @returns {Promise<Object>} 제어 결과
      */
-    async controlAllLamps(masterAddr, cuAddr, brightness) {
-        const packet = this.packetBuilder.controlAllLamps(masterAddr, cuAddr, brightness);
+    async controlAllLamps(masterAddr, cuAddr, brightness, deviceType = 'LCS') {
+        const packet = this.packetBuilder.controlAllLamps(masterAddr, cuAddr, brightness, deviceType);
         return await this.sendPacket(packet);
     }
 
+    /**
+     * 디바이스 통신 확인 (Alive 체크)
+     * @param {number} masterAddr - 마스터 주소 (0이면 Agent 자체)
+     * @param {number} cuAddr - CU 주소 (0이면 Agent 자체)
+     * @param {Object} options - { timeout: 응답 대기 시간 (ms) }
+     * @returns {Promise<Object>} 응답 데이터 (latency 포함)
+     */
+    async aliveCheck(masterAddr = 0, cuAddr = 0, options = {}) {
+        const packet = this.packetBuilder.aliveCheck(masterAddr, cuAddr);
+        return await this.sendPacket(packet, options);
+    }
+
     /**
      * 디바이스 검색
      * @returns {Promise<Object>} 디바이스 정보
@@ -0,0 +1,62 @@
+const net = require('net');
+const LCSTransport = require('./transport');
+
+/**
+ * 평문 TCP 전송 계층 (기본값)
+ */
+class LCSTcpTransport extends LCSTransport {
+    /**
+     * @param {string} host - Agent 호스트
+     * @param {number} port - Agent 포트
+     * @param {Object} options - 전송 계층 옵션
+     */
+    constructor(host, port, options = {}) {
+        super(host, port, options);
+        this.type = 'tcp';
+        this.socket = null;
+    }
+
+    /**
+     * 연결
+     * @returns {Promise<void>} 연결되면 완료
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.socket = net.connect(this.port, this.host, () => resolve());
+            this.attachSocket(this.socket, reject);
+        });
+    }
+
+    /**
+     * 소켓 이벤트를 전송 계층 이벤트로 전달
+     * @param {net.Socket} socket - 연결 중인 소켓
+     * @param {Function} reject - 연결 실패 시 호출할 함수
+     */
+    attachSocket(socket, reject) {
+        socket.on('data', (data) => this.emit('data', data));
+        socket.on('error', (error) => {
+            reject(error);
+            this.emit('error', error);
+        });
+        socket.on('close', () => this.emit('close'));
+    }
+
+    /**
+     * 바이트 전송
+     * @param {Buffer} data - 전송할 바이트
+     */
+    write(data) {
+        this.socket.write(data);
+    }
+
+    /**
+     * 연결 종료
+     */
+    close() {
+        if (this.socket) {
+            this.socket.destroy();
+        }
+    }
+}
+
+module.exports = LCSTcpTransport;
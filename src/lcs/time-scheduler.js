@@ -0,0 +1,940 @@
+const EventEmitter = require('events');
+const LCSHolidayCalendars = require('./holiday-calendars');
+const LCSJsonFileStore = require('./json-file-store');
+const LCSScheduleTrigger = require('./schedule-trigger');
+const LCSValidationError = require('./validation-error');
+
+const { CODES } = LCSValidationError;
+
+// 태양 트리거 기본 위치 (트리거에 latitude/longitude가 없을 때)
+const DEFAULT_LOCATION =
+    process.env.LCS_LATITUDE && process.env.LCS_LONGITUDE
+        ? { latitude: parseFloat(process.env.LCS_LATITUDE), longitude: parseFloat(process.env.LCS_LONGITUDE) }
+        : null;
+
+// 미리보기 최대 기간 (일)
+const MAX_PREVIEW_DAYS = 366;
+
+// setTimeout 최대 대기 시간 (약 24.8일), 더 먼 실행은 나누어 대기
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// 스케줄 동작: AgentManager 메서드 인자 순서 (agentId, masterAddr, cuAddr, ...params, deviceType)
+const ACTIONS = {
+    executeScene: { command: 'executeScene', params: ['sceneNo', 'fadeTime'], required: ['sceneNo'] },
+    controlAllLamps: { command: 'controlAllLamps', params: ['brightness'], required: ['brightness'] },
+    controlLampBlock: {
+        command: 'controlLampBlock',
+        params: ['lampList', 'brightness'],
+        required: ['lampList', 'brightness'],
+    },
+    controlColorTemperature: {
+        command: 'controlLampColorTemp',
+        params: ['lampList', 'colorTemp'],
+        required: ['lampList', 'colorTemp'],
+    },
+};
+
+const CATCH_UP_POLICIES = ['skip', 'last', 'all'];
+
+// 사용자가 정하는 항목 (나머지는 실행 상태)
+const DEFINITION_FIELDS = [
+    'name',
+    'enabled',
+    'timeZone',
+    'trigger',
+    'actions',
+    'catchUp',
+    'catchUpWindow',
+    'calendarId',
+];
+
+/**
+ * 시각 기반 스케줄 (cron/요일/일출·일몰 트리거로 시나리오, 밝기, 색온도 명령 실행)
+ *
+ * 스케줄과 실행 기록은 '<directory>/schedules.json'에 저장해 서버를 다시 시작해도 유지합니다.
+ * 서버가 꺼져 있거나 타이머가 늦게 깨어나 놓친 실행은 스케줄의 catchUp 정책으로 처리합니다.
+ * - 'skip': 놓친 실행은 기록만 남기고 다음 실행을 기다림
+ * - 'last': catchUpWindow 안에서 놓친 실행 중 마지막 하나만 실행 (기본값)
+ * - 'all': catchUpWindow 안에서 놓친 실행을 순서대로 모두 실행
+ * 실행할 때 대상 Agent가 아직 추가되지 않았으면(서버 재시작 직후 등) catchUpWindow 동안 보류했다가
+ * Agent가 추가되면 실행합니다 (resumePending).
+ *
+ * 휴일 캘린더(LCSHolidayCalendars)가 적용되는 날에는 Agent별로 평소 스케줄(calendarId 없음)을 실행하지 않고,
+ * 적용된 캘린더에 연결된 스케줄(calendarId)만 실행합니다. 연결된 스케줄이 없으면 그날 프로그램은 멈춥니다.
+ * 날짜는 스케줄 시간대 기준이며, 즉시 실행(runNow)은 캘린더와 관계없이 실행합니다.
+ *
+ * 이벤트:
+ * - 'run' (실행 기록) - 스케줄 실행 완료 또는 놓친 실행을 건너뜀
+ */
+class LCSTimeScheduler extends EventEmitter {
+    /**
+     * @param {Function} execute - async (action) => 명령 결과 (AgentManager 메서드 호출)
+     * @param {Object} options - 설정
+     * @param {string} options.directory - 저장 디렉터리 (기본값: LCS_DATA_DIR 또는 ./data)
+     * @param {number} options.maxRuns - 보관할 실행 기록 수 (기본값: 1000)
+     * @param {number} options.grace - 늦게 깨어나도 제시간 실행으로 보는 시간 (ms, 기본값: 60000)
+     * @param {Object} options.location - 태양 트리거 기본 위치 { latitude, longitude } (기본값: LCS_LATITUDE/LCS_LONGITUDE)
+     * @param {Function} options.validateAction - (action) => void 동작 인자 검증 (잘못되면 LCSValidationError)
+     * @param {Function} options.isAvailable - (action) => boolean 대상 Agent 존재 여부
+     * @param {LCSHolidayCalendars} options.calendars - 휴일 캘린더 (생략 시 캘린더 적용 안 함)
+     * @param {Function} options.getAgentId - (action) => 동작 대상 Agent ID (agentId가 없으면 기본 Agent)
+     */
+    constructor(execute, options = {}) {
+        super();
+        this.execute = execute;
+        this.validateAction = options.validateAction || (() => {});
+        this.isAvailable = options.isAvailable || (() => true);
+        this.calendars = options.calendars || null;
+        this.getAgentId = options.getAgentId || ((action) => action.agentId);
+        this.store = new LCSJsonFileStore('schedules.json', { directory: options.directory, label: '스케줄' });
+        this.maxRuns = options.maxRuns || 1000;
+        this.grace = options.grace || 60000;
+        this.location = options.location || DEFAULT_LOCATION;
+        this.schedules = new Map(); // scheduleId -> 스케줄 (trigger는 LCSScheduleTrigger)
+        this.timers = new Map(); // scheduleId -> setTimeout 핸들
+        this.pending = new Map(); // scheduleId -> 대상 Agent를 기다리는 실행 [{ time, trigger }]
+        this.runs = []; // 실행 기록 (오래된 순)
+        this.nextScheduleId = 1;
+        this.nextRunId = 1;
+        this.started = false;
+    }
+
+    /**
+     * 저장된 스케줄을 읽고 놓친 실행 처리 후 타이머 시작
+     * @returns {Object} { schedules: 스케줄 수, catchUp: 놓친 실행이 있던 스케줄 수 }
+     */
+    start() {
+        if (this.started) {
+            return { schedules: this.schedules.size, catchUp: 0 };
+        }
+
+        const saved = this.load();
+        for (const item of saved.schedules) {
+            try {
+                const schedule = this.normalize(item.id, item, item);
+                this.schedules.set(schedule.id, schedule);
+            } catch (error) {
+                console.error(`❌ 저장된 스케줄을 읽을 수 없습니다 (${item.id}): ${error.message}`);
+            }
+        }
+        this.runs = saved.runs.slice(-this.maxRuns);
+        this.nextScheduleId = saved.nextScheduleId || 1;
+        this.nextRunId = saved.nextRunId || 1;
+        this.started = true;
+
+        let catchUp = 0;
+        const now = Date.now();
+        for (const schedule of this.schedules.values()) {
+            if (!schedule.enabled) {
+                schedule.nextRunAt = null;
+                continue;
+            }
+            if (schedule.nextRunAt && schedule.nextRunAt.getTime() <= now) {
+                catchUp++;
+                this.processDue(schedule, now);
+            } else {
+                this.arm(schedule);
+            }
+        }
+
+        console.log(`⏰ 스케줄 ${this.schedules.size}개 불러옴 (놓친 실행 처리 ${catchUp}개): ${this.store.file}`);
+        this.save();
+        return { schedules: this.schedules.size, catchUp };
+    }
+
+    /**
+     * 모든 타이머 중지
+     * @returns {Promise<void>} 대기 중인 저장이 끝나면 완료
+     */
+    stop() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        this.started = false;
+        return this.store.flush();
+    }
+
+    /**
+     * 스케줄 파일 읽기 (없으면 빈 목록, 읽을 수 없으면 옆에 보관하고 빈 목록)
+     * @returns {Object} { schedules, runs, nextScheduleId, nextRunId }
+     */
+    load() {
+        return this.store.load(['schedules', 'runs']);
+    }
+
+    /**
+     * 스케줄과 실행 기록 저장 (임시 파일에 쓴 뒤 교체, 저장은 순서대로)
+     * @returns {Promise<void>}
+     */
+    save() {
+        if (!this.started) {
+            return this.store.flush();
+        }
+
+        return this.store.save({
+            version: 1,
+            nextScheduleId: this.nextScheduleId,
+            nextRunId: this.nextRunId,
+            schedules: Array.from(this.schedules.values()).map((schedule) => this.serialize(schedule)),
+            runs: this.runs,
+        });
+    }
+
+    /**
+     * 시작 여부 확인
+     * @throws {Error} start() 전에 호출한 경우 (파일 내용을 덮어쓰지 않도록)
+     */
+    assertStarted() {
+        if (!this.started) {
+            throw new Error('스케줄러가 시작되지 않았습니다.');
+        }
+    }
+
+    /**
+     * 정의 항목만 골라냄
+     * @param {Object} source - 요청 본문 또는 스케줄
+     * @returns {Object} { name, enabled, timeZone, trigger, actions, catchUp, catchUpWindow, calendarId } 중 있는 항목
+     */
+    static pickDefinition(source) {
+        const definition = {};
+        for (const field of DEFINITION_FIELDS) {
+            if (source[field] !== undefined) definition[field] = source[field];
+        }
+        return definition;
+    }
+
+    /**
+     * 스케줄 정의 검증 및 정규화
+     * @param {string} id - 스케줄 ID
+     * @param {Object} definition - { name, enabled, timeZone, trigger, actions, catchUp, catchUpWindow, calendarId }
+     * @param {Object} state - 실행 상태 { createdAt, updatedAt, lastRunAt, lastResult, nextRunAt } (저장된 값)
+     * @returns {Object} 스케줄
+     * @throws {LCSValidationError} 정의가 잘못된 경우
+     */
+    normalize(id, definition, state = {}) {
+        if (typeof id !== 'string' || !/^[\w.-]{1,64}$/.test(id)) {
+            throw new LCSValidationError(CODES.INVALID_TYPE, '스케줄 ID는 영문, 숫자, _.- 64자 이내여야 합니다.', {
+                field: 'id',
+                value: id,
+            });
+        }
+
+        const timeZone = definition.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const trigger = new LCSScheduleTrigger(definition.trigger, timeZone, { location: this.location });
+        if (!trigger.next()) {
+            throw new LCSValidationError(CODES.OUT_OF_RANGE, '트리거가 실행될 날짜가 없습니다 (예: 2월 30일).', {
+                field: 'trigger',
+                value: definition.trigger,
+            });
+        }
+
+        const catchUp = definition.catchUp || 'last';
+        if (!CATCH_UP_POLICIES.includes(catchUp)) {
+            throw new LCSValidationError(
+                CODES.OUT_OF_RANGE,
+                `catchUp은 ${CATCH_UP_POLICIES.map((policy) => `'${policy}'`).join(', ')} 중 하나여야 합니다.`,
+                { field: 'catchUp', value: catchUp }
+            );
+        }
+        const catchUpWindow = definition.catchUpWindow === undefined ? 60 * 60 * 1000 : definition.catchUpWindow;
+        if (!Number.isFinite(catchUpWindow) || catchUpWindow < 0) {
+            throw new LCSValidationError(CODES.OUT_OF_RANGE, 'catchUpWindow는 0 이상(ms)이어야 합니다.', {
+                field: 'catchUpWindow',
+                value: catchUpWindow,
+                min: 0,
+            });
+        }
+
+        const calendarId = definition.calendarId || null;
+        if (calendarId !== null && typeof calendarId !== 'string') {
+            throw new LCSValidationError(CODES.INVALID_TYPE, 'calendarId는 캘린더 ID 문자열이어야 합니다.', {
+                field: 'calendarId',
+                value: calendarId,
+            });
+        }
+
+        if (!Array.isArray(definition.actions) || definition.actions.length === 0) {
+            throw new LCSValidationError(CODES.EMPTY_LIST, '실행할 동작(actions)이 1개 이상 필요합니다.', {
+                field: 'actions',
+                value: definition.actions,
+            });
+        }
+
+        const now = new Date();
+        return {
+            id,
+            name: definition.name || id,
+            enabled: definition.enabled !== false,
+            timeZone,
+            trigger,
+            actions: definition.actions.map((action, index) => this.normalizeAction(action, index)),
+            catchUp,
+            catchUpWindow,
+            calendarId,
+            createdAt: state.createdAt ? new Date(state.createdAt) : now,
+            updatedAt: state.updatedAt ? new Date(state.updatedAt) : now,
+            lastRunAt: state.lastRunAt ? new Date(state.lastRunAt) : null,
+            lastResult: state.lastResult || null,
+            nextRunAt: state.nextRunAt ? new Date(state.nextRunAt) : null,
+        };
+    }
+
+    /**
+     * 동작 검증 및 정규화
+     * @param {Object} action - { command, agentId, masterAddr, cuAddr, deviceType, ...명령별 값 }
+     * @param {number} index - 동작 순번 (오류 메시지용)
+     * @returns {Object} 동작
+     */
+    normalizeAction(action, index) {
+        const spec = action && ACTIONS[action.command];
+        if (!spec) {
+            throw new LCSValidationError(
+                CODES.UNKNOWN_COMMAND,
+                `actions[${index}].command는 ${Object.keys(ACTIONS).join(', ')} 중 하나여야 합니다.`,
+                { field: `actions[${index}].command`, value: action ? action.command : action }
+            );
+        }
+        for (const field of spec.required) {
+            if (action[field] === undefined) {
+                throw new LCSValidationError(CODES.REQUIRED, `actions[${index}].${field} 값이 필요합니다.`, {
+                    field: `actions[${index}].${field}`,
+                });
+            }
+        }
+
+        const normalized = {
+            command: action.command,
+            agentId: action.agentId || null,
+            masterAddr: action.masterAddr,
+            cuAddr: action.cuAddr,
+            deviceType: action.deviceType || 'LCS',
+        };
+        for (const field of spec.params) {
+            if (action[field] !== undefined) normalized[field] = action[field];
+        }
+        return normalized;
+    }
+
+    /**
+     * 연결한 휴일 캘린더가 있는지 확인 (저장된 스케줄은 캘린더가 삭제되어도 읽되 실행하지 않음)
+     * @param {Object} schedule - 스케줄
+     * @throws {LCSValidationError} 캘린더가 없는 경우
+     */
+    assertCalendar(schedule) {
+        if (schedule.calendarId && !(this.calendars && this.calendars.has(schedule.calendarId))) {
+            throw new LCSValidationError(
+                CODES.UNKNOWN_CALENDAR,
+                `휴일 캘린더를 찾을 수 없습니다: ${schedule.calendarId}`,
+                { field: 'calendarId', value: schedule.calendarId }
+            );
+        }
+    }
+
+    /**
+     * 날짜에 Agent 대상으로 스케줄을 실행하는지 결정
+     * @param {Object} schedule - 스케줄
+     * @param {string} date - 스케줄 시간대 기준 날짜 'YYYY-MM-DD'
+     * @param {string|null} agentId - 대상 Agent ID
+     * @returns {Object} { active, calendar: 적용된 캘린더 또는 null }
+     */
+    decide(schedule, date, agentId) {
+        const { calendar } = this.calendars ? this.calendars.resolve(date, agentId) : { calendar: null };
+        const active = schedule.calendarId ? calendar !== null && calendar.id === schedule.calendarId : !calendar;
+        return { active, calendar };
+    }
+
+    /**
+     * AgentManager 메서드 인자 (agentId 다음 인자들)
+     * @param {Object} action - 동작
+     * @returns {Array} [masterAddr, cuAddr, ...params, deviceType]
+     */
+    static getActionArgs(action) {
+        const { params } = ACTIONS[action.command];
+        return [action.masterAddr, action.cuAddr, ...params.map((field) => action[field]), action.deviceType];
+    }
+
+    /**
+     * 동작의 명령 레지스트리 이름과 파라미터 (프레임 생성으로 인자를 검증할 때 사용)
+     * @param {Object} action - 동작
+     * @returns {Object} { command, params: { masterAddr, cuAddr, deviceType, ... }, lampList: 조명 목록 명령 여부 }
+     */
+    static getActionCommand(action) {
+        const spec = ACTIONS[action.command];
+        const params = { masterAddr: action.masterAddr, cuAddr: action.cuAddr, deviceType: action.deviceType };
+        for (const field of spec.params) {
+            if (action[field] !== undefined) params[field] = action[field];
+        }
+        return { command: spec.command, params, lampList: spec.params.includes('lampList') };
+    }
+
+    /**
+     * 스케줄 생성
+     * @param {Object} definition - 스케줄 정의
+     * @returns {Object} 스케줄 정보
+     * @throws {LCSValidationError} 정의가 잘못되었거나 ID가 이미 있는 경우
+     */
+    create(definition) {
+        this.assertStarted();
+        if (definition.id !== undefined && this.schedules.has(definition.id)) {
+            throw new LCSValidationError(CODES.DUPLICATE_ITEM, `스케줄 ID가 이미 있습니다: ${definition.id}`, {
+                field: 'id',
+                value: definition.id,
+            });
+        }
+
+        let nextScheduleId = this.nextScheduleId;
+        let id = definition.id;
+        if (id === undefined) {
+            while (this.schedules.has(`schedule-${nextScheduleId}`)) nextScheduleId++;
+            id = `schedule-${nextScheduleId++}`;
+        }
+
+        const schedule = this.normalize(id, LCSTimeScheduler.pickDefinition(definition));
+        schedule.actions.forEach((action) => this.validateAction(action));
+        this.assertCalendar(schedule);
+        this.nextScheduleId = nextScheduleId;
+
+        this.schedules.set(schedule.id, schedule);
+        this.arm(schedule);
+        this.save();
+
+        console.log(`⏰ 스케줄 생성: ${schedule.id} (${schedule.name}), 다음 실행 ${this.formatTime(schedule)}`);
+        return this.describe(schedule);
+    }
+
+    /**
+     * 스케줄 수정 (넘긴 항목만 바꾸고, 트리거/시간대가 바뀌면 다음 실행 시각 다시 계산)
+     * @param {string} scheduleId - 스케줄 ID
+     * @param {Object} changes - 바꿀 항목
+     * @returns {Object|null} 스케줄 정보 (없으면 null)
+     */
+    update(scheduleId, changes) {
+        this.assertStarted();
+        const existing = this.schedules.get(scheduleId);
+        if (!existing) {
+            return null;
+        }
+
+        const definition = {
+            ...LCSTimeScheduler.pickDefinition(this.serialize(existing)),
+            ...LCSTimeScheduler.pickDefinition(changes),
+        };
+        const schedule = this.normalize(scheduleId, definition, { ...existing, updatedAt: null, nextRunAt: null });
+        schedule.actions.forEach((action) => this.validateAction(action));
+        this.assertCalendar(schedule);
+
+        this.disarm(scheduleId);
+        this.pending.delete(scheduleId);
+        this.schedules.set(scheduleId, schedule);
+        this.arm(schedule);
+        this.save();
+
+        console.log(`⏰ 스케줄 수정: ${schedule.id} (${schedule.name}), 다음 실행 ${this.formatTime(schedule)}`);
+        return this.describe(schedule);
+    }
+
+    /**
+     * 스케줄 삭제 (실행 기록은 유지)
+     * @param {string} scheduleId - 스케줄 ID
+     * @returns {boolean} 삭제 여부
+     */
+    remove(scheduleId) {
+        this.assertStarted();
+        if (!this.schedules.has(scheduleId)) {
+            return false;
+        }
+
+        this.disarm(scheduleId);
+        this.pending.delete(scheduleId);
+        this.schedules.delete(scheduleId);
+        this.save();
+
+        console.log(`🗑️ 스케줄 삭제: ${scheduleId}`);
+        return true;
+    }
+
+    /**
+     * 스케줄 켜기/끄기 (다시 켜면 지금부터 다음 실행 시각 계산, 꺼져 있던 동안은 따라잡지 않음)
+     * @param {string} scheduleId - 스케줄 ID
+     * @param {boolean} enabled - 사용 여부
+     * @returns {Object|null} { changed, schedule } (없으면 null)
+     */
+    setEnabled(scheduleId, enabled) {
+        this.assertStarted();
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule) {
+            return null;
+        }
+        if (schedule.enabled === enabled) {
+            return { changed: false, schedule: this.describe(schedule) };
+        }
+
+        schedule.enabled = enabled;
+        schedule.updatedAt = new Date();
+        this.disarm(scheduleId);
+        this.pending.delete(scheduleId);
+        schedule.nextRunAt = null;
+        if (enabled) {
+            this.arm(schedule);
+        }
+        this.save();
+
+        console.log(`⏰ 스케줄 ${enabled ? '사용' : '중지'}: ${scheduleId}`);
+        return { changed: true, schedule: this.describe(schedule) };
+    }
+
+    /**
+     * 스케줄 즉시 실행 (다음 실행 시각은 바꾸지 않음)
+     * @param {string} scheduleId - 스케줄 ID
+     * @returns {Promise<Object|null>} 실행 기록 (없으면 null)
+     */
+    async runNow(scheduleId) {
+        this.assertStarted();
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule) {
+            return null;
+        }
+        return await this.run(schedule, new Date(), 'manual');
+    }
+
+    /**
+     * 다음 실행 시각 계산 후 타이머 예약
+     * @param {Object} schedule - 스케줄
+     * @param {number} after - 기준 시각 (ms, 기본값: 지금)
+     */
+    arm(schedule, after = Date.now()) {
+        this.disarm(schedule.id);
+        if (!this.started || !schedule.enabled) {
+            return;
+        }
+
+        if (!schedule.nextRunAt || schedule.nextRunAt.getTime() <= after) {
+            schedule.nextRunAt = schedule.trigger.next(after);
+        }
+        if (!schedule.nextRunAt) {
+            console.warn(`⚠️ 스케줄 ${schedule.id}은(는) 더 이상 실행할 시각이 없습니다.`);
+            return;
+        }
+
+        const delay = Math.min(Math.max(0, schedule.nextRunAt.getTime() - Date.now()), MAX_TIMER_DELAY);
+        this.timers.set(
+            schedule.id,
+            setTimeout(() => {
+                this.timers.delete(schedule.id);
+                if (Date.now() < schedule.nextRunAt.getTime()) {
+                    // 긴 대기를 나누었거나 일찍 깨어난 경우
+                    this.arm(schedule);
+                    return;
+                }
+                this.processDue(schedule, Date.now());
+            }, delay)
+        );
+    }
+
+    /**
+     * 타이머 취소
+     * @param {string} scheduleId - 스케줄 ID
+     */
+    disarm(scheduleId) {
+        clearTimeout(this.timers.get(scheduleId));
+        this.timers.delete(scheduleId);
+    }
+
+    /**
+     * 실행 시각이 지난 스케줄 처리 (제시간 실행 + catchUp 정책에 따른 놓친 실행)
+     * @param {Object} schedule - 스케줄
+     * @param {number} now - 현재 시각 (ms)
+     */
+    processDue(schedule, now) {
+        // 예정 시각부터 지금까지 지난 실행 시각 (catchUpWindow보다 오래된 시각은 제외)
+        const from = schedule.nextRunAt.getTime();
+        const windowStart = now - schedule.catchUpWindow;
+        const due =
+            from >= windowStart
+                ? [schedule.nextRunAt, ...schedule.trigger.between(from, now, 1000)]
+                : schedule.trigger.between(windowStart - 1, now, 1000);
+
+        // 마지막 시각이 grace 안이면 제시간 실행, 나머지는 놓친 실행
+        const latest = due[due.length - 1];
+        const onTime = latest && now - latest.getTime() <= this.grace ? latest : null;
+        const missed = onTime ? due.slice(0, -1) : due;
+
+        let catchUp = [];
+        if (schedule.catchUp === 'all') catchUp = missed;
+        else if (schedule.catchUp === 'last' && !onTime) catchUp = missed.slice(-1);
+
+        if (from < windowStart || missed.length > catchUp.length) {
+            this.record({
+                scheduleId: schedule.id,
+                scheduleName: schedule.name,
+                trigger: 'catch_up',
+                scheduledFor: new Date(from).toISOString(),
+                startedAt: new Date(now).toISOString(),
+                finishedAt: new Date(now).toISOString(),
+                result: 'skipped',
+                reason: `놓친 실행 건너뜀 (catchUp: '${schedule.catchUp}', 따라잡은 실행 ${catchUp.length}개)`,
+                actions: [],
+            });
+        }
+
+        schedule.nextRunAt = null;
+        this.arm(schedule, now);
+        this.save();
+
+        const items = catchUp.map((time) => ({ time, trigger: 'catch_up' }));
+        if (onTime) {
+            items.push({ time: onTime, trigger: 'schedule' });
+        }
+        if (items.length > 0 && !schedule.actions.every((action) => this.isAvailable(action))) {
+            // 대상 Agent가 아직 없으면 추가될 때까지 보류 (catchUpWindow가 지난 실행은 버림)
+            const waiting = (this.pending.get(schedule.id) || []).concat(items);
+            this.pending.set(
+                schedule.id,
+                waiting.filter(({ time }) => now - time.getTime() <= schedule.catchUpWindow)
+            );
+            console.log(`⏳ 스케줄 ${schedule.id}: 실행 ${items.length}개를 대상 Agent가 추가된 뒤 실행합니다.`);
+            return;
+        }
+
+        this.runSequence(schedule, items);
+    }
+
+    /**
+     * 보류된 실행 중 대상 Agent가 준비된 것 실행 (catchUpWindow가 지난 실행은 버림)
+     * @returns {number} 실행한 스케줄 수
+     */
+    resumePending() {
+        let count = 0;
+        const now = Date.now();
+        for (const [scheduleId, items] of Array.from(this.pending)) {
+            const schedule = this.schedules.get(scheduleId);
+            if (!schedule || !schedule.actions.every((action) => this.isAvailable(action))) continue;
+
+            this.pending.delete(scheduleId);
+            const valid = items.filter(({ time }) => now - time.getTime() <= schedule.catchUpWindow);
+            if (valid.length > 0) {
+                count++;
+                this.runSequence(schedule, valid);
+            }
+        }
+        return count;
+    }
+
+    /**
+     * 실행을 순서대로 진행 (앞 실행이 끝난 뒤 다음 실행)
+     * @param {Object} schedule - 스케줄
+     * @param {Array} items - [{ time, trigger }]
+     * @returns {Promise<void>}
+     */
+    async runSequence(schedule, items) {
+        for (const { time, trigger } of items) {
+            await this.run(schedule, time, trigger);
+        }
+    }
+
+    /**
+     * 스케줄의 동작을 순서대로 실행하고 기록
+     * @param {Object} schedule - 스케줄
+     * @param {Date} scheduledFor - 예정 시각
+     * @param {string} trigger - 'schedule' | 'catch_up' | 'manual'
+     * @returns {Promise<Object|null>} 실행 기록 (캘린더가 적용되지 않은 날의 대체 스케줄이면 null)
+     */
+    async run(schedule, scheduledFor, trigger) {
+        const startedAt = new Date();
+        const date =
+            trigger === 'manual' ? null : LCSTimeScheduler.formatLocal(scheduledFor, schedule.timeZone).slice(0, 10);
+        const actions = [];
+
+        for (const action of schedule.actions) {
+            const entry = {
+                command: action.command,
+                agentId: action.agentId,
+                masterAddr: action.masterAddr,
+                cuAddr: action.cuAddr,
+            };
+            const decision = date ? this.decide(schedule, date, this.getAgentId(action)) : { active: true };
+            if (!decision.active) {
+                entry.result = 'suppressed';
+                entry.calendarId = decision.calendar ? decision.calendar.id : null;
+                actions.push(entry);
+                continue;
+            }
+            try {
+                const response = await this.execute(action);
+                if (response && response.queued) {
+                    entry.result = 'queued';
+                } else {
+                    const result = response && response.result !== undefined ? response.result : 'success';
+                    entry.result = ['success', 'partial'].includes(result) ? result : 'failed';
+                }
+            } catch (error) {
+                entry.result = 'failed';
+                entry.error = error.message;
+                if (error instanceof LCSValidationError) {
+                    entry.code = error.code;
+                }
+            }
+            actions.push(entry);
+        }
+
+        const results = actions.map((entry) => entry.result).filter((item) => item !== 'suppressed');
+        if (results.length === 0 && schedule.calendarId) {
+            // 캘린더가 적용되지 않은 날의 대체 스케줄은 기록하지 않음
+            return null;
+        }
+
+        let result = 'partial';
+        if (results.length === 0) result = 'suppressed';
+        else if (results.every((item) => item === 'success')) result = 'success';
+        else if (results.every((item) => item === 'failed')) result = 'failed';
+        else if (results.every((item) => item === 'queued')) result = 'queued';
+
+        schedule.lastRunAt = startedAt;
+        schedule.lastResult = result;
+
+        const icon = { success: '✅', failed: '❌', suppressed: '📅' }[result] || '⚠️';
+        console.log(`${icon} 스케줄 실행 (${trigger}): ${schedule.id} - ${result}`);
+
+        return this.record({
+            scheduleId: schedule.id,
+            scheduleName: schedule.name,
+            trigger,
+            scheduledFor: scheduledFor.toISOString(),
+            startedAt: startedAt.toISOString(),
+            finishedAt: new Date().toISOString(),
+            result,
+            actions,
+        });
+    }
+
+    /**
+     * 실행 기록 추가 및 저장
+     * @param {Object} entry - 실행 기록 (id 제외)
+     * @returns {Object} 실행 기록
+     */
+    record(entry) {
+        const run = { id: `run-${this.nextRunId++}`, ...entry };
+        this.runs.push(run);
+        if (this.runs.length > this.maxRuns) {
+            this.runs.splice(0, this.runs.length - this.maxRuns);
+        }
+        this.save();
+        this.emit('run', run);
+        return run;
+    }
+
+    /**
+     * 스케줄 조회
+     * @param {string} scheduleId - 스케줄 ID
+     * @param {number} upcoming - 함께 돌려줄 다음 실행 시각 수
+     * @returns {Object|null} 스케줄 정보 (upcoming 포함)
+     */
+    get(scheduleId, upcoming = 5) {
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule) {
+            return null;
+        }
+
+        const times = [];
+        let time = schedule.nextRunAt || schedule.trigger.next(Date.now());
+        while (time && times.length < upcoming) {
+            times.push(time.toISOString());
+            time = schedule.trigger.next(time);
+        }
+        return { ...this.describe(schedule), upcoming: times };
+    }
+
+    /**
+     * 스케줄 실행 시각 미리보기
+     * @param {string} scheduleId - 스케줄 ID
+     * @param {number} days - 지금부터 살펴볼 일 수 (기본값: 7)
+     * @returns {Object|null} previewTrigger()와 같은 형식 (스케줄이 없으면 null)
+     */
+    preview(scheduleId, days = 7) {
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule) {
+            return null;
+        }
+        return { scheduleId, ...this.listTimes(schedule.trigger, schedule.timeZone, days) };
+    }
+
+    /**
+     * 저장하지 않은 트리거의 실행 시각 미리보기 (태양 트리거 위치 확인 등)
+     * @param {Object} definition - { trigger, timeZone }
+     * @param {number} days - 지금부터 살펴볼 일 수 (기본값: 7)
+     * @returns {Object} { timeZone, trigger, from, to, times: [{ at, local }], truncated }
+     */
+    previewTrigger(definition, days = 7) {
+        const timeZone = definition.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const trigger = new LCSScheduleTrigger(definition.trigger, timeZone, { location: this.location });
+        return this.listTimes(trigger, timeZone, days);
+    }
+
+    /**
+     * 기간 내 실행 시각 (미리보기 응답)
+     * @param {LCSScheduleTrigger} trigger - 트리거
+     * @param {string} timeZone - IANA 시간대
+     * @param {number} days - 지금부터 살펴볼 일 수 (1-366)
+     * @returns {Object} { timeZone, trigger, from, to, times: [{ at, local }], truncated }
+     */
+    listTimes(trigger, timeZone, days) {
+        if (!Number.isInteger(days) || days < 1 || days > MAX_PREVIEW_DAYS) {
+            throw new LCSValidationError(
+                CODES.OUT_OF_RANGE,
+                `미리보기 기간(days)은 1-${MAX_PREVIEW_DAYS}일이어야 합니다.`,
+                { field: 'days', value: days, min: 1, max: MAX_PREVIEW_DAYS }
+            );
+        }
+
+        const limit = 1000;
+        const from = Date.now();
+        const to = from + days * 24 * 60 * 60 * 1000;
+        const times = trigger.between(from, to, limit);
+        return {
+            timeZone,
+            trigger: trigger.toJSON(),
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            times: times.map((time) => ({
+                at: time.toISOString(),
+                local: LCSTimeScheduler.formatLocal(time, timeZone),
+            })),
+            truncated: times.length === limit,
+        };
+    }
+
+    /**
+     * 날짜와 Agent에 적용되는 프로그램 (휴일 캘린더 반영)
+     * @param {string} date - 'YYYY-MM-DD' (각 스케줄 시간대 기준 날짜)
+     * @param {string|null} agentId - Agent ID
+     * @returns {Object} { date, agentId, program: 'regular' | 'replaced' | 'suppressed', calendar, overridden,
+     *   schedules: 그날 실행하는 스케줄 [{ id, name, calendarId, times }], suppressed: 실행하지 않는 평소 스케줄 }
+     */
+    getEffectiveProgram(date, agentId) {
+        LCSHolidayCalendars.parseDate(date, 'date');
+        const { calendar, overridden } = this.calendars
+            ? this.calendars.resolve(date, agentId)
+            : { calendar: null, overridden: [] };
+
+        const schedules = [];
+        const suppressed = [];
+        let replaced = false;
+        for (const schedule of this.schedules.values()) {
+            if (!schedule.enabled || !schedule.actions.some((action) => this.getAgentId(action) === agentId)) continue;
+
+            const { active } = this.decide(schedule, date, agentId);
+            if (schedule.calendarId) {
+                if (!active) continue;
+                replaced = true;
+            }
+
+            const times = this.timesOn(schedule, date);
+            if (times.length > 0) {
+                (active ? schedules : suppressed).push({
+                    id: schedule.id,
+                    name: schedule.name,
+                    calendarId: schedule.calendarId,
+                    times,
+                });
+            }
+        }
+
+        let program = 'regular';
+        if (calendar) program = replaced ? 'replaced' : 'suppressed';
+        return { date, agentId, program, calendar, overridden, schedules, suppressed };
+    }
+
+    /**
+     * 스케줄 시간대 기준 날짜의 실행 시각
+     * @param {Object} schedule - 스케줄
+     * @param {string} date - 'YYYY-MM-DD'
+     * @returns {Array} [{ at, local }]
+     */
+    timesOn(schedule, date) {
+        const [year, month, day] = date.split('-').map((part) => parseInt(part));
+        const from = LCSScheduleTrigger.fromZoned(year, month, day, 0, schedule.timeZone).getTime();
+        const to = LCSScheduleTrigger.fromZoned(year, month, day + 1, 0, schedule.timeZone).getTime();
+        return schedule.trigger.between(from - 1, to - 1, 24 * 60).map((time) => ({
+            at: time.toISOString(),
+            local: LCSTimeScheduler.formatLocal(time, schedule.timeZone),
+        }));
+    }
+
+    /**
+     * 스케줄 목록
+     * @returns {Array} 스케줄 정보
+     */
+    list() {
+        return Array.from(this.schedules.values()).map((schedule) => this.describe(schedule));
+    }
+
+    /**
+     * 실행 기록 (최근 순)
+     * @param {Object} filter - { scheduleId, limit (기본값: 100) }
+     * @returns {Array} 실행 기록
+     */
+    listRuns(filter = {}) {
+        const limit = filter.limit || 100;
+        return this.runs
+            .filter((run) => !filter.scheduleId || run.scheduleId === filter.scheduleId)
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * 저장용 스케줄
+     * @param {Object} schedule - 스케줄
+     * @returns {Object} JSON으로 바꿀 수 있는 스케줄
+     */
+    serialize(schedule) {
+        const toIso = (date) => (date ? date.toISOString() : null);
+        return {
+            ...schedule,
+            trigger: schedule.trigger.toJSON(),
+            actions: schedule.actions.map((action) => ({ ...action })),
+            createdAt: toIso(schedule.createdAt),
+            updatedAt: toIso(schedule.updatedAt),
+            lastRunAt: toIso(schedule.lastRunAt),
+            nextRunAt: toIso(schedule.nextRunAt),
+        };
+    }
+
+    /**
+     * 응답용 스케줄 정보
+     * @param {Object} schedule - 스케줄
+     * @returns {Object} 저장 형식 + pendingRuns (대상 Agent를 기다리는 실행 수)
+     */
+    describe(schedule) {
+        const pending = this.pending.get(schedule.id);
+        return { ...this.serialize(schedule), pendingRuns: pending ? pending.length : 0 };
+    }
+
+    /**
+     * 로그용 다음 실행 시각 (스케줄 시간대)
+     * @param {Object} schedule - 스케줄
+     * @returns {string} 'YYYY-MM-DD HH:MM (시간대)' 또는 '없음'
+     */
+    formatTime(schedule) {
+        if (!schedule.nextRunAt) {
+            return schedule.enabled ? '없음' : '중지됨';
+        }
+        return `${LCSTimeScheduler.formatLocal(schedule.nextRunAt, schedule.timeZone)} (${schedule.timeZone})`;
+    }
+
+    /**
+     * 시간대 기준 날짜/시각 문자열
+     * @param {Date} time - 시각
+     * @param {string} timeZone - IANA 시간대
+     * @returns {string} 'YYYY-MM-DD HH:MM'
+     */
+    static formatLocal(time, timeZone) {
+        const parts = LCSScheduleTrigger.getZonedParts(time, timeZone);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}`;
+    }
+}
+
+LCSTimeScheduler.ACTIONS = ACTIONS;
+
+module.exports = LCSTimeScheduler;
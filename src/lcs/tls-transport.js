@@ -0,0 +1,88 @@
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const LCSTcpTransport = require('./tcp-transport');
+
+/**
+ * TLS 전송 계층 (TLS 종단 게이트웨이 뒤의 Agent용)
+ *
+ * 인증서는 PEM 문자열(ca, cert, key) 또는 파일 경로(caFile, certFile, keyFile)로 지정합니다.
+ * 파일 경로는 연결할 때마다 다시 읽으므로 인증서를 교체하면 다음 재연결부터 적용됩니다.
+ */
+class LCSTlsTransport extends LCSTcpTransport {
+    /**
+     * @param {string} host - Agent 호스트
+     * @param {number} port - Agent 포트
+     * @param {Object} options - 전송 계층 옵션
+     * @param {string} options.ca - 신뢰할 CA 인증서 (PEM, 사설 CA용)
+     * @param {string} options.caFile - CA 인증서 파일 경로
+     * @param {string} options.cert - 클라이언트 인증서 (PEM, 상호 인증용)
+     * @param {string} options.certFile - 클라이언트 인증서 파일 경로
+     * @param {string} options.key - 클라이언트 개인 키 (PEM)
+     * @param {string} options.keyFile - 클라이언트 개인 키 파일 경로
+     * @param {string} options.passphrase - 개인 키 암호
+     * @param {string} options.servername - SNI/인증서 확인용 서버 이름 (기본값: host)
+     * @param {boolean} options.rejectUnauthorized - 서버 인증서 검증 여부 (기본값: true)
+     */
+    constructor(host, port, options = {}) {
+        super(host, port, options);
+        this.type = 'tls';
+    }
+
+    /**
+     * tls.connect() 옵션 생성
+     * @returns {Object} TLS 연결 옵션
+     */
+    getConnectOptions() {
+        const { options } = this;
+        const read = (value, file) => (value !== undefined ? value : file ? fs.readFileSync(file) : undefined);
+        const connectOptions = {
+            host: this.host,
+            port: this.port,
+            ca: read(options.ca, options.caFile),
+            cert: read(options.cert, options.certFile),
+            key: read(options.key, options.keyFile),
+            passphrase: options.passphrase,
+            servername: options.servername || (net.isIP(this.host) ? undefined : this.host),
+            rejectUnauthorized: options.rejectUnauthorized !== false,
+        };
+
+        for (const key of Object.keys(connectOptions)) {
+            if (connectOptions[key] === undefined) delete connectOptions[key];
+        }
+        return connectOptions;
+    }
+
+    /**
+     * 연결 (TLS 핸드셰이크 완료 시점)
+     * @returns {Promise<void>} 연결되면 완료
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            let connectOptions;
+            try {
+                connectOptions = this.getConnectOptions();
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            this.socket = tls.connect(connectOptions, () => resolve());
+            this.attachSocket(this.socket, reject);
+        });
+    }
+
+    /**
+     * 상태 표시용 정보
+     * @returns {Object} { type, host, port, authorized, servername }
+     */
+    describe() {
+        return {
+            ...super.describe(),
+            authorized: this.socket ? this.socket.authorized : null,
+            servername: this.options.servername || null,
+        };
+    }
+}
+
+module.exports = LCSTlsTransport;
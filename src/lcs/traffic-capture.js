@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const LCSCommandRegistry = require('./command-registry');
+const LCSPacketDissector = require('./packet-dissector');
+
+const DEFAULT_CAPTURE_DIR = process.env.LCS_CAPTURE_DIR || path.join(process.cwd(), 'captures');
+
+/**
+ * Agent별 송수신 프레임 캡처
+ *
+ * LCSTcpClient가 보내고 받은 모든 프레임(폐기된 바이트 포함)을 JSON Lines 형식으로 기록합니다.
+ * 파일 크기가 maxFileSize를 넘으면 '<agentId>.1.jsonl', '<agentId>.2.jsonl' 순으로 밀어내며 maxFiles개까지 보관합니다.
+ */
+class LCSTrafficCapture {
+    /**
+     * @param {string} agentId - Agent ID
+     * @param {Object} options - 캡처 옵션
+     * @param {string} options.directory - 저장 디렉터리 (기본값: LCS_CAPTURE_DIR 또는 ./captures)
+     * @param {number} options.maxFileSize - 파일 하나의 최대 크기 (바이트, 기본값: 5MB)
+     * @param {number} options.maxFiles - 보관할 파일 수 (현재 파일 포함, 기본값: 5)
+     */
+    constructor(agentId, options = {}) {
+        this.agentId = agentId;
+        this.directory = options.directory || DEFAULT_CAPTURE_DIR;
+        this.maxFileSize = options.maxFileSize || 5 * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 5;
+        this.registry = LCSCommandRegistry.getDefault();
+        this.client = null;
+        this.listeners = null;
+        this.currentSize = 0;
+        this.writeChain = Promise.resolve();
+        this.stats = { framesSent: 0, framesReceived: 0, bytesDiscarded: 0, startedAt: null };
+    }
+
+    /**
+     * 캡처 파일 이름 (index 0이 현재 파일)
+     * @param {number} index - 보관 순번
+     * @returns {string} 파일 이름
+     */
+    getFileName(index = 0) {
+        return index === 0 ? `${this.agentId}.jsonl` : `${this.agentId}.${index}.jsonl`;
+    }
+
+    /**
+     * 클라이언트에 연결하여 캡처 시작
+     * @param {LCSTcpClient} client - 캡처할 클라이언트
+     */
+    attach(client) {
+        if (this.client) {
+            this.detach();
+        }
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        const currentFile = path.join(this.directory, this.getFileName());
+        this.currentSize = fs.existsSync(currentFile) ? fs.statSync(currentFile).size : 0;
+
+        this.listeners = {
+            frame_sent: ({ raw, timestamp }) => {
+                this.stats.framesSent++;
+                this.record('tx', raw, timestamp);
+            },
+            frame_received: ({ raw, timestamp }) => {
+                this.stats.framesReceived++;
+                this.record('rx', raw, timestamp);
+            },
+            frame_error: ({ bytes, reason }) => {
+                this.stats.bytesDiscarded += bytes.length;
+                this.record('rx', bytes, new Date(), reason);
+            },
+        };
+
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            client.on(event, listener);
+        }
+        this.client = client;
+        this.stats.startedAt = new Date();
+    }
+
+    /**
+     * 캡처 중지
+     * @returns {Promise<void>} 대기 중인 기록이 모두 저장되면 완료
+     */
+    detach() {
+        if (this.client) {
+            for (const [event, listener] of Object.entries(this.listeners)) {
+                this.client.off(event, listener);
+            }
+            this.client = null;
+            this.listeners = null;
+        }
+        return this.writeChain;
+    }
+
+    /**
+     * 프레임 기록
+     * @param {string} direction - 'tx' (호스트 → Agent) | 'rx' (Agent → 호스트)
+     * @param {Buffer} raw - 원본 바이트
+     * @param {Date} timestamp - 송수신 시각
+     * @param {string} error - 폐기 사유 (폐기된 바이트인 경우)
+     */
+    record(direction, raw, timestamp, error = null) {
+        const entry = {
+            timestamp: timestamp.toISOString(),
+            direction,
+            agentId: this.agentId,
+            hex: raw.toString('hex').toUpperCase(),
+        };
+
+        if (error) {
+            entry.error = error;
+        } else if (raw.length >= 15) {
+            const op1 = raw[13];
+            const op2 = raw[14];
+            const command = op1 & 0x80 ? this.registry.findByRequest(op1, op2) : this.registry.findByResponse(op1, op2);
+            entry.opCode = this.registry.formatOpCode(op1, op2);
+            entry.command = command ? command.name : null;
+        }
+
+        const line = JSON.stringify(entry) + '\n';
+        this.writeChain = this.writeChain
+            .then(() => this.append(line))
+            .catch((writeError) => {
+                console.error(`❌ LCS 캡처 기록 실패 (${this.agentId}):`, writeError.message);
+            });
+    }
+
+    /**
+     * 현재 파일에 추가 (크기 초과 시 회전)
+     * @param {string} line - 기록할 줄
+     * @returns {Promise<void>}
+     */
+    async append(line) {
+        const size = Buffer.byteLength(line);
+        if (this.currentSize > 0 && this.currentSize + size > this.maxFileSize) {
+            await this.rotate();
+        }
+
+        await fs.promises.appendFile(path.join(this.directory, this.getFileName()), line);
+        this.currentSize += size;
+    }
+
+    /**
+     * 파일 회전: 가장 오래된 파일을 지우고 나머지 번호를 하나씩 올림
+     * @returns {Promise<void>}
+     */
+    async rotate() {
+        const oldest = path.join(this.directory, this.getFileName(this.maxFiles - 1));
+        await fs.promises.rm(oldest, { force: true });
+
+        for (let index = this.maxFiles - 2; index >= 0; index--) {
+            const from = path.join(this.directory, this.getFileName(index));
+            if (fs.existsSync(from)) {
+                await fs.promises.rename(from, path.join(this.directory, this.getFileName(index + 1)));
+            }
+        }
+        this.currentSize = 0;
+    }
+
+    /**
+     * 보관 중인 캡처 파일 목록 (최신 순)
+     * @returns {Array} [{ name, size, modifiedAt }]
+     */
+    listFiles() {
+        const files = [];
+        for (let index = 0; index < this.maxFiles; index++) {
+            const name = this.getFileName(index);
+            const filePath = path.join(this.directory, name);
+            if (fs.existsSync(filePath)) {
+                const stat = fs.statSync(filePath);
+                files.push({ name, size: stat.size, modifiedAt: stat.mtime });
+            }
+        }
+        return files;
+    }
+
+    /**
+     * 캡처 파일 경로 확인 (이 Agent의 파일만 허용)
+     * @param {string} name - 파일 이름
+     * @returns {string|null} 전체 경로
+     */
+    resolveFile(name = this.getFileName()) {
+        const allowed = Array.from({ length: this.maxFiles }, (_, index) => this.getFileName(index));
+        if (!allowed.includes(name)) return null;
+
+        // 캡처 디렉터리 밖의 파일은 허용하지 않음
+        const filePath = path.join(this.directory, name);
+        if (path.dirname(path.resolve(filePath)) !== path.resolve(this.directory)) return null;
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    /**
+     * 캡처 상태
+     * @returns {Object} 상태 정보
+     */
+    getStatus() {
+        return {
+            agentId: this.agentId,
+            active: this.client !== null,
+            directory: this.directory,
+            maxFileSize: this.maxFileSize,
+            maxFiles: this.maxFiles,
+            stats: { ...this.stats },
+            files: this.listFiles(),
+        };
+    }
+
+    /**
+     * 캡처 파일 읽기
+     * @param {string} filePath - 파일 경로
+     * @returns {Promise<Array>} 기록 항목 배열
+     */
+    static async readFile(filePath) {
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        return LCSTrafficCapture.parse(text);
+    }
+
+    /**
+     * JSON Lines 캡처 텍스트 파싱 (깨진 줄은 건너뜀)
+     * @param {string} text - 캡처 내용
+     * @returns {Array} 기록 항목 배열
+     */
+    static parse(text) {
+        const entries = [];
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // 기록 중 잘린 마지막 줄 등은 무시
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * 캡처 재생 (디코딩): 기록된 프레임을 분석기로 다시 해석
+     * @param {Array} entries - 기록 항목
+     * @returns {Array} [{ timestamp, direction, error, frames, garbage }]
+     */
+    static replayDecode(entries) {
+        const dissector = new LCSPacketDissector();
+        return entries.map((entry) => {
+            const result = dissector.decode(Buffer.from(entry.hex, 'hex'));
+            return {
+                timestamp: entry.timestamp,
+                direction: entry.direction,
+                error: entry.error || null,
+                frames: result.frames,
+                garbage: result.garbage,
+            };
+        });
+    }
+
+    /**
+     * 캡처 재생 (호스트 측): 기록된 송신 프레임을 원래 간격대로 Agent에 다시 전송
+     * @param {Array} entries - 기록 항목
+     * @param {LCSTcpClient} client - 전송할 클라이언트
+     * @param {Object} options - { speed: 재생 배속 (기본값: 1, 0이면 간격 없이) }
+     * @returns {Promise<Array>} [{ timestamp, request, response | error }]
+     */
+    static async replayHost(entries, client, options = {}) {
+        const speed = options.speed !== undefined ? options.speed : 1;
+        const requests = entries.filter((entry) => entry.direction === 'tx' && !entry.error);
+        const results = [];
+        let previousTime = null;
+
+        for (const entry of requests) {
+            const time = new Date(entry.timestamp).getTime();
+            if (speed > 0 && previousTime !== null && time > previousTime) {
+                await new Promise((resolve) => setTimeout(resolve, (time - previousTime) / speed));
+            }
+            previousTime = time;
+
+            try {
+                const response = await client.sendPacket(Buffer.from(entry.hex, 'hex'));
+                results.push({ timestamp: entry.timestamp, request: entry.hex, response });
+            } catch (error) {
+                results.push({ timestamp: entry.timestamp, request: entry.hex, error: error.message });
+            }
+        }
+
+        return results;
+    }
+}
+
+module.exports = LCSTrafficCapture;
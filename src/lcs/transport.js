@@ -0,0 +1,58 @@
+const EventEmitter = require('events');
+
+/**
+ * LCS Agent 전송 계층 기본 클래스
+ *
+ * LCSTcpClient는 프레이밍/응답 연결만 담당하고, 바이트 송수신은 전송 계층에 맡깁니다.
+ * 구현체는 connect()/write()/close()를 제공하고 아래 이벤트를 발생시켜야 합니다.
+ *
+ * 이벤트:
+ * - 'data' (Buffer) - 수신 바이트
+ * - 'error' (Error) - 연결/송수신 오류
+ * - 'close' - 연결 종료 (오류로 끊긴 경우 포함, 한 번만 발생)
+ */
+class LCSTransport extends EventEmitter {
+    /**
+     * @param {string} host - Agent 호스트
+     * @param {number} port - Agent 포트
+     * @param {Object} options - 전송 계층 옵션
+     */
+    constructor(host, port, options = {}) {
+        super();
+        this.host = host;
+        this.port = port;
+        this.options = options;
+        this.type = 'unknown';
+    }
+
+    /**
+     * 연결
+     * @returns {Promise<void>} 연결되면 완료
+     */
+    connect() {
+        return Promise.reject(new Error(`${this.constructor.name}.connect()가 구현되지 않았습니다.`));
+    }
+
+    /**
+     * 바이트 전송
+     * @param {Buffer} data - 전송할 바이트
+     */
+    write(data) {
+        throw new Error(`${this.constructor.name}.write()가 구현되지 않았습니다.`);
+    }
+
+    /**
+     * 연결 종료
+     */
+    close() {}
+
+    /**
+     * 상태 표시용 정보
+     * @returns {Object} { type, host, port }
+     */
+    describe() {
+        return { type: this.type, host: this.host, port: this.port };
+    }
+}
+
+module.exports = LCSTransport;
@@ -0,0 +1,59 @@
+/**
+ * 오류 코드
+ */
+const CODES = {
+    REQUIRED: 'required', // 필수 값 누락
+    INVALID_TYPE: 'invalid_type', // 정수/배열/문자열이 아님 (parseInt 결과 NaN 포함)
+    OUT_OF_RANGE: 'out_of_range', // 허용 범위를 벗어난 값
+    EMPTY_LIST: 'empty_list', // 빈 목록
+    LIST_TOO_LONG: 'list_too_long', // 한 프레임에 담을 수 없는 길이
+    DUPLICATE_ITEM: 'duplicate_item', // 목록 내 중복 항목
+    INVALID_ADDRESS: 'invalid_address', // 마스터/CU 주소 오류
+    UNKNOWN_COMMAND: 'unknown_command', // 등록되지 않은 명령
+    UNKNOWN_DEVICE_TYPE: 'unknown_device_type', // 알 수 없는 디바이스 타입
+    UNSUPPORTED_DEVICE: 'unsupported_device', // 디바이스 타입이 지원하지 않는 명령
+    UNKNOWN_PROFILE: 'unknown_profile', // 정의되지 않은 조명기구 프로파일
+    UNKNOWN_CALENDAR: 'unknown_calendar', // 등록되지 않은 휴일 캘린더
+    UNKNOWN_GROUP: 'unknown_group', // 등록되지 않은 조명 그룹
+};
+
+/**
+ * LCS 명령 인자 검증 오류
+ *
+ * 잘못된 인자로 프레임을 만들지 않도록 LCSPacketBuilder/LCSCommandRegistry가 던집니다.
+ * REST 라우트는 400 응답으로, Socket.IO 핸들러는 { error, code, field, value } 형태로 전달합니다.
+ */
+class LCSValidationError extends Error {
+    /**
+     * @param {string} code - 오류 코드 (LCSValidationError.CODES)
+     * @param {string} message - 오류 메시지
+     * @param {Object} details - { field, value, min, max } 등 추가 정보
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        const { field = null, value, ...rest } = details;
+        this.name = 'LCSValidationError';
+        this.code = code;
+        this.field = field;
+        this.value = value;
+        this.details = rest;
+    }
+
+    /**
+     * 응답용 직렬화
+     * @returns {Object} { error, code, field, value, ...details }
+     */
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            field: this.field,
+            value: this.value,
+            ...this.details,
+        };
+    }
+}
+
+LCSValidationError.CODES = CODES;
+
+module.exports = LCSValidationError;
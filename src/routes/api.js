@@ -1,6 +1,59 @@
 const express = require('express');
+const LCSPacketDissector = require('../lcs/packet-dissector');
+const LCSValidationError = require('../lcs/validation-error');
 const router = express.Router();
 
+/**
+ * 요청 본문의 밝기 값 (릴레이 디바이스용 { on: true | false }도 허용)
+ * @param {Object} body - 요청 본문
+ * @returns {number|undefined} 밝기 값 (0-100)
+ */
+function readBrightness(body) {
+    if (body.brightness === undefined && typeof body.on === 'boolean') {
+        return body.on ? 100 : 0;
+    }
+    return body.brightness;
+}
+
+/**
+ * 오류 응답: 인자 검증 오류는 400과 오류 코드, 그 외는 500
+ * @param {Object} res - Express 응답
+ * @param {Error} error - 발생한 오류
+ */
+function sendError(res, error) {
+    if (error instanceof LCSValidationError) {
+        const { error: message, ...detail } = error.toJSON();
+        return res.status(400).json({ success: false, error: message, ...detail });
+    }
+    res.status(500).json({
+        success: false,
+        error: error.message,
+    });
+}
+
+/**
+ * 그룹 제어 응답 (멤버별 결과 포함, 모든 멤버가 실패했거나 건너뛰었으면 success: false)
+ * @param {Object} res - Express 응답
+ * @param {Object} lcsController - LCSAgentManager
+ * @param {string} groupId - 그룹 ID
+ * @param {string} action - 그룹 제어 동작
+ * @param {Object} params - 동작 값
+ */
+async function sendGroupControl(res, lcsController, groupId, action, params) {
+    try {
+        const data = await lcsController.controlGroup(groupId, action, params);
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: `그룹을 찾을 수 없습니다: ${groupId}`,
+            });
+        }
+        res.json({ success: data.result !== 'failed' && data.result !== 'skipped', data });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
 // API 라우트 설정 함수
 function setupLCSApiRoutes(lcsController) {
     // LCS 연결 상태 확인
@@ -13,20 +66,252 @@ function setupLCSApiRoutes(lcsController) {
         });
     });
 
+    // 패킷 분석 (16진수 덤프 또는 바이트 배열)
+    router.post('/lcs/tools/decode', (req, res) => {
+        try {
+            const { hex, bytes } = req.body;
+            if (typeof hex !== 'string' && !Array.isArray(bytes)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'hex(문자열) 또는 bytes(배열)가 필요합니다.',
+                });
+            }
+
+            const dissector = new LCSPacketDissector();
+            res.json({ success: true, data: dissector.decode(typeof hex === 'string' ? hex : bytes) });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    });
+
+    // Agent 트래픽 캡처 상태 및 파일 목록
+    router.get('/lcs/agents/:agentId/capture', (req, res) => {
+        const status = lcsController.getCaptureStatus(req.params.agentId);
+        if (!status) {
+            return res.status(404).json({
+                success: false,
+                error: `Agent ID '${req.params.agentId}'를 찾을 수 없습니다.`,
+            });
+        }
+        res.json({ success: true, data: status });
+    });
+
+    // Agent 트래픽 캡처 시작
+    router.post('/lcs/agents/:agentId/capture/start', (req, res) => {
+        try {
+            const { maxFileSize, maxFiles } = req.body;
+            const status = lcsController.startCapture(req.params.agentId, { maxFileSize, maxFiles });
+            res.json({ success: true, data: status });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    });
+
+    // Agent 트래픽 캡처 중지
+    router.post('/lcs/agents/:agentId/capture/stop', (req, res) => {
+        const success = lcsController.stopCapture(req.params.agentId);
+        res.json({ success, data: lcsController.getCaptureStatus(req.params.agentId) });
+    });
+
+    // 캡처 파일 다운로드
+    router.get('/lcs/agents/:agentId/capture/files/:fileName', (req, res) => {
+        const filePath = lcsController.getCaptureFile(req.params.agentId, req.params.fileName);
+        if (!filePath) {
+            return res.status(404).json({
+                success: false,
+                error: '캡처 파일을 찾을 수 없습니다.',
+            });
+        }
+        res.download(filePath);
+    });
+
+    // 캡처 재생 (mode: 'decode' = 분석기로 해석, 'host' = 송신 프레임을 Agent에 다시 전송)
+    router.post('/lcs/agents/:agentId/capture/replay', async (req, res) => {
+        try {
+            const { file, mode, speed } = req.body;
+            const result = await lcsController.replayCapture(req.params.agentId, { file, mode, speed });
+            res.json({ success: true, data: result });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 버스 검색 결과 (디바이스 인벤토리)
+    router.get('/lcs/agents/:agentId/inventory', (req, res) => {
+        const inventory = lcsController.getInventory(req.params.agentId);
+        if (!inventory) {
+            return res.status(404).json({
+                success: false,
+                error: '버스 검색 결과가 없습니다.',
+            });
+        }
+        res.json({ success: true, data: inventory });
+    });
+
+    // 버스 검색 시작 (진행 상황은 Socket.IO 'lcs_discovery_progress' 이벤트)
+    router.post('/lcs/agents/:agentId/discover', (req, res) => {
+        try {
+            const { masters, cus, deviceTypes, concurrency, timeout } = req.body;
+            const inventory = lcsController.discoverAgent(req.params.agentId, {
+                masters,
+                cus,
+                deviceTypes,
+                concurrency,
+                timeout,
+            });
+            res.json({ success: true, data: inventory });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 버스 검색 중지
+    router.post('/lcs/agents/:agentId/discover/cancel', (req, res) => {
+        const success = lcsController.cancelDiscovery(req.params.agentId);
+        res.status(success ? 200 : 404).json({ success });
+    });
+
+    // 오프라인 대기열 (연결이 끊긴 동안 보관된 제어 명령)
+    router.get('/lcs/agents/:agentId/offline-queue', (req, res) => {
+        try {
+            res.json({ success: true, data: lcsController.getOfflineQueue(req.params.agentId) });
+        } catch (error) {
+            res.status(404).json({ success: false, error: error.message });
+        }
+    });
+
+    // 오프라인 대기열 비우기
+    router.delete('/lcs/agents/:agentId/offline-queue', (req, res) => {
+        try {
+            const cleared = lcsController.clearOfflineQueue(req.params.agentId);
+            res.json({ success: true, data: { cleared } });
+        } catch (error) {
+            res.status(404).json({ success: false, error: error.message });
+        }
+    });
+
+    // 등록된 명령 목록
+    router.get('/lcs/commands', (req, res) => {
+        res.json({ success: true, data: lcsController.listCommands() });
+    });
+
+    // 현장 전용 명령 등록 (페이로드/응답은 필드 스키마로 정의)
+    router.post('/lcs/commands', (req, res) => {
+        try {
+            const command = lcsController.registerCommand(req.body);
+            res.json({ success: true, data: command });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    });
+
+    // 현장 전용 명령 등록 해제
+    router.delete('/lcs/commands/:name', (req, res) => {
+        const success = lcsController.unregisterCommand(req.params.name);
+        res.status(success ? 200 : 404).json({ success });
+    });
+
+    // 명령 실행
+    router.post('/lcs/commands/:name/send', async (req, res) => {
+        try {
+            const { agentId, params = {} } = req.body;
+            const response = await lcsController.sendCommand(agentId, req.params.name, params);
+            res.json({ success: true, data: response });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
     // 조명 밝기 조회
     router.get('/lcs/lamps/:masterAddr/:cuAddr/brightness', async (req, res) => {
         try {
             const { masterAddr, cuAddr } = req.params;
-            const { deviceType = 'LCS' } = req.query;
+            const { agentId, deviceType = 'LCS' } = req.query;
 
-            const response = await lcsController.getLampBrightness(parseInt(masterAddr), parseInt(cuAddr), deviceType);
+            const response = await lcsController.getLampBrightness(
+                agentId,
+                parseInt(masterAddr),
+                parseInt(cuAddr),
+                deviceType
+            );
 
             res.json({ success: true, data: response });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-            });
+            sendError(res, error);
+        }
+    });
+
+    // 캐시된 CU 상태 조회 (장비 조회 없이 마지막 명령/관측 값)
+    router.get('/lcs/lamps/:masterAddr/:cuAddr/state', (req, res) => {
+        try {
+            const { masterAddr, cuAddr } = req.params;
+            const state = lcsController.getCuLampState(req.query.agentId, parseInt(masterAddr), parseInt(cuAddr));
+            if (!state) {
+                return res.status(404).json({
+                    success: false,
+                    error: `캐시된 상태가 없습니다: ${masterAddr}/${cuAddr}`,
+                });
+            }
+            res.json({ success: true, data: state });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 캐시된 조명 상태 목록 (agentId, masterAddr, cuAddr로 필터)
+    router.get('/lcs/state', (req, res) => {
+        const { agentId, masterAddr, cuAddr } = req.query;
+        const filter = {
+            masterAddr: masterAddr !== undefined ? parseInt(masterAddr) : undefined,
+            cuAddr: cuAddr !== undefined ? parseInt(cuAddr) : undefined,
+        };
+        res.json({ success: true, data: lcsController.listLampStates(agentId, filter) });
+    });
+
+    // 명령 값과 장비 관측 값이 다른 조명 목록
+    router.get('/lcs/state/drift', (req, res) => {
+        res.json({ success: true, data: lcsController.listLampStateDrift(req.query.agentId) });
+    });
+
+    // 상태 주기 조회 목록 (agentId로 필터)
+    router.get('/lcs/polling', (req, res) => {
+        res.json({ success: true, data: lcsController.listPolling(req.query.agentId) });
+    });
+
+    // CU 상태 주기 조회 시작/설정 변경 (바뀐 조명은 'lcs_lamp_state_changed' 이벤트)
+    router.post('/lcs/agents/:agentId/polling/:masterAddr/:cuAddr', (req, res) => {
+        try {
+            const { agentId, masterAddr, cuAddr } = req.params;
+            const target = lcsController.startPolling(agentId, parseInt(masterAddr), parseInt(cuAddr), req.body);
+            res.json({ success: true, data: target });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // CU 상태 주기 조회 중지
+    router.delete('/lcs/agents/:agentId/polling/:masterAddr/:cuAddr', (req, res) => {
+        const { agentId, masterAddr, cuAddr } = req.params;
+        const success = lcsController.stopPolling(agentId, parseInt(masterAddr), parseInt(cuAddr));
+        res.status(success ? 200 : 404).json({ success });
+    });
+
+    // 조명 상태 즉시 대조
+    router.post('/lcs/agents/:agentId/state/reconcile', async (req, res) => {
+        try {
+            const response = await lcsController.reconcileLampState(req.params.agentId);
+            res.json({ success: true, data: response });
+        } catch (error) {
+            sendError(res, error);
         }
     });
 
@@ -34,44 +319,121 @@ function setupLCSApiRoutes(lcsController) {
     router.get('/lcs/lamps/:masterAddr/:cuAddr/color-temperature', async (req, res) => {
         try {
             const { masterAddr, cuAddr } = req.params;
+            const { agentId, deviceType = 'LCS' } = req.query;
 
-            const response = await lcsController.getLampColorTemperature(parseInt(masterAddr), parseInt(cuAddr));
+            const response = await lcsController.getLampColorTemperature(
+                agentId,
+                parseInt(masterAddr),
+                parseInt(cuAddr),
+                deviceType
+            );
 
             res.json({ success: true, data: response });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-            });
+            sendError(res, error);
+        }
+    });
+
+    // 조명 색온도 조회 (Kelvin, 조명기구 프로파일 적용)
+    router.get('/lcs/lamps/:masterAddr/:cuAddr/color-temperature/kelvin', async (req, res) => {
+        try {
+            const { masterAddr, cuAddr } = req.params;
+            const { agentId, deviceType = 'LCS' } = req.query;
+
+            const response = await lcsController.getLampColorTemperatureKelvin(
+                agentId,
+                parseInt(masterAddr),
+                parseInt(cuAddr),
+                deviceType
+            );
+
+            res.json({ success: true, data: response });
+        } catch (error) {
+            sendError(res, error);
         }
     });
 
+    // 색온도 제어 (Kelvin, 조명기구 프로파일 적용)
+    router.post('/lcs/lamps/:masterAddr/:cuAddr/color-temperature/kelvin', async (req, res) => {
+        try {
+            const { masterAddr, cuAddr } = req.params;
+            const { agentId, lampList, kelvin, deviceType = 'LCS' } = req.body;
+
+            const response = await lcsController.controlColorTemperatureKelvin(
+                agentId,
+                parseInt(masterAddr),
+                parseInt(cuAddr),
+                lampList,
+                kelvin,
+                deviceType
+            );
+
+            res.json({ success: true, data: response });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 조명기구 프로파일 목록
+    router.get('/lcs/fixture-profiles', (req, res) => {
+        res.json({ success: true, data: lcsController.listFixtureProfiles() });
+    });
+
+    // 조명기구 프로파일 정의 ({ name, warmKelvin, coolKelvin } 또는 { name, points: [[값, Kelvin], ...] })
+    router.post('/lcs/fixture-profiles', (req, res) => {
+        try {
+            res.json({ success: true, data: lcsController.defineFixtureProfile(req.body) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 조명기구 프로파일 삭제
+    router.delete('/lcs/fixture-profiles/:name', (req, res) => {
+        const success = lcsController.removeFixtureProfile(req.params.name);
+        res.status(success ? 200 : 404).json({ success });
+    });
+
+    // 프로파일 지정 목록
+    router.get('/lcs/fixture-assignments', (req, res) => {
+        res.json({ success: true, data: lcsController.listFixtureAssignments(req.query.agentId) });
+    });
+
+    // CU 또는 조명에 프로파일 지정 ({ agentId, masterAddr, cuAddr, lampNo, profile })
+    router.post('/lcs/fixture-assignments', (req, res) => {
+        try {
+            const { profile, ...target } = req.body;
+            res.json({ success: true, data: lcsController.assignFixtureProfile(target, profile) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 프로파일 지정 해제
+    router.delete('/lcs/fixture-assignments', (req, res) => {
+        const success = lcsController.unassignFixtureProfile(req.body);
+        res.status(success ? 200 : 404).json({ success });
+    });
+
     // 개별 조명 제어
     router.post('/lcs/lamps/:masterAddr/:cuAddr/:lampNo/control', async (req, res) => {
         try {
             const { masterAddr, cuAddr, lampNo } = req.params;
-            const { brightness } = req.body;
-
-            if (brightness === undefined || brightness < 0 || brightness > 100) {
-                return res.status(400).json({
-                    success: false,
-                    error: '밝기 값은 0-100 사이여야 합니다.',
-                });
-            }
+            const { agentId, deviceType = 'LCS' } = req.body;
+            const brightness = readBrightness(req.body);
 
             const response = await lcsController.controlLamp(
+                agentId,
                 parseInt(masterAddr),
                 parseInt(cuAddr),
                 parseInt(lampNo),
-                brightness
+                brightness,
+                deviceType
             );
 
             res.json({ success: true, data: response });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-            });
+            sendError(res, error);
         }
     });
 
@@ -79,35 +441,21 @@ function setupLCSApiRoutes(lcsController) {
     router.post('/lcs/lamps/:masterAddr/:cuAddr/block-control', async (req, res) => {
         try {
             const { masterAddr, cuAddr } = req.params;
-            const { lampList, brightness } = req.body;
-
-            if (!Array.isArray(lampList) || lampList.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: '조명 번호 배열이 필요합니다.',
-                });
-            }
-
-            if (brightness === undefined || brightness < 0 || brightness > 100) {
-                return res.status(400).json({
-                    success: false,
-                    error: '밝기 값은 0-100 사이여야 합니다.',
-                });
-            }
+            const { agentId, lampList, deviceType = 'LCS' } = req.body;
+            const brightness = readBrightness(req.body);
 
             const response = await lcsController.controlLampBlock(
+                agentId,
                 parseInt(masterAddr),
                 parseInt(cuAddr),
                 lampList,
-                brightness
+                brightness,
+                deviceType
             );
 
             res.json({ success: true, data: response });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-            });
+            sendError(res, error);
         }
     });
 
@@ -115,35 +463,20 @@ function setupLCSApiRoutes(lcsController) {
     router.post('/lcs/lamps/:masterAddr/:cuAddr/color-temperature', async (req, res) => {
         try {
             const { masterAddr, cuAddr } = req.params;
-            const { lampList, colorTemp } = req.body;
-
-            if (!Array.isArray(lampList) || lampList.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: '조명 번호 배열이 필요합니다.',
-                });
-            }
-
-            if (colorTemp === undefined || colorTemp < 0 || colorTemp > 100) {
-                return res.status(400).json({
-                    success: false,
-                    error: '색온도 값은 0-100 사이여야 합니다.',
-                });
-            }
+            const { agentId, lampList, colorTemp, deviceType = 'LCS' } = req.body;
 
             const response = await lcsController.controlColorTemperature(
+                agentId,
                 parseInt(masterAddr),
                 parseInt(cuAddr),
                 lampList,
-                colorTemp
+                colorTemp,
+                deviceType
             );
 
             res.json({ success: true, data: response });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-            });
+            sendError(res, error);
         }
     });
 
@@ -151,21 +484,20 @@ function setupLCSApiRoutes(lcsController) {
     router.post('/lcs/scenes/:masterAddr/:cuAddr/:sceneNo/execute', async (req, res) => {
         try {
             const { masterAddr, cuAddr, sceneNo } = req.params;
-            const { fadeTime = 0 } = req.body;
+            const { agentId, fadeTime = 0, deviceType = 'LCS' } = req.body;
 
             const response = await lcsController.executeScene(
+                agentId,
                 parseInt(masterAddr),
                 parseInt(cuAddr),
                 parseInt(sceneNo),
-                fadeTime
+                fadeTime,
+                deviceType
             );
 
             res.json({ success: true, data: response });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-            });
+            sendError(res, error);
         }
     });
 
@@ -173,36 +505,30 @@ function setupLCSApiRoutes(lcsController) {
     router.post('/lcs/lamps/:masterAddr/:cuAddr/all', async (req, res) => {
         try {
             const { masterAddr, cuAddr } = req.params;
-            const { brightness } = req.body;
+            const { agentId, deviceType = 'LCS' } = req.body;
+            const brightness = readBrightness(req.body);
 
-            if (brightness === undefined || brightness < 0 || brightness > 100) {
-                return res.status(400).json({
-                    success: false,
-                    error: '밝기 값은 0-100 사이여야 합니다.',
-                });
-            }
-
-            const response = await lcsController.controlAllLamps(parseInt(masterAddr), parseInt(cuAddr), brightness);
+            const response = await lcsController.controlAllLamps(
+                agentId,
+                parseInt(masterAddr),
+                parseInt(cuAddr),
+                brightness,
+                deviceType
+            );
 
             res.json({ success: true, data: response });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-            });
+            sendError(res, error);
         }
     });
 
     // 디바이스 정보 조회
     router.get('/lcs/device-info', async (req, res) => {
         try {
-            const response = await lcsController.getDeviceInfo();
+            const response = await lcsController.getDeviceInfo(req.query.agentId);
             res.json({ success: true, data: response });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-            });
+            sendError(res, error);
         }
     });
 
@@ -210,54 +536,27 @@ function setupLCSApiRoutes(lcsController) {
     router.post('/lcs/lamps/:masterAddr/:cuAddr/:lampNo/fade', async (req, res) => {
         try {
             const { masterAddr, cuAddr, lampNo } = req.params;
-            const { startBrightness, endBrightness, duration = 5 } = req.body;
-
-            if (
-                startBrightness === undefined ||
-                endBrightness === undefined ||
-                startBrightness < 0 ||
-                startBrightness > 100 ||
-                endBrightness < 0 ||
-                endBrightness > 100
-            ) {
-                return res.status(400).json({
-                    success: false,
-                    error: '시작/끝 밝기 값은 0-100 사이여야 합니다.',
-                });
-            }
+            const { agentId, startBrightness, endBrightness, duration = 5, deviceType = 'LCS' } = req.body;
+
+            // 효과 작업으로 백그라운드 실행 (진행 상황은 /lcs/jobs/:jobId 또는 'lcs_effect_job' 이벤트)
+            const job = await lcsController.fadeControl(
+                agentId,
+                parseInt(masterAddr),
+                parseInt(cuAddr),
+                parseInt(lampNo),
+                startBrightness,
+                endBrightness,
+                duration,
+                deviceType
+            );
 
-            // 비동기 실행 (응답을 먼저 보내고 백그라운드에서 실행)
             res.json({
                 success: true,
                 message: '페이드 제어가 시작되었습니다.',
-                data: {
-                    masterAddr: parseInt(masterAddr),
-                    cuAddr: parseInt(cuAddr),
-                    lampNo: parseInt(lampNo),
-                    startBrightness,
-                    endBrightness,
-                    duration,
-                },
+                data: lcsController.getJob(job.id),
             });
-
-            // 백그라운드에서 페이드 실행
-            lcsController
-                .fadeControl(
-                    parseInt(masterAddr),
-                    parseInt(cuAddr),
-                    parseInt(lampNo),
-                    startBrightness,
-                    endBrightness,
-                    duration
-                )
-                .catch((error) => {
-                    console.error('페이드 제어 오류:', error);
-                });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-            });
+            sendError(res, error);
         }
     });
 
@@ -265,47 +564,345 @@ function setupLCSApiRoutes(lcsController) {
     router.post('/lcs/lamps/:masterAddr/:cuAddr/wave', async (req, res) => {
         try {
             const { masterAddr, cuAddr } = req.params;
-            const { lampList, brightness, interval = 500 } = req.body;
+            const { agentId, lampList, interval = 500, deviceType = 'LCS' } = req.body;
+            const brightness = readBrightness(req.body);
 
-            if (!Array.isArray(lampList) || lampList.length === 0) {
-                return res.status(400).json({
+            // 효과 작업으로 백그라운드 실행
+            const job = await lcsController.waveEffect(
+                agentId,
+                parseInt(masterAddr),
+                parseInt(cuAddr),
+                lampList,
+                brightness,
+                interval,
+                deviceType
+            );
+
+            res.json({
+                success: true,
+                message: '웨이브 효과가 시작되었습니다.',
+                data: lcsController.getJob(job.id),
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 효과 라이브러리 목록 (파라미터 정의 포함)
+    router.get('/lcs/effects', (req, res) => {
+        res.json({ success: true, data: lcsController.listEffects() });
+    });
+
+    // 효과 실행 (breathe/pulse, chase, twinkle, strobe, colorTempSweep)
+    router.post('/lcs/lamps/:masterAddr/:cuAddr/effects/:effect', async (req, res) => {
+        try {
+            const { masterAddr, cuAddr, effect } = req.params;
+            const { agentId, lampList, deviceType = 'LCS', ...options } = req.body;
+
+            // 효과 작업으로 백그라운드 실행 (파라미터 오류는 400)
+            const job = await lcsController.runEffect(
+                agentId,
+                effect,
+                parseInt(masterAddr),
+                parseInt(cuAddr),
+                lampList,
+                options,
+                deviceType
+            );
+
+            res.json({
+                success: true,
+                message: `${job.type} 효과가 시작되었습니다.`,
+                data: lcsController.getJob(job.id),
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 효과 작업 목록 (agentId로 필터)
+    router.get('/lcs/jobs', (req, res) => {
+        res.json({ success: true, data: lcsController.listJobs(req.query.agentId) });
+    });
+
+    // 효과 작업 조회
+    router.get('/lcs/jobs/:jobId', (req, res) => {
+        const job = lcsController.getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: `작업을 찾을 수 없습니다: ${req.params.jobId}`,
+            });
+        }
+        res.json({ success: true, data: job });
+    });
+
+    // 효과 작업 취소/일시정지/재개
+    router.post('/lcs/jobs/:jobId/:action(cancel|pause|resume)', (req, res) => {
+        const result = lcsController.controlJob(req.params.jobId, req.params.action);
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: `작업을 찾을 수 없습니다: ${req.params.jobId}`,
+            });
+        }
+        res.status(result.changed ? 200 : 409).json({ success: result.changed, data: result.job });
+    });
+
+    // 시각 스케줄 목록
+    router.get('/lcs/schedules', (req, res) => {
+        res.json({ success: true, data: lcsController.listSchedules() });
+    });
+
+    // 시각 스케줄 생성 ({ id, name, timeZone, trigger, actions, catchUp, catchUpWindow, calendarId })
+    router.post('/lcs/schedules', (req, res) => {
+        try {
+            res.json({ success: true, data: lcsController.createSchedule(req.body) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 저장하지 않은 트리거의 실행 시각 미리보기 ({ trigger, timeZone, days })
+    router.post('/lcs/schedules/preview', (req, res) => {
+        try {
+            const { days, ...definition } = req.body;
+            res.json({ success: true, data: lcsController.previewScheduleTrigger(definition, days) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 스케줄 실행 기록 (scheduleId, limit으로 필터)
+    router.get('/lcs/schedule-runs', (req, res) => {
+        const { scheduleId, limit } = req.query;
+        res.json({
+            success: true,
+            data: lcsController.listScheduleRuns({ scheduleId, limit: limit ? parseInt(limit) : undefined }),
+        });
+    });
+
+    // 시각 스케줄 조회 (다음 실행 시각 포함)
+    router.get('/lcs/schedules/:scheduleId', (req, res) => {
+        const schedule = lcsController.getSchedule(req.params.scheduleId);
+        if (!schedule) {
+            return res.status(404).json({
+                success: false,
+                error: `스케줄을 찾을 수 없습니다: ${req.params.scheduleId}`,
+            });
+        }
+        res.json({ success: true, data: schedule });
+    });
+
+    // 시각 스케줄 실행 시각 미리보기 (days: 지금부터 살펴볼 일 수, 기본값 7)
+    router.get('/lcs/schedules/:scheduleId/preview', (req, res) => {
+        try {
+            const days = req.query.days === undefined ? undefined : parseInt(req.query.days);
+            const preview = lcsController.previewSchedule(req.params.scheduleId, days);
+            if (!preview) {
+                return res.status(404).json({
                     success: false,
-                    error: '조명 번호 배열이 필요합니다.',
+                    error: `스케줄을 찾을 수 없습니다: ${req.params.scheduleId}`,
                 });
             }
+            res.json({ success: true, data: preview });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
 
-            if (brightness === undefined || brightness < 0 || brightness > 100) {
-                return res.status(400).json({
+    // 시각 스케줄 켜기/끄기/즉시 실행
+    router.post('/lcs/schedules/:scheduleId/:action(enable|disable|run)', async (req, res) => {
+        try {
+            const result = await lcsController.controlSchedule(req.params.scheduleId, req.params.action);
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    error: `스케줄을 찾을 수 없습니다: ${req.params.scheduleId}`,
+                });
+            }
+            res.status(result.changed ? 200 : 409).json({
+                success: result.changed,
+                data: result.run || result.schedule,
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 시각 스케줄 수정 (넘긴 항목만 변경)
+    router.post('/lcs/schedules/:scheduleId', (req, res) => {
+        try {
+            const schedule = lcsController.updateSchedule(req.params.scheduleId, req.body);
+            if (!schedule) {
+                return res.status(404).json({
                     success: false,
-                    error: '밝기 값은 0-100 사이여야 합니다.',
+                    error: `스케줄을 찾을 수 없습니다: ${req.params.scheduleId}`,
                 });
             }
+            res.json({ success: true, data: schedule });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
 
-            // 비동기 실행
-            res.json({
-                success: true,
-                message: '웨이브 효과가 시작되었습니다.',
-                data: {
-                    masterAddr: parseInt(masterAddr),
-                    cuAddr: parseInt(cuAddr),
-                    lampList,
-                    brightness,
-                    interval,
-                },
+    // 시각 스케줄 삭제 (실행 기록은 유지)
+    router.delete('/lcs/schedules/:scheduleId', (req, res) => {
+        try {
+            const success = lcsController.removeSchedule(req.params.scheduleId);
+            res.status(success ? 200 : 404).json({ success });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 휴일 캘린더 목록
+    router.get('/lcs/calendars', (req, res) => {
+        res.json({ success: true, data: lcsController.listCalendars() });
+    });
+
+    // 휴일 캘린더 생성 ({ id, name, priority, agents, entries })
+    router.post('/lcs/calendars', (req, res) => {
+        try {
+            res.json({ success: true, data: lcsController.createCalendar(req.body) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 날짜와 Agent에 적용되는 프로그램 (date: 'YYYY-MM-DD' 기본값 오늘, agentId 기본값 기본 Agent)
+    router.get('/lcs/effective-program', (req, res) => {
+        try {
+            res.json({ success: true, data: lcsController.getEffectiveProgram(req.query.date, req.query.agentId) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // iCalendar 가져오기: JSON { ics, name, priority, agents } 또는 text/calendar 본문 (?name=&priority=&agents=a,b)
+    router.post(
+        '/lcs/calendars/:calendarId/import',
+        express.text({ type: 'text/calendar', limit: '2mb' }),
+        (req, res) => {
+            try {
+                let options = req.body;
+                if (typeof req.body === 'string') {
+                    const { name, priority, agents } = req.query;
+                    options = { ics: req.body, name };
+                    if (priority !== undefined) options.priority = parseInt(priority);
+                    if (agents) options.agents = agents.split(',');
+                }
+                res.json({ success: true, data: lcsController.importCalendar(req.params.calendarId, options) });
+            } catch (error) {
+                sendError(res, error);
+            }
+        }
+    );
+
+    // 휴일 캘린더 조회 (오늘부터 해당 날짜 포함)
+    router.get('/lcs/calendars/:calendarId', (req, res) => {
+        const calendar = lcsController.getCalendar(req.params.calendarId);
+        if (!calendar) {
+            return res.status(404).json({
+                success: false,
+                error: `캘린더를 찾을 수 없습니다: ${req.params.calendarId}`,
             });
+        }
+        res.json({ success: true, data: calendar });
+    });
 
-            // 백그라운드에서 웨이브 효과 실행
-            lcsController
-                .waveEffect(parseInt(masterAddr), parseInt(cuAddr), lampList, brightness, interval)
-                .catch((error) => {
-                    console.error('웨이브 효과 오류:', error);
+    // 휴일 캘린더 수정 (넘긴 항목만 변경, entries는 전체 교체)
+    router.post('/lcs/calendars/:calendarId', (req, res) => {
+        try {
+            const calendar = lcsController.updateCalendar(req.params.calendarId, req.body);
+            if (!calendar) {
+                return res.status(404).json({
+                    success: false,
+                    error: `캘린더를 찾을 수 없습니다: ${req.params.calendarId}`,
                 });
+            }
+            res.json({ success: true, data: calendar });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 휴일 캘린더 삭제
+    router.delete('/lcs/calendars/:calendarId', (req, res) => {
+        try {
+            const success = lcsController.removeCalendar(req.params.calendarId);
+            res.status(success ? 200 : 404).json({ success });
         } catch (error) {
-            res.status(500).json({
+            sendError(res, error);
+        }
+    });
+
+    // 조명 그룹 목록
+    router.get('/lcs/groups', (req, res) => {
+        res.json({ success: true, data: lcsController.listGroups() });
+    });
+
+    // 조명 그룹 생성 ({ id, name, description, members })
+    router.post('/lcs/groups', (req, res) => {
+        try {
+            res.json({ success: true, data: lcsController.createGroup(req.body) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 조명 그룹 조회 (CU 단위로 펼친 targets 포함)
+    router.get('/lcs/groups/:groupId', (req, res) => {
+        const group = lcsController.getGroup(req.params.groupId);
+        if (!group) {
+            return res.status(404).json({
                 success: false,
-                error: error.message,
+                error: `그룹을 찾을 수 없습니다: ${req.params.groupId}`,
             });
         }
+        res.json({ success: true, data: group });
+    });
+
+    // 조명 그룹 수정 (넘긴 항목만 변경, members는 전체 교체)
+    router.post('/lcs/groups/:groupId', (req, res) => {
+        try {
+            const group = lcsController.updateGroup(req.params.groupId, req.body);
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    error: `그룹을 찾을 수 없습니다: ${req.params.groupId}`,
+                });
+            }
+            res.json({ success: true, data: group });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 조명 그룹 삭제
+    router.delete('/lcs/groups/:groupId', (req, res) => {
+        try {
+            const success = lcsController.removeGroup(req.params.groupId);
+            res.status(success ? 200 : 404).json({ success });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // 그룹 밝기 ({ brightness } 또는 { on }), 색온도 ({ colorTemp } 또는 { kelvin }), 시나리오 ({ sceneNo, fadeTime })
+    router.post('/lcs/groups/:groupId/:action(brightness|color-temperature|scene)', (req, res) => {
+        const { groupId, action } = req.params;
+        if (action === 'brightness') {
+            const brightness = readBrightness(req.body);
+            return sendGroupControl(res, lcsController, groupId, 'brightness', { brightness });
+        }
+        sendGroupControl(res, lcsController, groupId, action === 'scene' ? 'scene' : 'colorTemperature', req.body);
+    });
+
+    // 그룹 효과 실행 (CU마다 효과 작업 하나, 본문은 효과 파라미터)
+    router.post('/lcs/groups/:groupId/effects/:effect', (req, res) => {
+        const { groupId, effect } = req.params;
+        sendGroupControl(res, lcsController, groupId, 'effect', { effect, options: req.body });
     });
 
     return router;
@@ -7,6 +7,7 @@ const path = require('path');
 // LCS 관련 모듈
 const LCSAgentManager = require('./lcs/agent-manager');
 const setupLCSApiRoutes = require('./routes/api');
+const LCSValidationError = require('./lcs/validation-error');
 
 const app = express();
 const server = http.createServer(app);
@@ -33,9 +34,65 @@ const io = socketIo(server, {
     },
 });
 
+/**
+ * Socket.IO 오류 응답 내용: 인자 검증 오류는 code/field/value를 함께 전달
+ * @param {Error} error - 발생한 오류
+ * @returns {Object} { error, code, field, value, ... } 또는 { error }
+ */
+function toErrorPayload(error) {
+    return error instanceof LCSValidationError ? error.toJSON() : { error: error.message };
+}
+
 // LCS Agent Manager 초기화
 const lcsAgentManager = new LCSAgentManager();
 
+// LCS 장비 측 상태 변경(벽 스위치, 장비에서 실행된 시나리오 등)을 모든 클라이언트에게 전달
+lcsAgentManager.on('device_event', (event) => {
+    io.emit('lcs_device_event', {
+        ...event,
+        timestamp: event.timestamp.toISOString(),
+    });
+});
+
+// 버스 검색 진행 상황을 모든 클라이언트에게 전달
+lcsAgentManager.on('discovery_progress', (progress) => {
+    io.emit('lcs_discovery_progress', progress);
+});
+
+// 효과 작업 상태/진행을 모든 클라이언트에게 전달
+lcsAgentManager.on('effect_job', (event) => {
+    io.emit('lcs_effect_job', event);
+});
+
+// 오프라인 대기열 변화(보관/대체/만료/전송)를 모든 클라이언트에게 전달
+lcsAgentManager.on('offline_queue', (event) => {
+    io.emit('lcs_offline_queue', event);
+});
+
+// 명령 값과 장비 관측 값의 불일치(드리프트) 발생/해제를 모든 클라이언트에게 전달
+lcsAgentManager.on('lamp_state_drift', (event) => {
+    io.emit('lcs_lamp_state_drift', event);
+});
+
+// 주기 조회에서 값이 바뀐 조명만 모든 클라이언트에게 전달
+lcsAgentManager.on('lamp_state_changed', (event) => {
+    io.emit('lcs_lamp_state_changed', {
+        ...event,
+        timestamp: event.timestamp.toISOString(),
+    });
+});
+
+// 시각 스케줄 실행 기록을 모든 클라이언트에게 전달
+lcsAgentManager.on('schedule_run', (run) => {
+    io.emit('lcs_schedule_run', run);
+});
+
+// 저장된 시각 스케줄 불러오기 (놓친 실행은 catchUp 정책으로 처리)
+lcsAgentManager.startSchedules();
+
+// 저장된 조명 그룹 불러오기
+lcsAgentManager.startGroups();
+
 // LCS API 라우트 설정
 app.use('/api', setupLCSApiRoutes(lcsAgentManager));
 
@@ -125,8 +182,8 @@ io.on('connection', (socket) => {
     // LCS Agent 관리 이벤트들
     socket.on('lcs_add_agent', async (data) => {
         try {
-            const { agentId, host, port, name } = data;
-            const success = await lcsAgentManager.addAgent(agentId, host, port, name);
+            const { agentId, host, port, name, options } = data;
+            const success = await lcsAgentManager.addAgent(agentId, host, port, name, options);
             socket.emit('lcs_add_agent_response', {
                 success,
                 agentId,
@@ -137,7 +194,7 @@ io.on('connection', (socket) => {
         } catch (error) {
             socket.emit('lcs_add_agent_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
             });
         }
     });
@@ -155,7 +212,7 @@ io.on('connection', (socket) => {
         } catch (error) {
             socket.emit('lcs_remove_agent_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
             });
         }
     });
@@ -173,7 +230,7 @@ io.on('connection', (socket) => {
         } catch (error) {
             socket.emit('lcs_set_default_agent_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
             });
         }
     });
@@ -191,7 +248,187 @@ io.on('connection', (socket) => {
         } catch (error) {
             socket.emit('lcs_reconnect_agent_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
+            });
+        }
+    });
+
+    // 등록된 명령 목록
+    socket.on('lcs_list_commands', () => {
+        socket.emit('lcs_list_commands_response', {
+            success: true,
+            data: lcsAgentManager.listCommands(),
+        });
+    });
+
+    // 레지스트리 명령 실행 (현장 전용 명령 포함)
+    socket.on('lcs_send_command', async (data) => {
+        try {
+            const { agentId, command, params } = data;
+            const response = await lcsAgentManager.sendCommand(agentId, command, params || {});
+            socket.emit('lcs_send_command_response', {
+                success: true,
+                data: response,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_send_command_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // Alive 체크 대상(마스터/CU) 등록
+    socket.on('lcs_register_heartbeat_target', (data) => {
+        try {
+            const { agentId, masterAddr, cuAddr } = data;
+            lcsAgentManager.registerHeartbeatTarget(agentId, masterAddr, cuAddr);
+            socket.emit('lcs_register_heartbeat_target_response', {
+                success: true,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_register_heartbeat_target_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 오프라인 대기열 조회 (변화는 lcs_offline_queue)
+    socket.on('lcs_get_offline_queue', (data) => {
+        try {
+            socket.emit('lcs_offline_queue_response', {
+                success: true,
+                data: lcsAgentManager.getOfflineQueue(data.agentId),
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_offline_queue_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 캐시된 조명 상태 조회 (masterAddr/cuAddr가 있으면 CU 상태, 없으면 조명 목록)
+    socket.on('lcs_get_lamp_state', (data = {}) => {
+        try {
+            const { agentId, masterAddr, cuAddr } = data;
+            let state;
+            if (masterAddr !== undefined && cuAddr !== undefined) {
+                state = lcsAgentManager.getCuLampState(agentId, masterAddr, cuAddr);
+                if (!state) {
+                    throw new Error(`캐시된 상태가 없습니다: ${masterAddr}/${cuAddr}`);
+                }
+            } else {
+                state = lcsAgentManager.listLampStates(agentId, { masterAddr, cuAddr });
+            }
+
+            socket.emit('lcs_lamp_state_response', {
+                success: true,
+                data: state,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_lamp_state_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 드리프트 목록 조회 (변화는 lcs_lamp_state_drift)
+    socket.on('lcs_get_lamp_state_drift', (data = {}) => {
+        socket.emit('lcs_lamp_state_drift_response', {
+            success: true,
+            data: lcsAgentManager.listLampStateDrift(data.agentId),
+            request: data,
+        });
+    });
+
+    // CU 상태 주기 조회 시작 (바뀐 조명은 lcs_lamp_state_changed)
+    socket.on('lcs_start_polling', (data) => {
+        try {
+            const { agentId, masterAddr, cuAddr, ...options } = data;
+            socket.emit('lcs_start_polling_response', {
+                success: true,
+                data: lcsAgentManager.startPolling(agentId, masterAddr, cuAddr, options),
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_start_polling_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // CU 상태 주기 조회 중지
+    socket.on('lcs_stop_polling', (data = {}) => {
+        try {
+            const { agentId, masterAddr, cuAddr } = data;
+            socket.emit('lcs_stop_polling_response', {
+                success: lcsAgentManager.stopPolling(agentId, masterAddr, cuAddr),
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_stop_polling_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 상태 주기 조회 목록
+    socket.on('lcs_list_polling', (data = {}) => {
+        socket.emit('lcs_polling_response', {
+            success: true,
+            data: lcsAgentManager.listPolling(data.agentId),
+            request: data,
+        });
+    });
+
+    // 버스 검색 시작 (진행 상황은 lcs_discovery_progress)
+    socket.on('lcs_discover_agent', (data) => {
+        try {
+            const { agentId, ...options } = data;
+            const inventory = lcsAgentManager.discoverAgent(agentId, options);
+            socket.emit('lcs_discover_agent_response', {
+                success: true,
+                data: inventory,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_discover_agent_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 버스 검색 결과 (디바이스 인벤토리)
+    socket.on('lcs_get_inventory', (data = {}) => {
+        try {
+            const inventory = lcsAgentManager.getInventory(data.agentId);
+            socket.emit('lcs_inventory_response', {
+                success: inventory !== null,
+                data: inventory,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_inventory_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
             });
         }
     });
@@ -209,7 +446,7 @@ io.on('connection', (socket) => {
         } catch (error) {
             socket.emit('lcs_lamp_brightness_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
                 request: data,
             });
         }
@@ -218,8 +455,15 @@ io.on('connection', (socket) => {
     // 개별 조명 제어 (agentId 추가)
     socket.on('lcs_control_lamp', async (data) => {
         try {
-            const { agentId, masterAddr, cuAddr, lampNo, brightness } = data;
-            const response = await lcsAgentManager.controlLamp(agentId, masterAddr, cuAddr, lampNo, brightness);
+            const { agentId, masterAddr, cuAddr, lampNo, brightness, deviceType } = data;
+            const response = await lcsAgentManager.controlLamp(
+                agentId,
+                masterAddr,
+                cuAddr,
+                lampNo,
+                brightness,
+                deviceType
+            );
 
             socket.emit('lcs_lamp_control_response', {
                 success: true,
@@ -234,12 +478,13 @@ io.on('connection', (socket) => {
                 cuAddr,
                 lampNo,
                 brightness,
+                deviceType,
                 timestamp: new Date().toISOString(),
             });
         } catch (error) {
             socket.emit('lcs_lamp_control_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
                 request: data,
             });
         }
@@ -248,8 +493,15 @@ io.on('connection', (socket) => {
     // 블록 조명 제어 (agentId 추가)
     socket.on('lcs_control_lamp_block', async (data) => {
         try {
-            const { agentId, masterAddr, cuAddr, lampList, brightness } = data;
-            const response = await lcsAgentManager.controlLampBlock(agentId, masterAddr, cuAddr, lampList, brightness);
+            const { agentId, masterAddr, cuAddr, lampList, brightness, deviceType } = data;
+            const response = await lcsAgentManager.controlLampBlock(
+                agentId,
+                masterAddr,
+                cuAddr,
+                lampList,
+                brightness,
+                deviceType
+            );
 
             socket.emit('lcs_lamp_block_control_response', {
                 success: true,
@@ -263,12 +515,13 @@ io.on('connection', (socket) => {
                 cuAddr,
                 lampList,
                 brightness,
+                deviceType,
                 timestamp: new Date().toISOString(),
             });
         } catch (error) {
             socket.emit('lcs_lamp_block_control_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
                 request: data,
             });
         }
@@ -277,13 +530,14 @@ io.on('connection', (socket) => {
     // 색온도 제어 (agentId 추가)
     socket.on('lcs_control_color_temperature', async (data) => {
         try {
-            const { agentId, masterAddr, cuAddr, lampList, colorTemp } = data;
+            const { agentId, masterAddr, cuAddr, lampList, colorTemp, deviceType } = data;
             const response = await lcsAgentManager.controlColorTemperature(
                 agentId,
                 masterAddr,
                 cuAddr,
                 lampList,
-                colorTemp
+                colorTemp,
+                deviceType
             );
 
             socket.emit('lcs_color_temp_control_response', {
@@ -298,12 +552,122 @@ io.on('connection', (socket) => {
                 cuAddr,
                 lampList,
                 colorTemp,
+                deviceType,
                 timestamp: new Date().toISOString(),
             });
         } catch (error) {
             socket.emit('lcs_color_temp_control_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 색온도 제어 (Kelvin, 조명기구 프로파일 적용)
+    socket.on('lcs_control_color_temperature_kelvin', async (data) => {
+        try {
+            const { agentId, masterAddr, cuAddr, lampList, kelvin, deviceType } = data;
+            const response = await lcsAgentManager.controlColorTemperatureKelvin(
+                agentId,
+                masterAddr,
+                cuAddr,
+                lampList,
+                kelvin,
+                deviceType
+            );
+
+            socket.emit('lcs_color_temp_kelvin_control_response', {
+                success: true,
+                data: response,
+                request: data,
+            });
+
+            socket.broadcast.emit('lcs_color_temp_status_changed', {
+                agentId,
+                masterAddr,
+                cuAddr,
+                lampList,
+                kelvin,
+                deviceType,
+                timestamp: new Date().toISOString(),
+            });
+        } catch (error) {
+            socket.emit('lcs_color_temp_kelvin_control_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 색온도 조회 (Kelvin)
+    socket.on('lcs_get_lamp_color_temperature_kelvin', async (data) => {
+        try {
+            const { agentId, masterAddr, cuAddr, deviceType } = data;
+            const response = await lcsAgentManager.getLampColorTemperatureKelvin(
+                agentId,
+                masterAddr,
+                cuAddr,
+                deviceType
+            );
+            socket.emit('lcs_lamp_color_temperature_kelvin_response', {
+                success: true,
+                data: response,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_lamp_color_temperature_kelvin_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 조명기구 프로파일 목록 및 지정 현황
+    socket.on('lcs_list_fixture_profiles', (data = {}) => {
+        socket.emit('lcs_fixture_profiles_response', {
+            success: true,
+            data: {
+                profiles: lcsAgentManager.listFixtureProfiles(),
+                assignments: lcsAgentManager.listFixtureAssignments(data.agentId),
+            },
+        });
+    });
+
+    // 조명기구 프로파일 정의
+    socket.on('lcs_define_fixture_profile', (data) => {
+        try {
+            const profile = lcsAgentManager.defineFixtureProfile(data);
+            socket.emit('lcs_define_fixture_profile_response', {
+                success: true,
+                data: profile,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_define_fixture_profile_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // CU 또는 조명에 프로파일 지정
+    socket.on('lcs_assign_fixture_profile', (data) => {
+        try {
+            const { profile, ...target } = data;
+            const assignment = lcsAgentManager.assignFixtureProfile(target, profile);
+            socket.emit('lcs_assign_fixture_profile_response', {
+                success: true,
+                data: assignment,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_assign_fixture_profile_response', {
+                success: false,
+                ...toErrorPayload(error),
                 request: data,
             });
         }
@@ -312,8 +676,15 @@ io.on('connection', (socket) => {
     // 시나리오 실행 (agentId 추가)
     socket.on('lcs_execute_scene', async (data) => {
         try {
-            const { agentId, masterAddr, cuAddr, sceneNo, fadeTime } = data;
-            const response = await lcsAgentManager.executeScene(agentId, masterAddr, cuAddr, sceneNo, fadeTime);
+            const { agentId, masterAddr, cuAddr, sceneNo, fadeTime, deviceType } = data;
+            const response = await lcsAgentManager.executeScene(
+                agentId,
+                masterAddr,
+                cuAddr,
+                sceneNo,
+                fadeTime,
+                deviceType
+            );
 
             socket.emit('lcs_scene_execute_response', {
                 success: true,
@@ -327,12 +698,13 @@ io.on('connection', (socket) => {
                 cuAddr,
                 sceneNo,
                 fadeTime,
+                deviceType,
                 timestamp: new Date().toISOString(),
             });
         } catch (error) {
             socket.emit('lcs_scene_execute_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
                 request: data,
             });
         }
@@ -341,8 +713,8 @@ io.on('connection', (socket) => {
     // 전체 조명 제어 (agentId 추가)
     socket.on('lcs_control_all_lamps', async (data) => {
         try {
-            const { agentId, masterAddr, cuAddr, brightness } = data;
-            const response = await lcsAgentManager.controlAllLamps(agentId, masterAddr, cuAddr, brightness);
+            const { agentId, masterAddr, cuAddr, brightness, deviceType } = data;
+            const response = await lcsAgentManager.controlAllLamps(agentId, masterAddr, cuAddr, brightness, deviceType);
 
             socket.emit('lcs_all_lamps_control_response', {
                 success: true,
@@ -355,21 +727,22 @@ io.on('connection', (socket) => {
                 masterAddr,
                 cuAddr,
                 brightness,
+                deviceType,
                 timestamp: new Date().toISOString(),
             });
         } catch (error) {
             socket.emit('lcs_all_lamps_control_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
                 request: data,
             });
         }
     });
 
     // 디바이스 정보 조회
-    socket.on('lcs_get_device_info', async () => {
+    socket.on('lcs_get_device_info', async (data = {}) => {
         try {
-            const response = await lcsAgentManager.getDeviceInfo();
+            const response = await lcsAgentManager.getDeviceInfo(data.agentId);
             socket.emit('lcs_device_info_response', {
                 success: true,
                 data: response,
@@ -377,7 +750,7 @@ io.on('connection', (socket) => {
         } catch (error) {
             socket.emit('lcs_device_info_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
             });
         }
     });
@@ -385,27 +758,38 @@ io.on('connection', (socket) => {
     // 페이드 제어 (agentId 추가)
     socket.on('lcs_fade_control', async (data) => {
         try {
-            const { agentId, masterAddr, cuAddr, lampNo, startBrightness, endBrightness, duration } = data;
+            const { agentId, masterAddr, cuAddr, lampNo, startBrightness, endBrightness, duration, deviceType } = data;
+
+            // 효과 작업으로 백그라운드 실행 (진행 상황은 lcs_effect_job)
+            const job = await lcsAgentManager.fadeControl(
+                agentId,
+                masterAddr,
+                cuAddr,
+                lampNo,
+                startBrightness,
+                endBrightness,
+                duration,
+                deviceType
+            );
 
             socket.emit('lcs_fade_control_response', {
                 success: true,
                 message: '페이드 제어가 시작되었습니다.',
+                data: lcsAgentManager.getJob(job.id),
                 request: data,
             });
 
-            // 백그라운드에서 페이드 실행
-            lcsAgentManager
-                .fadeControl(agentId, masterAddr, cuAddr, lampNo, startBrightness, endBrightness, duration)
-                .then(() => {
-                    socket.emit('lcs_fade_control_completed', { request: data });
-                })
-                .catch((error) => {
-                    socket.emit('lcs_fade_control_error', { error: error.message, request: data });
-                });
+            job.done.then((info) => {
+                if (info.status === 'failed') {
+                    socket.emit('lcs_fade_control_error', { error: info.error, job: info, request: data });
+                } else {
+                    socket.emit('lcs_fade_control_completed', { job: info, request: data });
+                }
+            });
         } catch (error) {
             socket.emit('lcs_fade_control_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
                 request: data,
             });
         }
@@ -414,27 +798,375 @@ io.on('connection', (socket) => {
     // 웨이브 효과 (agentId 추가)
     socket.on('lcs_wave_effect', async (data) => {
         try {
-            const { agentId, masterAddr, cuAddr, lampList, brightness, interval } = data;
+            const { agentId, masterAddr, cuAddr, lampList, brightness, interval, deviceType } = data;
+
+            // 효과 작업으로 백그라운드 실행 (진행 상황은 lcs_effect_job)
+            const job = await lcsAgentManager.waveEffect(
+                agentId,
+                masterAddr,
+                cuAddr,
+                lampList,
+                brightness,
+                interval,
+                deviceType
+            );
 
             socket.emit('lcs_wave_effect_response', {
                 success: true,
                 message: '웨이브 효과가 시작되었습니다.',
+                data: lcsAgentManager.getJob(job.id),
                 request: data,
             });
 
-            // 백그라운드에서 웨이브 효과 실행
-            lcsAgentManager
-                .waveEffect(agentId, masterAddr, cuAddr, lampList, brightness, interval)
-                .then(() => {
-                    socket.emit('lcs_wave_effect_completed', { request: data });
-                })
-                .catch((error) => {
-                    socket.emit('lcs_wave_effect_error', { error: error.message, request: data });
-                });
+            job.done.then((info) => {
+                if (info.status === 'failed') {
+                    socket.emit('lcs_wave_effect_error', { error: info.error, job: info, request: data });
+                } else {
+                    socket.emit('lcs_wave_effect_completed', { job: info, request: data });
+                }
+            });
         } catch (error) {
             socket.emit('lcs_wave_effect_response', {
                 success: false,
-                error: error.message,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 효과 라이브러리 목록
+    socket.on('lcs_list_effects', (data = {}) => {
+        socket.emit('lcs_effects_response', {
+            success: true,
+            data: lcsAgentManager.listEffects(),
+            request: data,
+        });
+    });
+
+    // 효과 실행 ({ agentId, masterAddr, cuAddr, effect, lampList, deviceType, ...효과 파라미터 })
+    socket.on('lcs_run_effect', async (data) => {
+        try {
+            const { agentId, masterAddr, cuAddr, effect, lampList, deviceType, ...options } = data;
+
+            // 효과 작업으로 백그라운드 실행 (진행 상황은 lcs_effect_job)
+            const job = await lcsAgentManager.runEffect(
+                agentId,
+                effect,
+                masterAddr,
+                cuAddr,
+                lampList,
+                options,
+                deviceType
+            );
+
+            socket.emit('lcs_run_effect_response', {
+                success: true,
+                message: `${job.type} 효과가 시작되었습니다.`,
+                data: lcsAgentManager.getJob(job.id),
+                request: data,
+            });
+
+            job.done.then((info) => {
+                if (info.status === 'failed') {
+                    socket.emit('lcs_run_effect_error', { error: info.error, job: info, request: data });
+                } else {
+                    socket.emit('lcs_run_effect_completed', { job: info, request: data });
+                }
+            });
+        } catch (error) {
+            socket.emit('lcs_run_effect_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 효과 작업 목록
+    socket.on('lcs_list_jobs', (data = {}) => {
+        socket.emit('lcs_jobs_response', {
+            success: true,
+            data: lcsAgentManager.listJobs(data.agentId),
+            request: data,
+        });
+    });
+
+    // 효과 작업 취소/일시정지/재개 ({ jobId, action: 'cancel' | 'pause' | 'resume' })
+    socket.on('lcs_control_job', (data) => {
+        try {
+            const result = lcsAgentManager.controlJob(data.jobId, data.action);
+            if (!result) {
+                throw new Error(`작업을 찾을 수 없습니다: ${data.jobId}`);
+            }
+            socket.emit('lcs_control_job_response', {
+                success: result.changed,
+                data: result.job,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_control_job_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 시각 스케줄 목록
+    socket.on('lcs_list_schedules', (data = {}) => {
+        socket.emit('lcs_schedules_response', {
+            success: true,
+            data: lcsAgentManager.listSchedules(),
+            request: data,
+        });
+    });
+
+    // 시각 스케줄 생성({ id, name, timeZone, trigger, actions, ... }) 또는 수정({ scheduleId, ...바꿀 항목 })
+    socket.on('lcs_save_schedule', (data) => {
+        try {
+            const { scheduleId, ...definition } = data;
+            const schedule = scheduleId
+                ? lcsAgentManager.updateSchedule(scheduleId, definition)
+                : lcsAgentManager.createSchedule(definition);
+            if (!schedule) {
+                throw new Error(`스케줄을 찾을 수 없습니다: ${scheduleId}`);
+            }
+            socket.emit('lcs_save_schedule_response', {
+                success: true,
+                data: schedule,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_save_schedule_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 시각 스케줄 삭제
+    socket.on('lcs_delete_schedule', (data) => {
+        try {
+            socket.emit('lcs_delete_schedule_response', {
+                success: lcsAgentManager.removeSchedule(data.scheduleId),
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_delete_schedule_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 시각 스케줄 켜기/끄기/즉시 실행 ({ scheduleId, action: 'enable' | 'disable' | 'run' })
+    socket.on('lcs_control_schedule', async (data) => {
+        try {
+            const result = await lcsAgentManager.controlSchedule(data.scheduleId, data.action);
+            if (!result) {
+                throw new Error(`스케줄을 찾을 수 없습니다: ${data.scheduleId}`);
+            }
+            socket.emit('lcs_control_schedule_response', {
+                success: result.changed,
+                data: result.run || result.schedule,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_control_schedule_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 시각 스케줄 실행 시각 미리보기 ({ scheduleId, days } 또는 저장 전 { trigger, timeZone, days })
+    socket.on('lcs_preview_schedule', (data = {}) => {
+        try {
+            const { scheduleId, days, ...definition } = data;
+            const preview = scheduleId
+                ? lcsAgentManager.previewSchedule(scheduleId, days)
+                : lcsAgentManager.previewScheduleTrigger(definition, days);
+            if (!preview) {
+                throw new Error(`스케줄을 찾을 수 없습니다: ${scheduleId}`);
+            }
+            socket.emit('lcs_preview_schedule_response', {
+                success: true,
+                data: preview,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_preview_schedule_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 시각 스케줄 실행 기록 ({ scheduleId, limit })
+    socket.on('lcs_list_schedule_runs', (data = {}) => {
+        socket.emit('lcs_schedule_runs_response', {
+            success: true,
+            data: lcsAgentManager.listScheduleRuns(data),
+            request: data,
+        });
+    });
+
+    // 휴일 캘린더 목록
+    socket.on('lcs_list_calendars', (data = {}) => {
+        socket.emit('lcs_calendars_response', {
+            success: true,
+            data: lcsAgentManager.listCalendars(),
+            request: data,
+        });
+    });
+
+    // 휴일 캘린더 생성({ id, name, priority, agents, entries }) 또는 수정({ calendarId, ...바꿀 항목 })
+    socket.on('lcs_save_calendar', (data) => {
+        try {
+            const { calendarId, ...definition } = data;
+            const calendar = calendarId
+                ? lcsAgentManager.updateCalendar(calendarId, definition)
+                : lcsAgentManager.createCalendar(definition);
+            if (!calendar) {
+                throw new Error(`캘린더를 찾을 수 없습니다: ${calendarId}`);
+            }
+            socket.emit('lcs_save_calendar_response', {
+                success: true,
+                data: calendar,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_save_calendar_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // iCalendar 가져오기 ({ calendarId, ics, name, priority, agents })
+    socket.on('lcs_import_calendar', (data) => {
+        try {
+            const { calendarId, ...options } = data;
+            socket.emit('lcs_import_calendar_response', {
+                success: true,
+                data: lcsAgentManager.importCalendar(calendarId, options),
+                request: { calendarId, name: options.name },
+            });
+        } catch (error) {
+            socket.emit('lcs_import_calendar_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: { calendarId: data && data.calendarId },
+            });
+        }
+    });
+
+    // 휴일 캘린더 삭제 ({ calendarId })
+    socket.on('lcs_delete_calendar', (data) => {
+        try {
+            socket.emit('lcs_delete_calendar_response', {
+                success: lcsAgentManager.removeCalendar(data.calendarId),
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_delete_calendar_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 날짜와 Agent에 적용되는 프로그램 ({ date, agentId })
+    socket.on('lcs_effective_program', (data = {}) => {
+        try {
+            socket.emit('lcs_effective_program_response', {
+                success: true,
+                data: lcsAgentManager.getEffectiveProgram(data.date, data.agentId),
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_effective_program_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 조명 그룹 목록
+    socket.on('lcs_list_groups', (data = {}) => {
+        socket.emit('lcs_groups_response', {
+            success: true,
+            data: lcsAgentManager.listGroups(),
+            request: data,
+        });
+    });
+
+    // 조명 그룹 생성({ id, name, description, members }) 또는 수정({ groupId, ...바꿀 항목 })
+    socket.on('lcs_save_group', (data) => {
+        try {
+            const { groupId, ...definition } = data;
+            const group = groupId
+                ? lcsAgentManager.updateGroup(groupId, definition)
+                : lcsAgentManager.createGroup(definition);
+            if (!group) {
+                throw new Error(`그룹을 찾을 수 없습니다: ${groupId}`);
+            }
+            socket.emit('lcs_save_group_response', {
+                success: true,
+                data: group,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_save_group_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 조명 그룹 삭제 ({ groupId })
+    socket.on('lcs_delete_group', (data) => {
+        try {
+            socket.emit('lcs_delete_group_response', {
+                success: lcsAgentManager.removeGroup(data.groupId),
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_delete_group_response', {
+                success: false,
+                ...toErrorPayload(error),
+                request: data,
+            });
+        }
+    });
+
+    // 조명 그룹 제어 ({ groupId, action: 'brightness'|'colorTemperature'|'scene'|'effect', ...동작 값 })
+    // brightness: { brightness }, colorTemperature: { colorTemp } 또는 { kelvin }, scene: { sceneNo, fadeTime },
+    // effect: { effect, options }
+    socket.on('lcs_control_group', async (data) => {
+        try {
+            const { groupId, action, ...params } = data;
+            const result = await lcsAgentManager.controlGroup(groupId, action, params);
+            if (!result) {
+                throw new Error(`그룹을 찾을 수 없습니다: ${groupId}`);
+            }
+            socket.emit('lcs_control_group_response', {
+                success: result.result !== 'failed' && result.result !== 'skipped',
+                data: result,
+                request: data,
+            });
+        } catch (error) {
+            socket.emit('lcs_control_group_response', {
+                success: false,
+                ...toErrorPayload(error),
                 request: data,
             });
         }
@@ -457,11 +1189,22 @@ async function initializeLCS() {
     const defaultHost = process.env.LCS_HOST || '127.0.0.1';
     const defaultPort = parseInt(process.env.LCS_PORT) || 1000;
     const defaultAgentId = 'default';
+    const transport = process.env.LCS_TRANSPORT || 'tcp';
+    const options = { transport };
+    if (transport === 'tls') {
+        options.tls = {
+            caFile: process.env.LCS_TLS_CA_FILE,
+            certFile: process.env.LCS_TLS_CERT_FILE,
+            keyFile: process.env.LCS_TLS_KEY_FILE,
+            servername: process.env.LCS_TLS_SERVERNAME,
+            rejectUnauthorized: process.env.LCS_TLS_REJECT_UNAUTHORIZED !== 'false',
+        };
+    }
 
-    console.log(`🔗 기본 LCS Agent 추가 시도: ${defaultHost}:${defaultPort}`);
+    console.log(`🔗 기본 LCS Agent 추가 시도: ${transport}://${defaultHost}:${defaultPort}`);
 
     try {
-        const success = await lcsAgentManager.addAgent(defaultAgentId, defaultHost, defaultPort, '기본 Agent');
+        const success = await lcsAgentManager.addAgent(defaultAgentId, defaultHost, defaultPort, '기본 Agent', options);
         if (success) {
             console.log('✅ 기본 LCS Agent 연결 성공');
         } else {